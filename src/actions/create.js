@@ -0,0 +1,30 @@
+const { createSection } = require('../section-screenshot');
+const { fillBaselineTemplate, validateAndResetMeetingPatterns, validateAndResetProfessors, bannerEthosScheduleType } = require('../sectionTemplateFill');
+
+module.exports = {
+  name: 'create',
+  label: 'Create New Section Including Meeting and Professor',
+  product: 'Academic Scheduling',
+  productSlug: 'sm/section-dashboard',
+  entityType: 'sections',
+  preflightEntities: ['sections'],
+  order: 20,
+
+  async execute({ page, browser, subfolder, schoolId, dateStr, runContext }) {
+    console.log('\n Initiating create Section with Meeting and Professor process...');
+    await createSection(page);
+    console.log('\n📝 Filling section template fields...');
+    await fillBaselineTemplate(runContext, page, schoolId, 'create');
+    // Call bannerEthosScheduleType for banner_ethos schools
+    if (schoolId.includes('banner_ethos')) {
+      await bannerEthosScheduleType(page);
+    }
+    await validateAndResetMeetingPatterns(runContext, page, subfolder, 'create');
+    const saveSuccess = await validateAndResetProfessors(runContext, page, subfolder, 'create', browser, schoolId, null, dateStr);
+    if (!saveSuccess) {
+      console.log("Couldn't save section, thus cannot pull merge report");
+      return { success: false, reason: 'Failed to save section' };
+    }
+    return { success: true };
+  }
+};
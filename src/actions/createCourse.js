@@ -0,0 +1,24 @@
+const { createCourse } = require('../courseTemplateFill');
+
+module.exports = {
+  name: 'createCourse',
+  label: 'Propose New Course',
+  product: 'Curriculum Management',
+  productSlug: 'cm/courses',
+  entityType: 'coursesCm',
+  preflightEntities: ['coursesCm'],
+  formType: 'course',
+  order: 140,
+  errorReason: 'Course creation error',
+
+  async execute({ page, browser, subfolder, schoolId, formName, runContext }) {
+    console.log('\n📚 Initiating Course creation process...');
+    const success = await createCourse(runContext, page, subfolder, schoolId, browser, formName);
+    if (success) {
+      console.log('✅ Course creation completed successfully');
+      return { success: true };
+    }
+    console.log('❌ Course creation failed');
+    return { success: false, reason: 'Course creation failed during execution' };
+  }
+};
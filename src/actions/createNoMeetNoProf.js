@@ -0,0 +1,32 @@
+const { createSection, captureModalAfter } = require('../section-screenshot');
+const { fillBaselineTemplate, saveSection, bannerEthosScheduleType } = require('../sectionTemplateFill');
+
+module.exports = {
+  name: 'createNoMeetNoProf',
+  label: 'Create New Section Without Meeting or Professor',
+  product: 'Academic Scheduling',
+  productSlug: 'sm/section-dashboard',
+  entityType: 'sections',
+  preflightEntities: ['sections'],
+  order: 30,
+
+  async execute({ page, browser, subfolder, schoolId, runContext }) {
+    console.log('\n Initiating create Section wit no Meeting or Professor process...');
+    await createSection(page);
+    console.log('\n📝 Filling section template fields (no meeting/prof)...');
+    // First, fill baseline fields without saving to allow all sections to render
+    await fillBaselineTemplate(runContext, page, schoolId, 'createNoMeetNoProf');
+    // Now adjust Banner Ethos Schedule Type after fields are rendered
+    if (schoolId.includes('banner_ethos')) {
+      await bannerEthosScheduleType(page);
+    }
+    // Take the after screenshot and save explicitly
+    await captureModalAfter(page, subfolder, 'createNoMeetNoProf');
+    const saveSuccess = await saveSection(runContext, page, subfolder, 'createNoMeetNoProf', browser, schoolId);
+    if (!saveSuccess) {
+      console.log("Couldn't save section, thus cannot pull merge report");
+      return { success: false, reason: 'Failed to save section' };
+    }
+    return { success: true };
+  }
+};
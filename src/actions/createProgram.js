@@ -0,0 +1,25 @@
+const { createProgram } = require('../programTemplateFill');
+
+module.exports = {
+  name: 'createProgram',
+  label: 'Propose New Program (PeopleSoft only)',
+  product: 'Curriculum Management',
+  productSlug: 'cm/programs',
+  entityType: 'programs',
+  preflightEntities: ['programs'],
+  formType: 'program',
+  peopleSoftOnly: true,
+  order: 160,
+  errorReason: 'Program creation error',
+
+  async execute({ page, browser, subfolder, schoolId, formName, runContext }) {
+    console.log('\n📚 Initiating Program creation process...');
+    const success = await createProgram(runContext, page, subfolder, schoolId, browser, formName);
+    if (success) {
+      console.log('✅ Program creation completed successfully');
+      return { success: true };
+    }
+    console.log('❌ Program creation failed');
+    return { success: false, reason: 'Program creation failed during execution' };
+  }
+};
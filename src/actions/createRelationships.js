@@ -0,0 +1,21 @@
+const { relationshipsFill } = require('../sectionTemplateFill');
+
+module.exports = {
+  name: 'createRelationships',
+  label: 'Create New Relationships',
+  product: 'Academic Scheduling',
+  productSlug: 'sm/section-dashboard',
+  entityType: 'relationships',
+  preflightEntities: ['sections', 'relationships'],
+  order: 50,
+
+  async execute({ page, browser, subfolder, schoolId, baseDomain }) {
+    console.log('\n🔗 Initiating Relationships creation process...');
+    const result = await relationshipsFill(baseDomain, page, subfolder, 'createRelationships', schoolId, true, browser);
+    if (result === true) {
+      return { success: true };
+    }
+    console.log('❌ Relationships create process failed.');
+    return { success: false, reason: 'Relationships create process failed' };
+  }
+};
@@ -0,0 +1,21 @@
+const { relationshipsFill } = require('../sectionTemplateFill');
+
+module.exports = {
+  name: 'editRelationships',
+  label: 'Edit Existing Relationships',
+  product: 'Academic Scheduling',
+  productSlug: 'sm/section-dashboard',
+  entityType: 'relationships',
+  preflightEntities: ['sections', 'relationships'],
+  order: 40,
+
+  async execute({ page, browser, subfolder, schoolId, baseDomain }) {
+    console.log('\n🔗 Initiating Relationships edit process...');
+    const result = await relationshipsFill(baseDomain, page, subfolder, 'editRelationships', schoolId, false, browser);
+    if (result === 'edit_completed' || result === true) {
+      return { success: true };
+    }
+    console.log('❌ Relationships edit process failed.');
+    return { success: false, reason: 'Relationships edit process failed' };
+  }
+};
@@ -0,0 +1,23 @@
+const { updateCourse } = require('../courseTemplateFill');
+
+module.exports = {
+  name: 'inactivateCourse',
+  label: 'Inactivate a Course',
+  product: 'Curriculum Management',
+  productSlug: 'cm/courses',
+  entityType: 'coursesCm',
+  preflightEntities: ['coursesCm'],
+  order: 120,
+  errorReason: 'Course inactivation error',
+
+  async execute({ page, browser, subfolder, schoolId, runContext }) {
+    console.log('\n📚 Initiating Course inactivation process...');
+    const success = await updateCourse(runContext, page, subfolder, schoolId, browser, 'inactivateCourse');
+    if (success) {
+      console.log('✅ Course inactivation completed successfully');
+      return { success: true };
+    }
+    console.log('❌ Course inactivation process failed');
+    return { success: false, reason: 'Course inactivation process failed' };
+  }
+};
@@ -0,0 +1,33 @@
+const { openSection, captureModalBefore } = require('../section-screenshot');
+const { fillBaselineTemplate } = require('../sectionTemplateFill');
+
+module.exports = {
+  name: 'inactivateSection',
+  label: 'Inactivate a Section',
+  product: 'Academic Scheduling',
+  productSlug: 'sm/section-dashboard',
+  entityType: 'sections',
+  preflightEntities: ['sections'],
+  order: 60,
+
+  async execute({ page, browser, subfolder, schoolId, runContext }) {
+    console.log('\n Initiating Section inactivation process...');
+    try {
+      await openSection(page);
+    } catch (error) {
+      console.log(`❌ [InactivateSection] ${error.message}`);
+      console.log('❌ [InactivateSection] Ending inactivation flow due to no available sections.');
+      return { success: false, reason: 'No available sections to inactivate' };
+    }
+    await captureModalBefore(page, subfolder, 'inactivateSection');
+
+    console.log('\n📝 Filling section template fields...');
+    // fillBaselineTemplate will handle screenshot and save internally for this action
+    const saveSuccess = await fillBaselineTemplate(runContext, page, schoolId, 'inactivateSection', subfolder, browser);
+    if (!saveSuccess) {
+      console.log("Couldn't save section, thus cannot pull merge report");
+      return { success: false, reason: 'Failed to save section' };
+    }
+    return { success: true };
+  }
+};
@@ -0,0 +1,146 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Action registry.
+ *
+ * Every other .js file in this folder is one test case and exports:
+ *   name              - action name used on the CLI, in folders and in RUN-SUMMARY rows
+ *   label             - menu label
+ *   product           - 'Academic Scheduling' or 'Curriculum Management' (also the Run subfolder)
+ *   productSlug       - app route the browser signs in to (e.g. 'sm/section-dashboard')
+ *   entityType        - merge-history entity type polled after the save (sections, relationships, coursesCm, programs)
+ *   preflightEntities - entity types whose merge settings must allow sending updates to the SIS
+ *   order             - position in menus and in the "All of the Above" bundles
+ *   formType          - optional; 'course' or 'program' when the action needs a form name; pre-flight checks
+ *                       verify the form exists and is linked to an auto-approval workflow
+ *   peopleSoftOnly    - optional; only offered for `_peoplesoft` schools
+ *   errorReason       - optional; RUN-SUMMARY prefix when execute() throws
+ *   execute(ctx)      - runs the UI flow and resolves { success, reason? }; ctx is
+ *                       { page, browser, subfolder, schoolId, baseDomain, dateStr, formName, runContext }
+ *                       where runContext is the action's RunContext (see runContext.js)
+ *
+ * Adding a test case only requires a new module here. Modules are loaded on first use so
+ * that flow modules can require the registry without a circular import.
+ */
+
+const PRODUCTS = {
+  academicScheduling: 'Academic Scheduling',
+  curriculumManagement: 'Curriculum Management'
+};
+
+const REQUIRED_FIELDS = ['name', 'label', 'product', 'productSlug', 'entityType', 'preflightEntities', 'order'];
+
+let registry = null;
+
+function loadRegistry() {
+  if (registry) return registry;
+
+  const loaded = new Map();
+  const files = fs.readdirSync(__dirname)
+    .filter(file => file.endsWith('.js') && file !== 'index.js');
+
+  for (const file of files) {
+    const definition = require(path.join(__dirname, file));
+    const missing = REQUIRED_FIELDS.filter(field => definition[field] === undefined);
+    if (missing.length > 0 || typeof definition.execute !== 'function') {
+      throw new Error(`Action module ${file} is missing: ${missing.concat(typeof definition.execute !== 'function' ? ['execute()'] : []).join(', ')}`);
+    }
+    if (!Object.values(PRODUCTS).includes(definition.product)) {
+      throw new Error(`Action module ${file} has unknown product "${definition.product}"`);
+    }
+    if (loaded.has(definition.name)) {
+      throw new Error(`Duplicate action name "${definition.name}" in ${file}`);
+    }
+    loaded.set(definition.name, definition);
+  }
+
+  registry = new Map([...loaded.entries()].sort((a, b) => a[1].order - b[1].order));
+  return registry;
+}
+
+/**
+ * @param {string} name - Action name
+ * @returns {Object|null} - Action definition or null when unknown
+ */
+function getAction(name) {
+  return loadRegistry().get(name) || null;
+}
+
+/**
+ * Lists action definitions in menu order
+ * @param {Object} filter - `product`: only this product; `isPeopleSoftSchool`: include PeopleSoft-only actions
+ * @returns {Object[]}
+ */
+function listActions({ product = null, isPeopleSoftSchool = true } = {}) {
+  return [...loadRegistry().values()].filter(definition => {
+    if (product && definition.product !== product) return false;
+    if (definition.peopleSoftOnly && !isPeopleSoftSchool) return false;
+    return true;
+  });
+}
+
+/**
+ * Resolves the "All of the Above" bundles into the ordered actions they run.
+ * PeopleSoft-only actions (programs) are included only for PeopleSoft schools.
+ * @param {string} bundle - 'all' (Academic Scheduling), 'courseAll' (Curriculum Management) or 'both'
+ * @param {Object} options - `isPeopleSoftSchool`: include PeopleSoft-only actions
+ * @returns {string[]} - Action names, or an empty list when `bundle` is not a bundle name
+ */
+function getBundleActions(bundle, { isPeopleSoftSchool = false } = {}) {
+  const products = {
+    all: [PRODUCTS.academicScheduling],
+    courseAll: [PRODUCTS.curriculumManagement],
+    both: [PRODUCTS.academicScheduling, PRODUCTS.curriculumManagement]
+  }[bundle];
+  if (!products) return [];
+
+  const names = [];
+  for (const product of products) {
+    for (const definition of listActions({ product, isPeopleSoftSchool })) {
+      names.push(definition.name);
+    }
+  }
+  return names;
+}
+
+function isBundle(name) {
+  return getBundleActions(name).length > 0;
+}
+
+/**
+ * Expands an action, bundle or list of actions into individual action names
+ * @param {string|string[]} actionOrList
+ * @param {Object} options - Passed to getBundleActions()
+ * @returns {string[]}
+ */
+function expandActions(actionOrList, options = {}) {
+  const list = Array.isArray(actionOrList) ? actionOrList : [actionOrList];
+  const names = [];
+  for (const name of list) {
+    for (const expanded of isBundle(name) ? getBundleActions(name, options) : [name]) {
+      if (!names.includes(expanded)) names.push(expanded);
+    }
+  }
+  return names;
+}
+
+/**
+ * Product subfolder (and RUN-SUMMARY table) for an action
+ * @param {string} action - Action name
+ * @returns {string}
+ */
+function getProductFolder(action) {
+  const definition = getAction(action);
+  return definition ? definition.product : PRODUCTS.academicScheduling;
+}
+
+module.exports = {
+  PRODUCTS,
+  getAction,
+  listActions,
+  getBundleActions,
+  isBundle,
+  expandActions,
+  getProductFolder
+};
@@ -0,0 +1,23 @@
+const { updateCourse } = require('../courseTemplateFill');
+
+module.exports = {
+  name: 'newCourseRevision',
+  label: 'Update Effective Start Date (New Revision)',
+  product: 'Curriculum Management',
+  productSlug: 'cm/courses',
+  entityType: 'coursesCm',
+  preflightEntities: ['coursesCm'],
+  order: 130,
+  errorReason: 'Course revision error',
+
+  async execute({ page, browser, subfolder, schoolId, runContext }) {
+    console.log('\n📚 Initiating Course revision process...');
+    const success = await updateCourse(runContext, page, subfolder, schoolId, browser, 'newCourseRevision');
+    if (success) {
+      console.log('✅ Course revision completed successfully');
+      return { success: true };
+    }
+    console.log('❌ Course revision failed');
+    return { success: false, reason: 'Course revision failed during execution' };
+  }
+};
@@ -0,0 +1,44 @@
+const { openSection, captureModalBefore } = require('../section-screenshot');
+const { fillBaselineTemplate, validateAndResetMeetingPatterns, validateAndResetProfessors, bannerEthosScheduleType, meetAndProfDetails } = require('../sectionTemplateFill');
+
+module.exports = {
+  name: 'update',
+  label: 'Update Existing Section',
+  product: 'Academic Scheduling',
+  productSlug: 'sm/section-dashboard',
+  entityType: 'sections',
+  preflightEntities: ['sections'],
+  order: 10,
+
+  async execute({ page, browser, subfolder, schoolId, dateStr, runContext }) {
+    // Begin update process (dashboard already filtered to enrollment=0)
+    console.log('\n📝 Initiating Section update process...');
+    try {
+      await openSection(page);
+    } catch (error) {
+      console.log(`❌ [Update] ${error.message}`);
+      console.log('❌ [Update] Ending update flow due to no available sections.');
+      return { success: false, reason: 'No available sections to update' };
+    }
+    await captureModalBefore(page, subfolder, 'update');
+    // Capture details "before" screenshots for Meeting Patterns & Instructor
+    try { await meetAndProfDetails(page, subfolder, 'update'); } catch (_) {}
+    console.log('\n📝 Filling section template fields...');
+    await fillBaselineTemplate(runContext, page, schoolId, 'update');
+    // Call bannerEthosScheduleType for banner_ethos schools
+    if (schoolId.includes('banner_ethos')) {
+      await bannerEthosScheduleType(page);
+    }
+    await validateAndResetMeetingPatterns(runContext, page, subfolder, 'update');
+    // validateAndResetProfessors handles saving internally
+    const saveSuccess = await validateAndResetProfessors(runContext, page, subfolder, 'update', browser, schoolId, null, dateStr);
+
+    if (saveSuccess) {
+      console.log('\n📝 Section was saved successfully.');
+      return { success: true };
+    }
+    console.log('\n📝 Section was not saved.');
+    console.log("Couldn't save section, thus cannot pull merge report");
+    return { success: false, reason: 'Failed to save section' };
+  }
+};
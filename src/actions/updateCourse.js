@@ -0,0 +1,23 @@
+const { updateCourse } = require('../courseTemplateFill');
+
+module.exports = {
+  name: 'updateCourse',
+  label: 'Update Course through Direct Edit',
+  product: 'Curriculum Management',
+  productSlug: 'cm/courses',
+  entityType: 'coursesCm',
+  preflightEntities: ['coursesCm'],
+  order: 110,
+  errorReason: 'Course update error',
+
+  async execute({ page, browser, subfolder, schoolId, runContext }) {
+    console.log('\n📚 Initiating Course update process...');
+    const success = await updateCourse(runContext, page, subfolder, schoolId, browser, 'updateCourse');
+    if (success) {
+      console.log('✅ Course update completed successfully');
+      return { success: true };
+    }
+    console.log('❌ Course update process failed');
+    return { success: false, reason: 'Course update process failed' };
+  }
+};
@@ -0,0 +1,24 @@
+const { updateProgram } = require('../programTemplateFill');
+
+module.exports = {
+  name: 'updateProgram',
+  label: 'Update Program (PeopleSoft only)',
+  product: 'Curriculum Management',
+  productSlug: 'cm/programs',
+  entityType: 'programs',
+  preflightEntities: ['programs'],
+  peopleSoftOnly: true,
+  order: 150,
+  errorReason: 'Program update error',
+
+  async execute({ page, browser, subfolder, schoolId, runContext }) {
+    console.log('\n📚 Initiating Program update process...');
+    const success = await updateProgram(runContext, page, subfolder, schoolId, browser);
+    if (success) {
+      console.log('✅ Program update completed successfully');
+      return { success: true };
+    }
+    console.log('❌ Program update process failed');
+    return { success: false, reason: 'Program update process failed' };
+  }
+};
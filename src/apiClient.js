@@ -0,0 +1,103 @@
+const axios = require('axios');
+const { getBaseUrl } = require('./environment');
+const { toApiError, ApiError } = require('./errors');
+const { getTokenManager } = require('./tokenManager');
+
+/**
+ * Coursedog API client shared by the API modules (templates, pre-flight checks, merge-report
+ * polling). It resolves paths against the environment's origin, sends the shared token from
+ * tokenManager.js (refreshed and retried once on 401/403), retries GETs on 5xx and network
+ * errors with exponential backoff, and throws the typed errors of errors.js.
+ */
+
+// Waits before the retries of a failed GET
+const RETRY_DELAYS_MS = [1000, 2000, 4000];
+
+function isRetryable(error) {
+  return error instanceof ApiError && (error.status === null || error.status >= 500);
+}
+
+class ApiClient {
+  /**
+   * @param {string} env - Environment ('prd' or 'stg')
+   * @param {Object} options - `tokenManager`: defaults to the shared one of `env`;
+   *   `retryDelaysMs`: waits before each GET retry
+   */
+  constructor(env, { tokenManager = null, retryDelaysMs = RETRY_DELAYS_MS } = {}) {
+    this.env = env;
+    this.tokens = tokenManager || getTokenManager(env);
+    this.retryDelaysMs = retryDelaysMs;
+  }
+
+  // Read on every request so that a COURSEDOG_BASE_URL set later still applies
+  get baseUrl() {
+    return getBaseUrl(this.env);
+  }
+
+  /**
+   * @param {string} path - Path below the origin (e.g. `/api/v1/<schoolId>/...`) or a full URL
+   * @param {Object} options - `params`: query parameters; `auth`: send the token (default true)
+   * @returns {Promise<*>} - Response body
+   */
+  get(path, options = {}) {
+    return this.request('GET', path, options);
+  }
+
+  /**
+   * @param {string} path - Path below the origin or a full URL
+   * @param {*} data - Request body
+   * @param {Object} options - `params`, `auth` as for get()
+   * @returns {Promise<*>} - Response body
+   */
+  post(path, data, options = {}) {
+    return this.request('POST', path, { ...options, data });
+  }
+
+  /**
+   * @param {string} method - HTTP method
+   * @param {string} path - Path below the origin or a full URL
+   * @param {Object} options - `data`, `params`, `auth`
+   * @returns {Promise<*>} - Response body
+   * @throws {ApiError} AuthError, NotFoundError, ValidationError or ApiError
+   */
+  async request(method, path, { data, params, auth = true } = {}) {
+    const url = /^https?:\/\//.test(path) ? path : `${this.baseUrl}${path}`;
+    const send = async (token) => {
+      const headers = { 'Accept': 'application/json, text/plain, */*' };
+      if (token) headers['Authorization'] = `Bearer ${token}`;
+
+      // Only GETs are safe to repeat
+      const delays = method === 'GET' ? this.retryDelaysMs : [];
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const response = await axios.request({ method, url, data, params, headers });
+          return response.data;
+        } catch (axiosError) {
+          const error = toApiError(axiosError, method, url);
+          if (!isRetryable(error) || attempt >= delays.length) throw error;
+          const reason = error.status ? `status ${error.status}` : axiosError.message;
+          console.log(`⚠️ ${method} ${url} failed (${reason}); retrying in ${delays[attempt] / 1000}s (${attempt + 1}/${delays.length})...`);
+          await new Promise(resolve => setTimeout(resolve, delays[attempt]));
+        }
+      }
+    };
+
+    return auth ? this.tokens.withToken(send) : send(null);
+  }
+}
+
+const clients = new Map();
+
+/**
+ * @param {string} env - Environment ('prd' or 'stg')
+ * @returns {ApiClient} - The shared client of the environment
+ */
+function getApiClient(env) {
+  if (!clients.has(env)) clients.set(env, new ApiClient(env));
+  return clients.get(env);
+}
+
+module.exports = {
+  ApiClient,
+  getApiClient
+};
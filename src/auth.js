@@ -1,8 +1,8 @@
 const fs = require('fs');
 const path = require('path');
+const { getBaseUrl } = require('./environment');
 
-function loginUrl(baseDomain, productSlug) {
-  const baseUrl  = `https://${baseDomain}`;
+function loginUrl(baseUrl, productSlug) {
   return `${baseUrl}/#/login?continue=${encodeURIComponent(`/${productSlug}`)}`;
 }
 
@@ -18,8 +18,7 @@ async function signIn(page, email, password, productSlug, env) {
       }
     } catch (_) {}
   }
-  const domain = env === 'prd' ? 'app.coursedog.com' : 'staging.coursedog.com';
-  const url = loginUrl(domain, productSlug);
+  const url = loginUrl(getBaseUrl(env), productSlug);
 
   console.log('🔑 Signing in...');
   await page.goto(url, { waitUntil: 'domcontentloaded' });
@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const { CliArgumentError } = require('./cliArgs');
+const { createRunState, runWithState, installConsolePrefix } = require('./runState');
+const { EXIT_CODES } = require('./runResult');
+
+/**
+ * Multi-school batch runs: the same test cases are run for every school of the batch,
+ * one school after another (or --concurrency at a time), each in its own
+ * src/schools/<schoolId>/Run-<timestamp> folder.
+ * A BATCH-SUMMARY file in src/schools links every school's RUN-SUMMARY.
+ *
+ * Schools come from --schools (comma-separated IDs) or --schools-csv, a CSV with the columns
+ *   schoolId,courseFormName,programFormName,skipFields
+ * where every column but schoolId may be left empty to use the run-wide value.
+ */
+
+const BATCH_COLUMNS = ['schoolId', 'courseFormName', 'programFormName', 'skipFields'];
+
+function readBatchCsv(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  if (!fs.existsSync(resolvedPath)) {
+    throw new CliArgumentError(`Invalid value for --schools-csv: File not found: ${filePath}`);
+  }
+
+  const lines = fs.readFileSync(resolvedPath, 'utf8').split(/\r?\n/).map(line => line.trim()).filter(Boolean);
+  let columns = BATCH_COLUMNS;
+  if (lines.length > 0 && /^schoolId\s*(,|$)/i.test(lines[0])) {
+    columns = lines.shift().split(',').map(column => column.trim());
+    const unknown = columns.filter(column => !BATCH_COLUMNS.includes(column));
+    if (unknown.length > 0) {
+      throw new CliArgumentError(`Invalid value for --schools-csv: Unknown column(s) ${unknown.join(', ')}. Allowed: ${BATCH_COLUMNS.join(', ')}.`);
+    }
+  }
+
+  return lines.map(line => {
+    const values = line.split(',').map(value => value.trim());
+    const row = {};
+    columns.forEach((column, index) => {
+      if (values[index]) row[column] = values[index];
+    });
+    // Relative skip-field files are resolved against the CSV's folder first
+    if (row.skipFields && row.skipFields.toLowerCase() !== 'default') {
+      const besideCsv = path.resolve(path.dirname(resolvedPath), row.skipFields);
+      if (fs.existsSync(besideCsv)) row.skipFields = besideCsv;
+    }
+    return row;
+  });
+}
+
+/**
+ * Resolves the schools of a batch run from the parsed command-line options
+ * @param {Object} options - Parsed options; `schoolIds` (from --schools) or `schoolsCsv`
+ * @returns {Object[]|null} - [{ schoolId, courseFormName?, programFormName?, skipFields? }],
+ *   or null when no batch was requested
+ * @throws {CliArgumentError} When the school list is empty, has duplicates or conflicts with --school
+ */
+function loadBatchSchools(options) {
+  const fromList = Array.isArray(options.schoolIds);
+  const fromCsv = typeof options.schoolsCsv === 'string';
+  if (!fromList && !fromCsv) return null;
+
+  if (fromList && fromCsv) {
+    throw new CliArgumentError('Invalid value for --schools: cannot be combined with --schools-csv.');
+  }
+  const flag = fromList ? '--schools' : '--schools-csv';
+  if (options.schoolId) {
+    throw new CliArgumentError(`Invalid value for --school: cannot be combined with ${flag}.`);
+  }
+
+  const schools = fromList
+    ? options.schoolIds.map(schoolId => ({ schoolId }))
+    : readBatchCsv(options.schoolsCsv);
+
+  if (schools.length === 0) {
+    throw new CliArgumentError(`Invalid value for ${flag}: At least one school ID is required.`);
+  }
+  const missingId = schools.findIndex(school => !school.schoolId);
+  if (missingId !== -1) {
+    throw new CliArgumentError(`Invalid value for ${flag}: Row ${missingId + 1} has no schoolId.`);
+  }
+  const ids = schools.map(school => school.schoolId);
+  const duplicate = ids.find((schoolId, index) => ids.indexOf(schoolId) !== index);
+  if (duplicate) {
+    throw new CliArgumentError(`Invalid value for ${flag}: School "${duplicate}" is listed more than once.`);
+  }
+
+  return schools;
+}
+
+/**
+ * Reads --concurrency for a batch run. Parallel schools cannot share the keyboard, so every
+ * school needs its skip fields decided up front (CSV column, --skip-fields or --yes).
+ * @param {Object} options - Parsed options
+ * @param {Object[]|null} schools - Result of loadBatchSchools()
+ * @returns {number} - Number of schools to run at the same time
+ * @throws {CliArgumentError} When the value is not a positive integer or cannot be honoured
+ */
+function resolveConcurrency(options, schools) {
+  if (options.concurrency === undefined || options.concurrency === null) return 1;
+
+  const value = String(options.concurrency).trim();
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new CliArgumentError(`Invalid value for --concurrency: Please enter a whole number of 1 or more (got "${value}").`);
+  }
+  const concurrency = Number(value);
+  if (!schools) {
+    throw new CliArgumentError('Invalid value for --concurrency: only applies to batch runs (--schools or --schools-csv).');
+  }
+  if (concurrency > 1 && !options.yes && !options.skipFields) {
+    const undecided = schools.filter(school => !school.skipFields).map(school => school.schoolId);
+    if (undecided.length > 0) {
+      throw new CliArgumentError(`Invalid value for --concurrency: parallel runs cannot prompt for skip fields. Pass --skip-fields, --yes or a skipFields column for: ${undecided.join(', ')}.`);
+    }
+  }
+  return concurrency;
+}
+
+/**
+ * Writes the batch index linking every school's RUN-SUMMARY file
+ * @param {string} schoolsDir - src/schools folder (links are relative to it)
+ * @param {string} dateStr - Batch start timestamp, used in the file name
+ * @param {Object[]} results - [{ schoolId, status, runFolders, error }]
+ * @returns {string} - Path of the written BATCH-SUMMARY file
+ */
+function writeBatchIndex(schoolsDir, dateStr, results) {
+  const filePath = path.join(schoolsDir, `BATCH-SUMMARY-${dateStr}.md`);
+  const toLink = target => path.relative(schoolsDir, target).split(path.sep).join('/').replace(/ /g, '%20');
+
+  let content = `# Batch Summary - ${dateStr}\n\n`;
+  content += `| School | Status | Run Summary | Notes |\n`;
+  content += `|--------|--------|-------------|-------|\n`;
+
+  for (const result of results) {
+    const summaries = result.runFolders
+      .map(runFolder => path.join(runFolder, `RUN-SUMMARY-${result.schoolId}.md`))
+      .filter(summaryPath => fs.existsSync(summaryPath));
+    const links = summaries.length > 0
+      ? summaries.map(summaryPath => `[${path.basename(path.dirname(summaryPath))}](${toLink(summaryPath)})`).join('<br>')
+      : 'N/A';
+    const notes = result.error ? result.error.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ') : 'N/A';
+    content += `| ${result.schoolId} | ${result.status} | ${links} | ${notes} |\n`;
+  }
+
+  fs.mkdirSync(schoolsDir, { recursive: true });
+  fs.writeFileSync(filePath, content, 'utf8');
+  return filePath;
+}
+
+/**
+ * Runs every school of a batch, `concurrency` schools at a time. Each school runs with its own
+ * run state (see runState.js); a school that throws is recorded as failed and the others go on.
+ * @param {Object[]} schools - Result of loadBatchSchools()
+ * @param {Function} runSchool - async (school, runFolders, actionResults) => void; pushes the Run
+ *   folders it creates and the { action, status, reason } of every test case
+ * @param {Object} options - `schoolsDir`: where BATCH-SUMMARY is written; `dateStr`: batch timestamp;
+ *   `concurrency`: schools run in parallel (default 1)
+ * @returns {Promise<Object[]>} - [{ schoolId, status: 'completed'|'failed', runFolders, actions, error, exitCode }]
+ *   in batch order
+ */
+async function runBatch(schools, runSchool, { schoolsDir, dateStr, concurrency = 1 }) {
+  const parallel = concurrency > 1 && schools.length > 1;
+  const results = new Array(schools.length);
+  console.log(`\n🏫 Batch run for ${schools.length} school(s): ${schools.map(school => school.schoolId).join(', ')}`);
+  if (parallel) {
+    console.log(`  ↳ Running up to ${Math.min(concurrency, schools.length)} schools in parallel; output is prefixed with the school ID.`);
+    installConsolePrefix();
+  }
+
+  const runOne = async (school, index) => {
+    if (!parallel) {
+      console.log(`\n==================== 🏫 [${index + 1}/${schools.length}] ${school.schoolId} ====================`);
+    } else {
+      console.log(`\n🏫 [${index + 1}/${schools.length}] Starting ${school.schoolId}`);
+    }
+    const result = { schoolId: school.schoolId, status: 'completed', runFolders: [], actions: [], error: null, exitCode: EXIT_CODES.passed };
+    const state = createRunState({ label: parallel ? school.schoolId : null, interactive: !parallel });
+    await runWithState(state, async () => {
+      try {
+        await runSchool(school, result.runFolders, result.actions);
+        console.log(`✅ Finished ${school.schoolId}`);
+      } catch (error) {
+        result.status = 'failed';
+        result.error = error.message;
+        // SchoolRunAbort carries the exit code of the reason (see EXIT_CODES)
+        result.exitCode = typeof error.exitCode === 'number' ? error.exitCode : EXIT_CODES.unexpectedError;
+        console.error(`❌ ${school.schoolId} failed: ${error.message}`);
+        if (!parallel) console.log('  ↳ Continuing with the next school.');
+      }
+    });
+    results[index] = result;
+  };
+
+  const queue = schools.map((school, index) => ({ school, index }));
+  const worker = async () => {
+    while (queue.length > 0) {
+      const { school, index } = queue.shift();
+      await runOne(school, index);
+    }
+  };
+  await Promise.all(Array.from({ length: parallel ? Math.min(concurrency, schools.length) : 1 }, worker));
+
+  const indexPath = writeBatchIndex(schoolsDir, dateStr, results);
+  const failed = results.filter(result => result.status === 'failed');
+  console.log(`\n📊 Batch finished: ${results.length - failed.length} completed, ${failed.length} failed`);
+  console.log(`✅ Batch summary written to: ${indexPath}`);
+  return results;
+}
+
+module.exports = {
+  loadBatchSchools,
+  resolveConcurrency,
+  runBatch,
+  writeBatchIndex
+};
@@ -1,11 +1,8 @@
 const { chromium } = require('playwright');
 const path = require('path');
+const { getBaseDomain, getBaseUrl } = require('./environment');
 
-async function launch(env, videoDir, videoName, headless = true) {
-  const baseDomain = env === 'prd'
-    ? 'app.coursedog.com'
-    : 'staging.coursedog.com';
-
+function buildContextOptions(videoDir, headless) {
   // During automation, use a tall viewport to capture content.
   // During manual takeover, disable viewport emulation so the
   // page follows the OS window size (fully responsive/resizable).
@@ -25,8 +22,11 @@ async function launch(env, videoDir, videoName, headless = true) {
           dir: videoDir
         };
   }
+  return contextOptions;
+}
 
-  const browser = await chromium.launch({ 
+async function launchBrowser(headless) {
+  return chromium.launch({ 
     headless: headless,
     // When headed, start minimized; window/viewport becomes responsive via viewport: null
     args: headless ? [] : [
@@ -36,10 +36,42 @@ async function launch(env, videoDir, videoName, headless = true) {
       '--disable-blink-features=AutomationControlled' // Hide automation detection
     ]
   });
-  const ctx     = await browser.newContext(contextOptions);
-  const page    = await ctx.newPage();
+}
+
+async function newPage(ctx) {
+  const page = await ctx.newPage();
   page.setDefaultTimeout(60000);
   page.setDefaultNavigationTimeout(60000);
+  return page;
+}
+
+// Closes a context and saves the video of its page as `<videoDir>/<videoName>.webm`
+async function closeContextSavingVideo(ctx, page, videoDir, videoName) {
+  const video = page.video();
+  await ctx.close();
+  if (video && videoDir && videoName) {
+    try {
+      await video.saveAs(path.join(videoDir, videoName + '.webm'));
+      await video.delete();
+    } catch (_) {}
+  }
+}
+
+/**
+ * Launches a browser with one page for a single action
+ * @param {string} env - Environment ('prd' or 'stg')
+ * @param {string|null} videoDir - Folder for the action's video, or null to record none
+ * @param {string|null} videoName - File name (without .webm) the video is saved as
+ * @param {boolean} headless
+ * @returns {Promise<Object>} - { browser, ctx, page, baseDomain, baseUrl, getVideoPath, close };
+ *   close() saves the video and closes the browser
+ */
+async function launch(env, videoDir, videoName, headless = true) {
+  const baseDomain = getBaseDomain(env);
+  const baseUrl = getBaseUrl(env);
+  const browser = await launchBrowser(headless);
+  const ctx     = await browser.newContext(buildContextOptions(videoDir, headless));
+  const page    = await newPage(ctx);
 
   // Return video path info if video recording is enabled
   let getVideoPath = null;
@@ -53,7 +85,64 @@ async function launch(env, videoDir, videoName, headless = true) {
     };
   }
 
-  return { browser, ctx, page, baseDomain, getVideoPath };
+  const close = async () => {
+    await closeContextSavingVideo(ctx, page, videoDir, videoName);
+    await browser.close();
+  };
+
+  return { browser, ctx, page, baseDomain, baseUrl, getVideoPath, close };
+}
+
+/**
+ * Launches one browser shared by every action of a multi-action run (--reuse-browser).
+ * Sign in once on the returned `page`, call saveSession(), then call openActionPage() for each
+ * action: it opens a fresh context restored from the signed-in storageState, so the action
+ * skips the login but still records its own video.
+ * @param {string} env - Environment ('prd' or 'stg')
+ * @param {string} videoDir - Folder for the per-action videos
+ * @param {boolean} headless
+ * @returns {Promise<Object>} - { browser, ctx, page, baseDomain, baseUrl, saveSession, openActionPage, close }
+ */
+async function launchSession(env, videoDir, headless = true) {
+  const baseDomain = getBaseDomain(env);
+  const baseUrl = getBaseUrl(env);
+  const browser = await launchBrowser(headless);
+  // The login context records no video; it is closed once the session is saved
+  const ctx = await browser.newContext(buildContextOptions(null, headless));
+  const page = await newPage(ctx);
+  let storageState = null;
+
+  return {
+    browser,
+    ctx,
+    page,
+    baseDomain,
+    baseUrl,
+
+    // Captures cookies and localStorage of the signed-in login page
+    async saveSession() {
+      storageState = await ctx.storageState();
+      await ctx.close();
+    },
+
+    /**
+     * @param {string} videoName - File name (without .webm) the action's video is saved as
+     * @returns {Promise<Object>} - { ctx, page, close }; close() ends the context and saves the video
+     */
+    async openActionPage(videoName) {
+      if (!storageState) {
+        throw new Error('openActionPage() called before saveSession()');
+      }
+      const actionCtx = await browser.newContext({ ...buildContextOptions(videoDir, headless), storageState });
+      const actionPage = await newPage(actionCtx);
+      const close = () => closeContextSavingVideo(actionCtx, actionPage, videoDir, videoName);
+      return { ctx: actionCtx, page: actionPage, close };
+    },
+
+    async close() {
+      await browser.close();
+    }
+  };
 }
 
-module.exports = { launch }; 
\ No newline at end of file
+module.exports = { launch, launchSession };
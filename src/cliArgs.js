@@ -0,0 +1,147 @@
+/**
+ * Command-line argument parsing for non-interactive runs.
+ * Every flag maps to one of the prompts in gatherInputs(); when a flag is
+ * supplied the matching prompt is skipped and its value is validated instead.
+ */
+
+class CliArgumentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CliArgumentError';
+  }
+}
+
+// flag -> { key: option name, boolean: true when the flag takes no value, list: comma-separated value }
+const FLAG_DEFINITIONS = {
+  '--email': { key: 'email' },
+  '--password': { key: 'password' },
+  '--env': { key: 'env' },
+  '--confirm-production': { key: 'confirmProduction' },
+  '--school': { key: 'schoolId' },
+  '--schools': { key: 'schoolIds', list: true },
+  '--schools-csv': { key: 'schoolsCsv' },
+  '--concurrency': { key: 'concurrency' },
+  '--product': { key: 'product' },
+  '--action': { key: 'action' },
+  '--actions': { key: 'actions', list: true },
+  '--course-form': { key: 'courseFormName' },
+  '--program-form': { key: 'programFormName' },
+  '--skip-fields': { key: 'skipFields' },
+  '--profile': { key: 'profile' },
+  '--reuse-browser': { key: 'reuseBrowser', boolean: true },
+  '--preflight-only': { key: 'preflightOnly', boolean: true },
+  '--poll-delay': { key: 'pollDelay' },
+  '--poll-interval': { key: 'pollInterval' },
+  '--poll-backoff': { key: 'pollBackoff' },
+  '--poll-timeout': { key: 'pollTimeout' },
+  '--merge-wait': { key: 'mergeWait' },
+  '--yes': { key: 'yes', boolean: true },
+  '-y': { key: 'yes', boolean: true },
+  '--help': { key: 'help', boolean: true },
+  '-h': { key: 'help', boolean: true }
+};
+
+const USAGE = `
+Usage: node main.js [options]
+
+Runs interactively when no options are passed. Any option below skips its prompt.
+
+Options:
+  --email <email>            Coursedog user email
+  --password <password>      Coursedog user password. Visible in ps and the shell history: prefer
+                             the COURSEDOG_PASSWORD environment variable, or the prompt (default)
+  --env <stg|prd>            Coursedog environment (default: stg). prd runs need the school(s) in
+                             src/productionAllowlist.json and a typed confirmation
+  --confirm-production <id1,id2,...>
+                             Confirms a prd run up front by repeating its school ID(s)
+  --school <schoolId>        School ID (e.g. waynecc_colleague_ethos)
+  --schools <id1,id2,...>    Batch run: run the same test cases for each school, one after another
+  --schools-csv <file>       Batch run from a CSV with columns schoolId,courseFormName,programFormName,skipFields
+  --concurrency <N>          Batch runs: number of schools run in parallel (default: 1)
+  --product <1|2|3>          1 / as = Academic Scheduling, 2 / cm = Curriculum Management, 3 / both = Both Products
+  --action <test case>       Menu number or action name (e.g. update, all, updateCourse, courseAll)
+  --actions <a,b,...>        Custom selection: comma-separated test case names, run in the given order
+                             in one Run folder (e.g. update,createCourse,inactivateSection)
+  --course-form <name>       Form name for Course creation (default: "Propose New Course")
+  --program-form <name>      Form name for Program creation (default: "Propose New Program")
+  --skip-fields <csv|default>  Skip-field entry file, or "default" for the hardcoded definitions only
+  --profile <file>           Run profile (.json/.yml) with school, product, test cases and form names;
+                             flags passed alongside it take precedence
+  --reuse-browser            Multi-test-case runs: sign in once and run every test case in the same
+                             browser (one fresh page and video per test case)
+  --preflight-only           Only sign in to the API, download the templates and run the pre-flight
+                             checks of --school/--schools/--schools-csv, then print a pass/fail
+                             matrix. Read-only: no browser, no saved data (allowed with --env prd)
+  --poll-delay <seconds>     Wait before the first merge report poll (default: 60)
+  --poll-interval <seconds>  Wait between merge report polls (default: 60)
+  --poll-backoff <factor>    Multiply the wait after every poll, e.g. 1.5 (default: 1, fixed interval)
+  --poll-timeout <minutes>   Give up on a merge report after this long; the test case is recorded
+                             as "merge timed out" (default: 30)
+  --merge-wait <minutes>     When a nightly merge is in progress, wait up to this long for it to finish
+                             and resume, instead of stopping the school's run (default: 0)
+  -y, --yes                  Accept saved/default values for anything not passed instead of prompting
+  -h, --help                 Show this help
+`;
+
+/**
+ * Parses process arguments into an options object understood by gatherInputs()
+ * @param {string[]} argv - Arguments without the node executable and script (process.argv.slice(2))
+ * @returns {Object} - Options keyed by FLAG_DEFINITIONS[flag].key; only supplied flags are present
+ * @throws {CliArgumentError} On unknown flags or missing values
+ */
+function parseCliArgs(argv) {
+  const options = {};
+  const args = Array.isArray(argv) ? argv : [];
+
+  for (let i = 0; i < args.length; i += 1) {
+    const arg = args[i];
+    const eqIndex = arg.startsWith('--') ? arg.indexOf('=') : -1;
+    const flag = eqIndex === -1 ? arg : arg.slice(0, eqIndex);
+    const definition = FLAG_DEFINITIONS[flag];
+
+    if (!definition) {
+      throw new CliArgumentError(`Unknown option "${arg}". Run with --help to see the available options.`);
+    }
+
+    if (definition.boolean) {
+      if (eqIndex !== -1) {
+        throw new CliArgumentError(`Option ${flag} does not take a value.`);
+      }
+      options[definition.key] = true;
+      continue;
+    }
+
+    let value;
+    if (eqIndex !== -1) {
+      value = arg.slice(eqIndex + 1);
+    } else {
+      const next = args[i + 1];
+      if (next === undefined || (next.startsWith('-') && FLAG_DEFINITIONS[next.split('=')[0]])) {
+        throw new CliArgumentError(`Option ${flag} requires a value.`);
+      }
+      value = next;
+      i += 1;
+    }
+    if (definition.list) {
+      const items = value.split(',').map(item => item.trim()).filter(Boolean);
+      if (items.length === 0) {
+        throw new CliArgumentError(`Option ${flag} requires at least one value.`);
+      }
+      options[definition.key] = items;
+      continue;
+    }
+    options[definition.key] = value;
+  }
+
+  return options;
+}
+
+function printUsage() {
+  console.log(USAGE);
+}
+
+module.exports = {
+  CliArgumentError,
+  parseCliArgs,
+  printUsage
+};
@@ -1,12 +1,12 @@
 /**
  * Seeds cookies and localStorage for the session.
  * @param {BrowserContext} ctx
- * @param {string} baseDomain - e.g. 'app.coursedog.com'
+ * @param {string} baseUrl - e.g. 'https://app.coursedog.com'
  * @param {string} email
  * @param {string} schoolId
  */
-async function seedContext(ctx, baseDomain, email, schoolId) {
-  const url = `https://${baseDomain}`;
+async function seedContext(ctx, baseUrl, email, schoolId) {
+  const url = baseUrl;
 
   const cookies = [
     {
@@ -14,7 +14,7 @@ async function seedContext(ctx, baseDomain, email, schoolId) {
       value: schoolId,
       url,
       httpOnly: false,
-      secure: true,
+      secure: url.startsWith('https:'),
       sameSite: 'Strict'
     },
     {
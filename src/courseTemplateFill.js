@@ -3,87 +3,12 @@ const path = require('path');
 const { offerUserTakeover, waitForUserResponseWithTimeout } = require('./userTakeover');
 const { checkForApiError } = require('./sectionTemplateFill');
 const { screenshotFormRoot } = require('./form-screenshot');
-
-// Simple run-scoped logger that mirrors console output to Logs.md in the run folder
-function ensureRunLogger(outputDir) {
-  try {
-    if (!outputDir) return;
-    if (!global.__origConsole) {
-      global.__origConsole = {
-        log: console.log,
-        warn: console.warn,
-        error: console.error,
-        info: console.info,
-      };
-      const forward = (method) => (...args) => {
-        try {
-          const line = args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ');
-          const ts = new Date().toISOString();
-          const out = `[${ts}] ${line}\n`;
-          const lf = (global.__runLogger && global.__runLogger.logFile) || null;
-          if (lf) {
-            fs.appendFileSync(lf, out, 'utf8');
-          }
-        } catch (_) {}
-        try { global.__origConsole[method](...args); } catch (_) {}
-      };
-      console.log = forward('log');
-      console.warn = forward('warn');
-      console.error = forward('error');
-      console.info = forward('info');
-    }
-    const logFile = path.join(outputDir, 'Logs.md');
-    global.__runLogger = { logFile };
-    if (!fs.existsSync(logFile)) {
-      fs.writeFileSync(logFile, `# Logs for run\n\n`, 'utf8');
-    }
-  } catch (_) {}
-}
-
-// Record per-field skip reasons for later inclusion in diff comments
-function recordSkipReason(qid, reason) {
-  try {
-    if (!qid) return;
-    global.__fieldSkipReasons = global.__fieldSkipReasons || {};
-    if (!global.__fieldSkipReasons[qid]) {
-      global.__fieldSkipReasons[qid] = reason || 'Skipped';
-      console.log(`SKIP_FIELD ${qid}: ${global.__fieldSkipReasons[qid]}`);
-    }
-  } catch (_) {}
-}
-
-function isPlainObject(value) {
-  return Object.prototype.toString.call(value) === '[object Object]';
-}
-
-function normalizeForComparison(value) {
-  if (typeof value === 'string') {
-    return value.trim();
-  }
-  if (Array.isArray(value)) {
-    return value.map(normalizeForComparison);
-  }
-  if (isPlainObject(value)) {
-    const entries = Object.entries(value)
-      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
-      .map(([k, v]) => [k, normalizeForComparison(v)]);
-    return Object.fromEntries(entries);
-  }
-  return value;
-}
-
-function isDeepEqual(a, b) {
-  const na = normalizeForComparison(a);
-  const nb = normalizeForComparison(b);
-  try {
-    return JSON.stringify(na) === JSON.stringify(nb);
-  } catch {
-    return na === nb;
-  }
-}
+const { ensureRunLogger } = require('./runState');
+const { isDeepEqual } = require('./valueComparison');
 
 /**
  * Find the first suitable course in the courses table, searching through pages if needed
+ * @param {RunContext} ctx - State of the current action run
  * @param {Object} page - Playwright page object
  * @param {Object} browser - Playwright browser object (for user takeover)
  * @param {string} subfolder - Output directory for screenshots
@@ -91,14 +16,14 @@ function isDeepEqual(a, b) {
  * @param {string} action - Current action/test case being performed (for tracking)
  * @returns {Object|null} - The suitable course row element or null if not found
  */
-async function findActiveCourse(page, browser = null, subfolder = null, schoolId = null, action = null) {
+async function findActiveCourse(ctx, page, browser = null, subfolder = null, schoolId = null, action = null) {
   let currentPage = 1;
   const maxPages = 20; // Safety limit to prevent infinite loops
   const validStatusKeywords = ['approv', 'releas', 'publish']; // Contains-based matching
   const exactStatusKeywords = ['active']; // Word boundary matching
   
-  // Use global session-based course tracking
-  const sessionUsedCourses = global.sessionUsedCourses || new Set();
+  // Session-based course tracking, shared by the actions of the run
+  const sessionUsedCourses = ctx.usedCourses;
   
   console.log(`📋 Session course tracking: ${sessionUsedCourses.size} courses already used`);
   
@@ -262,7 +187,7 @@ async function findActiveCourse(page, browser = null, subfolder = null, schoolId
     sessionUsedCourses.clear();
     console.log(`✅ Session course tracking reset. Attempting to find courses again...`);
     // Recursive call with reset tracking
-    return await findActiveCourse(page, browser, subfolder, schoolId, action);
+    return await findActiveCourse(ctx, page, browser, subfolder, schoolId, action);
   }
   
   if (browser && subfolder && schoolId) {
@@ -299,12 +224,13 @@ async function findActiveCourse(page, browser = null, subfolder = null, schoolId
 
 /**
  * Main function to create a new course
+ * @param {RunContext} ctx - State of the current action run
  * @param {Object} page - Playwright page object
  * @param {string} subfolder - Output directory for screenshots and files
  * @param {string} schoolId - School identifier
  * @param {Object} browser - Playwright browser object
  */
-async function createCourse(page, subfolder, schoolId, browser = null, formName = 'Propose New Course') {
+async function createCourse(ctx, page, subfolder, schoolId, browser = null, formName = 'Propose New Course') {
   try {
     ensureRunLogger(subfolder);
     console.log(`\n📚 Starting course creation process...`);
@@ -418,11 +344,11 @@ async function createCourse(page, subfolder, schoolId, browser = null, formName
     
     // Fill all form fields (no skip fields for creation)
     console.log('📋 Reading course template and filling all fields...');
-    global.__currentCourseContext = { browser, subfolder, schoolId, action: 'createCourse' };
+    ctx.currentCourse = { browser, subfolder, schoolId, action: 'createCourse' };
     try {
-      await fillCourseTemplate(page, schoolId, 'createCourse');
+      await fillCourseTemplate(ctx, page, schoolId, 'createCourse');
     } finally {
-      global.__currentCourseContext = null;
+      ctx.currentCourse = null;
     }
     console.log('✅ Course template filled');
     
@@ -439,7 +365,7 @@ async function createCourse(page, subfolder, schoolId, browser = null, formName
     
     // Compare and save differences
     console.log('🔍 Comparing field differences...');
-    await saveCourseFieldDifferences(beforeValues, afterValues, subfolder, schoolId, 'createCourse');
+    await saveCourseFieldDifferences(ctx, beforeValues, afterValues, subfolder, schoolId, 'createCourse');
     console.log('✅ Field differences saved');
     
     // Take screenshot of the form after changes
@@ -449,7 +375,7 @@ async function createCourse(page, subfolder, schoolId, browser = null, formName
     console.log(`✅ After screenshot saved: ${afterScreenshotPath}`);
     
     // Attempt to save the course proposal
-    const saveSuccess = await saveCourse(page, subfolder, schoolId, browser);
+    const saveSuccess = await saveCourse(ctx, page, subfolder, schoolId, browser);
     if (saveSuccess) {
       console.log('🎉 Course creation and save process completed successfully');
     } else {
@@ -477,7 +403,7 @@ async function screenshotCourseForm(page, outputPath, rootSelector = 'form[data-
 /**
  * Fill generic subfields for a complex field using its template config
  */
-async function fillSubfieldsFromConfig(page, question, action = 'updateCourse') {
+async function fillSubfieldsFromConfig(ctx, page, question, action = 'updateCourse') {
   try {
     const fields = question?.config?.fields || {};
     for (const [subKey, cfg] of Object.entries(fields)) {
@@ -494,7 +420,7 @@ async function fillSubfieldsFromConfig(page, question, action = 'updateCourse')
       };
 
       try {
-        await fillCourseField(page, subQuestion, action);
+        await fillCourseField(ctx, page, subQuestion, action);
       } catch (_) {}
     }
   } catch (err) {
@@ -504,12 +430,13 @@ async function fillSubfieldsFromConfig(page, question, action = 'updateCourse')
 
 /**
  * Main function to update an existing course
+ * @param {RunContext} ctx - State of the current action run
  * @param {Object} page - Playwright page object
  * @param {string} subfolder - Output directory for screenshots and files
  * @param {string} schoolId - School identifier
  * @param {string} action - Action type ('updateCourse' or 'inactivateCourse')
  */
-async function updateCourse(page, subfolder, schoolId, browser = null, action = 'updateCourse') {
+async function updateCourse(ctx, page, subfolder, schoolId, browser = null, action = 'updateCourse') {
   try {
     ensureRunLogger(subfolder);
     const actionName = action === 'inactivateCourse' ? 'course inactivation' : 'course update';
@@ -525,7 +452,7 @@ async function updateCourse(page, subfolder, schoolId, browser = null, action =
     let attempts = 0;
     const maxAttempts = 30; // safety to avoid infinite loops across many pages
     while (true) {
-      const suitableCourse = await findActiveCourse(page, browser, subfolder, schoolId, action);
+      const suitableCourse = await findActiveCourse(ctx, page, browser, subfolder, schoolId, action);
       if (!suitableCourse) {
         throw new Error('No suitable courses found and user intervention was declined or failed');
       }
@@ -642,11 +569,11 @@ async function updateCourse(page, subfolder, schoolId, browser = null, action =
     
     // Read course template and fill fields
     console.log('📋 Reading course template and filling fields...');
-    global.__currentCourseContext = { browser, subfolder, schoolId, action };
+    ctx.currentCourse = { browser, subfolder, schoolId, action };
     try {
-      await fillCourseTemplate(page, schoolId, action);
+      await fillCourseTemplate(ctx, page, schoolId, action);
     } finally {
-      global.__currentCourseContext = null;
+      ctx.currentCourse = null;
     }
     console.log('✅ Course template filled');
     
@@ -657,7 +584,7 @@ async function updateCourse(page, subfolder, schoolId, browser = null, action =
     
     // Compare and save differences
     console.log('🔍 Comparing field differences...');
-    await saveCourseFieldDifferences(beforeValues, afterValues, subfolder, schoolId, action);
+    await saveCourseFieldDifferences(ctx, beforeValues, afterValues, subfolder, schoolId, action);
     console.log('✅ Field differences saved');
     
     // Take targeted screenshot of the course form wrapper after changes
@@ -667,7 +594,7 @@ async function updateCourse(page, subfolder, schoolId, browser = null, action =
     console.log(`✅ After screenshot saved: ${afterScreenshotPath}`);
     
     // Attempt to save the course (if save functionality exists)
-    const saveSuccess = await saveCourse(page, subfolder, schoolId, browser);
+    const saveSuccess = await saveCourse(ctx, page, subfolder, schoolId, browser);
     if (saveSuccess) {
       console.log('🎉 Course update and save process completed successfully');
     } else {
@@ -1052,11 +979,12 @@ async function readCourseValues(page, schoolId) {
 
 /**
  * Fill course template based on the school's course template file
+ * @param {RunContext} ctx - State of the current action run
  * @param {Object} page - Playwright page object
  * @param {string} schoolId - School identifier
  * @param {string} action - Action type ('updateCourse' or 'inactivateCourse')
  */
-async function fillCourseTemplate(page, schoolId, action = 'updateCourse') {
+async function fillCourseTemplate(ctx, page, schoolId, action = 'updateCourse') {
   try {
     // Get the latest course template file
     const templateFile = getLatestCourseTemplateFile(schoolId);
@@ -1076,7 +1004,7 @@ async function fillCourseTemplate(page, schoolId, action = 'updateCourse') {
       
       // Initialize field processing tracker to prevent duplicates
       const processedFields = new Set();
-      global.sessionProcessedFields = processedFields; // Share across functions
+      ctx.processedFields = processedFields; // Share across functions
       
       // Filter questions based on action type
       if (action === 'inactivateCourse') {
@@ -1104,15 +1032,13 @@ async function fillCourseTemplate(page, schoolId, action = 'updateCourse') {
       } else {
         initialSkip = [];
       }
-      const customCourseSkips = global.__customSkipFields && Array.isArray(global.__customSkipFields.coursesCm)
-        ? global.__customSkipFields.coursesCm
-        : [];
+      const customCourseSkips = ctx.getCustomSkipFields('coursesCm');
       for (const qid of customCourseSkips) {
         if (!initialSkip.includes(qid)) {
           initialSkip.push(qid);
         }
       }
-      global.__courseDiffSkipFields = initialSkip;
+      ctx.courseDiffSkipFields = initialSkip;
       const maxPageErrors = 3; // Stop after 3 page errors to prevent endless loops
       
       for (const questionKey of questionKeys) {
@@ -1129,13 +1055,13 @@ async function fillCourseTemplate(page, schoolId, action = 'updateCourse') {
             
             // Special handling for credits field which has triple-nested structure
             if (question.questionType === 'credits') {
-              await fillNestedCreditFields(page, question, action);
+              await fillNestedCreditFields(ctx, page, question, action);
             } else {
               // For other complex fields, try to fill the main field but mark as processed to prevent nested processing
-              await fillCourseField(page, question, action);
+              await fillCourseField(ctx, page, question, action);
               // Fill any subfields generically from template definition
               if (question.config && question.config.fields) {
-                await fillSubfieldsFromConfig(page, question, action);
+                await fillSubfieldsFromConfig(ctx, page, question, action);
               }
             }
             processedFields.add(question.qid);
@@ -1146,7 +1072,7 @@ async function fillCourseTemplate(page, schoolId, action = 'updateCourse') {
               continue;
             }
             
-            await fillCourseField(page, question, action);
+            await fillCourseField(ctx, page, question, action);
           }
           await page.waitForTimeout(150); // Reduced delay between field fills
         } catch (error) {
@@ -1173,7 +1099,7 @@ async function fillCourseTemplate(page, schoolId, action = 'updateCourse') {
       console.log(`   ┗ Processed fields: ${Array.from(processedFields).join(', ')}`);
       
       // Clear the processed fields tracker
-      global.sessionProcessedFields = null;
+      ctx.processedFields = null;
     }
     
   } catch (error) {
@@ -1216,11 +1142,12 @@ async function dismissUnsavedChangesModal(page) {
 
 /**
  * Fill nested credit fields for Jenzabar schools
+ * @param {RunContext} ctx - State of the current action run
  * @param {Object} page - Playwright page object
  * @param {Object} question - Question configuration with nested credit fields
  * @param {string} action - Action type ('updateCourse' or 'inactivateCourse')
  */
-async function fillNestedCreditFields(page, question, action = 'updateCourse') {
+async function fillNestedCreditFields(ctx, page, question, action = 'updateCourse') {
   try {
     console.log(`🏦  Processing nested credit field: ${question.qid}`);
     
@@ -1314,7 +1241,7 @@ async function fillNestedCreditFields(page, question, action = 'updateCourse') {
               }
             }
 
-            await fillCourseField(page, subFieldQuestion, action);
+            await fillCourseField(ctx, page, subFieldQuestion, action);
             // If numeric, re-target the numeric input and sanitize with the intended value
             if ((subFieldQuestion.questionType === 'number' || subFieldKey === 'min' || subFieldKey === 'max' || subFieldKey === 'value')) {
               try {
@@ -1364,7 +1291,7 @@ async function fillNestedCreditFields(page, question, action = 'updateCourse') {
         };
         
         try {
-          await fillCourseField(page, fieldQuestion, action);
+          await fillCourseField(ctx, page, fieldQuestion, action);
           // If numeric, re-target the numeric input and sanitize
           if (fieldQuestion.questionType === 'number') {
             try {
@@ -1392,28 +1319,26 @@ async function fillNestedCreditFields(page, question, action = 'updateCourse') {
 
 /**
  * Fill a single course field based on question configuration
+ * @param {RunContext} ctx - State of the current action run
  * @param {Object} page - Playwright page object
  * @param {Object} question - Question configuration from template
  * @param {string} action - Action type ('updateCourse' or 'inactivateCourse')
  */
-async function fillCourseField(page, question, action = 'updateCourse') {
+async function fillCourseField(ctx, page, question, action = 'updateCourse') {
   try {
     if (!question.qid || question.hidden || !question.isVisibleInForm) {
       try {
         const topLevel = String(question.qid || '').split('.')[0];
         if (topLevel) {
-          global.__courseDiffSkipFields = global.__courseDiffSkipFields || [];
-          if (!global.__courseDiffSkipFields.includes(topLevel)) {
-            global.__courseDiffSkipFields.push(topLevel);
-          }
-          recordSkipReason(topLevel, `Skipped: Field set to be skipped for test case: ${action}`);
+          ctx.addCourseDiffSkipField(topLevel);
+          ctx.recordSkipReason(topLevel, `Skipped: Field set to be skipped for test case: ${action}`);
         }
       } catch (_) {}
       return; // Skip hidden, disabled or invisible questions
     }
     
     // Track processed fields to prevent duplicates
-    const processedFields = global.sessionProcessedFields || new Set();
+    const processedFields = ctx.processedFields || new Set();
     
     // Check if this specific questionId was already processed
     if (processedFields.has(question.qid)) {
@@ -1426,9 +1351,7 @@ async function fillCourseField(page, question, action = 'updateCourse') {
     
     // Skip certain fields that shouldn't be modified
     const skipFields = ['effectiveStartDate', 'effectiveEndDate', 'crsApprovalDate', 'crsStatusDate', 'subjectCode', 'courseNumber', 'crsApprovalAgencyIds', 'status', 'sisId', 'allowIntegration', 'firstAvailable', 'studentEligibilityReference', 'studentEligibilityRule', 'crossListedCourses'];
-    const customCourseSkips = global.__customSkipFields && Array.isArray(global.__customSkipFields.coursesCm)
-      ? global.__customSkipFields.coursesCm
-      : [];
+    const customCourseSkips = ctx.getCustomSkipFields('coursesCm');
     for (const qid of customCourseSkips) {
       if (!skipFields.includes(qid)) {
         skipFields.push(qid);
@@ -1451,11 +1374,8 @@ async function fillCourseField(page, question, action = 'updateCourse') {
       console.log(`⏭️ Skipping always-protected field: ${question.qid}`);
       try {
         const topLevel = String(question.qid).split('.')[0];
-        if (!global.__courseDiffSkipFields) global.__courseDiffSkipFields = [];
-        if (!global.__courseDiffSkipFields.includes(topLevel)) {
-          global.__courseDiffSkipFields.push(topLevel);
-        }
-        recordSkipReason(topLevel, `Skipped: Field set to be skipped for test case: ${action}`);
+        ctx.addCourseDiffSkipField(topLevel);
+        ctx.recordSkipReason(topLevel, `Skipped: Field set to be skipped for test case: ${action}`);
       } catch (_) {}
       return;
     }
@@ -1466,11 +1386,8 @@ async function fillCourseField(page, question, action = 'updateCourse') {
       try {
         // Mark top-level qid as skipped for diff table
         const topLevel = String(question.qid).split('.')[0];
-        if (!global.__courseDiffSkipFields) global.__courseDiffSkipFields = [];
-        if (!global.__courseDiffSkipFields.includes(topLevel)) {
-          global.__courseDiffSkipFields.push(topLevel);
-        }
-        try { recordSkipReason(topLevel, `Skipped: Field set to be skipped for test case: ${action}`); } catch (_) {}
+        ctx.addCourseDiffSkipField(topLevel);
+        try { ctx.recordSkipReason(topLevel, `Skipped: Field set to be skipped for test case: ${action}`); } catch (_) {}
       } catch (_) {}
       return;
     }
@@ -1506,7 +1423,7 @@ async function fillCourseField(page, question, action = 'updateCourse') {
     // Special handling for inactivateCourse action
     if (action === 'inactivateCourse') {
       if (question.qid === 'status') {
-        return await handleCourseStatusInactivation(page, question);
+        return await handleCourseStatusInactivation(ctx, page, question);
       } else if (question.qid === 'effectiveEndDate') {
         return await handleEffectiveEndDateInactivation(page, question);
       }
@@ -1710,7 +1627,7 @@ async function fillCourseField(page, question, action = 'updateCourse') {
         }
       }
       
-      await fillMultiselectDropdown(page, fieldElement, question);
+      await fillMultiselectDropdown(ctx, page, fieldElement, question);
       return; // Exit early for known multiselect fields
     }
     
@@ -1719,7 +1636,7 @@ async function fillCourseField(page, question, action = 'updateCourse') {
       console.log(`   ┣ Detected multiselect field, selecting from dropdown options...`);
       // If a warning modal is open, dismiss before interacting
       await dismissUnsavedChangesModal(page).catch(() => {});
-      await fillMultiselectDropdown(page, fieldElement, question, action);
+      await fillMultiselectDropdown(ctx, page, fieldElement, question, action);
       return; // Exit early for multiselect fields
     }
     
@@ -1756,7 +1673,7 @@ async function fillCourseField(page, question, action = 'updateCourse') {
       if (tLoad > 500) console.log(`   ┗ ⏱️ Loading-check took ${tLoad}ms`);
       if (looksLoading) {
         console.log(`   ┗ ⏭️ Still blocked after retry, skipping: ${question.qid}`);
-        recordSkipReason(question.qid, 'Skipped: field blocked by overlay');
+        ctx.recordSkipReason(question.qid, 'Skipped: field blocked by overlay');
         return;
       }
     }
@@ -2369,10 +2286,10 @@ async function fillYesNoField(page, fieldElement, value, question = null) {
 /**
  * Handle course status inactivation by setting it to 'inactive'
  */
-async function handleCourseStatusInactivation(page, question) {
+async function handleCourseStatusInactivation(ctx, page, question) {
   try {
     console.log(`🔄 [Inactivation] Processing status field for course inactivation...`);
-    const courseContext = global.__currentCourseContext || {};
+    const courseContext = ctx.currentCourse || {};
     
     // Find the status field using the same strategies as regular fields
     let fieldElement = await findFieldElement(page, question);
@@ -3017,7 +2934,7 @@ async function fillYesNoButtons(page, fieldElement, question) {
  * Fill a multiselect dropdown by selecting the first available option
  * Similar to logic from sectionTemplateFill.js
  */
-async function fillMultiselectDropdown(page, fieldElement, question, action = 'updateCourse') {
+async function fillMultiselectDropdown(ctx, page, fieldElement, question, action = 'updateCourse') {
   try {
     const qid = question.qid;
     
@@ -3094,7 +3011,7 @@ async function fillMultiselectDropdown(page, fieldElement, question, action = 'u
           const q = (question && question.qid) ? question.qid : 'unknown-field';
           const reason = 'Skipped: Empty attribute mappings (List is empty drop down)';
           console.log(`   ┗ 🚫 ${q} dropdown shows empty mapping — skipping field`);
-          recordSkipReason(q, reason);
+          ctx.recordSkipReason(q, reason);
           await page.keyboard.press('Escape').catch(() => {});
           return;
         }
@@ -3178,7 +3095,7 @@ async function fillMultiselectDropdown(page, fieldElement, question, action = 'u
             }
             if (!success) {
           console.log(`   ┗ 🚫 No options found for multiselect ${qid} after trying all letters.`);
-          recordSkipReason(qid, 'Skipped: No attribute mappings found');
+          ctx.recordSkipReason(qid, 'Skipped: No attribute mappings found');
             }
           } else {
             console.log(`   ┣ Multiselect ${qid} input placeholder does not indicate typing (placeholder: "${placeholderText}"). Skipping letter typing.`);
@@ -3196,7 +3113,7 @@ async function fillMultiselectDropdown(page, fieldElement, question, action = 'u
       
       if (optionCount === 0) {
         console.log(`   ┗ 🚫 Multiselect for ${qid} has no options, skipping.`);
-        recordSkipReason(qid, 'Skipped: Empty attribute mappings (List is empty drop down)');
+        ctx.recordSkipReason(qid, 'Skipped: Empty attribute mappings (List is empty drop down)');
         return;
       }
 
@@ -3206,7 +3123,7 @@ async function fillMultiselectDropdown(page, fieldElement, question, action = 'u
         const realOptions = dd.locator('li:not(.option--disabled):not(.multiselect__option--disabled), [role="option"]:not([aria-disabled="true"])');
         const realCount = await realOptions.count().catch(() => 0);
         if (realCount === 0) {
-          recordSkipReason(qid, 'Skipped: Empty attribute mappings (List is empty drop down)');
+          ctx.recordSkipReason(qid, 'Skipped: Empty attribute mappings (List is empty drop down)');
           await page.keyboard.press('Escape').catch(() => {});
           return;
         }
@@ -3262,17 +3179,17 @@ async function fillMultiselectDropdown(page, fieldElement, question, action = 'u
       
       if (!selected) {
         console.log(`   ┗ 🚫 Multiselect for ${qid} has options, but none are visible/selectable. Skipping.`);
-        recordSkipReason(qid, 'Skipped: Options not selectable');
+        ctx.recordSkipReason(qid, 'Skipped: Options not selectable');
       }
       
     } catch (err) {
       console.log(`   ┗ ❌ Couldn't click multiselect for ${qid}, skipping. Reason: ${err.message}`);
-      recordSkipReason(qid, `Skipped: ${err && err.message ? err.message : 'Unknown error'}`);
+      ctx.recordSkipReason(qid, `Skipped: ${err && err.message ? err.message : 'Unknown error'}`);
     }
     
   } catch (error) {
     console.log(`   ┗ ⚠️ Error filling multiselect dropdown ${question.qid}: ${error.message}`);
-    try { recordSkipReason((question && question.qid) || 'unknown-field', `Skipped: ${error.message}`); } catch (_) {}
+    try { ctx.recordSkipReason((question && question.qid) || 'unknown-field', `Skipped: ${error.message}`); } catch (_) {}
   }
 }
 
@@ -3438,9 +3355,10 @@ async function checkFieldIsLoading(page, fieldElement) {
  * Pre-fill any visible required fields that are currently empty
  * This scans labels that include a red "required" badge and attempts to find
  * the associated control. If empty, it fills a safe default based on type.
+ * @param {RunContext} ctx - State of the current action run
  * @param {Object} page - Playwright page object
  */
-async function preFillRequiredEmptyFields(page) {
+async function preFillRequiredEmptyFields(ctx, page) {
   try {
     console.log('🔎 Checking for empty required fields before save...');
 
@@ -3457,9 +3375,7 @@ async function preFillRequiredEmptyFields(page) {
       'crsApprovalAgencyIds',
       'allowIntegration'
     ]);
-    const customCourseSkips = global.__customSkipFields && Array.isArray(global.__customSkipFields.coursesCm)
-      ? global.__customSkipFields.coursesCm
-      : [];
+    const customCourseSkips = ctx.getCustomSkipFields('coursesCm');
     for (const qid of customCourseSkips) {
       protectedQids.add(qid);
     }
@@ -3973,12 +3889,13 @@ function getLatestCourseTemplateFile(schoolId) {
 
 /**
  * Save field differences between before and after values
+ * @param {RunContext} ctx - State of the current action run
  * @param {Object} beforeValues - Values before changes
  * @param {Object} afterValues - Values after changes
  * @param {string} subfolder - Output directory
  * @param {string} schoolId - School identifier
  */
-async function saveCourseFieldDifferences(beforeValues, afterValues, subfolder, schoolId, action) {
+async function saveCourseFieldDifferences(ctx, beforeValues, afterValues, subfolder, schoolId, action) {
   try {
     ensureRunLogger(subfolder);
     const tableRows = [];
@@ -4002,7 +3919,7 @@ async function saveCourseFieldDifferences(beforeValues, afterValues, subfolder,
       const addDisabled = (obj) => { if (obj && obj._disabledFields) { Object.keys(obj._disabledFields).forEach(k => allKeys.add(k)); } };
       addDisabled(beforeValues);
       addDisabled(afterValues);
-      const skipPrim = (global.__courseDiffSkipFields && Array.isArray(global.__courseDiffSkipFields)) ? global.__courseDiffSkipFields : [];
+      const skipPrim = ctx.courseDiffSkipFields;
       for (const k of skipPrim) allKeys.add(k);
     } catch (_) {}
     
@@ -4011,7 +3928,7 @@ async function saveCourseFieldDifferences(beforeValues, afterValues, subfolder,
     allKeys.delete('_hiddenFields');
     allKeys.delete('_disabledFields');
     
-    const skipSet = new Set((global.__courseDiffSkipFields && Array.isArray(global.__courseDiffSkipFields)) ? global.__courseDiffSkipFields : []);
+    const skipSet = new Set(ctx.courseDiffSkipFields);
 
     // Load integrated fields and restrict diffs to SIS-integrated fields for this entity
     let allowedTopLevels = null;
@@ -4093,9 +4010,9 @@ async function saveCourseFieldDifferences(beforeValues, afterValues, subfolder,
       // Only include skip reasons when status indicates skipped
       if (status === '⏭️') {
         try {
-          if (global.__fieldSkipReasons) {
-            const direct = global.__fieldSkipReasons[key];
-            const top = global.__fieldSkipReasons[topLevelQuestionid];
+          if (ctx.fieldSkipReasons) {
+            const direct = ctx.fieldSkipReasons[key];
+            const top = ctx.fieldSkipReasons[topLevelQuestionid];
             const reason = direct || top;
             if (reason) commentParts.push(reason);
           }
@@ -4143,13 +4060,14 @@ async function saveCourseFieldDifferences(beforeValues, afterValues, subfolder,
 
 /**
  * Attempt to save the course with takeover functionality
+ * @param {RunContext} ctx - State of the current action run
  * @param {Object} page - Playwright page object
  * @param {string} subfolder - Output directory for screenshots
  * @param {string} schoolId - School identifier
  * @param {Object} browser - Playwright browser object
  * @returns {boolean} - True if save was successful
  */
-async function saveCourse(page, subfolder, schoolId, browser = null) {
+async function saveCourse(ctx, page, subfolder, schoolId, browser = null) {
   try {
     console.log('💾 Attempting to save course...');
     
@@ -4227,7 +4145,7 @@ async function saveCourse(page, subfolder, schoolId, browser = null) {
     
     // Before clicking save, attempt to pre-fill any empty required fields
     try {
-      await preFillRequiredEmptyFields(page);
+      await preFillRequiredEmptyFields(ctx, page);
     } catch (_) {}
 
     // Click the save button
@@ -4366,5 +4284,6 @@ module.exports = {
   getLatestCourseTemplateFile,
   saveCourseFieldDifferences,
   saveCourse,
-  screenshotCourseForm
+  screenshotCourseForm,
+  generateCourseTestValue
 };
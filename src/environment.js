@@ -0,0 +1,42 @@
+/**
+ * Coursedog host of each environment. Modules that build app or API URLs go through here
+ * instead of repeating the `env === 'prd'` check.
+ *
+ * Setting COURSEDOG_BASE_URL (e.g. `http://127.0.0.1:4010`) points every module at that origin
+ * instead, whatever the environment; the tests use it to run against the local mock server
+ * (test/mockServer.js).
+ */
+
+const HOSTS = {
+  prd: 'app.coursedog.com',
+  stg: 'staging.coursedog.com'
+};
+
+// COURSEDOG_BASE_URL without a trailing slash, or null when unset
+function getBaseUrlOverride() {
+  const value = (process.env.COURSEDOG_BASE_URL || '').trim();
+  return value ? value.replace(/\/+$/, '') : null;
+}
+
+/**
+ * @param {string} env - Environment ('prd' or 'stg'); anything but 'prd' is staging
+ * @returns {string} - Host name, e.g. 'staging.coursedog.com' (with the port for an override)
+ */
+function getBaseDomain(env) {
+  const override = getBaseUrlOverride();
+  if (override) return new URL(override).host;
+  return env === 'prd' ? HOSTS.prd : HOSTS.stg;
+}
+
+/**
+ * @param {string} env - Environment ('prd' or 'stg')
+ * @returns {string} - App/API origin without a trailing slash, e.g. 'https://staging.coursedog.com'
+ */
+function getBaseUrl(env) {
+  return getBaseUrlOverride() || `https://${getBaseDomain(env)}`;
+}
+
+module.exports = {
+  getBaseDomain,
+  getBaseUrl
+};
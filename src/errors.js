@@ -0,0 +1,60 @@
+/**
+ * Errors raised by the Coursedog API client (apiClient.js). Callers branch on the class
+ * (`error instanceof NotFoundError`) instead of matching `error.message`; `status` and `body`
+ * carry the HTTP status and response body for logging.
+ */
+
+class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - `status`: HTTP status (null for network errors); `body`: response
+   *   body; `method` and `url` of the request
+   */
+  constructor(message, { status = null, body = null, method = null, url = null } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.body = body;
+    this.method = method;
+    this.url = url;
+  }
+}
+
+// 401/403: missing, expired or rejected credentials
+class AuthError extends ApiError {}
+
+// 404: the school, template or setting does not exist
+class NotFoundError extends ApiError {}
+
+// 400/422: the API rejected the request payload or parameters
+class ValidationError extends ApiError {}
+
+/**
+ * Converts an axios error into the matching ApiError subclass
+ * @param {Error} error - Error thrown by axios
+ * @param {string} method - HTTP method of the request
+ * @param {string} url - Request URL
+ * @returns {ApiError}
+ */
+function toApiError(error, method, url) {
+  if (error instanceof ApiError) return error;
+  const response = error && error.response;
+  if (!response) {
+    return new ApiError(`${method} ${url} failed: ${error.message}`, { method, url });
+  }
+
+  const details = { status: response.status, body: response.data, method, url };
+  const message = `${method} ${url} returned ${response.status}`;
+  if (response.status === 401 || response.status === 403) return new AuthError(message, details);
+  if (response.status === 404) return new NotFoundError(message, details);
+  if (response.status === 400 || response.status === 422) return new ValidationError(message, details);
+  return new ApiError(message, details);
+}
+
+module.exports = {
+  ApiError,
+  AuthError,
+  NotFoundError,
+  ValidationError,
+  toApiError
+};
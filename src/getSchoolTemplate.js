@@ -1,47 +1,24 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
-
-// Load credentials from creds.json
-let creds = { email: '', password: '', notion_api_key: '' };
-try {
-  const credsPath = path.join(__dirname, 'creds.json');
-  if (fs.existsSync(credsPath)) {
-    creds = JSON.parse(fs.readFileSync(credsPath, 'utf8'));
-  }
-} catch (_) {}
+const { getApiClient } = require('./apiClient');
+const { NotFoundError } = require('./errors');
 
 /**
  * Fetches section template from API and saves to Resources folder
- * @param {string} token - Bearer token from authentication
+ * @param {ApiClient} client - API client of the environment
  * @param {string} schoolId - School ID
- * @param {string} env - Environment ('prd' or 'stg')
  * @returns {Promise<void>}
  */
-async function fetchSectionTemplate(token, schoolId, env) {
-  const baseUrl = env === 'prd' 
-    ? 'https://app.coursedog.com' 
-    : 'https://staging.coursedog.com';
-
-  const url = `${baseUrl}/api/v2/${schoolId}/general/sectionTemplate`;
-
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'Accept': '*/*',
-    'Cache-Control': 'no-cache',
-    'Host': env === 'prd' ? 'app.coursedog.com' : 'staging.coursedog.com',
-    'Accept-Encoding': 'gzip, deflate, br',
-    'Connection': 'keep-alive',
-    'Cookie': `isLoggedIn=true; token=${token}`
-  };
+async function fetchSectionTemplate(client, schoolId) {
+  const apiPath = `/api/v2/${schoolId}/general/sectionTemplate`;
 
   try {
     console.log(`📡 Fetching section template for school: ${schoolId}...`);
-    console.log(`🌐 API URL: ${url}`);
+    console.log(`🌐 API URL: ${client.baseUrl}${apiPath}`);
     
-    const response = await axios.get(url, { headers });
+    const data = await client.get(apiPath);
     
-    if (response.data) {
+    if (data) {
       console.log('✅ Section template received successfully');
       
       // Create Resources directory if it doesn't exist
@@ -59,18 +36,18 @@ async function fetchSectionTemplate(token, schoolId, env) {
       const filepath = path.join(resourcesDir, filename);
       
       console.log(`💾 Saving template to: ${filepath}`);
-      fs.writeFileSync(filepath, JSON.stringify(response.data, null, 2));
+      fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
       
       console.log(`✅ Section template saved as: ${filename}`);
-      return response.data;
+      return data;
     } else {
       throw new Error('No data received in response');
     }
   } catch (error) {
     console.error('❌ Failed to fetch section template:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', error.response.data);
+    if (error.status) {
+      console.error('Response status:', error.status);
+      console.error('Response data:', error.body);
     }
     throw error;
   }
@@ -78,35 +55,20 @@ async function fetchSectionTemplate(token, schoolId, env) {
 
 /**
  * Fetches course template from API and saves to Resources folder
- * @param {string} token - Bearer token from authentication
+ * @param {ApiClient} client - API client of the environment
  * @param {string} schoolId - School ID
- * @param {string} env - Environment ('prd' or 'stg')
  * @returns {Promise<void>}
  */
-async function fetchCourseTemplate(token, schoolId, env) {
-  const baseUrl = env === 'prd' 
-    ? 'https://app.coursedog.com' 
-    : 'https://staging.coursedog.com';
-
-  const url = `${baseUrl}/api/v1/${schoolId}/general/courseTemplate`;
-
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'Accept': '*/*',
-    'Cache-Control': 'no-cache',
-    'Host': env === 'prd' ? 'app.coursedog.com' : 'staging.coursedog.com',
-    'Accept-Encoding': 'gzip, deflate, br',
-    'Connection': 'keep-alive',
-    'Cookie': `isLoggedIn=true; token=${token}`
-  };
+async function fetchCourseTemplate(client, schoolId) {
+  const apiPath = `/api/v1/${schoolId}/general/courseTemplate`;
 
   try {
     console.log(`📡 Fetching course template for school: ${schoolId}...`);
-    console.log(`🌐 API URL: ${url}`);
+    console.log(`🌐 API URL: ${client.baseUrl}${apiPath}`);
     
-    const response = await axios.get(url, { headers });
+    const data = await client.get(apiPath);
     
-    if (response.data) {
+    if (data) {
       console.log('✅ Course template received successfully');
       
       // Create Resources directory if it doesn't exist
@@ -124,18 +86,18 @@ async function fetchCourseTemplate(token, schoolId, env) {
       const filepath = path.join(resourcesDir, filename);
       
       console.log(`💾 Saving template to: ${filepath}`);
-      fs.writeFileSync(filepath, JSON.stringify(response.data, null, 2));
+      fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
       
       console.log(`✅ Course template saved as: ${filename}`);
-      return response.data;
+      return data;
     } else {
       throw new Error('No data received in response');
     }
   } catch (error) {
     console.error('❌ Failed to fetch course template:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', error.response.data);
+    if (error.status) {
+      console.error('Response status:', error.status);
+      console.error('Response data:', error.body);
     }
     throw error;
   }
@@ -143,38 +105,23 @@ async function fetchCourseTemplate(token, schoolId, env) {
 
 /**
  * Fetches program template from API for PeopleSoft schools and saves to Resources folder
- * @param {string} token - Bearer token from authentication
+ * @param {ApiClient} client - API client of the environment
  * @param {string} schoolId - School ID
- * @param {string} env - Environment ('prd' or 'stg')
  * @returns {Promise<void>}
  */
-async function fetchProgramTemplate(token, schoolId, env) {
-  const baseUrl = env === 'prd' 
-    ? 'https://app.coursedog.com' 
-    : 'https://staging.coursedog.com';
-
+async function fetchProgramTemplate(client, schoolId) {
   const endpoints = [
-    `${baseUrl}/api/v1/${schoolId}/general/programTemplate`,
-    `${baseUrl}/api/v2/${schoolId}/general/programTemplate`
+    `/api/v1/${schoolId}/general/programTemplate`,
+    `/api/v2/${schoolId}/general/programTemplate`
   ];
 
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'Accept': '*/*',
-    'Cache-Control': 'no-cache',
-    'Host': env === 'prd' ? 'app.coursedog.com' : 'staging.coursedog.com',
-    'Accept-Encoding': 'gzip, deflate, br',
-    'Connection': 'keep-alive',
-    'Cookie': `isLoggedIn=true; token=${token}`
-  };
-
   let lastError = null;
-  for (const url of endpoints) {
+  for (const apiPath of endpoints) {
     try {
       console.log(`📡 Fetching program template for school: ${schoolId}...`);
-      console.log(`🌐 API URL: ${url}`);
-      const response = await axios.get(url, { headers });
-      if (response.data) {
+      console.log(`🌐 API URL: ${client.baseUrl}${apiPath}`);
+      const data = await client.get(apiPath);
+      if (data) {
         console.log('✅ Program template received successfully');
         const resourcesDir = path.join(__dirname, 'Resources');
         if (!fs.existsSync(resourcesDir)) {
@@ -189,18 +136,15 @@ async function fetchProgramTemplate(token, schoolId, env) {
         const filepath = path.join(resourcesDir, filename);
 
         console.log(`💾 Saving template to: ${filepath}`);
-        fs.writeFileSync(filepath, JSON.stringify(response.data, null, 2));
+        fs.writeFileSync(filepath, JSON.stringify(data, null, 2));
 
         console.log(`✅ Program template saved as: ${filename}`);
         return;
       }
     } catch (error) {
       lastError = error;
-      console.warn(`⚠️ Unable to fetch program template from ${url}: ${error.message}`);
-      if (error.response) {
-        console.warn(`Response status: ${error.response.status}`);
-      }
-      if (error.response?.status === 404) {
+      console.warn(`⚠️ Unable to fetch program template from ${apiPath}: ${error.message}`);
+      if (error instanceof NotFoundError) {
         continue; // try next endpoint
       }
     }
@@ -212,58 +156,19 @@ async function fetchProgramTemplate(token, schoolId, env) {
 }
 
 /**
- * Authenticates with Coursedog API and returns a session token
+ * Downloads the section, course and (PeopleSoft) program templates of a school with the
+ * shared API client of the environment (which signs in on first use)
  * @param {string} env - Environment ('prd' or 'stg')
  * @param {string} schoolId - School ID
- * @returns {Promise<string>} Session token
+ * @returns {Promise<void>}
  */
 async function getSchoolTemplate(env, schoolId) {
-  const baseUrl = env === 'prd' 
-    ? 'https://app.coursedog.com' 
-    : 'https://staging.coursedog.com';
-
-  const url = `${baseUrl}/api/v1/sessions`;
+  const client = getApiClient(env);
 
-  const headers = {
-    'Content-Type': 'application/json',
-    'Accept': '*/*',
-    'Cache-Control': 'no-cache',
-    'Host': env === 'prd' ? 'app.coursedog.com' : 'staging.coursedog.com',
-    'Accept-Encoding': 'gzip, deflate, br',
-    'Connection': 'keep-alive'
-  };
-
-  const body = {
-    email: creds.email,
-    password: creds.password
-  };
-
-  const maxAttempts = 5;
-  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-    try {
-      const response = await axios.post(url, body, { headers });
-      
-      if (response.data && response.data.token) {
-        console.log('✅ Authentication successful');
-        const token = response.data.token;
-        
-        // Fetch both section and course templates after successful authentication
-        await fetchSectionTemplate(token, schoolId, env);
-        await fetchCourseTemplate(token, schoolId, env);
-      if (schoolId.includes('_peoplesoft')) {
-        await fetchProgramTemplate(token, schoolId, env);
-      }
-        
-        return token;
-      } else {
-        throw new Error('No token received in response');
-      }
-    } catch (_) {
-      console.log('Authentication failed');
-      if (attempt === maxAttempts) {
-        throw new Error('Authentication failed after 5 attempts');
-      }
-    }
+  await fetchSectionTemplate(client, schoolId);
+  await fetchCourseTemplate(client, schoolId);
+  if (schoolId.includes('_peoplesoft')) {
+    await fetchProgramTemplate(client, schoolId);
   }
 }
 
@@ -0,0 +1,300 @@
+const fs = require('fs');
+const path = require('path');
+const { getAction, getProductFolder, PRODUCTS } = require('./actions');
+const {
+  summarizeMergeReport,
+  getScreenshotSlots,
+  getExecutedUpdates,
+  getFailedSyncEntityIds,
+  getErrorMessages,
+  getErrorDetails
+} = require('./mergeReportMarkdown');
+
+/**
+ * Self-contained HTML report of a school's run (RUN-REPORT-<schoolId>.html in the Run folder).
+ * The RUN-SUMMARY tables are its index; each test case then gets a section with its before/after
+ * screenshots (meeting pattern and instructor details included), the field-differences table,
+ * the POST bodies, merge errors and GET-after-POST data. Screenshots are embedded as data URIs,
+ * so the file can be shared on its own.
+ */
+
+const STYLE = `
+body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; margin: 0 auto; max-width: 1200px; padding: 0 24px 48px; color: #1f2933; }
+h1 { margin-top: 24px; }
+h2 { border-bottom: 1px solid #d9e2ec; padding-bottom: 4px; margin-top: 40px; }
+table { border-collapse: collapse; margin: 12px 0; font-size: 14px; }
+th, td { border: 1px solid #d9e2ec; padding: 4px 8px; text-align: left; vertical-align: top; }
+th { background: #f0f4f8; }
+pre { background: #f5f7fa; border: 1px solid #d9e2ec; padding: 8px; overflow-x: auto; font-size: 13px; }
+blockquote { border-left: 4px solid #f0b429; margin: 12px 0; padding: 4px 12px; background: #fffbea; }
+figure { display: inline-block; margin: 8px 16px 8px 0; vertical-align: top; }
+figure img { max-width: 560px; border: 1px solid #d9e2ec; }
+figcaption { font-size: 13px; color: #52606d; }
+nav ul { columns: 2; }
+.status { display: inline-block; padding: 2px 8px; border-radius: 4px; font-weight: 600; }
+.status-passed { background: #e3f9e5; color: #207227; }
+.status-skipped { background: #f0f4f8; color: #52606d; }
+.status-failed, .status-merge-timed-out { background: #ffe3e3; color: #a61b1b; }
+.missing { color: #7b8794; font-style: italic; }
+`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Links, bold and code spans of the markdown this tool writes
+function renderInline(text) {
+  return escapeHtml(text)
+    .replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => (url === 'N/A' ? label : `<a href="${url}">${label}</a>`))
+    .replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+    .replace(/`([^`]+)`/g, '<code>$1</code>');
+}
+
+// Cells of a markdown table row; `\|` is a pipe inside a cell
+function parseTableRow(line) {
+  const cells = line.trim().replace(/^\|/, '').replace(/\|$/, '').split(/(?<!\\)\|/);
+  return cells.map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+function renderTable(lines, renderCell) {
+  const [headerLine, ...rest] = lines;
+  const headers = parseTableRow(headerLine);
+  const rows = rest.filter(line => !/^\|[\s:|-]+\|$/.test(line.trim())).map(parseTableRow);
+  let html = '<table>\n<tr>' + headers.map(header => `<th>${renderInline(header)}</th>`).join('') + '</tr>\n';
+  for (const row of rows) {
+    html += '<tr>' + row.map((cell, index) => `<td>${renderCell(headers[index], cell)}</td>`).join('') + '</tr>\n';
+  }
+  return html + '</table>\n';
+}
+
+/**
+ * Renders the markdown of RUN-SUMMARY and the field-differences files: headings, quotes, lists,
+ * tables and paragraphs
+ * @param {string} text - Markdown
+ * @param {Function} renderCell - (header, value) => HTML of a table cell
+ * @returns {string}
+ */
+function renderMarkdown(text, renderCell = (header, value) => renderInline(value)) {
+  const lines = text.split(/\r?\n/);
+  let html = '';
+  let list = [];
+  const flushList = () => {
+    if (list.length > 0) html += `<ul>\n${list.map(item => `<li>${renderInline(item)}</li>`).join('\n')}\n</ul>\n`;
+    list = [];
+  };
+  for (let index = 0; index < lines.length; index++) {
+    const line = lines[index];
+    if (line.trim().startsWith('|')) {
+      flushList();
+      const tableLines = [];
+      while (index < lines.length && lines[index].trim().startsWith('|')) tableLines.push(lines[index++]);
+      index--;
+      html += renderTable(tableLines, renderCell);
+      continue;
+    }
+    const heading = line.match(/^(#{1,4}) (.*)$/);
+    if (line.startsWith('- ')) {
+      list.push(line.slice(2));
+      continue;
+    }
+    flushList();
+    if (heading) {
+      html += `<h${heading[1].length}>${renderInline(heading[2])}</h${heading[1].length}>\n`;
+    } else if (line.startsWith('> ')) {
+      html += `<blockquote>${renderInline(line.slice(2))}</blockquote>\n`;
+    } else if (line.trim()) {
+      html += `<p>${renderInline(line)}</p>\n`;
+    }
+  }
+  flushList();
+  return html;
+}
+
+function renderJson(value) {
+  return `<pre>${escapeHtml(JSON.stringify(value, null, 2))}</pre>\n`;
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+function actionAnchor(act) {
+  return `action-${act}`;
+}
+
+function renderImage(filePath, label) {
+  const data = fs.readFileSync(filePath).toString('base64');
+  return `<figure><img src="data:image/png;base64,${data}" alt="${escapeHtml(label)}"><figcaption>${escapeHtml(label)}</figcaption></figure>\n`;
+}
+
+// Before/after screenshots of the action's merge report slots, then every other screenshot
+function renderScreenshots(folder, act, schoolId, files) {
+  const slots = getScreenshotSlots(act, schoolId);
+  const slotFiles = [...slots.before, ...slots.after].map(slot => slot.file);
+  const others = files.filter(file => /\.png$/i.test(file) && !slotFiles.includes(file));
+  const renderSlots = list => list.map(({ label, file }) => (files.includes(file)
+    ? renderImage(path.join(folder, file), label)
+    : `<p class="missing">${escapeHtml(label)}: screenshot not captured.</p>\n`)).join('');
+
+  let html = '';
+  if (slots.before.length > 0) html += `<h3>Before</h3>\n${renderSlots(slots.before)}`;
+  if (slots.after.length > 0) html += `<h3>After</h3>\n${renderSlots(slots.after)}`;
+  if (others.length > 0) {
+    html += `<h3>${slotFiles.length > 0 ? 'Other screenshots' : 'Screenshots'}</h3>\n`;
+    html += others.map(file => renderImage(path.join(folder, file), file.replace(/\.png$/i, ''))).join('');
+  }
+  return html;
+}
+
+function renderMergeReport(saved) {
+  const { mergeReportURL, report } = saved;
+  let html = `<h3>Merge report <a href="${escapeHtml(mergeReportURL)}">${escapeHtml(report.id || report._id || mergeReportURL)}</a></h3>\n`;
+  html += renderJson({ ...summarizeMergeReport(report), conflictHandlingMethod: report?.configuration?.conflictHandlingMethod });
+
+  html += '<h4>POST bodies</h4>\n';
+  const executedUpdates = getExecutedUpdates(report);
+  html += executedUpdates.length > 0
+    ? executedUpdates.map(upd => `<p>postType: <code>${escapeHtml(upd.postType)}</code></p>\n${upd.postBody !== undefined ? renderJson(upd.postBody) : '<p class="missing">No postBody available.</p>\n'}`).join('')
+    : '<p class="missing">No posts executed.</p>\n';
+
+  html += '<h4>Merge errors</h4>\n';
+  const failedIds = getFailedSyncEntityIds(report);
+  const messages = getErrorMessages(report);
+  const details = getErrorDetails(report);
+  if (failedIds.length === 0 && messages.length === 0 && details.length === 0) {
+    html += '<p class="missing">No merge errors.</p>\n';
+  } else {
+    html += `<p>Failed sync entity ids</p>\n${renderJson(failedIds)}`;
+    html += `<p>Error messages</p>\n${renderJson(messages)}`;
+    html += `<p>Error details</p>\n${renderJson(details)}`;
+  }
+  return html;
+}
+
+function renderSisData(sisData) {
+  const formattedData = sisData && sisData.formattedData && typeof sisData.formattedData === 'object' ? sisData.formattedData : {};
+  const keys = Object.keys(formattedData);
+  if (keys.length === 0) return '<p class="missing">No formattedData found in response.</p>\n';
+  return keys.map(key => `<p>formattedData.${escapeHtml(key)}</p>\n${renderJson(formattedData[key])}`).join('');
+}
+
+function renderStatus(result) {
+  if (!result) return '';
+  const className = `status status-${result.status.replace(/\s+/g, '-')}`;
+  let html = `<p><span class="${className}">${escapeHtml(result.status)}</span>`;
+  if (result.reason) html += ` ${escapeHtml(result.reason)}`;
+  const mergeReport = result.mergeReport || {};
+  if (mergeReport.url) html += ` · <a href="${escapeHtml(mergeReport.url)}">Merge report</a>`;
+  if (mergeReport.errors) html += ` · Merge error: ${escapeHtml(mergeReport.errors)}`;
+  return html + '</p>\n';
+}
+
+/**
+ * Section of one test case
+ * @param {string} runFolder - Run root folder
+ * @param {string} schoolId - School ID
+ * @param {string} act - Action name
+ * @param {Object|null} result - { status, reason, mergeReport } of the test case, when known
+ * @returns {string} - HTML
+ */
+function renderActionSection(runFolder, schoolId, act, result) {
+  const definition = getAction(act);
+  const folder = path.join(runFolder, getProductFolder(act), act);
+  const files = fs.existsSync(folder) ? fs.readdirSync(folder).sort() : [];
+  let html = `<section id="${actionAnchor(act)}">\n`;
+  html += `<h2>${escapeHtml(act)}${definition ? ` - ${escapeHtml(definition.label)}` : ''}</h2>\n`;
+  html += `<p><a href="#index">Back to the summary</a></p>\n`;
+  html += renderStatus(result);
+  if (files.length === 0) {
+    return html + '<p class="missing">No artifacts were written for this test case.</p>\n</section>\n';
+  }
+
+  html += renderScreenshots(folder, act, schoolId, files);
+
+  html += '<h3>Field differences</h3>\n';
+  const diffFiles = files.filter(file => /-field-differences-.*\.txt$/.test(file));
+  html += diffFiles.length > 0
+    ? diffFiles.map(file => renderMarkdown(fs.readFileSync(path.join(folder, file), 'utf8'))).join('')
+    : '<p class="missing">No differences file found.</p>\n';
+
+  const reports = files.filter(file => file.endsWith('-mergeReport.json')).map(file => readJson(path.join(folder, file))).filter(Boolean);
+  if (reports.length > 0) {
+    html += reports.map(renderMergeReport).join('');
+  } else {
+    // A failed merge job leaves only its markdown diagnostics
+    for (const file of files.filter(file => file.endsWith('-mergeReportSummary.md'))) {
+      html += `<h3>${escapeHtml(file)}</h3>\n<pre>${escapeHtml(fs.readFileSync(path.join(folder, file), 'utf8'))}</pre>\n`;
+    }
+  }
+
+  if (files.includes('dataAfterSync.json')) {
+    html += `<h3>GET after POST</h3>\n${renderSisData(readJson(path.join(folder, 'dataAfterSync.json')))}`;
+  }
+  return html + '</section>\n';
+}
+
+/**
+ * Builds the HTML report of a school's run
+ * @param {Object} run - `schoolId`, `runFolder` and `actionResults` ([{ action, status, reason,
+ *   mergeReport }], see runResult.js)
+ * @returns {string}
+ */
+function buildHtmlReport({ schoolId, runFolder, actionResults = [] }) {
+  // Test cases with a result first, in the order they finished, then any other action folder
+  const actions = actionResults.map(result => result.action);
+  for (const product of Object.values(PRODUCTS)) {
+    const productFolder = path.join(runFolder, product);
+    if (!fs.existsSync(productFolder)) continue;
+    for (const entry of fs.readdirSync(productFolder, { withFileTypes: true })) {
+      if (entry.isDirectory() && getAction(entry.name)) actions.push(entry.name);
+    }
+  }
+  const uniqueActions = [...new Set(actions)];
+
+  const summaryPath = path.join(runFolder, `RUN-SUMMARY-${schoolId}.md`);
+  const renderSummaryCell = (header, value) => (header === 'Test Case' && uniqueActions.includes(value)
+    ? `<a href="#${actionAnchor(value)}">${escapeHtml(value)}</a>`
+    : renderInline(value));
+  const index = fs.existsSync(summaryPath)
+    ? renderMarkdown(fs.readFileSync(summaryPath, 'utf8'), renderSummaryCell)
+    : `<h1>Run Report - ${escapeHtml(schoolId)}</h1>\n<p class="missing">No RUN-SUMMARY was written for this run.</p>\n`;
+
+  let html = '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="utf-8">\n';
+  html += `<title>Run Report - ${escapeHtml(schoolId)} - ${escapeHtml(path.basename(runFolder))}</title>\n`;
+  html += `<style>${STYLE}</style>\n</head>\n<body>\n`;
+  html += `<div id="index">\n${index}</div>\n`;
+  if (uniqueActions.length > 0) {
+    html += '<nav>\n<h2>Test cases</h2>\n<ul>\n';
+    html += uniqueActions.map(act => `<li><a href="#${actionAnchor(act)}">${escapeHtml(act)}</a> (${escapeHtml(getProductFolder(act))})</li>`).join('\n');
+    html += '\n</ul>\n</nav>\n';
+  }
+  const resultsByAction = new Map(actionResults.map(result => [result.action, result]));
+  html += uniqueActions.map(act => renderActionSection(runFolder, schoolId, act, resultsByAction.get(act) || null)).join('');
+  return html + '</body>\n</html>\n';
+}
+
+/**
+ * Writes RUN-REPORT-<schoolId>.html to the Run folder
+ * @param {string} runFolder - Run root folder
+ * @param {Object} run - `schoolId` and `actionResults`; see buildHtmlReport()
+ * @returns {string} - Path of the written file
+ */
+function writeHtmlReport(runFolder, run) {
+  const filePath = path.join(runFolder, `RUN-REPORT-${run.schoolId}.html`);
+  fs.writeFileSync(filePath, buildHtmlReport({ ...run, runFolder }), 'utf8');
+  return filePath;
+}
+
+module.exports = {
+  renderMarkdown,
+  buildHtmlReport,
+  writeHtmlReport
+};
@@ -3,28 +3,48 @@
 const fs = require('fs');
 const path = require('path');
 const { gatherInputs } = require('./input');
-const { launch } = require('./browser');
+const { parseCliArgs, printUsage, CliArgumentError } = require('./cliArgs');
+const { loadProfile, ProfileValidationError } = require('./profile');
+const { launch, launchSession } = require('./browser');
 const { seedContext } = require('./context');
 const { signIn, dismissReleaseNotesPopup } = require('./auth');
 const { goToProduct } = require('./navigation');
-const { openSection, createSection, captureModalBefore, captureModalAfter } = require('./section-screenshot');
 const { getSchoolTemplate } = require('./getSchoolTemplate');
-const { fillBaselineTemplate, saveSection, validateAndResetMeetingPatterns, validateAndResetProfessors, readSectionValues, relationshipsFill, bannerEthosScheduleType, meetAndProfDetails, ensureRunLogger } = require('./sectionTemplateFill');
-const { createCourse, updateCourse } = require('./courseTemplateFill');
-const { createProgram, updateProgram } = require('./programTemplateFill');
-const { startMergeReportPolling } = require('./mergeReportPoller');
-const { appendRunSummary, generateRunId } = require('./runSummary');
+const { getAction, getProductFolder, expandActions, isBundle } = require('./actions');
+const { pollMergeReportInBackground, resolvePollingOptions, MergeJobFailedError, MergeTimeoutError } = require('./mergeReportPoller');
+const { appendRunSummary, appendRunSummaryNote, generateRunId, getRunFolderName, getRunRootFolder } = require('./runSummary');
 const { performPreflightChecks } = require('./preflightChecks');
+const { runPreflightOnly } = require('./preflightOnly');
+const { resolveMergeWait, getMergeEntityTypes, checkNightlyMerge } = require('./nightlyMerge');
 const { runSkipFieldWorkflow } = require('./skipFieldSelector');
+const { loadBatchSchools, resolveConcurrency, runBatch } = require('./batch');
+const { ensureRunLogger } = require('./runState');
+const { RunContext } = require('./runContext');
+const { trackSavedEntities } = require('./savedEntityTracker');
+const { SignInError, MergeInProgressError } = require('./runErrors');
+const { runTestCaseLoop } = require('./runLoop');
+const { EXIT_CODES, combineExitCodes, getActionsExitCode, buildRunResult, writeRunResult } = require('./runResult');
+const { writeJunitReport } = require('./junitReport');
+const { writeHtmlReport } = require('./htmlReport');
+const { AuthError } = require('./errors');
+const { isProduction, printProductionBanner, confirmProductionWrites, ProductionGuardError } = require('./productionGuard');
 //const { runComputerUseAgent } = require('./agent');
 
-// Session-based course tracking system
-global.sessionUsedCourses = new Set();
-
 //const activeCode = 'A';
 // Enrollment=0 filter query for sections dashboard
 //const filterQuery = `?columns[0]=course.code&columns[1]=sectionNumber&columns[2]=callNumber&columns[3]=sectionName&columns[4]=course.departments&columns[5]=enrollment&columns[6]=statusCode&filter.condition=and&filter.filters[0].customField=false&filter.filters[0].group=section&filter.filters[0].id=enrollment-section&filter.filters[0].inputType=number&filter.filters[0].name=enrollment&filter.filters[0].type=is&filter.filters[0].value=0&filter.filters[1].customField=false&filter.filters[1].group=section&filter.filters[1].id=statusCode-section&filter.filters[1].inputType=select&filter.filters[1].name=statusCode&filter.filters[1].type=is&filter.filters[1].value=A`;
 
+// Ends the current school's run. Single-school runs exit with `exitCode` (see EXIT_CODES); batch
+// runs record the school as failed and continue. `reported` is set when the reason was already logged.
+class SchoolRunAbort extends Error {
+  constructor(message, exitCode = EXIT_CODES.unexpectedError, { reported = false } = {}) {
+    super(message);
+    this.name = 'SchoolRunAbort';
+    this.exitCode = exitCode;
+    this.reported = reported;
+  }
+}
+
 // Utility to ensure schoolId folder exists under src/schools and return its path
 async function ensureSchoolFolder(schoolId) {
   const folderPath = path.join(__dirname, 'schools', schoolId);
@@ -43,568 +63,569 @@ function ensureDebugVideoFolder() {
   return folderPath;
 }
 
-// Helper function to determine product subfolder based on action
-function getProductFolder(action) {
-  const curriculumActions = ['updateCourse', 'inactivateCourse', 'newCourseRevision', 'createCourse', 'createProgram', 'updateProgram'];
-  return curriculumActions.includes(action) ? 'Curriculum Management' : 'Academic Scheduling';
-}
-
 function getFormNameForAction(action, courseFormName, programFormName) {
-  if (action === 'createProgram') return programFormName;
-  if (action === 'createCourse') return courseFormName;
+  const definition = getAction(action);
+  if (definition && definition.formType === 'program') return programFormName;
+  if (definition && definition.formType === 'course') return courseFormName;
   return null;
 }
 
+// Throws MergeInProgressError when the product page shows that a sections nightly merge is in
+// progress. Fallback for the API check (nightlyMerge.js) done before launching and between test cases.
+async function assertNoMergeInProgress(page) {
+  await page.waitForTimeout(3000);
 
-;(async () => {
+  const mergeAlert = page.locator('[data-cy="section-integration-status-alert"]');
+  let alertVisible = false;
   try {
-    // 0) Inputs
-    const { email, password, env, prodChoice, productSlug, schoolId, action, courseFormName, programFormName } = gatherInputs();
-    const programOnlyActions = ['createProgram', 'updateProgram'];
-    const actionProductSlug = programOnlyActions.includes(action) ? 'cm/programs' : productSlug;
-
-    // Ensure schoolId folder exists
-    const outputDir = await ensureSchoolFolder(schoolId);
-    // Ensure debug-videos folder exists
-    const debugVideoDir = ensureDebugVideoFolder();
-
-    // 1) Get API token
-    console.log('\n🔐 Getting API token...');
-    const token = await getSchoolTemplate(env, schoolId);
-    console.log('📋 Token:', token);
-
-    // 1.5) Optional custom skip-field workflow
-    global.__customSkipFields = await runSkipFieldWorkflow(schoolId, prodChoice);
-
-    // 2) Pre-flight checks
-    try {
-      await performPreflightChecks(env, schoolId, token, actionProductSlug, action);
-    } catch (error) {
-      // Pre-flight check failed - error message already displayed, exit gracefully
-      process.exit(1);
-    }
+    // Wait up to 3 seconds for the alert to be visible
+    await mergeAlert.waitFor({ state: 'visible', timeout: 3000 });
+    alertVisible = true;
+  } catch (error) {
+    // Timeout means the alert is not visible, which is the desired state to proceed
+    alertVisible = false;
+  }
 
-    // Helper to run a single flow with a pre-created run folder (for 'all' action)
-    async function runFlowInFolder(act, runFolder) {
-      const videoName = `${schoolId}-${act}-debugging-run`;
-      // 2) Browser & Context (with video recording)
-      // Launch in headed mode for potential user takeover, but minimized initially
-      const { browser, ctx, page, baseDomain } = await launch(env, debugVideoDir, videoName, false);
-      // 3) Seed cookies & localStorage
-      await seedContext(ctx, baseDomain, email, schoolId);
-      
-      // Determine the correct product slug based on the action
-      const courseActions = ['updateCourse', 'inactivateCourse', 'newCourseRevision', 'createCourse', 'courseAll'];
-      const programActions = ['updateProgram', 'createProgram'];
-      let currentProductSlug = 'sm/section-dashboard';
-      if (programActions.includes(act)) {
-        currentProductSlug = 'cm/programs';
-      } else if (courseActions.includes(act)) {
-        currentProductSlug = 'cm/courses';
-      }
+  if (alertVisible) {
+    throw new MergeInProgressError();
+  }
+}
 
-      // For update and inactivateSection, navigate with enrollment=0 filter from the start
-      if (act === 'update' || act === 'inactivateSection') {
-        currentProductSlug = 'sm/section-dashboard';
-      }
-      
-      // 4) Sign in
-      try {
-        await signIn(page, email, password, currentProductSlug, env);
-      } catch (error) {
-        console.error('\n❌', error.message);
-        await browser.close();
-        process.exit(1);
-      }
-      // 5) Navigate into product
-      await goToProduct(page, currentProductSlug, env);
-      await dismissReleaseNotesPopup(page);
-
-      // Optional: hand control to computer-use agent if AGENT_MODE is set
-      // if (process.env.AGENT_MODE === '1') {
-      //   await runComputerUseAgent(page, {
-      //     allowedDomains: [baseDomain],
-      //     userGoal: process.env.AGENT_GOAL || 'Inspect the page and do nothing destructive.',
-      //     stepBudget: Number(process.env.AGENT_STEPS || 30),
-      //     allowNavigation: true
-      //   });
-      // }
-
-      // Check if a merge is in progress and exit if so
-      await page.waitForTimeout(3000);
-
-      const mergeAlert = page.locator('[data-cy="section-integration-status-alert"]');
-      let alertVisible = false;
+function printActionTotals(actionResults) {
+  if (actionResults.length === 0) return;
+  const count = status => actionResults.filter(result => result.status === status).length;
+  const failed = actionResults.length - count('passed') - count('skipped');
+  console.log(`\n📊 Test cases: ${count('passed')} passed, ${failed} failed, ${count('skipped')} skipped`);
+}
+
+// Timestamp used for Run-<dateStr> (Run-PRD-<dateStr> in production) folders and diff file names
+function getDateStr() {
+  const now = new Date();
+  const pad = n => n.toString().padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
+}
+
+
+;(async () => {
+  try {
+    // 0) Inputs (command-line flags bypass the matching prompts)
+    const cliOptions = parseCliArgs(process.argv.slice(2));
+    if (cliOptions.help) {
+      printUsage();
+      return;
+    }
+    const { profile: profilePath, ...flagOptions } = cliOptions;
+    const runOptions = profilePath ? { ...loadProfile(profilePath), ...flagOptions } : flagOptions;
+    if (profilePath && flagOptions.action && !flagOptions.actions) {
+      // An explicit --action replaces the profile's test case list
+      delete runOptions.actions;
+    }
+    if (flagOptions.schoolIds || flagOptions.schoolsCsv) {
+      // Batch schools replace the profile's single school
+      if (!flagOptions.schoolId) delete runOptions.schoolId;
+    }
+    if (runOptions.preflightOnly) {
+      // Read-only triage: no prompts, no browser, no test cases
+      const passed = await runPreflightOnly(runOptions);
+      process.exitCode = passed ? EXIT_CODES.passed : EXIT_CODES.preflightFailed;
+      return;
+    }
+    const batchSchools = loadBatchSchools(runOptions);
+    const concurrency = resolveConcurrency(runOptions, batchSchools);
+    const polling = resolvePollingOptions(runOptions);
+    const mergeWaitMs = resolveMergeWait(runOptions);
+    const gatherOptions = batchSchools ? { ...runOptions, schoolIds: batchSchools.map(school => school.schoolId) } : runOptions;
+    const { email, password, env, prodChoice, action, actions, ...inputs } = gatherInputs(gatherOptions);
+    // Every test case saves data, so production runs need the allowlist and a typed confirmation
+    if (isProduction(env)) {
+      const runSchoolIds = batchSchools ? batchSchools.map(school => school.schoolId) : [inputs.schoolId];
+      printProductionBanner(runSchoolIds);
+      confirmProductionWrites(runSchoolIds, runOptions);
+    }
+    const envLabel = isProduction(env) ? ' on PRODUCTION' : '';
+
+    /**
+     * Runs one school (see runSchoolTestCases()) and writes run-result.json, junit.xml and the
+     * HTML run report to its Run folder
+     * @param {Object} school - { schoolId, courseFormName?, programFormName?, skipFields? }
+     * @param {string[]} runFolders - Receives every Run folder created for the school
+     * @param {Object[]} actionResults - Receives { action, status, reason, mergeReport } for every
+     *   test case (status 'passed', 'failed', 'skipped' or 'merge timed out')
+     * @throws {SchoolRunAbort} When the school's run cannot continue
+     */
+    async function runSchool(school, runFolders = [], actionResults = []) {
+      const startedAt = new Date().toISOString();
+      const firstFolder = runFolders.length;
+      let exitCode = EXIT_CODES.passed;
+      let stopReason = null;
       try {
-        // Wait up to 3 seconds for the alert to be visible
-        await mergeAlert.waitFor({ state: 'visible', timeout: 3000 });
-        alertVisible = true;
+        await runSchoolTestCases(school, runFolders, actionResults);
       } catch (error) {
-        // Timeout means the alert is not visible, which is the desired state to proceed
-        alertVisible = false;
-      }
-
-      if (alertVisible) {
-        console.log('\nA sections nightly merge for this school is currently in progress, please try again later.');
-        await browser.close();
-        process.exit(0); // Exit gracefully
+        exitCode = error instanceof SchoolRunAbort ? error.exitCode : EXIT_CODES.unexpectedError;
+        stopReason = error.message;
+        throw error;
+      } finally {
+        const videoDir = path.join(__dirname, 'debug-videos');
+        // Videos of earlier runs keep their name, so only the ones saved during this run count
+        const getVideoPath = act => {
+          const videoPath = path.join(videoDir, `${school.schoolId}-${act}-debugging-run.webm`);
+          return fs.existsSync(videoPath) && fs.statSync(videoPath).mtime >= new Date(startedAt) ? videoPath : null;
+        };
+        for (const runFolder of runFolders.slice(firstFolder)) {
+          try {
+            const resultPath = writeRunResult(runFolder, buildRunResult({
+              schoolId: school.schoolId,
+              env,
+              selection: action,
+              runFolder,
+              startedAt,
+              finishedAt: new Date().toISOString(),
+              exitCode: combineExitCodes([exitCode, getActionsExitCode(actionResults)]),
+              stopReason,
+              actionResults,
+              getVideoPath
+            }));
+            console.log(`✅ Run result written to: ${resultPath}`);
+          } catch (error) {
+            console.error('❌ Failed to write the run result:', error.message);
+          }
+          try {
+            const junitPath = writeJunitReport(runFolder, { schoolId: school.schoolId, startedAt, actionResults });
+            console.log(`✅ JUnit report written to: ${junitPath}`);
+          } catch (error) {
+            console.error('❌ Failed to write the JUnit report:', error.message);
+          }
+          try {
+            const reportPath = writeHtmlReport(runFolder, { schoolId: school.schoolId, actionResults });
+            console.log(`✅ HTML run report written to: ${reportPath}`);
+          } catch (error) {
+            console.error('❌ Failed to write the HTML run report:', error.message);
+          }
+        }
       }
-
-      // Use the pre-created run folder and create product and method-specific subfolder
-      const productFolder = getProductFolder(act);
-      const subfolder = path.join(runFolder, productFolder, act);
-      fs.mkdirSync(subfolder, { recursive: true });
-
-      // Generate dateStr for this action (needed for diff file names)
-      const now = new Date();
-      const pad = n => n.toString().padStart(2, '0');
-      const dateStr = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
-      
-      // Continue with the same logic as runFlow but using the shared run folder
-      const actionFormName = getFormNameForAction(act, courseFormName, programFormName);
-      await executeAction(act, page, browser, subfolder, env, schoolId, baseDomain, dateStr, actionFormName);
     }
 
-    // Helper to run a single flow, including browser setup/teardown
-    async function runFlow(act) {
-      // Reset session course tracking for new run
-      global.sessionUsedCourses.clear();
-      console.log(`🔄 Reset session course tracking for new run`);
-      
-      const videoName = `${schoolId}-${act}-debugging-run`;
-      // 2) Browser & Context (with video recording)
-      // Launch in headed mode for potential user takeover, but minimized initially
-      const { browser, ctx, page, baseDomain } = await launch(env, debugVideoDir, videoName, false);
-      // 3) Seed cookies & localStorage
-      await seedContext(ctx, baseDomain, email, schoolId);
-      // 4) Sign in
-      let desiredSlug = productSlug;
-      const courseOnlyActions = ['updateCourse', 'inactivateCourse', 'newCourseRevision', 'createCourse', 'courseAll'];
-      const programActions = ['updateProgram', 'createProgram'];
-      if (programActions.includes(act)) {
-        desiredSlug = 'cm/programs';
-      } else if (courseOnlyActions.includes(act)) {
-        desiredSlug = 'cm/courses';
-      } else if (act === 'update' || act === 'inactivateSection') {
-        desiredSlug = 'sm/section-dashboard';
+    /**
+     * Runs templates, skip fields, pre-flight checks and the selected test cases for one school
+     * @param {Object} school - { schoolId, courseFormName?, programFormName?, skipFields? }; empty
+     *   values fall back to the run-wide inputs
+     * @param {string[]} runFolders - Receives every Run folder created for the school
+     * @param {Object[]} actionResults - Receives the result of every test case
+     * @throws {SchoolRunAbort} When the school's run cannot continue
+     */
+    async function runSchoolTestCases(school, runFolders, actionResults) {
+      const { schoolId } = school;
+      const courseFormName = school.courseFormName || inputs.courseFormName;
+      const programFormName = school.programFormName || inputs.programFormName;
+      const isPeopleSoftSchool = schoolId.includes('_peoplesoft');
+      // Individual test cases this run executes (bundles and custom lists expanded)
+      let runActions = action === 'custom' ? actions : expandActions(action, { isPeopleSoftSchool });
+      const peopleSoftOnly = runActions.filter(act => getAction(act).peopleSoftOnly && !isPeopleSoftSchool);
+      if (peopleSoftOnly.length > 0) {
+        // Only possible in batch runs mixing PeopleSoft and other schools
+        console.log(`⚠️  Skipping ${peopleSoftOnly.join(', ')} for ${schoolId}: available for PeopleSoft schools only.`);
+        runActions = runActions.filter(act => !peopleSoftOnly.includes(act));
       }
-      try {
-        await signIn(page, email, password, desiredSlug, env);
-      } catch (error) {
-        console.error('\n❌', error.message);
-        await browser.close();
-        process.exit(1);
+      if (runActions.length === 0) {
+        throw new SchoolRunAbort(`No test cases to run for ${schoolId}.`, EXIT_CODES.invalidInput);
       }
-      // 5) Navigate into product
-      await goToProduct(page, desiredSlug, env);
-      await dismissReleaseNotesPopup(page);
-
-      // Optional: hand control to computer-use agent if AGENT_MODE is set
-      //if (process.env.AGENT_MODE === '1') {
-        //await runComputerUseAgent(page, {
-          //allowedDomains: [baseDomain],
-          //userGoal: process.env.AGENT_GOAL || 'Inspect the page and do nothing destructive.',
-          //stepBudget: Number(process.env.AGENT_STEPS || 30),
-          //allowNavigation: true
-        //});
-      //}
-
-      // Check if a merge is in progress and exit if so
-      await page.waitForTimeout(3000);
-
-      const mergeAlert = page.locator('[data-cy="section-integration-status-alert"]');
-      let alertVisible = false;
+
+      // Ensure schoolId folder exists
+      const outputDir = await ensureSchoolFolder(schoolId);
+      // Ensure debug-videos folder exists
+      const debugVideoDir = ensureDebugVideoFolder();
+
+      // 1) School templates (signs in to the API once; the token is shared by every API call of the run)
+      console.log('\n🔐 Getting API token...');
       try {
-        // Wait up to 3 seconds for the alert to be visible
-        await mergeAlert.waitFor({ state: 'visible', timeout: 3000 });
-        alertVisible = true;
+        await getSchoolTemplate(env, schoolId);
       } catch (error) {
-        // Timeout means the alert is not visible, which is the desired state to proceed
-        alertVisible = false;
+        if (!(error instanceof AuthError)) throw error;
+        await skipActions(createRunFolder(), runActions, 'API sign-in failed');
+        throw new SchoolRunAbort(`API sign-in failed: ${error.message}`, EXIT_CODES.authFailed);
       }
 
-      if (alertVisible) {
-        console.log('\nA sections nightly merge for this school is currently in progress, please try again later.');
-        await browser.close();
-        process.exit(0); // Exit gracefully
-      }
+      // 1.5) Optional custom skip-field workflow
+      const skipFieldOptions = school.skipFields ? { ...runOptions, skipFields: school.skipFields } : runOptions;
+      const customSkipFields = await runSkipFieldWorkflow(schoolId, prodChoice, skipFieldOptions);
 
-      // Create timestamped Run folder for this execution
-      const now = new Date();
-      const pad = n => n.toString().padStart(2, '0');
-      const dateStr = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
-      const runFolder = path.join(outputDir, `Run-${dateStr}`);
-      fs.mkdirSync(runFolder, { recursive: true });
-      
-      console.log(`\n🚀 Starting "${act}" run in folder: ${runFolder}`);
-      
-      // Create product and method-specific subfolder within the run folder
-      const productFolder = getProductFolder(act);
-      const subfolder = path.join(runFolder, productFolder, act);
-      fs.mkdirSync(subfolder, { recursive: true });
-
-      // Initialize run-scoped logger for this action subfolder before any further logs
-      try { ensureRunLogger(subfolder); } catch (_) {}
-
-      // Execute the action
-      const actionFormName = getFormNameForAction(act, courseFormName, programFormName);
-      await executeAction(act, page, browser, subfolder, env, schoolId, baseDomain, dateStr, actionFormName);
-    }
+      // Session-based course tracking, shared by the actions of a Run folder
+      const sessionUsedCourses = new Set();
+      // Merge-report polls still running in the background, awaited before the run ends
+      const pendingPolls = [];
 
-    // Helper function to log failed runs to summary
-    async function logFailedRun(runFolder, act, schoolId, reason) {
+      // 2) Pre-flight checks
       try {
-        const runId = generateRunId(act);
-        const currentDate = new Date().toISOString();
-        await appendRunSummary(
-          runFolder,
-          runId,
-          'N/A',
-          'failed',
-          reason,
-          currentDate,
-          schoolId,
-          act,
-          'N/A' // errors parameter for failed runs
-        );
+        await performPreflightChecks(env, schoolId, runActions, { email, courseFormName, programFormName });
       } catch (error) {
-        console.error('❌ Failed to log failed run to summary:', error.message);
+        // Pre-flight check failed - error message already displayed
+        await skipActions(createRunFolder(), runActions, `Pre-flight checks failed: ${error.message.split('\n')[0]}`);
+        throw new SchoolRunAbort(`Pre-flight checks failed: ${error.message}`, EXIT_CODES.preflightFailed, { reported: true });
       }
-    }
 
-    // Shared function to execute actions
-    async function executeAction(act, page, browser, subfolder, env, schoolId, baseDomain, dateStr, formName) {
-      if (act === 'update') {
-        // Begin update process (dashboard already filtered to enrollment=0)
-        await console.log('\n📝 Initiating Section update process...');
-        try {
-          await openSection(page);
-        } catch (error) {
-          console.log(`❌ [Update] ${error.message}`);
-          console.log('❌ [Update] Ending update flow due to no available sections.');
-          await browser.close();
-          // Log failed run to summary
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, 'No available sections to update');
-          return; // Exit the function early
-        }
-        await captureModalBefore(page, subfolder, 'update');
-        // Capture details "before" screenshots for Meeting Patterns & Instructor
-        try { await meetAndProfDetails(page, subfolder, 'update'); } catch (_) {}
-        console.log('\n📝 Filling section template fields...');
-        await fillBaselineTemplate(page, schoolId, 'update');
-        // Call bannerEthosScheduleType for banner_ethos schools
-        if (schoolId.includes('banner_ethos')) {
-          await bannerEthosScheduleType(page);
-        }
-        await validateAndResetMeetingPatterns(page, subfolder, 'update');
-        let saveSuccess = await validateAndResetProfessors(page, subfolder, 'update', browser, schoolId, null, dateStr);
-        
-        // Log the save result
-        if (saveSuccess) {
-          console.log('\n📝 Section was saved successfully.');
-        } else {
-          console.log('\n📝 Section was not saved.');
-        }        
-        // saveSuccess is now set by validateAndResetProfessors which handles saving internally
-        await browser.close();
-        if (saveSuccess) {
-          await startMergeReportPolling(env, schoolId, act, subfolder);
+      // 2.5) Nightly merges of the entity types the run touches, checked through the API before
+      // launching and again before each test case of a multi-test-case run
+      const mergeEntityTypes = getMergeEntityTypes(runActions);
+      // Decisions made before the Run folder exists, written to RUN-SUMMARY once it does
+      const pendingMergeNotes = [];
+
+      /**
+       * Checks for a nightly merge (waiting up to --merge-wait) and logs the decision to RUN-SUMMARY
+       * @param {string} stage - When the check runs, e.g. 'Before launch'
+       * @param {string[]} remainingActions - Test cases not run yet; recorded as skipped on abort
+       * @param {string|null} runFolder - Run folder, or null when it does not exist yet
+       * @throws {SchoolRunAbort} When the merge is still running
+       */
+      async function guardNightlyMerge(stage, remainingActions, runFolder = null) {
+        const { decision, message } = await checkNightlyMerge(env, schoolId, mergeEntityTypes, { waitMs: mergeWaitMs });
+        const note = `🌙 ${stage}: ${message}`;
+        if (runFolder) {
+          // Between test cases only a detected merge is worth a note
+          if (decision !== 'clear') await appendRunSummaryNote(runFolder, schoolId, remainingActions[0], note);
         } else {
-          console.log("Couldn't save section, thus cannot pull merge report");
-          // Log failed run to summary
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, 'Failed to save section');
+          pendingMergeNotes.push(note);
         }
-      } else if (act === 'create') {
-        await console.log('\n Initiating create Section with Meeting and Professor process...');
-        await createSection(page);
-        console.log('\n📝 Filling section template fields...');
-        await fillBaselineTemplate(page, schoolId, 'create');
-        // Call bannerEthosScheduleType for banner_ethos schools
-        if (schoolId.includes('banner_ethos')) {
-          await bannerEthosScheduleType(page);
+        if (decision !== 'abort') return;
+
+        if (!runFolder) {
+          runFolder = createRunFolder();
         }
-        await validateAndResetMeetingPatterns(page, subfolder, 'create');
-        let saveSuccess = await validateAndResetProfessors(page, subfolder, 'create', browser, schoolId, null, dateStr);
-        await browser.close();
-        if (saveSuccess) {
-          await startMergeReportPolling(env, schoolId, act, subfolder);
-        } else {
-          console.log("Couldn't save section, thus cannot pull merge report");
-          // Log failed run to summary
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, 'Failed to save section');
+        await skipActions(runFolder, remainingActions, 'Nightly merge in progress');
+        throw new SchoolRunAbort('A nightly merge is in progress.', EXIT_CODES.skipped, { reported: true });
+      }
+
+      async function writePendingMergeNotes(runFolder) {
+        for (const note of pendingMergeNotes.splice(0)) {
+          await appendRunSummaryNote(runFolder, schoolId, runActions[0], note);
         }
-      } else if (act === 'createNoMeetNoProf') {
-        await console.log('\n Initiating create Section wit no Meeting or Professor process...');
-        await createSection(page);
-        console.log('\n📝 Filling section template fields (no meeting/prof)...');
-        // First, fill baseline fields without saving to allow all sections to render
-        await fillBaselineTemplate(page, schoolId, 'createNoMeetNoProf');
-        // Now adjust Banner Ethos Schedule Type after fields are rendered
-        if (schoolId.includes('banner_ethos')) {
-          await bannerEthosScheduleType(page);
+      }
+
+      // Creates the Run folder of the school's run, with a product folder per product of the run so
+      // RUN-SUMMARY gets one table per product, and writes the pending nightly merge notes to it
+      function createRunFolder() {
+        const runFolder = path.join(outputDir, getRunFolderName(getDateStr(), env));
+        for (const product of new Set(runActions.map(getProductFolder))) {
+          fs.mkdirSync(path.join(runFolder, product), { recursive: true });
         }
-        // Take the after screenshot and save explicitly
-        await captureModalAfter(page, subfolder, 'createNoMeetNoProf');
-        let saveSuccess = await saveSection(page, subfolder, 'createNoMeetNoProf', browser, schoolId);
-        await browser.close();
-        if (saveSuccess) {
-          await startMergeReportPolling(env, schoolId, act, subfolder);
-        } else {
-          console.log("Couldn't save section, thus cannot pull merge report");
-          // Log failed run to summary
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, 'Failed to save section');
+        runFolders.push(runFolder);
+        return runFolder;
+      }
+
+      await guardNightlyMerge('Before launch', runActions);
+
+      /**
+       * Records the outcome of a test case: a RUN-SUMMARY row for anything but a pass (a passed
+       * test case gets its row from the merge report poller) and an entry in `actionResults`
+       * @param {string} runFolder - Run root folder
+       * @param {string} act - Action name
+       * @param {string} status - 'passed', 'failed', 'skipped' or 'merge timed out'
+       * @param {string|null} reason - Shown in RUN-SUMMARY
+       * @param {Object} options - `rowWritten`: the row is already in RUN-SUMMARY; `mergeReport`:
+       *   { id, url, status, errors } of the test case's merge, for run-result.json and junit.xml
+       */
+      async function recordActionResult(runFolder, act, status, reason = null, { rowWritten = false, mergeReport = null } = {}) {
+        actionResults.push({ action: act, status, reason, mergeReport });
+        if (status !== 'passed' && !rowWritten) {
+          await logFailedRun(runFolder, act, schoolId, reason, status);
         }
-      } else if (act === 'editRelationships') {
-        await console.log('\n🔗 Initiating Relationships edit process...');
-        let result = await relationshipsFill(baseDomain, page, subfolder, 'editRelationships', schoolId, false, browser);
-        await browser.close();
-        
-        if (result === 'edit_completed' || result === true) {
-          await startMergeReportPolling(env, schoolId, act, subfolder);
-        } else {
-          console.log('❌ Relationships edit process failed.');
-          // Log failed run to summary
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, 'Relationships edit process failed');
+      }
+
+      async function skipActions(runFolder, acts, reason) {
+        for (const act of acts) {
+          await recordActionResult(runFolder, act, 'skipped', reason);
         }
-      } else if (act === 'createRelationships') {
-        await console.log('\n🔗 Initiating Relationships creation process...');
-        let result = await relationshipsFill(baseDomain, page, subfolder, 'createRelationships', schoolId, true, browser);
-        await browser.close();
-        
-        if (result === true) {
-          await startMergeReportPolling(env, schoolId, act, subfolder);
-        } else {
-          console.log('❌ Relationships create process failed.');
-          // Log failed run to summary
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, 'Relationships create process failed');
+      }
+
+      /**
+       * With --reuse-browser, launches the browser shared by the actions of a multi-action run:
+       * signs in and checks the merge alert once, then keeps the signed-in storageState so
+       * runFlowInFolder() only opens a fresh page (and video) per action
+       * @param {string} firstAct - First action of the run; its product page is used for the checks
+       * @returns {Promise<Object>} - Session from launchSession()
+       * @throws {SignInError|MergeInProgressError}
+       */
+      async function startBrowserSession(firstAct) {
+        const session = await launchSession(env, debugVideoDir, false);
+        try {
+          await seedContext(session.ctx, session.baseUrl, email, schoolId);
+          const productSlug = getAction(firstAct).productSlug;
+          await signInOrThrow(session.page, productSlug);
+          await goToProduct(session.page, productSlug, env);
+          await dismissReleaseNotesPopup(session.page);
+          await assertNoMergeInProgress(session.page);
+          await session.saveSession();
+        } catch (error) {
+          await session.close().catch(() => {});
+          throw error;
         }
-      } else if (act === 'inactivateSection') {
-        await console.log('\n Initiating Section inactivation process...');
+        console.log('🔁 Signed in once; every test case of this run reuses the browser session.');
+        return session;
+      }
+
+      async function signInOrThrow(page, productSlug) {
         try {
-          await openSection(page);
+          await signIn(page, email, password, productSlug, env);
         } catch (error) {
-          console.log(`❌ [InactivateSection] ${error.message}`);
-          console.log('❌ [InactivateSection] Ending inactivation flow due to no available sections.');
-          await browser.close();
-          // Log failed run to summary
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, 'No available sections to inactivate');
-          return; // Exit the function early
+          console.error('\n❌', error.message);
+          throw new SignInError(error.message);
         }
-        await captureModalBefore(page, subfolder, 'inactivateSection');
-
-        console.log('\n📝 Filling section template fields...');
-        // fillBaselineTemplate will handle screenshot and save internally for this action
-        let saveSuccess = await fillBaselineTemplate(page, schoolId, 'inactivateSection', subfolder, browser);
-      
-        await browser.close();
-        if (saveSuccess) {
-          await startMergeReportPolling(env, schoolId, act, subfolder);
+      }
+
+      // Runs a single flow in the run folder, including browser setup/teardown.
+      // `session` (from startBrowserSession) skips the launch, sign-in and merge check.
+      async function runFlowInFolder(act, runFolder, session = null) {
+        const videoName = `${schoolId}-${act}-debugging-run`;
+        // Determine the correct product slug based on the action
+        const currentProductSlug = getAction(act).productSlug;
+        let browser, ctx, page, baseDomain, baseUrl, closePage;
+
+        if (session) {
+          // 2-4) Fresh page restored from the signed-in session, recording its own video
+          ({ ctx, page, close: closePage } = await session.openActionPage(videoName));
+          ({ browser, baseDomain, baseUrl } = session);
         } else {
-          console.log("Couldn't save section, thus cannot pull merge report");
-          // Log failed run to summary
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, 'Failed to save section');
+          // 2) Browser & Context (with video recording)
+          // Launch in headed mode for potential user takeover, but minimized initially; closing
+          // saves the video as <videoName>.webm
+          ({ browser, ctx, page, baseDomain, baseUrl, close: closePage } = await launch(env, debugVideoDir, videoName, false));
         }
-      } else if (act === 'updateCourse') {
-        await console.log('\n📚 Initiating Course update process...');
+
         try {
-          const success = await updateCourse(page, subfolder, schoolId, browser, 'updateCourse');
-          await browser.close();
-          
-          if (success) {
-            console.log('✅ Course update completed successfully');
-            await startMergeReportPolling(env, schoolId, act, subfolder);
-          } else {
-            console.log('❌ Course update process failed');
-            const runFolder = path.dirname(subfolder);
-            await logFailedRun(runFolder, act, schoolId, 'Course update process failed');
-          }
+          // 3) Seed cookies & localStorage
+          await seedContext(ctx, baseUrl, email, schoolId);
+          // 4) Sign in
+          if (!session) await signInOrThrow(page, currentProductSlug);
+          // 5) Navigate into product
+          await goToProduct(page, currentProductSlug, env);
+          await dismissReleaseNotesPopup(page);
+
+          // Optional: hand control to computer-use agent if AGENT_MODE is set
+          // if (process.env.AGENT_MODE === '1') {
+          //   await runComputerUseAgent(page, {
+          //     allowedDomains: [baseDomain],
+          //     userGoal: process.env.AGENT_GOAL || 'Inspect the page and do nothing destructive.',
+          //     stepBudget: Number(process.env.AGENT_STEPS || 30),
+          //     allowNavigation: true
+          //   });
+          // }
+
+          // Check if a merge is in progress (checked once for a shared session)
+          if (!session) await assertNoMergeInProgress(page);
         } catch (error) {
-          console.log(`❌ [UpdateCourse] ${error.message}`);
-          await browser.close();
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, `Course update error: ${error.message}`);
+          await closePage().catch(() => {});
+          throw error;
         }
-      } else if (act === 'updateProgram') {
-        await console.log('\n📚 Initiating Program update process...');
-        try {
-          const success = await updateProgram(page, subfolder, schoolId, browser);
-          await browser.close();
-          
-          if (success) {
-            console.log('✅ Program update completed successfully');
-            await startMergeReportPolling(env, schoolId, act, subfolder);
-          } else {
-            console.log('❌ Program update process failed');
-            const runFolder = path.dirname(subfolder);
-            await logFailedRun(runFolder, act, schoolId, 'Program update process failed');
+
+        // Create product and method-specific subfolder within the run folder
+        const productFolder = getProductFolder(act);
+        const subfolder = path.join(runFolder, productFolder, act);
+        fs.mkdirSync(subfolder, { recursive: true });
+        // Initialize run-scoped logger for this action subfolder before any further logs
+        try { ensureRunLogger(subfolder); } catch (_) {}
+
+        // Generate dateStr for this action (needed for diff file names)
+        const dateStr = getDateStr();
+        const actionFormName = getFormNameForAction(act, courseFormName, programFormName);
+        await executeAction(act, page, browser, subfolder, env, schoolId, baseDomain, dateStr, actionFormName, closePage);
+      }
+
+      /**
+       * Runs one test case and turns what stops it into RUN-SUMMARY rows: a sign-in failure fails it
+       * and skips `remainingActions`; a nightly merge alert waits for the merge like
+       * guardNightlyMerge() (up to --merge-wait) and runs the test case again, or skips it and
+       * `remainingActions`; any other error fails only this test case
+       * @param {Function} flow - Runs the test case
+       * @returns {Promise<Object|null>} - { reason, exitCode } when the school's run cannot continue
+       */
+      async function runTestCase(act, runFolder, remainingActions, flow) {
+        let stopReason;
+        let exitCode;
+        // --merge-wait is shared by every alert of this test case
+        let waitDeadline = null;
+        for (;;) {
+          try {
+            await flow();
+            return null;
+          } catch (error) {
+            if (error instanceof SignInError) {
+              await recordActionResult(runFolder, act, 'failed', `Sign-in failed: ${error.message}`);
+              stopReason = 'Sign-in failed';
+              exitCode = EXIT_CODES.authFailed;
+            } else if (error instanceof MergeInProgressError) {
+              if (waitDeadline === null) waitDeadline = Date.now() + mergeWaitMs;
+              const { decision, message } = await checkNightlyMerge(env, schoolId, ['sections'], {
+                waitMs: waitDeadline - Date.now(),
+                alert: 'sections (merge alert of the product page)'
+              });
+              await appendRunSummaryNote(runFolder, schoolId, act, `🌙 Merge alert at ${act}: ${message}`);
+              if (decision !== 'abort') continue;
+              console.log('\nA sections nightly merge for this school is currently in progress, please try again later.');
+              await recordActionResult(runFolder, act, 'skipped', 'Nightly merge in progress');
+              stopReason = 'Nightly merge in progress';
+              exitCode = EXIT_CODES.skipped;
+            } else {
+              console.error(`\n❌ [${act}] ${error.message}`);
+              await recordActionResult(runFolder, act, 'failed', `${getAction(act).label} error: ${error.message}`);
+              return null;
+            }
           }
-        } catch (error) {
-          console.log(`❌ [UpdateProgram] ${error.message}`);
-          await browser.close();
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, `Program update error: ${error.message}`);
+          break;
         }
-      } else if (act === 'inactivateCourse') {
-        await console.log('\n📚 Initiating Course inactivation process...');
-        try {
-          const success = await updateCourse(page, subfolder, schoolId, browser, 'inactivateCourse');
-          await browser.close();
-          
-          if (success) {
-            console.log('✅ Course inactivation completed successfully');
-            await startMergeReportPolling(env, schoolId, act, subfolder);
-          } else {
-            console.log('❌ Course inactivation process failed');
-            const runFolder = path.dirname(subfolder);
-            await logFailedRun(runFolder, act, schoolId, 'Course inactivation process failed');
-          }
-        } catch (error) {
-          console.log(`❌ [InactivateCourse] ${error.message}`);
-          await browser.close();
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, `Course inactivation error: ${error.message}`);
+        if (remainingActions.length > 0) {
+          console.log(`  ↳ Skipping ${remainingActions.join(', ')}: ${stopReason.toLowerCase()}.`);
+          await skipActions(runFolder, remainingActions, stopReason);
         }
-      } else if (act === 'newCourseRevision') {
-        await console.log('\n📚 Initiating Course revision process...');
+        return { reason: stopReason, exitCode };
+      }
+
+      // Helper function to log failed runs to summary
+      async function logFailedRun(runFolder, act, schoolId, reason, status = 'failed') {
         try {
-          const success = await updateCourse(page, subfolder, schoolId, browser, 'newCourseRevision');
-          await browser.close();
-          
-          if (success) {
-            console.log('✅ Course revision completed successfully');
-            await startMergeReportPolling(env, schoolId, act, subfolder);
-          } else {
-            console.log('❌ Course revision failed');
-            const runFolder = path.dirname(subfolder);
-            await logFailedRun(runFolder, act, schoolId, 'Course revision failed during execution');
-          }
+          const runId = generateRunId(act);
+          const currentDate = new Date().toISOString();
+          await appendRunSummary(
+            runFolder,
+            runId,
+            'N/A',
+            status,
+            reason,
+            currentDate,
+            schoolId,
+            act,
+            'N/A' // errors parameter for failed runs
+          );
         } catch (error) {
-          console.log(`❌ Course revision error: ${error.message}`);
-          await browser.close();
-          
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, `Course revision error: ${error.message}`);
+          console.error('❌ Failed to log failed run to summary:', error.message);
         }
-      } else if (act === 'createCourse') {
-        await console.log('\n📚 Initiating Course creation process...');
+      }
+
+      // Shared function to execute actions: runs the registered flow, closes the browser (or only
+      // the action's page with `closePage` in a shared session), then starts polling the merge
+      // report on success or records the failure in RUN-SUMMARY
+      async function executeAction(act, page, browser, subfolder, env, schoolId, baseDomain, dateStr, formName, closePage = () => browser.close()) {
+        const definition = getAction(act);
+        const runContext = new RunContext({
+          schoolId,
+          action: act,
+          outputDir: subfolder,
+          dateStr,
+          customSkipFields,
+          usedCourses: sessionUsedCourses
+        });
+        // Remember which entity the action saves so the poller can find its merge report
+        const startedAt = Date.now();
+        const stopTracking = trackSavedEntities(page, definition.entityType, runContext);
+        let outcome;
         try {
-          const success = await createCourse(page, subfolder, schoolId, browser, formName);
-          await browser.close();
-          
-          if (success) {
-            console.log('✅ Course creation completed successfully');
-            await startMergeReportPolling(env, schoolId, act, subfolder);
-          } else {
-            console.log('❌ Course creation failed');
-            const runFolder = path.dirname(subfolder);
-            await logFailedRun(runFolder, act, schoolId, 'Course creation failed during execution');
-          }
+          outcome = await definition.execute({ page, browser, subfolder, schoolId, baseDomain, dateStr, formName, runContext });
         } catch (error) {
-          console.log(`❌ Course creation error: ${error.message}`);
-          await browser.close();
-          
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, `Course creation error: ${error.message}`);
+          console.log(`❌ [${act}] ${error.message}`);
+          outcome = { success: false, reason: `${definition.errorReason || `${definition.label} error`}: ${error.message}` };
         }
-      } else if (act === 'createProgram') {
-        await console.log('\n📚 Initiating Program creation process...');
-        try {
-          const success = await createProgram(page, subfolder, schoolId, browser, formName);
-          await browser.close();
-          
-          if (success) {
-            console.log('✅ Program creation completed successfully');
-            await startMergeReportPolling(env, schoolId, act, subfolder);
-          } else {
-            console.log('❌ Program creation failed');
-            const runFolder = path.dirname(subfolder);
-            await logFailedRun(runFolder, act, schoolId, 'Program creation failed during execution');
-          }
-        } catch (error) {
-          console.log(`❌ [CreateProgram] ${error.message}`);
-          await browser.close();
-          const runFolder = path.dirname(subfolder);
-          await logFailedRun(runFolder, act, schoolId, `Program creation error: ${error.message}`);
+        stopTracking();
+        await closePage();
+
+        const runFolder = getRunRootFolder(subfolder);
+        if (outcome && outcome.success) {
+          // Poll in the background so the next action can start while the merge runs
+          console.log(`📡 Polling the ${definition.entityType} merge report for ${act} in the background.`);
+          const { ids, savedAt } = runContext.savedEntity;
+          const target = { entityIds: ids, savedAt: savedAt || startedAt };
+          pendingPolls.push(pollMergeReportInBackground(env, schoolId, act, subfolder, target, polling).then(result => {
+            if (result.success) {
+              const { mergeReportId, mergeHistoryUrl, mergeReportStatus, errors } = result.mergeReportData;
+              const mergeReport = { id: mergeReportId, url: mergeHistoryUrl, status: mergeReportStatus || null, errors: errors || null };
+              return recordActionResult(runFolder, act, 'passed', null, { mergeReport });
+            }
+            // A FAILED merge job is already in RUN-SUMMARY with its diagnostics
+            if (result.error instanceof MergeJobFailedError) {
+              const job = (result.error.historyItem && result.error.historyItem.inProgressMerge) || {};
+              const mergeReport = { id: null, url: null, status: job.awsJobStatus || 'FAILED', errors: null };
+              return recordActionResult(runFolder, act, 'failed', result.error.message, { rowWritten: true, mergeReport });
+            }
+            if (result.error instanceof MergeTimeoutError) {
+              const lastStatus = `Last awsJobStatus: ${result.error.lastJobStatus || 'none seen'}`;
+              const mergeReport = { id: null, url: null, status: result.error.lastJobStatus, errors: null };
+              return recordActionResult(runFolder, act, 'merge timed out', lastStatus, { mergeReport });
+            }
+            return recordActionResult(runFolder, act, 'failed', `Merge report polling failed: ${result.error.message}`);
+          }));
+        } else {
+          // Log failed run to summary
+          await recordActionResult(runFolder, act, 'failed', (outcome && outcome.reason) || `${definition.label} failed`);
         }
       }
+
+      // Waits for every background poll so RUN-SUMMARY is complete when the school's run ends
+      async function awaitPendingPolls() {
+        if (pendingPolls.length === 0) return;
+        console.log(`\n⏳ Waiting for ${pendingPolls.length} merge report poll(s) to finish...`);
+        await Promise.all(pendingPolls.splice(0));
+        console.log('✅ All merge report polls finished.');
+      }
+
+      try {
+        // One Run folder shared by every action of a bundle or custom list
+        const runFolder = createRunFolder();
+        await writePendingMergeNotes(runFolder);
+
+        // Reset session course tracking for new run
+        sessionUsedCourses.clear();
+        console.log(`🔄 Reset session course tracking for new run`);
+
+        const runLabels = {
+          all: 'All Section Test Cases',
+          courseAll: 'All Course Test Cases',
+          both: 'Both Products - All Test Cases',
+          custom: `Custom Test Cases (${runActions.join(', ')})`
+        };
+        console.log(`\n🚀 Starting "${runLabels[action] || action}" run${envLabel} in folder: ${runFolder}`);
+
+        const stop = await runTestCaseLoop(runActions, {
+          reuseBrowser: runOptions.reuseBrowser,
+          startSession: startBrowserSession,
+          runTestCase: (act, remainingActions, flow) => runTestCase(act, runFolder, remainingActions, flow),
+          runFlow: (act, session) => runFlowInFolder(act, runFolder, session),
+          beforeTestCase: (act, index) => guardNightlyMerge(`Before ${act}`, runActions.slice(index), runFolder)
+        });
+        if (stop) {
+          const message = stop.started
+            ? `${stop.reason} at ${stop.act}; the remaining test cases were skipped.`
+            : `${stop.reason}; no test case was run.`;
+          throw new SchoolRunAbort(message, stop.exitCode, { reported: true });
+        }
+      } finally {
+        await awaitPendingPolls();
+      }
     }
 
-    if (action === 'all') {
-      // Create a single Run folder for all section actions when running 'all'
-      const now = new Date();
-      const pad = n => n.toString().padStart(2, '0');
-      const dateStr = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
-      const sharedRunFolder = path.join(outputDir, `Run-${dateStr}`);
-      fs.mkdirSync(sharedRunFolder, { recursive: true });
-      
-      console.log(`\n🚀 Starting "All Section Test Cases" run in folder: ${sharedRunFolder}`);
-      
-      await runFlowInFolder('update', sharedRunFolder);
-      await runFlowInFolder('create', sharedRunFolder);
-      await runFlowInFolder('createNoMeetNoProf', sharedRunFolder);
-      await runFlowInFolder('editRelationships', sharedRunFolder);
-      await runFlowInFolder('createRelationships', sharedRunFolder);
-      await runFlowInFolder('inactivateSection', sharedRunFolder);
-    } else if (action === 'courseAll') {
-      // Create a single Run folder for all course actions when running 'courseAll'
-      const now = new Date();
-      const pad = n => n.toString().padStart(2, '0');
-      const dateStr = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
-      const sharedRunFolder = path.join(outputDir, `Run-${dateStr}`);
-      fs.mkdirSync(sharedRunFolder, { recursive: true });
-      
-      // Reset session course tracking for new run
-      global.sessionUsedCourses.clear();
-      console.log(`🔄 Reset session course tracking for new run`);
-      
-      console.log(`\n🚀 Starting "All Course Test Cases" run in folder: ${sharedRunFolder}`);
-      
-      await runFlowInFolder('updateCourse', sharedRunFolder);
-      await runFlowInFolder('inactivateCourse', sharedRunFolder);
-      await runFlowInFolder('newCourseRevision', sharedRunFolder);
-      await runFlowInFolder('createCourse', sharedRunFolder);
-    } else if (action === 'both') {
-      // Create a single Run folder for all actions from both products when running 'both'
-      const now = new Date();
-      const pad = n => n.toString().padStart(2, '0');
-      const dateStr = `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
-      const sharedRunFolder = path.join(outputDir, `Run-${dateStr}`);
-      fs.mkdirSync(sharedRunFolder, { recursive: true });
-      
-      // Reset session course tracking for new run
-      global.sessionUsedCourses.clear();
-      console.log(`🔄 Reset session course tracking for new run`);
-      
-      console.log(`\n🚀 Starting "Both Products - All Test Cases" run in folder: ${sharedRunFolder}`);
-      
-      // First run all Academic Scheduling actions
-      console.log('\n📚 Running Academic Scheduling Test Cases...');
-      await runFlowInFolder('update', sharedRunFolder);
-      await runFlowInFolder('create', sharedRunFolder);
-      await runFlowInFolder('createNoMeetNoProf', sharedRunFolder);
-      await runFlowInFolder('editRelationships', sharedRunFolder);
-      await runFlowInFolder('createRelationships', sharedRunFolder);
-      await runFlowInFolder('inactivateSection', sharedRunFolder);
-      
-      // Then run all Curriculum Management actions
-      console.log('\n📖 Running Curriculum Management Test Cases...');
-      await runFlowInFolder('updateCourse', sharedRunFolder);
-      await runFlowInFolder('inactivateCourse', sharedRunFolder);
-      await runFlowInFolder('newCourseRevision', sharedRunFolder);
-      await runFlowInFolder('createCourse', sharedRunFolder);
-    } else {
-      await runFlow(action);
+    if (!batchSchools) {
+      const actionResults = [];
+      let exitCode = EXIT_CODES.passed;
+      try {
+        await runSchool({ schoolId: inputs.schoolId }, [], actionResults);
+      } catch (error) {
+        if (!(error instanceof SchoolRunAbort)) throw error;
+        if (!error.reported) console.error(`\n❌ ${error.message}`);
+        exitCode = error.exitCode;
+      }
+      printActionTotals(actionResults);
+      process.exitCode = combineExitCodes([exitCode, getActionsExitCode(actionResults)]);
+      return;
     }
 
+    const schoolsDir = path.join(__dirname, 'schools');
+    const results = await runBatch(batchSchools, runSchool, { schoolsDir, dateStr: getDateStr(), concurrency });
+    const allActions = results.flatMap(result => result.actions);
+    printActionTotals(allActions);
+    process.exitCode = combineExitCodes([getActionsExitCode(allActions), ...results.map(result => result.exitCode)]);
+
   } catch (err) {
+    if (err instanceof CliArgumentError || err instanceof ProfileValidationError || err instanceof ProductionGuardError) {
+      console.error(`\n❌ ${err.message}`);
+      process.exit(EXIT_CODES.invalidInput);
+    }
     console.error('❌ Unhandled error:', err);
+    process.exitCode = err instanceof AuthError ? EXIT_CODES.authFailed : EXIT_CODES.unexpectedError;
   }
 })();
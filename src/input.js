@@ -1,9 +1,178 @@
 const prompt = require('prompt-sync')({ sigint: true });
 const fs = require('fs');
 const path = require('path');
+const { CliArgumentError } = require('./cliArgs');
+const { listActions, getAction, isBundle, expandActions, PRODUCTS } = require('./actions');
 
-function gatherInputs() {
-  const sessionPath = path.join(__dirname, 'session.json');
+const PRODUCT_ALIASES = {
+  as: '1',
+  'academic-scheduling': '1',
+  cm: '2',
+  'curriculum-management': '2',
+  both: '3'
+};
+
+const CUSTOM_SELECTION_LABEL = 'Custom Selection (pick test cases and their order)';
+
+// Numbered test case menus are derived from the action registry (src/actions)
+function buildActionMenu(product, isPeopleSoftSchool, bundleAction) {
+  const menu = listActions({ product, isPeopleSoftSchool }).map((definition, index) => ({
+    choice: String(index + 1),
+    label: definition.label,
+    action: definition.name
+  }));
+  menu.push({ choice: String(menu.length + 1), label: 'All of the Above', action: bundleAction });
+  menu.push({ choice: String(menu.length + 1), label: CUSTOM_SELECTION_LABEL, action: 'custom' });
+  return menu;
+}
+
+function getSectionActionMenu() {
+  return buildActionMenu(PRODUCTS.academicScheduling, false, 'all');
+}
+
+function getCourseActionMenu(isPeopleSoftSchool) {
+  return buildActionMenu(PRODUCTS.curriculumManagement, isPeopleSoftSchool, 'courseAll');
+}
+
+function getBothProductsActionMenu() {
+  return [
+    { choice: '1', label: 'All of the Above (both products)', action: 'both' },
+    { choice: '2', label: CUSTOM_SELECTION_LABEL, action: 'custom' }
+  ];
+}
+
+function getActionMenu(prodChoice, isPeopleSoftSchool) {
+  if (prodChoice === '1') return getSectionActionMenu();
+  if (prodChoice === '2') return getCourseActionMenu(isPeopleSoftSchool);
+  return getBothProductsActionMenu();
+}
+
+/**
+ * Lists the individual test cases (no "All of the Above" bundles) available for a product
+ * @param {string} prodChoice - '1' (Academic Scheduling), '2' (Curriculum Management) or '3' (Both)
+ * @param {boolean} isPeopleSoftSchool - Whether program test cases are available
+ * @returns {string[]} - Action names in menu order
+ */
+function listTestCases(prodChoice, isPeopleSoftSchool) {
+  const product = { '1': PRODUCTS.academicScheduling, '2': PRODUCTS.curriculumManagement }[prodChoice] || null;
+  return listActions({ product, isPeopleSoftSchool }).map(definition => definition.name);
+}
+
+// Validators return the message shown to the user, or null when the value is valid.
+// The same messages are used for interactive prompts and for command-line flags.
+function validateRequired(value, fieldLabel) {
+  if (typeof value !== 'string' || !value.trim()) {
+    return `${fieldLabel} cannot be empty.`;
+  }
+  return null;
+}
+
+function validateEnv(env) {
+  if (!['stg', 'prd'].includes(env)) {
+    return 'Invalid. Please enter stg or prd.';
+  }
+  return null;
+}
+
+function validateProductChoice(choice) {
+  if (!['1', '2', '3'].includes(choice)) {
+    return 'Invalid. Please enter 1, 2, or 3.';
+  }
+  return null;
+}
+
+function validateActionChoice(choice, menu, prodChoice) {
+  if (menu.some(item => item.choice === choice || item.action === choice)) {
+    return null;
+  }
+  const validChoices = menu.map(item => item.choice);
+  if (prodChoice === '1') {
+    return `Invalid. Please enter ${validChoices.slice(0, -1).join(', ')} or ${validChoices[validChoices.length - 1]}.`;
+  }
+  return `Invalid. Please enter one of: ${validChoices.join(', ')}.`;
+}
+
+function validateActionList(actions, prodChoice, isPeopleSoftSchool) {
+  if (!Array.isArray(actions) || actions.length === 0) {
+    return 'At least one test case is required.';
+  }
+  const available = listTestCases(prodChoice, isPeopleSoftSchool);
+  const unavailable = actions.filter(action => !available.includes(action));
+  if (unavailable.length > 0) {
+    return `Unknown or unavailable test case(s): ${unavailable.join(', ')}. Available: ${available.join(', ')}.`;
+  }
+  const duplicate = actions.find((action, index) => actions.indexOf(action) !== index);
+  if (duplicate) {
+    return `Test case "${duplicate}" is listed more than once.`;
+  }
+  return null;
+}
+
+function resolveProductChoice(value) {
+  const normalized = String(value).trim().toLowerCase();
+  return PRODUCT_ALIASES[normalized] || normalized;
+}
+
+function resolveAction(choice, menu) {
+  const match = menu.find(item => item.choice === choice || item.action === choice);
+  return match ? match.action : null;
+}
+
+/**
+ * Parses a custom selection like "3, 1, 7" against a numbered list of test cases
+ * @returns {{ actions: string[]|null, error: string|null }}
+ */
+function parseCustomSelection(answer, available) {
+  const tokens = String(answer).split(',').map(token => token.trim()).filter(Boolean);
+  const actions = [];
+  for (const token of tokens) {
+    const index = Number(token);
+    if (!/^\d+$/.test(token) || index < 1 || index > available.length) {
+      return { actions: null, error: `Invalid. Please enter numbers between 1 and ${available.length}, separated by commas.` };
+    }
+    actions.push(available[index - 1]);
+  }
+  return { actions, error: null };
+}
+
+// Program test cases are offered when the school, or any school of a batch run, is a PeopleSoft school
+function isPeopleSoftTarget(inputs) {
+  const schoolIds = inputs.schoolIds || [inputs.schoolId];
+  return schoolIds.some(schoolId => typeof schoolId === 'string' && schoolId.includes('_peoplesoft'));
+}
+
+function isBackCommand(value) {
+  const normalized = String(value).toLowerCase();
+  return normalized === 'back' || normalized === 'b';
+}
+
+function printActionMenu(menu) {
+  console.log('\nSelect Test Case:');
+  for (const item of menu) {
+    console.log(`  ${item.choice}) ${item.label}`);
+  }
+}
+
+// Environment variable read for the password when --password is not passed
+const PASSWORD_ENV_VAR = 'COURSEDOG_PASSWORD';
+
+// Email, password, env and school ID of the previous run
+const SESSION_PATH = path.join(__dirname, 'session.json');
+
+/**
+ * Collects run inputs, prompting for anything not supplied through `options`.
+ * @param {Object} options - Parsed command-line options (see cliArgs.js). When a value is
+ *   present its prompt is skipped; with `options.yes` saved/default values are used for
+ *   the remaining prompts instead of asking. Without `options.password`, the COURSEDOG_PASSWORD
+ *   environment variable is used when set.
+ * @param {Object} [storage] - `sessionPath`: file the previous run's session is read from and
+ *   saved to (default: src/session.json)
+ * @returns {Object} - { email, password, env, prodChoice, productSlug, schoolId, schoolIds, action, actions, courseFormName, programFormName }
+ *   `action` is 'custom' when an ordered `actions` list was supplied (e.g. from a run profile);
+ *   `schoolIds` replaces `schoolId` when `options.schoolIds` lists the schools of a batch run
+ * @throws {CliArgumentError} When a supplied option fails validation or a required value is missing in --yes mode
+ */
+function gatherInputs(options = {}, { sessionPath = SESSION_PATH } = {}) {
   let previous = {};
   try {
     if (fs.existsSync(sessionPath)) {
@@ -14,72 +183,126 @@ function gatherInputs() {
     previous = {};
   }
 
-  // If we have previous email and password, skip directly to product selection
-  const hasSavedCreds = Boolean(previous.email && previous.password);
-  let step = hasSavedCreds ? 'product' : 'email';
-  let inputs = {};
+  const acceptDefaults = Boolean(options.yes);
+  const has = key => options[key] !== undefined && options[key] !== null;
+  const fail = (flag, message) => {
+    throw new CliArgumentError(`Invalid value for ${flag}: ${message}`);
+  };
+
+  // Staging unless production is asked for explicitly; the saved session's env is never reused
+  let inputs = { env: 'stg' };
+  if (has('env')) {
+    const env = String(options.env).trim().toLowerCase();
+    const error = validateEnv(env);
+    if (error) fail('--env', error);
+    inputs.env = env;
+  }
   let courseFormName = 'Propose New Course';
   let programFormName = 'Propose New Program';
   let formPromptQueue = [];
   let currentFormPrompt = null;
 
-  if (hasSavedCreds) {
-    inputs.email = previous.email;
-    inputs.password = previous.password;
-    inputs.env = 'stg';
-    console.log('\n🔁 Reusing saved email and password from previous run.');
+  const queueFormPrompts = () => {
+    const isPeopleSoftSchool = isPeopleSoftTarget(inputs);
+    formPromptQueue = determineFormPromptQueue(inputs.action, inputs.actions, isPeopleSoftSchool);
+    currentFormPrompt = formPromptQueue.shift();
+    return Boolean(currentFormPrompt);
+  };
+
+  // Credentials passed as flags (or COURSEDOG_PASSWORD) take precedence over the saved session.
+  // A saved password is only reused for the saved email.
+  if (has('email')) {
+    const error = validateRequired(options.email, 'Email');
+    if (error) fail('--email', error);
+    inputs.email = options.email.trim();
+  }
+  if (has('password')) {
+    const error = validateRequired(options.password, 'Password');
+    if (error) fail('--password', error);
+    inputs.password = options.password;
+  } else if (process.env[PASSWORD_ENV_VAR]) {
+    // Keeps the password out of `ps` and the shell history, unlike --password
+    inputs.password = process.env[PASSWORD_ENV_VAR];
+  }
+  const passwordFromEnv = !has('password') && Boolean(process.env[PASSWORD_ENV_VAR]);
+  const savedCredsApply = Boolean(previous.email && previous.password) && (!inputs.email || inputs.email === previous.email);
+  if (savedCredsApply) {
+    if (!inputs.email) inputs.email = previous.email;
+    if (!inputs.password) {
+      inputs.password = previous.password;
+      console.log('\n🔁 Reusing saved email and password from previous run.');
+    }
+  }
+
+  // If we have email and password, skip directly to product selection
+  let step = 'email';
+  if (inputs.email && inputs.password) {
+    step = 'product';
+  } else if (inputs.email) {
+    step = 'password';
   }
 
   while (true) {
     if (step === 'email') {
+      if (acceptDefaults) fail('--email', validateRequired('', 'Email'));
       const email = prompt('Email: ');
-      if (email.toLowerCase() === 'back' || email.toLowerCase() === 'b') {
+      if (isBackCommand(email)) {
         console.log('  ↳ Cannot go back from the first step.');
         continue;
       }
-      if (!email.trim()) {
-        console.log('  ↳ Email cannot be empty.');
+      const error = validateRequired(email, 'Email');
+      if (error) {
+        console.log(`  ↳ ${error}`);
         continue;
       }
       inputs.email = email;
-      step = 'password';
+      step = inputs.password ? 'product' : 'password';
 
     } else if (step === 'password') {
+      if (acceptDefaults) fail('--password', validateRequired('', 'Password'));
       const password = prompt('Enter Password (or b to go back): ', { echo: '*' });
-      if (password.toLowerCase() === 'back' || password.toLowerCase() === 'b') {
+      if (isBackCommand(password)) {
         step = 'email';
         continue;
       }
-      if (!password.trim()) {
-        console.log('  ↳ Password cannot be empty.');
+      const error = validateRequired(password, 'Password');
+      if (error) {
+        console.log(`  ↳ ${error}`);
         continue;
       }
       inputs.password = password;
-      inputs.env = 'stg';
       step = 'product';
 
     } else if (step === 'product') {
-      console.log('\nSelect product:');
-      console.log('  1) Academic Scheduling');
-      console.log('  2) Curriculum Management');
-      console.log('  3) Both Products');
-      let prodChoice = prompt('Enter number [1-3] (or b to go back): ').trim();
-      
-      if (prodChoice.toLowerCase() === 'back' || prodChoice.toLowerCase() === 'b') {
-        step = 'password';
-        continue;
-      }
-      
-      if (!['1','2','3'].includes(prodChoice)) {
-        console.log('  ↳ Invalid. Please enter 1, 2, or 3.');
-        continue;
+      let prodChoice;
+      if (has('product')) {
+        prodChoice = resolveProductChoice(options.product);
+        const error = validateProductChoice(prodChoice);
+        if (error) fail('--product', error);
+      } else {
+        if (acceptDefaults) fail('--product', validateProductChoice(''));
+        console.log('\nSelect product:');
+        console.log('  1) Academic Scheduling');
+        console.log('  2) Curriculum Management');
+        console.log('  3) Both Products');
+        prodChoice = prompt('Enter number [1-3] (or b to go back): ').trim();
+
+        if (isBackCommand(prodChoice)) {
+          step = 'password';
+          continue;
+        }
+
+        const error = validateProductChoice(prodChoice);
+        if (error) {
+          console.log(`  ↳ ${error}`);
+          continue;
+        }
       }
-      
+
       if (prodChoice === '3') {
         // Both products - set default slug (will be ignored) and special flag
         inputs.productSlug = 'sm/section-dashboard'; // Default, will switch as needed
         inputs.prodChoice = '3';
-        inputs.action = 'both'; // Set action directly for both products
         step = 'schoolId';
       } else {
         const slugMap = { '1': 'sm/section-dashboard', '2': 'cm/courses' };
@@ -89,20 +312,41 @@ function gatherInputs() {
       }
 
     } else if (step === 'schoolId') {
+      if (has('schoolIds')) {
+        // Batch run: the schools come from --schools / --schools-csv
+        inputs.schoolIds = [...options.schoolIds];
+        step = 'action';
+        continue;
+      }
+      if (has('schoolId')) {
+        const error = validateRequired(options.schoolId, 'School ID');
+        if (error) fail('--school', error);
+        inputs.schoolId = options.schoolId.trim();
+        step = 'action';
+        continue;
+      }
+      if (acceptDefaults) {
+        if (!previous.schoolId) fail('--school', validateRequired('', 'School ID'));
+        inputs.schoolId = previous.schoolId;
+        console.log(`  ↳ Using saved school ID: "${previous.schoolId}"`);
+        step = 'action';
+        continue;
+      }
+
       const reuseHint = previous.schoolId ? `Press Enter to reuse: ${previous.schoolId}` : '';
       const schoolId = prompt(`\nEnter your school ID (${reuseHint} or b to go back): `);
-      
-      if (schoolId.toLowerCase() === 'back' || schoolId.toLowerCase() === 'b') {
+
+      if (isBackCommand(schoolId)) {
         step = 'product';
         continue;
       }
-      
+
       if (!schoolId.trim()) {
         if (previous.schoolId) {
           inputs.schoolId = previous.schoolId;
           console.log(`  ↳ Using saved school ID: "${previous.schoolId}"`);
         } else {
-          console.log('  ↳ School ID cannot be empty.');
+          console.log(`  ↳ ${validateRequired(schoolId, 'School ID')}`);
           continue;
         }
       } else {
@@ -111,93 +355,92 @@ function gatherInputs() {
       step = 'action';
 
     } else if (step === 'action') {
-      const isPeopleSoftSchool = typeof inputs.schoolId === 'string' && inputs.schoolId.includes('_peoplesoft');
-      if (inputs.prodChoice === '3') {
-        inputs.action = 'both';
-        formPromptQueue = determineFormPromptQueue(inputs.action, inputs.prodChoice, isPeopleSoftSchool);
-        currentFormPrompt = formPromptQueue.shift();
-        if (currentFormPrompt) {
-          step = 'formName';
-          continue;
+      const isPeopleSoftSchool = isPeopleSoftTarget(inputs);
+      if (has('actions')) {
+        if (has('action') && String(options.action).trim() !== 'custom') {
+          fail('--action', 'cannot be combined with --actions; --actions already lists the test cases to run.');
         }
-        break;
-      } else if (inputs.prodChoice === '1') {
-        console.log('\nSelect Test Case:');
-        console.log('  1) Update Existing Section');
-        console.log('  2) Create New Section Including Meeting and Professor');
-        console.log('  3) Create New Section Without Meeting or Professor');
-        console.log('  4) Edit Existing Relationships');
-        console.log('  5) Create New Relationships');
-        console.log('  6) Inactivate a Section');
-        console.log('  7) All of the Above');
-        
-        let actionChoice = prompt('Enter number [1-7] (or b to go back): ').trim();
-        
-        if (actionChoice.toLowerCase() === 'back' || actionChoice.toLowerCase() === 'b') {
-          step = 'schoolId';
-          continue;
-        }
-        
-        if (!['1','2','3','4','5','6','7'].includes(actionChoice)) {
-          console.log('  ↳ Invalid. Please enter 1, 2, 3, 4, 5, 6 or 7.');
-          continue;
-        }
-        
-        if (actionChoice === '1') inputs.action = 'update';
-        else if (actionChoice === '2') inputs.action = 'create';
-        else if (actionChoice === '3') inputs.action = 'createNoMeetNoProf';
-        else if (actionChoice === '4') inputs.action = 'editRelationships';
-        else if (actionChoice === '5') inputs.action = 'createRelationships';
-        else if (actionChoice === '6') inputs.action = 'inactivateSection';
-        else if (actionChoice === '7') inputs.action = 'all';
-        
-        break;
-        
-      } else if (inputs.prodChoice === '2') {
-        console.log('\nSelect Test Case:');
-        console.log('  1) Update Course through Direct Edit');
-        console.log('  2) Inactivate a Course');
-        console.log('  3) Update Effective Start Date (New Revision)');
-        console.log('  4) Propose New Course');
-        if (isPeopleSoftSchool) {
-          console.log('  5) Update Program (PeopleSoft only)');
-          console.log('  6) Propose New Program (PeopleSoft only)');
-          console.log('  7) All of the Above');
+        const error = validateActionList(options.actions, inputs.prodChoice, isPeopleSoftSchool);
+        if (error) fail('--actions', error);
+        inputs.actions = [...options.actions];
+        inputs.action = 'custom';
+      } else {
+        const menu = getActionMenu(inputs.prodChoice, isPeopleSoftSchool);
+        let actionChoice;
+        if (has('action')) {
+          actionChoice = String(options.action).trim();
+          // Both Products only runs its own bundle or a custom list, not one product's test cases
+          if (inputs.prodChoice === '3' && actionChoice !== 'both' && (getAction(actionChoice) || isBundle(actionChoice))) {
+            fail('--action', `"${actionChoice}" cannot be run with --product 3 (both products). Pass --action both, list the test cases with --actions, or pick the product of "${actionChoice}".`);
+          }
+          const error = validateActionChoice(actionChoice, menu, inputs.prodChoice);
+          if (error) fail('--action', error);
+        } else if (inputs.prodChoice === '3' && acceptDefaults) {
+          // Both Products historically needed no test case choice
+          actionChoice = 'both';
         } else {
-          console.log('  5) All of the Above');
-        }
-        
-        const validChoices = ['1','2','3','4'].concat(isPeopleSoftSchool ? ['5','6','7'] : ['5']);
-        let actionChoice = prompt(`Enter number [${validChoices.join('-')}] (or b to go back): `).trim();
-        
-        if (actionChoice.toLowerCase() === 'back' || actionChoice.toLowerCase() === 'b') {
-          step = 'schoolId';
-          continue;
-        }
-        
-        if (!validChoices.includes(actionChoice)) {
-          console.log(`  ↳ Invalid. Please enter one of: ${validChoices.join(', ')}.`);
-          continue;
+          if (acceptDefaults) fail('--action', validateActionChoice('', menu, inputs.prodChoice));
+          printActionMenu(menu);
+          actionChoice = prompt(`Enter number [1-${menu.length}] (or b to go back): `).trim();
+
+          if (isBackCommand(actionChoice)) {
+            step = inputs.schoolIds ? 'product' : 'schoolId';
+            continue;
+          }
+
+          const error = validateActionChoice(actionChoice, menu, inputs.prodChoice);
+          if (error) {
+            console.log(`  ↳ ${error}`);
+            continue;
+          }
         }
-        
-        if (actionChoice === '1') inputs.action = 'updateCourse';
-        else if (actionChoice === '2') inputs.action = 'inactivateCourse';
-        else if (actionChoice === '3') inputs.action = 'newCourseRevision';
-        else if (actionChoice === '4') inputs.action = 'createCourse';
-        else if (isPeopleSoftSchool && actionChoice === '5') inputs.action = 'updateProgram';
-        else if (isPeopleSoftSchool && actionChoice === '6') inputs.action = 'createProgram';
-        else inputs.action = 'courseAll';
-        
-        formPromptQueue = determineFormPromptQueue(inputs.action, inputs.prodChoice, isPeopleSoftSchool);
-        currentFormPrompt = formPromptQueue.shift();
-        if (currentFormPrompt) {
-          step = 'formName';
+        inputs.action = resolveAction(actionChoice, menu);
+        inputs.actions = null;
+
+        if (inputs.action === 'custom') {
+          if (acceptDefaults) {
+            fail('--actions', `${validateActionList([], inputs.prodChoice, isPeopleSoftSchool)} Pass them as --actions <a,b,...>.`);
+          }
+          step = 'customSelection';
           continue;
         }
-        
-        break;
       }
 
+      if (queueFormPrompts()) {
+        step = 'formName';
+        continue;
+      }
+      break;
+
+    } else if (step === 'customSelection') {
+      const isPeopleSoftSchool = isPeopleSoftTarget(inputs);
+      const available = listTestCases(inputs.prodChoice, isPeopleSoftSchool);
+      console.log('\nSelect Test Cases (they run in the order you enter them, in one Run folder):');
+      available.forEach((name, index) => {
+        const definition = getAction(name);
+        const productTag = inputs.prodChoice === '3' ? ` [${definition.product}]` : '';
+        console.log(`  ${index + 1}) ${definition.label}${productTag}`);
+      });
+
+      const answer = prompt('Enter numbers separated by commas, e.g. 1,3,2 (or b to go back): ').trim();
+      if (isBackCommand(answer)) {
+        step = 'action';
+        continue;
+      }
+
+      const { actions: selected, error: parseError } = parseCustomSelection(answer, available);
+      const error = parseError || validateActionList(selected, inputs.prodChoice, isPeopleSoftSchool);
+      if (error) {
+        console.log(`  ↳ ${error}`);
+        continue;
+      }
+      inputs.actions = selected;
+      console.log(`  ↳ Running: ${selected.join(' → ')}`);
+
+      if (queueFormPrompts()) {
+        step = 'formName';
+        continue;
+      }
       break;
 
     } else if (step === 'formName') {
@@ -206,89 +449,92 @@ function gatherInputs() {
       }
       const formLabel = currentFormPrompt === 'program' ? 'Program' : 'Course';
       const defaultFormName = currentFormPrompt === 'program' ? 'Propose New Program' : 'Propose New Course';
-      console.log(`\n📝 What is ${inputs.schoolId}'s Form Name for ${formLabel} Creation:`);
-      console.log('  You have 2 options:');
-      console.log('  1) Enter a custom form name');
-      console.log(`  2) Press Enter to use default: "${defaultFormName}"`);
-      console.log('  💡 Recommendation: Press Enter now to use default immediately');
-      
-      try {
-        const userInput = prompt('Form Name (or press Enter for default): ');
-        if (userInput.toLowerCase() === 'back' || userInput.toLowerCase() === 'b') {
-          step = 'action';
-          formPromptQueue.unshift(currentFormPrompt);
-          currentFormPrompt = null;
-          continue;
-        }
-        const chosenName = userInput.trim() || defaultFormName;
-        console.log(`  ↳ Using ${userInput.trim() ? 'custom' : 'default'} form name: "${chosenName}"`);
-        if (currentFormPrompt === 'program') {
-          programFormName = chosenName;
-        } else {
-          courseFormName = chosenName;
-        }
-        if (formPromptQueue.length > 0) {
-          currentFormPrompt = formPromptQueue.shift();
-        } else {
-          break;
-        }
-      } catch (error) {
-        const chosenName = defaultFormName;
-        console.log(`  ↳ Using default form name: "${chosenName}"`);
-        if (currentFormPrompt === 'program') {
-          programFormName = chosenName;
-        } else {
-          courseFormName = chosenName;
-        }
-        if (formPromptQueue.length > 0) {
-          currentFormPrompt = formPromptQueue.shift();
-        } else {
-          break;
+      const formOptionKey = currentFormPrompt === 'program' ? 'programFormName' : 'courseFormName';
+      let chosenName;
+
+      if (has(formOptionKey) || acceptDefaults) {
+        const supplied = has(formOptionKey) ? String(options[formOptionKey]).trim() : '';
+        chosenName = supplied || defaultFormName;
+        console.log(`  ↳ Using ${supplied ? 'custom' : 'default'} ${formLabel} form name: "${chosenName}"`);
+      } else {
+        console.log(`\n📝 What is ${inputs.schoolId}'s Form Name for ${formLabel} Creation:`);
+        console.log('  You have 2 options:');
+        console.log('  1) Enter a custom form name');
+        console.log(`  2) Press Enter to use default: "${defaultFormName}"`);
+        console.log('  💡 Recommendation: Press Enter now to use default immediately');
+
+        try {
+          const userInput = prompt('Form Name (or press Enter for default): ');
+          if (isBackCommand(userInput)) {
+            step = 'action';
+            formPromptQueue.unshift(currentFormPrompt);
+            currentFormPrompt = null;
+            continue;
+          }
+          chosenName = userInput.trim() || defaultFormName;
+          console.log(`  ↳ Using ${userInput.trim() ? 'custom' : 'default'} form name: "${chosenName}"`);
+        } catch (error) {
+          chosenName = defaultFormName;
+          console.log(`  ↳ Using default form name: "${chosenName}"`);
         }
       }
+
+      if (currentFormPrompt === 'program') {
+        programFormName = chosenName;
+      } else {
+        courseFormName = chosenName;
+      }
+      if (formPromptQueue.length > 0) {
+        currentFormPrompt = formPromptQueue.shift();
+      } else {
+        break;
+      }
     }
   }
 
-  // Persist session for next run (email, password, env, schoolId)
+  // Persist session for next run (email, password, env, schoolId); a password from
+  // COURSEDOG_PASSWORD is not written to disk
   try {
+    const savedPassword = previous.email === inputs.email ? previous.password : undefined;
     const toSave = {
       email: inputs.email,
-      password: inputs.password,
+      password: passwordFromEnv ? savedPassword : inputs.password,
       env: inputs.env,
-      schoolId: inputs.schoolId
+      schoolId: inputs.schoolId || previous.schoolId
     };
     fs.writeFileSync(sessionPath, JSON.stringify(toSave, null, 2), 'utf8');
   } catch (e) {
     console.log('⚠️ Unable to save session data for reuse.');
   }
 
-  return { 
-    email: inputs.email, 
-    password: inputs.password, 
-    env: inputs.env, 
+  return {
+    email: inputs.email,
+    password: inputs.password,
+    env: inputs.env,
     prodChoice: inputs.prodChoice,
-    productSlug: inputs.productSlug, 
-    schoolId: inputs.schoolId, 
+    productSlug: inputs.productSlug,
+    schoolId: inputs.schoolId || null,
+    schoolIds: inputs.schoolIds || null,
     action: inputs.action,
+    actions: inputs.actions || null,
     courseFormName,
     programFormName
   };
 }
 
-function determineFormPromptQueue(action, prodChoice, isPeopleSoftSchool) {
-  const queue = [];
-  if (action === 'createCourse') {
-    queue.push('course');
-  } else if (action === 'courseAll') {
-    queue.push('course');
-    if (isPeopleSoftSchool) queue.push('program');
-  } else if (action === 'both') {
-    queue.push('course');
-    if (isPeopleSoftSchool) queue.push('program');
-  } else if (action === 'createProgram') {
-    queue.push('program');
-  }
-  return queue;
+// Form names are asked for every action in the run that declares a formType
+function determineFormPromptQueue(action, actions = null, isPeopleSoftSchool = false) {
+  const runActions = action === 'custom' ? actions : expandActions(action, { isPeopleSoftSchool });
+  const formTypes = runActions.map(name => getAction(name)).filter(Boolean).map(definition => definition.formType);
+  return ['course', 'program'].filter(formType => formTypes.includes(formType));
 }
 
-module.exports = { gatherInputs }; 
\ No newline at end of file
+module.exports = {
+  gatherInputs,
+  listTestCases,
+  validateActionList,
+  validateEnv,
+  validateProductChoice,
+  resolveProductChoice,
+  determineFormPromptQueue
+};
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { getProductFolder } = require('./actions');
+const { collectArtifacts } = require('./runResult');
+
+/**
+ * JUnit XML report of a school's run (junit.xml in the Run folder, next to RUN-SUMMARY) for
+ * QA dashboards: one testsuite per product and one testcase per test case. A test case fails
+ * with its RUN-SUMMARY reason, or with the errors of its merge report (the RUN-SUMMARY `Errors`
+ * column) when the test case passed but its merge reported some. Screenshots and the merge report
+ * markdown are attached with the `[[ATTACHMENT|<path>]]` lines of the JUnit attachments convention.
+ */
+
+const JUNIT_FILE = 'junit.xml';
+
+function escapeXml(value) {
+  return String(value)
+    // Control characters other than tab and line breaks are not allowed in XML 1.0
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function attributes(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join('');
+}
+
+function isAttachment(file) {
+  return /\.png$/i.test(file) || file.endsWith('-mergeReportSummary.md');
+}
+
+// <failure>/<skipped> element of a test case, or '' when it passed without merge report errors
+function buildOutcome(result) {
+  if (result.status === 'skipped') {
+    return `      <skipped${attributes({ message: result.reason })}/>\n`;
+  }
+  if (result.status === 'passed') {
+    const mergeReport = result.mergeReport || {};
+    if (!mergeReport.errors) return '';
+    return `      <failure${attributes({ message: mergeReport.errors, type: 'mergeReportError' })}>${escapeXml(`Merge report ${mergeReport.id}: ${mergeReport.errors}`)}</failure>\n`;
+  }
+  const type = result.status === 'merge timed out' ? 'mergeTimedOut' : 'failed';
+  const message = result.reason || result.status;
+  return `      <failure${attributes({ message, type })}>${escapeXml(message)}</failure>\n`;
+}
+
+function buildTestCase(runFolder, schoolId, result) {
+  const product = getProductFolder(result.action);
+  const mergeReport = result.mergeReport || {};
+  let xml = `    <testcase${attributes({ name: result.action, classname: `${schoolId}.${product}` })}>\n`;
+  xml += buildOutcome(result);
+
+  const properties = {
+    status: result.status,
+    mergeReportId: mergeReport.id,
+    mergeReportUrl: mergeReport.url,
+    mergeReportStatus: mergeReport.status,
+    mergeReportErrors: mergeReport.errors
+  };
+  const propertyLines = Object.entries(properties)
+    .filter(([, value]) => value)
+    .map(([name, value]) => `        <property${attributes({ name, value })}/>\n`);
+  xml += `      <properties>\n${propertyLines.join('')}      </properties>\n`;
+
+  const output = collectArtifacts(runFolder, result.action)
+    .filter(isAttachment)
+    .map(file => `[[ATTACHMENT|${path.resolve(runFolder, file)}]]`);
+  if (output.length > 0) {
+    xml += `      <system-out>${escapeXml(output.join('\n'))}</system-out>\n`;
+  }
+  return xml + '    </testcase>\n';
+}
+
+function countOutcomes(results) {
+  const skipped = results.filter(result => result.status === 'skipped').length;
+  const failures = results.filter(result => buildOutcome(result).includes('<failure')).length;
+  return { tests: results.length, failures, errors: 0, skipped };
+}
+
+/**
+ * Builds the JUnit XML of a school's run
+ * @param {Object} run - `schoolId`, `runFolder`, `startedAt` (ISO date) and `actionResults`
+ *   ([{ action, status, reason, mergeReport }], see runResult.js)
+ * @returns {string}
+ */
+function buildJunitXml({ schoolId, runFolder, startedAt, actionResults }) {
+  // One testsuite per product, in the order the products ran
+  const suites = new Map();
+  for (const result of actionResults) {
+    const product = getProductFolder(result.action);
+    if (!suites.has(product)) suites.set(product, []);
+    suites.get(product).push(result);
+  }
+
+  let xml = '<?xml version="1.0" encoding="UTF-8"?>\n';
+  xml += `<testsuites${attributes({ name: `Bi-directional tests - ${schoolId}`, ...countOutcomes(actionResults) })}>\n`;
+  for (const [product, results] of suites) {
+    xml += `  <testsuite${attributes({ name: product, package: schoolId, timestamp: startedAt, ...countOutcomes(results) })}>\n`;
+    xml += results.map(result => buildTestCase(runFolder, schoolId, result)).join('');
+    xml += '  </testsuite>\n';
+  }
+  return xml + '</testsuites>\n';
+}
+
+/**
+ * Writes junit.xml to the Run folder
+ * @param {string} runFolder - Run root folder
+ * @param {Object} run - See buildJunitXml()
+ * @returns {string} - Path of the written file
+ */
+function writeJunitReport(runFolder, run) {
+  const filePath = path.join(runFolder, JUNIT_FILE);
+  fs.writeFileSync(filePath, buildJunitXml({ ...run, runFolder }), 'utf8');
+  return filePath;
+}
+
+module.exports = {
+  JUNIT_FILE,
+  buildJunitXml,
+  writeJunitReport
+};
@@ -0,0 +1,253 @@
+/**
+ * Builds the `<schoolId>-sections-<action>-mergeReportSummary.md` file of a finished merge:
+ * summary, differences, posts, errors and the resulting SIS data. Pure, so that
+ * mergeReportPoller.js does the fetching and file writing and the layout can be tested alone.
+ * The extraction helpers are shared with the HTML run report (htmlReport.js).
+ */
+
+// Summary fields in the order they are shown (_id, mergeGroupId and timestampStart are left out)
+const SUMMARY_KEYS = ['id', 'schoolName', 'status', 'date', 'type', 'termCode', 'scheduleType'];
+
+// Screenshots shown with the merge report, by action: `before` under the summary, `after` under
+// the differences. Files are in the action folder; `file` gets the action name and school ID.
+const SECTION_AFTER_SLOTS = [
+  { label: 'fullModalAfter', file: act => `${act}-section-modal-full-after.png` },
+  { label: 'MeetingPattern-Details-After', file: act => `${act}-section-MeetingPattern-Details-After.png` },
+  { label: 'section-Instructor-Details-After', file: act => `${act}-section-Instructor-Details-After.png` }
+];
+const SCREENSHOT_SLOTS = {
+  update: {
+    before: [
+      { label: 'fullModalBefore', file: act => `${act}-section-modal-full-before.png` },
+      { label: 'MeetingPattern-Details-Before', file: () => 'MeetingPattern-Details-Before.png' },
+      { label: 'section-Instructor-Details-Before', file: () => 'section-Instructor-Details-Before.png' }
+    ],
+    after: SECTION_AFTER_SLOTS
+  },
+  create: { after: SECTION_AFTER_SLOTS },
+  updateCourse: {
+    before: [{ label: 'updateCourse-fullModal-before', file: (act, schoolId) => `${schoolId}-updateCourse-fullModal-before.png` }],
+    after: [{ label: 'updateCourse-fullModal-after', file: (act, schoolId) => `${schoolId}-updateCourse-fullModal-after.png` }]
+  },
+  editRelationships: {
+    before: [{ label: 'update-modal-before', file: act => `${act}-update-modal-before.png` }],
+    after: [{ label: 'update-modal-after', file: act => `${act}-update-modal-after.png` }]
+  }
+};
+
+/**
+ * Screenshots shown with an action's merge report
+ * @param {string} act - Action name
+ * @param {string} schoolId - School ID
+ * @returns {Object} - { before: [{ label, file }], after: [{ label, file }] }
+ */
+function getScreenshotSlots(act, schoolId) {
+  const slots = SCREENSHOT_SLOTS[act] || {};
+  const resolve = list => (list || []).map(slot => ({ label: slot.label, file: slot.file(act, schoolId) }));
+  return { before: resolve(slots.before), after: resolve(slots.after) };
+}
+
+// Runs `visit` for every entry of every step's errors
+function forEachStepError(data, visit) {
+  if (!Array.isArray(data.steps)) return;
+  for (const step of data.steps) {
+    if (Array.isArray(step.errors)) {
+      for (const err of step.errors) visit(err);
+    }
+  }
+}
+
+/**
+ * @param {Object} data - Merge report
+ * @returns {Object[]} - Executed updates with a postType ({ postType, postBody })
+ */
+function getExecutedUpdates(data) {
+  const executedUpdates = [];
+  if (Array.isArray(data.steps)) {
+    for (const step of data.steps) {
+      const exec = step?.misc?.executedUpdates;
+      if (exec && typeof exec === 'object') {
+        for (const [, updates] of Object.entries(exec)) {
+          if (Array.isArray(updates)) {
+            for (const upd of updates) {
+              if (upd && upd.postType) executedUpdates.push(upd);
+            }
+          }
+        }
+      }
+    }
+  }
+  return executedUpdates;
+}
+
+/**
+ * @param {Object} data - Merge report
+ * @returns {string[]} - failedSyncEntityIds of every step
+ */
+function getFailedSyncEntityIds(data) {
+  const failedIds = [];
+  if (Array.isArray(data.steps)) {
+    for (const step of data.steps) {
+      const ids = step?.misc?.failedSyncEntityIds;
+      if (Array.isArray(ids)) {
+        for (const id of ids) failedIds.push(id);
+      }
+    }
+  }
+  return failedIds;
+}
+
+/**
+ * @param {Object} data - Merge report
+ * @returns {string[]} - Error message of every step error
+ */
+function getErrorMessages(data) {
+  const errorMessages = [];
+  forEachStepError(data, err => {
+    if (err && err.error) errorMessages.push(err.error);
+  });
+  return errorMessages;
+}
+
+/**
+ * Details of the step errors: their errorDetails metadata.differences or, when there are none,
+ * the errorDetails error and body.errors
+ * @param {Object} data - Merge report
+ * @returns {Object[]}
+ */
+function getErrorDetails(data) {
+  const detailEntries = [];
+  forEachStepError(data, err => {
+    const details = err?.errorDetails;
+    if (details && typeof details === 'object') {
+      for (const [, arr] of Object.entries(details)) {
+        if (Array.isArray(arr)) detailEntries.push(...arr);
+      }
+    }
+  });
+
+  const errorMetadataDifferences = detailEntries
+    .map(entry => entry?.metadata?.differences)
+    .filter(diffs => diffs !== undefined);
+  if (errorMetadataDifferences.length > 0) return errorMetadataDifferences;
+
+  // Fallback: show errorDetails.error and errorDetails.body.errors
+  const fallbackErrorDetails = [];
+  for (const entry of detailEntries) {
+    const entryError = entry?.error;
+    const bodyErrors = entry?.body?.errors || [];
+    if (entryError !== undefined || (Array.isArray(bodyErrors) && bodyErrors.length > 0)) {
+      fallbackErrorDetails.push({
+        error: entryError,
+        bodyErrors
+      });
+    }
+  }
+  return fallbackErrorDetails;
+}
+
+/**
+ * @param {Object} data - Merge report from /mergeReports/<id>
+ * @returns {Object} - The SUMMARY_KEYS fields present in the report
+ */
+function summarizeMergeReport(data) {
+  const summary = {};
+  for (const key of SUMMARY_KEYS) {
+    if (data[key] !== undefined) summary[key] = data[key];
+  }
+  return summary;
+}
+
+/**
+ * @param {Object} data - Merge report from /mergeReports/<id>
+ * @param {Object} details - `act`: action name; `mergeReportURL`: link to the report in the app;
+ *   `diffText`: the action's field-differences table, or null; `sisData`: resulting-sis-data
+ *   backup, or null when it could not be fetched; `schoolId` and `screenshots` (file names in
+ *   the action folder) to link the action's screenshots (see getScreenshotSlots())
+ * @returns {string} - Markdown
+ */
+function buildMergeReportMarkdown(data, { act, mergeReportURL, diffText = null, sisData = null, schoolId = '', screenshots = [] }) {
+  const summary = summarizeMergeReport(data);
+  let markdown = '## Merge Report Summary\n\n';
+  // Add summary as JSON code block with conflictHandlingMethod before mergeReportURL
+  const conflictHandlingMethod = data?.configuration?.conflictHandlingMethod;
+  const summaryWithUrl = { ...summary };
+  if (conflictHandlingMethod !== undefined) {
+    summaryWithUrl.conflictHandlingMethod = conflictHandlingMethod;
+  }
+  summaryWithUrl.mergeReportURL = mergeReportURL;
+  markdown += '```json\n' + JSON.stringify(summaryWithUrl, null, 2) + '\n```\n\n';
+
+  // Screenshots of the action, linked relative to the markdown file (same folder)
+  const slots = getScreenshotSlots(act, schoolId);
+  const screenshotBlock = list => list.map(({ label, file }) => (screenshots.includes(file)
+    ? `### ${label}\n\n![${label}](${encodeURI(file)})\n\n`
+    : `### ${label}\n\n_Screenshot not captured (${file})._\n\n`)).join('');
+  markdown += screenshotBlock(slots.before);
+
+  markdown += '## Differences\n\n';
+  if (diffText) {
+    // The diff files are markdown tables; embed directly
+    markdown += diffText + '\n';
+  } else {
+    markdown += '_No differences file found._\n';
+  }
+  if (slots.after.length > 0) {
+    markdown += '\n' + screenshotBlock(slots.after);
+  }
+
+  // Add Posts section immediately after Differences
+  markdown += '\n## Posts\n\n';
+  const executedUpdates = getExecutedUpdates(data);
+  if (executedUpdates.length > 0) {
+    for (const upd of executedUpdates) {
+      markdown += `- postType: ${upd.postType}\n`;
+      if (upd.postBody !== undefined) {
+        markdown += '```json\n' + JSON.stringify(upd.postBody, null, 2) + '\n```\n';
+      } else {
+        markdown += '_No postBody available._\n';
+      }
+      markdown += '\n';
+    }
+  } else {
+    markdown += '_No posts executed._\n\n';
+  }
+
+  // Add errors section below Posts
+  markdown += '## Merge Report Errors\n\n';
+  markdown += '### Failed Sync Entity Ids\n';
+  markdown += '```json\n' + JSON.stringify(getFailedSyncEntityIds(data), null, 2) + '\n```\n\n';
+  markdown += '### Error Messages\n';
+  markdown += '```json\n' + JSON.stringify(getErrorMessages(data), null, 2) + '\n```\n\n';
+  markdown += '### Error Metadata Differences\n';
+  markdown += '```json\n' + JSON.stringify(getErrorDetails(data), null, 2) + '\n```\n';
+
+  markdown += '\n## GET after POST\n\n';
+  if (sisData) {
+    const formattedKeys = sisData.formattedData && typeof sisData.formattedData === 'object'
+      ? Object.keys(sisData.formattedData)
+      : [];
+    if (formattedKeys.length === 0) {
+      markdown += '_No formattedData found in response._\n';
+    } else {
+      for (const key of formattedKeys) {
+        markdown += `formattedData.${key}\n`;
+        markdown += '```json\n' + JSON.stringify(sisData.formattedData[key], null, 2) + '\n```\n\n';
+      }
+    }
+  } else {
+    markdown += '_Failed to fetch resulting-sis-data after retries._\n';
+  }
+
+  return markdown;
+}
+
+module.exports = {
+  summarizeMergeReport,
+  getScreenshotSlots,
+  getExecutedUpdates,
+  getFailedSyncEntityIds,
+  getErrorMessages,
+  getErrorDetails,
+  buildMergeReportMarkdown
+};
@@ -1,87 +1,273 @@
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
-const { appendRunSummary, extractStepsStatus, extractErrors, extractMetadataDifferences, generateRunId } = require('./runSummary');
+const { appendRunSummary, getRunRootFolder, extractStepsStatus, extractErrors, extractMetadataDifferences, generateRunId } = require('./runSummary');
+const { getAction } = require('./actions');
+const { getRunState, forkRunState, runWithState, ensureRunLogger, installConsolePrefix } = require('./runState');
+const { CliArgumentError } = require('./cliArgs');
+const { getApiClient } = require('./apiClient');
+const { getBaseUrl } = require('./environment');
+const { summarizeMergeReport, buildMergeReportMarkdown } = require('./mergeReportMarkdown');
+
+
+// Merge history is read this many items at a time, newest first
+const HISTORY_PAGE_SIZE = 20;
+const MAX_HISTORY_PAGES = 10;
+// Local and server clocks may differ; reports started this long before our save still count
+const CLOCK_SKEW_MS = 30000;
+// Backoff never stretches the wait between two polls beyond this
+const MAX_POLL_INTERVAL_MS = 10 * 60000;
 
-let mergeStartTime = null; // Stopwatch start time
+/**
+ * Polling schedule of every action: wait `initialDelayMs`, then poll every `intervalMs`,
+ * multiplying the wait by `backoff` after each poll (1 = fixed interval), and give up
+ * `timeoutMs` after polling started.
+ */
+const DEFAULT_POLLING = {
+  initialDelayMs: 60000,
+  intervalMs: 60000,
+  backoff: 1,
+  timeoutMs: 30 * 60000
+};
+
+// Option key (flag and profile), flag, DEFAULT_POLLING field it sets, its unit in ms and lowest value
+const POLLING_OPTIONS = [
+  { key: 'pollDelay', flag: '--poll-delay', target: 'initialDelayMs', unit: 1000, min: 0 },
+  { key: 'pollInterval', flag: '--poll-interval', target: 'intervalMs', unit: 1000, min: 1 },
+  { key: 'pollBackoff', flag: '--poll-backoff', target: 'backoff', unit: 1, min: 1, fraction: true },
+  { key: 'pollTimeout', flag: '--poll-timeout', target: 'timeoutMs', unit: 60000, min: 1 }
+];
+
+// awsJobStatus values of a merge that is still running; FAILED and SUCCEEDED are terminal
+const IN_PROGRESS_JOB_STATES = ['SUBMITTED', 'PENDING', 'RUNNABLE', 'STARTING', 'RUNNING'];
+
+/**
+ * Raised when the merge job triggered by an action ends in the FAILED state
+ */
+class MergeJobFailedError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} historyItem - Merge-history item of the failed job (diagnostics)
+   */
+  constructor(message, historyItem) {
+    super(message);
+    this.name = 'MergeJobFailedError';
+    this.historyItem = historyItem;
+  }
+}
+
+// Failure reason of a merge-history item, from whichever field merge history fills in
+function getJobFailureReason(item) {
+  const job = item.inProgressMerge || {};
+  const reason = job.statusReason || job.errorMessage || job.error || item.statusReason || item.errorMessage || item.error;
+  if (!reason) return 'No reason given by merge history';
+  return typeof reason === 'string' ? reason : JSON.stringify(reason);
+}
+
+/**
+ * Raised when an action's merge report does not appear before the polling timeout
+ */
+class MergeTimeoutError extends Error {
+  /**
+   * @param {string} message
+   * @param {string|null} lastJobStatus - Last awsJobStatus seen while the merge was in progress
+   */
+  constructor(message, lastJobStatus = null) {
+    super(message);
+    this.name = 'MergeTimeoutError';
+    this.lastJobStatus = lastJobStatus;
+  }
+}
+
+/**
+ * Reads the polling schedule from the parsed command-line options / profile
+ * @param {Object} options - `pollDelay` (s), `pollInterval` (s), `pollBackoff` (factor), `pollTimeout` (min)
+ * @returns {Object} - DEFAULT_POLLING with the passed values applied
+ * @throws {CliArgumentError} When a value is not a number in range, or the first poll would come
+ *   after the timeout (the timeout counts from the end of the test case, before the initial delay)
+ */
+function resolvePollingOptions(options) {
+  const polling = { ...DEFAULT_POLLING };
+  for (const option of POLLING_OPTIONS) {
+    const raw = options[option.key];
+    if (raw === undefined || raw === null) continue;
+    const value = String(raw).trim();
+    const pattern = option.fraction ? /^\d+(\.\d+)?$/ : /^\d+$/;
+    if (!pattern.test(value) || Number(value) < option.min) {
+      const kind = option.fraction ? 'number' : 'whole number';
+      throw new CliArgumentError(`Invalid value for ${option.flag}: Please enter a ${kind} of ${option.min} or more (got "${value}").`);
+    }
+    polling[option.target] = Number(value) * option.unit;
+  }
+  if (polling.initialDelayMs >= polling.timeoutMs) {
+    throw new CliArgumentError(
+      `Invalid value for --poll-delay: The first poll (after ${polling.initialDelayMs / 1000} s) must come before --poll-timeout (${polling.timeoutMs / 60000} min).`
+    );
+  }
+  return polling;
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+
+// Start time (ms) of a merge-history item, or null when the item does not say
+function getItemStartTime(item) {
+  const candidates = [
+    item.mergeReport && item.mergeReport.timestampStart,
+    item.mergeReport && item.mergeReport.date,
+    item.inProgressMerge && item.inProgressMerge.timestampStart,
+    item.inProgressMerge && item.inProgressMerge.createdAt,
+    item.timestampStart,
+    item.createdAt
+  ];
+  for (const value of candidates) {
+    if (value === undefined || value === null) continue;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    if (!Number.isNaN(time)) return time;
+  }
+  return null;
+}
+
+// Ids of the entities a merge-history job ran for
+function getJobEntityIds(job) {
+  return job && Array.isArray(job.entityIds) ? job.entityIds.map(String) : [];
+}
+
+// Ids of the entities a finished report's steps touched. misc.updates and misc.executedUpdates
+// group the updates by entity type (each update carrying its `id`/`_id`) or by entity id, so both
+// the keys and the update ids are taken; entity ids always contain a digit, type names never do
+function getStepEntityIds(steps) {
+  const ids = new Set();
+  for (const step of Array.isArray(steps) ? steps : []) {
+    const misc = (step && step.misc) || {};
+    for (const groups of [misc.updates, misc.executedUpdates]) {
+      if (!groups || typeof groups !== 'object') continue;
+      for (const [key, updates] of Object.entries(groups)) {
+        if (!Array.isArray(updates)) continue;
+        ids.add(key);
+        for (const update of updates) {
+          for (const field of ['id', '_id']) {
+            if (update && update[field] !== undefined && update[field] !== null) ids.add(String(update[field]));
+          }
+        }
+      }
+    }
+    if (Array.isArray(misc.failedSyncEntityIds)) {
+      for (const id of misc.failedSyncEntityIds) ids.add(String(id));
+    }
+  }
+  return ids;
+}
 
 /**
- * Polls the mergeReports API until a new report is found
+ * Polls merge history until the report for the entity the action saved is found.
+ * History is paged newest first until it reaches jobs started before the save. With `entityIds`
+ * a finished report is ours when its steps name one of the ids exactly; without ids, the first
+ * report started after `savedAt` is taken.
  * @param {string} env - Environment ('prd' or 'stg')
  * @param {string} schoolId - School ID
- * @param {string} act - Action type ('update', 'create', 'createNoMeetNoProf', 'relationships', 'editRelationships', 'createRelationships')
- * @returns {Promise<Object>} - Object containing mergeReportId, mergeReportStatus, totalCount, and mergeHistoryUrl
+ * @param {string} act - Action name from the action registry (src/actions); its entityType selects the merge history
+ * @param {Object} target - `entityIds`: ids of the saved entity; `savedAt`: ms timestamp of the save
+ *   (from the action's RunContext.savedEntity)
+ * @param {Object} polling - Schedule from resolvePollingOptions(); defaults to DEFAULT_POLLING
+ * @returns {Promise<Object>} - Object containing mergeReportId, mergeReportStatus, mergeHistoryUrl and
+ *   mergeStartTime (when the merge was first seen in progress, for the stopwatch)
+ * @throws {MergeJobFailedError} When the action's merge job ends in FAILED without a report
+ * @throws {MergeTimeoutError} When no matching report appears within `polling.timeoutMs`
  */
-async function pollMergeReport(env, schoolId, act) {
-  const baseUrl = env === 'prd' 
-    ? 'https://app.coursedog.com' 
-    : 'https://staging.coursedog.com';
-
-  // New endpoint for polling merge statisComplexFieldus
-  let apiUrl;
-  if (act === 'relationships' || act === 'editRelationships' || act === 'createRelationships') {
-    apiUrl = `${baseUrl}/api/v1/int/${schoolId}/integrations-hub/merge-history?page=0&size=1&scheduleType=realtime&entityType=relationships`;
-    console.log(`🔗 [Relationships] Using relationships entity type for ${act} action`);
-  } else if (act === 'createProgram' || act === 'updateProgram') {
-    apiUrl = `${baseUrl}/api/v1/int/${schoolId}/integrations-hub/merge-history?page=0&size=1&scheduleType=realtime&entityType=programs`;
-    console.log(`📚 [Programs] Using programs entity type for ${act} action`);
-  } else if (act === 'updateCourse' || act === 'createCourse' || act === 'inactivateCourse' || act === 'newCourseRevision') {
-    apiUrl = `${baseUrl}/api/v1/int/${schoolId}/integrations-hub/merge-history?page=0&size=1&scheduleType=realtime&entityType=coursesCm`;
-    console.log(`📚 [Curriculum Management] Using coursesCm entity type for ${act} action`);
+async function pollMergeReport(env, schoolId, act, { entityIds = [], savedAt = null } = {}, polling = DEFAULT_POLLING) {
+  const { initialDelayMs, intervalMs, backoff, timeoutMs } = { ...DEFAULT_POLLING, ...polling };
+  const client = getApiClient(env);
+  const baseUrl = getBaseUrl(env);
+
+  // Entity type comes from the action registry; 'relationships' is accepted for the relationships flows
+  const definition = getAction(act);
+  const entityType = definition ? definition.entityType : (act === 'relationships' ? 'relationships' : 'sections');
+  const historyPath = `/api/v1/int/${schoolId}/integrations-hub/merge-history`;
+  const historyParams = (page) => ({ page, size: HISTORY_PAGE_SIZE, scheduleType: 'realtime', entityType });
+  console.log(`📚 [${entityType}] Using ${entityType} entity type for ${act} action`);
+  const since = (savedAt || Date.now()) - CLOCK_SKEW_MS;
+  if (entityIds.length > 0) {
+    console.log(`🎯 Looking for the merge report that references ${entityIds.join(', ')} (saved ${new Date(savedAt || Date.now()).toISOString()})`);
   } else {
-    apiUrl = `${baseUrl}/api/v1/int/${schoolId}/integrations-hub/merge-history?page=0&size=1&scheduleType=realtime&entityType=sections`;
-    console.log(`📚 [Sections] Using sections entity type for ${act} action`);
+    console.log(`🎯 No saved entity id was captured; looking for the first merge report started after ${new Date(since).toISOString()}`);
   }
 
-  // Wait 1 minute before first poll
-  console.log('⏳ Waiting 1 minute before polling merge status...');
-  console.log(`API URL: ${apiUrl}`);
-  await new Promise(resolve => setTimeout(resolve, 60000));
-
-  let lastStatus = null;
-  let lastJobId = null;
-  let started = false;
+  // The timeout covers the initial delay; no wait runs past it
+  const deadline = Date.now() + timeoutMs;
+  const sleepUntilNextPoll = ms => sleep(Math.min(ms, deadline - Date.now()));
+  const seconds = ms => `${Math.round(ms / 1000)}s`;
+
+  console.log(`⏳ Waiting ${seconds(initialDelayMs)} before polling merge status (timeout ${seconds(timeoutMs)})...`);
+  console.log(`API URL: ${baseUrl}${historyPath}?${new URLSearchParams(historyParams(0))}`);
+  await sleepUntilNextPoll(initialDelayMs);
+
+  const checkedReports = new Map(); // mergeReportId -> whether its steps name our entity
+  let mergeStartTime = null; // Stopwatch start time
+  let lastJobStatus = null; // Last awsJobStatus of an in-progress merge, reported on timeout
+  let wait = intervalMs;
+
+  // Whether a finished report's steps name one of our entity ids
+  const referencesEntity = async (reportId) => {
+    if (!checkedReports.has(reportId)) {
+      const report = await client.get(`/api/v1/${schoolId}/mergeReports/${reportId}`);
+      const stepIds = getStepEntityIds(report && report.steps);
+      checkedReports.set(reportId, entityIds.some(id => stepIds.has(String(id))));
+    }
+    return checkedReports.get(reportId);
+  };
 
-  while (true) {
+  while (Date.now() < deadline) {
     try {
-      // Always get a fresh token before each API call
-      const token = await getAuthToken(env, schoolId);
-      const headers = {
-        'Accept': 'application/json, text/plain, */*',
-        'Authorization': `Bearer ${token}`,
-        'Host': env === 'prd' ? 'app.coursedog.com' : 'staging.coursedog.com',
-        'Accept-Encoding': 'gzip, deflate, br',
-        'Connection': 'keep-alive',
-        'Cookie': `isLoggedIn=true; token=${token}`
-      };
-      const response = await axios.get(apiUrl, { headers });
-      const data = response.data;
-
-      // Look for inProgressMerge and mergeReport inside items[0]
-      const firstItem = Array.isArray(data.items) && data.items.length > 0 ? data.items[0] : null;
-
-      if (firstItem && firstItem.inProgressMerge) {
-        if (!started) {
-          mergeStartTime = Date.now();
-          started = true;
-        }
-        const status = firstItem.inProgressMerge.awsJobStatus;
-        const jobId = firstItem.inProgressMerge.awsJobId;
-        const jobName = firstItem.inProgressMerge.awsJobName;
-        console.log(`🔄 Merge in progress. Status: ${status}, JobId: ${jobId}, JobName: ${jobName}`);
-        lastStatus = status;
-        lastJobId = jobId;
-        // If still in progress, wait and poll again
-        if (["SUBMITTED", "RUNNABLE", "STARTING", "RUNNING"].includes(status)) {
-          await new Promise(resolve => setTimeout(resolve, 60000)); // poll every 1 minute
-          continue;
+      let inProgress = null;
+      let match = null;
+      let failedJob = null;
+      let succeededJob = null;
+
+      // Page back until the history reaches jobs started before the save (or runs out): a
+      // newer page without our report does not mean an older one has none
+      for (let page = 0; page < MAX_HISTORY_PAGES; page++) {
+        const history = await client.get(historyPath, { params: historyParams(page) });
+        const items = history && Array.isArray(history.items) ? history.items : [];
+        let reachedOlder = false;
+
+        for (const item of items) {
+          const startTime = getItemStartTime(item);
+          if (startTime !== null && startTime < since) {
+            // Newest first: everything from here on started before our save
+            reachedOlder = true;
+            break;
+          }
+          const job = item.inProgressMerge;
+          if (job && IN_PROGRESS_JOB_STATES.includes(job.awsJobStatus)) {
+            if (!inProgress) inProgress = job;
+            continue;
+          }
+          const report = item.mergeReport;
+          if (!report) {
+            // Terminal job without a report: FAILED ends the poll when the job is ours (it ran for
+            // our entity or, when no id was captured, started after the save); SUCCEEDED waits for
+            // the report to be written
+            const itemIsOurs = entityIds.length > 0
+              ? entityIds.some(id => getJobEntityIds(job).includes(String(id)))
+              : startTime !== null;
+            if (job && job.awsJobStatus === 'FAILED' && itemIsOurs) failedJob = item;
+            if (job && job.awsJobStatus === 'SUCCEEDED' && itemIsOurs) succeededJob = job;
+            continue;
+          }
+          const reportId = report.id || report._id;
+          const isOurs = entityIds.length > 0
+            ? await referencesEntity(reportId)
+            : startTime !== null;
+          if (isOurs) {
+            // Keep the oldest matching report: the one our save triggered
+            match = { report, reportId };
+          }
         }
+        if (reachedOlder || items.length === 0) break;
       }
 
-      if (firstItem && firstItem.mergeReport) {
-        const report = firstItem.mergeReport;
-        const mergeReportId = report.id || report._id;
-        const mergeReportStatus = report.status;
+      if (match) {
+        const mergeReportId = match.reportId;
+        const mergeReportStatus = match.report.status;
         const mergeHistoryUrl = `${baseUrl}/#/int/${schoolId}/merge-history/${mergeReportId}`;
         console.log('🎉 Merge report finished!');
         console.log('📋 mergeReportId:', mergeReportId);
@@ -90,38 +276,152 @@ async function pollMergeReport(env, schoolId, act) {
         return {
           mergeReportId,
           mergeReportStatus,
-          mergeHistoryUrl
+          mergeHistoryUrl,
+          mergeStartTime
         };
       }
 
-      // If neither, wait and poll again
-      console.log('⏳ No merge report yet, polling again in 1 minute...');
-      await new Promise(resolve => setTimeout(resolve, 60000));
+      if (failedJob) {
+        const job = failedJob.inProgressMerge;
+        lastJobStatus = job.awsJobStatus;
+        console.log(`❌ Merge job failed. Status: ${job.awsJobStatus}, JobId: ${job.awsJobId}, JobName: ${job.awsJobName}`);
+        throw new MergeJobFailedError(`${entityType} merge job ${job.awsJobId || ''} FAILED: ${getJobFailureReason(failedJob)}`, failedJob);
+      }
+
+      if (succeededJob && !inProgress) {
+        lastJobStatus = succeededJob.awsJobStatus;
+        console.log(`⏳ Merge job ${succeededJob.awsJobId} SUCCEEDED; waiting for its merge report, polling again in ${seconds(wait)}...`);
+      } else if (inProgress) {
+        if (!mergeStartTime) mergeStartTime = Date.now();
+        lastJobStatus = inProgress.awsJobStatus || lastJobStatus;
+        console.log(`🔄 Merge in progress. Status: ${inProgress.awsJobStatus}, JobId: ${inProgress.awsJobId}, JobName: ${inProgress.awsJobName}`);
+      } else {
+        console.log(`⏳ No matching merge report yet, polling again in ${seconds(wait)}...`);
+      }
     } catch (error) {
+      if (error instanceof MergeJobFailedError) throw error;
       console.error('❌ Error polling merge status:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
+      if (error.status) {
+        console.error('Response status:', error.status);
+        console.error('Response data:', error.body);
       }
-      // Wait and try again
-      await new Promise(resolve => setTimeout(resolve, 15000));
+      console.log(`  ↳ Retrying in ${seconds(wait)}...`);
     }
+    // Wait and poll again, backing off up to MAX_POLL_INTERVAL_MS
+    await sleepUntilNextPoll(wait);
+    wait = Math.min(wait * backoff, Math.max(intervalMs, MAX_POLL_INTERVAL_MS));
   }
+
+  const wanted = entityIds.length > 0
+    ? `referencing ${entityIds.join(', ')}`
+    : `started after ${new Date(since).toISOString()}`;
+  throw new MergeTimeoutError(
+    `No ${entityType} merge report ${wanted} appeared within ${seconds(timeoutMs)} (last awsJobStatus: ${lastJobStatus || 'none seen'}).`,
+    lastJobStatus
+  );
 }
 
 /**
  * Main function to extract termCode and start polling
  * @param {string} env - Environment ('prd' or 'stg')
  * @param {string} schoolId - School ID
- * @param {string} token - Bearer token
+ * @param {string} act - Action name
+ * @param {string} outputDir - Run folder the report files are written to
  * @param {boolean} isSecondRun - Whether this is the second run (for relationships)
- * @returns {Promise<Object>} - Object containing mergeReportId, mergeReportStatus, totalCount, and mergeHistoryUrl
+ * @param {Object} target - Saved entity to match the report against; see pollMergeReport()
+ * @param {Object} polling - Polling schedule; see resolvePollingOptions()
+ * @returns {Promise<Object>} - Object containing mergeReportId, mergeReportStatus, mergeHistoryUrl, and
+ *   errors (first merge report error, or null)
  */
-async function startMergeReportPolling(env, schoolId, act, outputDir, isSecondRun = false) {
+async function startMergeReportPolling(env, schoolId, act, outputDir, isSecondRun = false, target = {}, polling = DEFAULT_POLLING) {
   
-  const mergeReportData = await pollMergeReport(env, schoolId, act);
-  await getMergeReportDetails(env, schoolId, mergeReportData.mergeReportId, act, outputDir, isSecondRun);
-  return mergeReportData;
+  let mergeReportData;
+  try {
+    mergeReportData = await pollMergeReport(env, schoolId, act, target, polling);
+  } catch (error) {
+    if (error instanceof MergeJobFailedError) {
+      await recordFailedMerge(env, schoolId, act, outputDir, error, isSecondRun);
+    }
+    throw error;
+  }
+  const details = await getMergeReportDetails(env, schoolId, mergeReportData.mergeReportId, act, outputDir, isSecondRun, mergeReportData.mergeStartTime);
+  return { ...mergeReportData, errors: details.errors };
+}
+
+/**
+ * Writes the diagnostics of a FAILED merge job to the action's markdown summary and adds a
+ * failed-merge row to the RUN-SUMMARY
+ * @param {string} env - Environment ('prd' or 'stg')
+ * @param {string} schoolId - School ID
+ * @param {string} act - Action name
+ * @param {string} outputDir - Action subfolder
+ * @param {MergeJobFailedError} error - Error raised by pollMergeReport()
+ * @param {boolean} isSecondRun - Whether this is the second run (for relationships)
+ */
+async function recordFailedMerge(env, schoolId, act, outputDir, error, isSecondRun = false) {
+  const mergeHistoryUrl = `${getBaseUrl(env)}/#/int/${schoolId}/merge-history`;
+  const item = error.historyItem || {};
+  const job = item.inProgressMerge || {};
+  const reason = getJobFailureReason(item);
+
+  try {
+    let markdown = '## Merge Job Failed\n\n';
+    markdown += `The merge job for this test case ended with awsJobStatus \`${job.awsJobStatus}\` and no merge report.\n\n`;
+    markdown += `- Job ID: ${job.awsJobId || 'N/A'}\n`;
+    markdown += `- Job name: ${job.awsJobName || 'N/A'}\n`;
+    markdown += `- Reason: ${reason}\n`;
+    markdown += `- Merge history: ${mergeHistoryUrl}\n\n`;
+    markdown += '## Merge History Entry\n\n';
+    markdown += '```json\n' + JSON.stringify(item, null, 2) + '\n```\n';
+
+    const mdFileName = `${schoolId}-sections-${act}${isSecondRun ? '-create' : ''}-mergeReportSummary.md`;
+    const mdFilePath = path.join(outputDir, mdFileName);
+    fs.writeFileSync(mdFilePath, markdown, 'utf8');
+    console.log(`✅ Saved failed merge diagnostics to ${mdFilePath}`);
+
+    await appendRunSummary(
+      getRunRootFolder(outputDir),
+      generateRunId(act),
+      mergeHistoryUrl,
+      'failed',
+      `Merge job ${job.awsJobStatus}`,
+      new Date().toISOString(),
+      schoolId,
+      act,
+      reason.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ')
+    );
+  } catch (summaryError) {
+    console.error('❌ Failed to record the failed merge:', summaryError.message);
+  }
+}
+
+/**
+ * Runs startMergeReportPolling() as a background task so the next action can start while the
+ * merge completes. Its output goes to the action's Logs.md and is prefixed with the action name
+ * in the terminal. The returned promise never rejects.
+ * @param {string} env - Environment ('prd' or 'stg')
+ * @param {string} schoolId - School ID
+ * @param {string} act - Action name
+ * @param {string} outputDir - Action subfolder the merge report summary is written to
+ * @param {Object} target - Saved entity to match the report against; see pollMergeReport()
+ * @param {Object} polling - Polling schedule; see resolvePollingOptions()
+ * @returns {Promise<Object>} - { act, outputDir, success, mergeReportData } or { act, outputDir, success: false, error }
+ */
+function pollMergeReportInBackground(env, schoolId, act, outputDir, target = {}, polling = DEFAULT_POLLING) {
+  installConsolePrefix();
+  const parentLabel = getRunState().label;
+  const state = forkRunState({ label: parentLabel ? `${parentLabel}/${act}` : act });
+
+  return runWithState(state, async () => {
+    ensureRunLogger(outputDir);
+    try {
+      const mergeReportData = await startMergeReportPolling(env, schoolId, act, outputDir, false, target, polling);
+      return { act, outputDir, success: true, mergeReportData };
+    } catch (error) {
+      console.error(`❌ Merge report polling for ${act} failed: ${error.message}`);
+      return { act, outputDir, success: false, error };
+    }
+  });
 }
 
 /**
@@ -129,242 +429,48 @@ async function startMergeReportPolling(env, schoolId, act, outputDir, isSecondRu
  * @param {string} env - Environment ('prd' or 'stg')
  * @param {string} schoolId - School ID
  * @param {string} mergeReportId - Merge Report ID
- * @param {string} token - Bearer token
+ * @param {string} act - Action name
+ * @param {string} outputDir - Run folder the report files are written to
  * @param {boolean} isSecondRun - Whether this is the second run (for relationships)
- * @returns {Promise<Object>} - The merge report details object
+ * @param {number|null} mergeStartTime - Stopwatch start from pollMergeReport(); defaults to now
+ * @returns {Promise<Object>} - The merge report details object: { summary, steps, errors } where
+ *   errors is the first merge report error (extractErrors()), or null
  */
-async function getMergeReportDetails(env, schoolId, mergeReportId, act, outputDir, isSecondRun = false) {
-  const baseUrl = env === 'prd'
-    ? 'https://app.coursedog.com/api/v1'
-    : 'https://staging.coursedog.com/api/v1';
-
-  const url = `${baseUrl}/${schoolId}/mergeReports/${mergeReportId}`;
-
-  // Always get a fresh token before each API call
-  const token = await getAuthToken(env, schoolId);
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'Accept': 'application/json',
-    'Cache-Control': 'no-cache'
-  };
+async function getMergeReportDetails(env, schoolId, mergeReportId, act, outputDir, isSecondRun = false, mergeStartTime = null) {
+  const client = getApiClient(env);
+  const baseUrl = getBaseUrl(env);
+  const reportPath = `/api/v1/${schoolId}/mergeReports/${mergeReportId}`;
 
   try {
     const startTime = mergeStartTime || Date.now();
-    const axios = require('axios');
-    const response = await axios.get(url, { headers });
-    const data = response.data;
-
-    // Extract summary (ordered, exclude _id, mergeGroupId, timestampStart)
-    const summary = {};
-    const orderedKeys = ['id', 'schoolName', 'status', 'date', 'type', 'termCode', 'scheduleType'];
-    for (const key of orderedKeys) {
-      if (data[key] !== undefined) summary[key] = data[key];
-    }
+    const data = await client.get(reportPath);
+
+    const summary = summarizeMergeReport(data);
     // Only include steps with a postBody
     const steps = Array.isArray(data.steps)
       ? data.steps.filter(step => step.misc && step.misc.updates && Object.values(step.misc.updates).some(arr => Array.isArray(arr) && arr.some(obj => obj.postBody)))
       : [];
 
-    const result = { summary, steps };
-
-    // Save to file
-    //const fileName = `${schoolId}-sections-${act}${isSecondRun ? '-create' : ''}-mergeReportDetails.json`;
-    //const filePath = path.join(outputDir, fileName);
-    //fs.writeFileSync(filePath, JSON.stringify(result, null, 2));
-    //console.log(`✅ Saved merge report summary and steps to ${filePath}`);
-
-    // --- Create Markdown summary file ---
-    let markdown = '## Merge Report Summary\n\n';
-    // Add summary as JSON code block with conflictHandlingMethod before mergeReportURL
-    const conflictHandlingMethod = data?.configuration?.conflictHandlingMethod;
-    const summaryWithUrl = { ...summary };
-    if (conflictHandlingMethod !== undefined) {
-      summaryWithUrl.conflictHandlingMethod = conflictHandlingMethod;
-    }
-    summaryWithUrl.mergeReportURL = `${baseUrl.replace('/api/v1','')}/#/int/${schoolId}/merge-history/${mergeReportId}`;
-    markdown += '```json\n' + JSON.stringify(summaryWithUrl, null, 2) + '\n```\n\n';
-
-    // Placeholders under Summary for specific actions
-    const placeholderBlock = (label) => `=============\nPlaceholder for ${label} screenshot\n=============\n`;
-    if (act === 'update') {
-      markdown += placeholderBlock('fullModalBefore');
-      markdown += placeholderBlock('MeetingPattern-Details-Before');
-      markdown += placeholderBlock('section-Instructor-Details-Before');
-      markdown += '\n';
-    } else if (act === 'updateCourse') {
-      markdown += placeholderBlock('updateCourse-fullModal-before');
-      markdown += '\n';
-    } else if (act === 'editRelationships') {
-      markdown += placeholderBlock('update-modal-before');
-      markdown += '\n';
-    }
+    const errors = extractErrors(data.steps);
+    const result = { summary, steps, errors: errors === 'N/A' ? null : errors };
 
-    // Always try to read differences file regardless of action type
-    markdown += '## Differences\n\n';
-    // Look for diff file with timestamp pattern
-    const files = fs.readdirSync(outputDir);
+    // Differences file written by the action
     const diffFilePattern = new RegExp(`${schoolId}-.*-field-differences-.*\\.txt$`);
-    const diffFile = files.find(file => diffFilePattern.test(file));
-    
-    if (diffFile) {
-      const diffFilePath = path.join(outputDir, diffFile);
-      const diffText = fs.readFileSync(diffFilePath, 'utf8');
-      // The diff files are now markdown tables; embed directly
-      markdown += diffText + '\n';
-    } else {
-      markdown += '_No differences file found._\n';
-    }
-
-    // Placeholders under Differences for specific actions
-    if (act === 'update' || act === 'create') {
-      markdown += placeholderBlock('fullModalAfter');
-      markdown += placeholderBlock('MeetingPattern-Details-After');
-      markdown += placeholderBlock('section-Instructor-Details-After');
-      markdown += '\n';
-    } else if (act === 'updateCourse') {
-      markdown += placeholderBlock('updateCourse-fullModal-after');
-      markdown += '\n';
-    } else if (act === 'editRelationships') {
-      markdown += placeholderBlock('update-modal-after');
-      markdown += '\n';
-    }
-
-    // Add Posts section immediately after Differences
-    markdown += '\n## Posts\n\n';
-    const executedUpdates = [];
-    if (Array.isArray(data.steps)) {
-      for (const step of data.steps) {
-        const exec = step?.misc?.executedUpdates;
-        if (exec && typeof exec === 'object') {
-          for (const [, updates] of Object.entries(exec)) {
-            if (Array.isArray(updates)) {
-              for (const upd of updates) {
-                if (upd && upd.postType) executedUpdates.push(upd);
-              }
-            }
-          }
-        }
-      }
-    }
-    if (executedUpdates.length > 0) {
-      for (const upd of executedUpdates) {
-        markdown += `- postType: ${upd.postType}\n`;
-        if (upd.postBody !== undefined) {
-          markdown += '```json\n' + JSON.stringify(upd.postBody, null, 2) + '\n```\n';
-        } else {
-          markdown += '_No postBody available._\n';
-        }
-        markdown += '\n';
-      }
-    } else {
-      markdown += '_No posts executed._\n\n';
-    }
-
-    // Add errors section below Posts
-    markdown += '## Merge Report Errors\n\n';
-    // failedSyncEntityIds header
-    const failedIds = [];
-    if (Array.isArray(data.steps)) {
-      for (const step of data.steps) {
-        const ids = step?.misc?.failedSyncEntityIds;
-        if (Array.isArray(ids)) {
-          for (const id of ids) failedIds.push(id);
-        }
-      }
-    }
-    markdown += '### Failed Sync Entity Ids\n';
-    markdown += '```json\n' + JSON.stringify(failedIds, null, 2) + '\n```\n\n';
-
-    // error messages
-    const errorMessages = [];
-    if (Array.isArray(data.steps)) {
-      for (const step of data.steps) {
-        if (Array.isArray(step.errors)) {
-          for (const err of step.errors) {
-            if (err && err.error) errorMessages.push(err.error);
-          }
-        }
-      }
-    }
-    markdown += '### Error Messages\n';
-    markdown += '```json\n' + JSON.stringify(errorMessages, null, 2) + '\n```\n\n';
-
-    // errorDetails metadata.differences (with fallback to error and body.errors)
-    const errorMetadataDifferences = [];
-    if (Array.isArray(data.steps)) {
-      for (const step of data.steps) {
-        if (Array.isArray(step.errors)) {
-          for (const err of step.errors) {
-            const details = err?.errorDetails;
-            if (details && typeof details === 'object') {
-              for (const [, arr] of Object.entries(details)) {
-                if (Array.isArray(arr)) {
-                  for (const entry of arr) {
-                    const diffs = entry?.metadata?.differences;
-                    if (diffs !== undefined) errorMetadataDifferences.push(diffs);
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-    }
-    markdown += '### Error Metadata Differences\n';
-    if (errorMetadataDifferences.length > 0) {
-      markdown += '```json\n' + JSON.stringify(errorMetadataDifferences, null, 2) + '\n```\n';
-    } else {
-      // Fallback: show errorDetails.error and errorDetails.body.errors
-      const fallbackErrorDetails = [];
-      if (Array.isArray(data.steps)) {
-        for (const step of data.steps) {
-          if (Array.isArray(step.errors)) {
-            for (const err of step.errors) {
-              const details = err?.errorDetails;
-              if (details && typeof details === 'object') {
-                for (const [, arr] of Object.entries(details)) {
-                  if (Array.isArray(arr)) {
-                    for (const entry of arr) {
-                      const entryError = entry?.error;
-                      const bodyErrors = entry?.body?.errors || [];
-                      if (entryError !== undefined || (Array.isArray(bodyErrors) && bodyErrors.length > 0)) {
-                        fallbackErrorDetails.push({
-                          error: entryError,
-                          bodyErrors
-                        });
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      }
-      markdown += '```json\n' + JSON.stringify(fallbackErrorDetails, null, 2) + '\n```\n';
-    }
+    const diffFile = fs.readdirSync(outputDir).find(file => diffFilePattern.test(file));
+    const diffText = diffFile ? fs.readFileSync(path.join(outputDir, diffFile), 'utf8') : null;
 
-    // GET resulting-sis-data and persist to file, then append to markdown (with retries)
+    // GET resulting-sis-data and persist to file (with retries)
+    let sisData = null;
     {
-      const baseHost = baseUrl.replace('/api/v1','');
-      const sisUrl = `${baseHost}/api/v1/${schoolId}/integration/getMergeReportBackup?backupType=resulting-sis-data&getHeadInfo=false&mergeReportId=${encodeURIComponent(mergeReportId)}`;
-      console.log(`API URL: ${sisUrl}`);
+      const sisPath = `/api/v1/${schoolId}/integration/getMergeReportBackup`;
+      const sisParams = { backupType: 'resulting-sis-data', getHeadInfo: false, mergeReportId };
+      console.log(`API URL: ${baseUrl}${sisPath}?${new URLSearchParams(sisParams)}`);
       const maxAttempts = 3;
       let lastErr = null;
-      let sisData = null;
       for (let attempt = 1; attempt <= maxAttempts; attempt++) {
         try {
-          // Get fresh token before each attempt
-          console.log(`🔐 Re-authenticating for GET after POST attempt ${attempt}/${maxAttempts}...`);
-          const freshToken = await getAuthToken(env, schoolId);
-          const sisHeaders = {
-            'Authorization': `Bearer ${freshToken}`,
-            'Accept': 'application/json'
-          };
-          
           console.log(`🔁 GET after POST attempt ${attempt}/${maxAttempts}...`);
-          const sisResp = await axios.get(sisUrl, { headers: sisHeaders });
-          sisData = sisResp.data;
+          sisData = await client.get(sisPath, { params: sisParams });
           break;
         } catch (err) {
           lastErr = err;
@@ -376,33 +482,23 @@ async function getMergeReportDetails(env, schoolId, mergeReportId, act, outputDi
         }
       }
 
-      markdown += '\n## GET after POST\n\n';
       if (sisData) {
-        const sisOutPath = path.join(outputDir, 'dataAfterSync.json');
-        fs.writeFileSync(sisOutPath, JSON.stringify(sisData, null, 2), 'utf8');
-        if (sisData && sisData.formattedData && typeof sisData.formattedData === 'object') {
-          const formattedKeys = Object.keys(sisData.formattedData);
-          if (formattedKeys.length === 0) {
-            markdown += '_No formattedData found in response._\n';
-          } else {
-            for (const key of formattedKeys) {
-              markdown += `formattedData.${key}\n`;
-              markdown += '```json\n' + JSON.stringify(sisData.formattedData[key], null, 2) + '\n```\n\n';
-            }
-          }
-        } else {
-          markdown += '_No formattedData found in response._\n';
-        }
+        fs.writeFileSync(path.join(outputDir, 'dataAfterSync.json'), JSON.stringify(sisData, null, 2), 'utf8');
       } else {
         console.error('❌ Failed GET after POST (resulting-sis-data) after retries:', lastErr && lastErr.message ? lastErr.message : lastErr);
-        markdown += '_Failed to fetch resulting-sis-data after retries._\n';
       }
     }
 
-    const mdFileName = `${schoolId}-sections-${act}${isSecondRun ? '-create' : ''}-mergeReportSummary.md`;
-    const mdFilePath = path.join(outputDir, mdFileName);
+    const mergeReportURL = `${baseUrl}/#/int/${schoolId}/merge-history/${mergeReportId}`;
+    const screenshots = fs.readdirSync(outputDir);
+    const markdown = buildMergeReportMarkdown(data, { act, mergeReportURL, diffText, sisData, schoolId, screenshots });
+
+    const fileBaseName = `${schoolId}-sections-${act}${isSecondRun ? '-create' : ''}`;
+    const mdFilePath = path.join(outputDir, `${fileBaseName}-mergeReportSummary.md`);
     fs.writeFileSync(mdFilePath, markdown, 'utf8');
     console.log(`✅ Saved merge report markdown summary to ${mdFilePath}`);
+    // The full report, for the HTML run report (htmlReport.js)
+    fs.writeFileSync(path.join(outputDir, `${fileBaseName}-mergeReport.json`), JSON.stringify({ mergeReportURL, report: data }, null, 2), 'utf8');
     //console.dir(result, { depth: null, colors: true });
 
     // --- Create Run Summary Entry ---
@@ -410,17 +506,11 @@ async function getMergeReportDetails(env, schoolId, mergeReportId, act, outputDi
       // Extract merge report status from steps
       const mergeReportStatus = extractStepsStatus(data.steps);
       
-      // Extract errors from steps
-      const errors = extractErrors(data.steps);
-      
       // Generate unique run ID
       const runId = generateRunId(act);
       
-      // Get the Run root folder (parent of outputDir which is the action subfolder)
-      const runRootFolder = path.dirname(outputDir);
-      
-      // Create merge report URL
-      const mergeReportURL = `${baseUrl.replace('/api/v1','')}/#/int/${schoolId}/merge-history/${mergeReportId}`;
+      // Get the Run root folder (outputDir is Run-<timestamp>/<Product>/<action>)
+      const runRootFolder = getRunRootFolder(outputDir);
       
       // Determine overall run status based on merge report
       const runStatus = summary.status || 'completed';
@@ -449,77 +539,26 @@ async function getMergeReportDetails(env, schoolId, mergeReportId, act, outputDi
     const elapsed = ((Date.now() - startTime) / 1000).toFixed(2);
     console.log(`⏱️ Merge process took ${elapsed} seconds.`);
     console.log('\n =================== END OF RUN =================== \n');
-    mergeStartTime = null;
 
     return result;
   } catch (error) {
     console.error('❌ Failed to fetch merge report details:', error.message);
-    if (error.response) {
-      console.error('Response status:', error.response.status);
-      console.error('Response data:', error.response.data);
+    if (error.status) {
+      console.error('Response status:', error.status);
+      console.error('Response data:', error.body);
     }
     throw error;
   }
 }
 
-async function getAuthToken(env, schoolId) {
-    const baseUrl = env === 'prd' 
-      ? 'https://app.coursedog.com' 
-      : 'https://staging.coursedog.com';
-  
-    const url = `${baseUrl}/api/v1/sessions`;
-  
-    const headers = {
-      'Content-Type': 'application/json',
-      'Accept': '*/*',
-      'Cache-Control': 'no-cache',
-      'Host': env === 'prd' ? 'app.coursedog.com' : 'staging.coursedog.com',
-      'Accept-Encoding': 'gzip, deflate, br',
-      'Connection': 'keep-alive'
-    };
-  
-    // Load credentials from creds.json
-    let creds = { email: '', password: '' };
-    try {
-      const credsPath = path.join(__dirname, 'creds.json');
-      if (fs.existsSync(credsPath)) {
-        creds = JSON.parse(fs.readFileSync(credsPath, 'utf8'));
-      }
-    } catch (_) {}
-
-    const body = {
-      email: creds.email,
-      password: creds.password
-    };
-  
-    try {
-      console.log(`🔐 Re-authenticating...`);
-      
-      const response = await axios.post(url, body, { headers });
-      
-      if (response.data && response.data.token) {
-        console.log('✅ Authentication successful');
-        const token = response.data.token;
-        
-        // Fetch section template after successful authentication
-        // await pollMergeReport(token, schoolId, env); // This line was removed as per the edit hint
-        
-        return token;
-      } else {
-        throw new Error('No token received in response');
-      }
-    } catch (error) {
-      console.error('❌ Authentication failed:', error.message);
-      if (error.response) {
-        console.error('Response status:', error.response.status);
-        console.error('Response data:', error.response.data);
-      }
-      throw error;
-    }
-  }
-
 module.exports = { 
+  DEFAULT_POLLING,
+  IN_PROGRESS_JOB_STATES,
+  MergeJobFailedError,
+  MergeTimeoutError,
+  resolvePollingOptions,
   pollMergeReport, 
   startMergeReportPolling,
+  pollMergeReportInBackground,
   getMergeReportDetails 
 }; 
\ No newline at end of file
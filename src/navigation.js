@@ -1,7 +1,7 @@
+const { getBaseUrl } = require('./environment');
+
 async function goToProduct(page, productSlug, env) {
-  const baseUrl = env === 'prd'
-    ? 'https://app.coursedog.com'
-    : 'https://staging.coursedog.com';
+  const baseUrl = getBaseUrl(env);
 
   await page.goto(`${baseUrl}/#/${productSlug}`, { waitUntil: 'domcontentloaded' });
   await page.waitForSelector('nav[data-test="app-navigation"]', { timeout: 60000 });
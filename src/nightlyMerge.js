@@ -0,0 +1,143 @@
+const { getApiClient } = require('./apiClient');
+const { CliArgumentError } = require('./cliArgs');
+const { getAction } = require('./actions');
+const { IN_PROGRESS_JOB_STATES } = require('./mergeReportPoller');
+
+/**
+ * Scheduled (nightly) merge detection through the merge history API. A test case saved while a
+ * nightly merge runs gets its realtime merge queued behind it or mixed into it, so a run checks
+ * the entity types it touches before launching the browser and before each test case.
+ *
+ * By default a merge in progress ends the school's run. With --merge-wait <minutes> (profile key
+ * `mergeWait`) the run waits up to that long for the merge to finish, then resumes. The merge
+ * alert of the product page goes through the same wait (see the `alert` option of checkNightlyMerge()).
+ */
+
+// Wait between two merge history checks while waiting for a nightly merge
+const DEFAULT_CHECK_INTERVAL_MS = 60000;
+
+/**
+ * Reads --merge-wait from the parsed command-line options / profile
+ * @param {Object} options - `mergeWait` in minutes
+ * @returns {number} - Longest wait in ms; 0 ends the run as soon as a nightly merge is found
+ * @throws {CliArgumentError} When the value is not a whole number of 0 or more
+ */
+function resolveMergeWait(options) {
+  if (options.mergeWait === undefined || options.mergeWait === null) return 0;
+  const value = String(options.mergeWait).trim();
+  if (!/^\d+$/.test(value)) {
+    throw new CliArgumentError(`Invalid value for --merge-wait: Please enter a whole number of 0 or more (got "${value}").`);
+  }
+  return Number(value) * 60000;
+}
+
+/**
+ * Entity types whose nightly merge would interfere with the given actions
+ * @param {string[]} actions - Action names from the action registry
+ * @returns {string[]}
+ */
+function getMergeEntityTypes(actions) {
+  const entityTypes = [];
+  for (const definition of actions.map(getAction).filter(Boolean)) {
+    for (const entityType of [definition.entityType, ...(definition.preflightEntities || [])]) {
+      if (entityType && !entityTypes.includes(entityType)) entityTypes.push(entityType);
+    }
+  }
+  return entityTypes;
+}
+
+/**
+ * Lists the scheduled merges in progress for the entity types
+ * @param {string} env - Environment ('prd' or 'stg')
+ * @param {string} schoolId - School ID
+ * @param {string[]} entityTypes - Merge history entity types (sections, relationships, coursesCm, programs)
+ * @returns {Promise<Object[]>} - [{ entityType, jobId, jobName, status }]
+ */
+async function findNightlyMerges(env, schoolId, entityTypes) {
+  const client = getApiClient(env);
+  const merges = [];
+  for (const entityType of entityTypes) {
+    const history = await client.get(`/api/v1/int/${schoolId}/integrations-hub/merge-history`, {
+      params: { page: 0, size: 20, scheduleType: 'scheduled', entityType }
+    });
+    const items = history && Array.isArray(history.items) ? history.items : [];
+    for (const item of items) {
+      const job = item.inProgressMerge;
+      if (job && IN_PROGRESS_JOB_STATES.includes(job.awsJobStatus)) {
+        merges.push({ entityType, jobId: job.awsJobId || null, jobName: job.awsJobName || null, status: job.awsJobStatus });
+      }
+    }
+  }
+  return merges;
+}
+
+function describeMerges(merges) {
+  return merges.map(merge => `${merge.entityType} (${merge.status}${merge.jobName ? `, ${merge.jobName}` : ''})`).join(', ');
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, Math.max(0, ms)));
+
+/**
+ * Checks for nightly merges and, when `waitMs` allows, waits for them to finish
+ * @param {string} env - Environment ('prd' or 'stg')
+ * @param {string} schoolId - School ID
+ * @param {string[]} entityTypes - Entity types to check (see getMergeEntityTypes())
+ * @param {Object} options - `waitMs` (from resolveMergeWait()), `intervalMs` between checks, and
+ *   `alert`: description of a merge the app already reported (its merge alert); the merge is then
+ *   waited for even when the merge history does not list it yet
+ * @returns {Promise<Object>} - { decision, message, waitedMs } where decision is
+ *   'clear' (no merge in progress), 'resumed' (waited until it finished) or 'abort'
+ */
+async function checkNightlyMerge(env, schoolId, entityTypes, { waitMs = 0, intervalMs = DEFAULT_CHECK_INTERVAL_MS, alert = null } = {}) {
+  const startedAt = Date.now();
+  const minutes = ms => `${Math.round(ms / 60000)} min`;
+  let merges;
+  try {
+    merges = await findNightlyMerges(env, schoolId, entityTypes);
+  } catch (error) {
+    // The browser-side alert check still applies; an unreadable history does not stop the run
+    console.log(`⚠️ Could not check for nightly merges: ${error.message}`);
+    if (!alert) return { decision: 'clear', message: `Nightly merge check skipped: ${error.message}`, waitedMs: 0 };
+    merges = [];
+  }
+  if (merges.length === 0 && !alert) {
+    console.log(`✅ No nightly merge in progress (${entityTypes.join(', ')}).`);
+    return { decision: 'clear', message: `No nightly merge in progress (${entityTypes.join(', ')}).`, waitedMs: 0 };
+  }
+
+  const found = merges.length > 0 ? describeMerges(merges) : alert;
+  if (waitMs <= 0) {
+    console.log(`\n🌙 A nightly merge is in progress for ${schoolId}: ${found}. Pass --merge-wait <minutes> to wait for it instead.`);
+    return { decision: 'abort', message: `Nightly merge in progress: ${found}. Run stopped (no --merge-wait).`, waitedMs: 0 };
+  }
+
+  console.log(`\n🌙 A nightly merge is in progress for ${schoolId}: ${found}. Waiting up to ${minutes(waitMs)} for it to finish...`);
+  const deadline = startedAt + waitMs;
+  while (Date.now() < deadline) {
+    await sleep(Math.min(intervalMs, deadline - Date.now()));
+    try {
+      merges = await findNightlyMerges(env, schoolId, entityTypes);
+    } catch (error) {
+      console.log(`  ↳ Nightly merge check failed (${error.message}); checking again...`);
+      continue;
+    }
+    if (merges.length === 0) {
+      const waitedMs = Date.now() - startedAt;
+      console.log(`✅ Nightly merge finished after ${minutes(waitedMs)}; resuming the run.`);
+      return { decision: 'resumed', message: `Nightly merge in progress: ${found}. Waited ${minutes(waitedMs)} for it to finish, then resumed.`, waitedMs };
+    }
+    console.log(`  ↳ Still in progress: ${describeMerges(merges)}`);
+  }
+
+  const waitedMs = Date.now() - startedAt;
+  const stillRunning = merges.length > 0 ? describeMerges(merges) : found;
+  console.log(`❌ The nightly merge was still running after ${minutes(waitedMs)}.`);
+  return { decision: 'abort', message: `Nightly merge in progress: ${stillRunning}. Still running after the ${minutes(waitMs)} --merge-wait; run stopped.`, waitedMs };
+}
+
+module.exports = {
+  resolveMergeWait,
+  getMergeEntityTypes,
+  findNightlyMerges,
+  checkNightlyMerge
+};
@@ -1,157 +1,325 @@
-const axios = require('axios');
+const { getAction, expandActions } = require('./actions');
+const { getApiClient } = require('./apiClient');
+const { NotFoundError } = require('./errors');
+
+const DEFAULT_FORM_NAMES = {
+  course: 'Propose New Course',
+  program: 'Propose New Program'
+};
 
 /**
- * Performs Merge settings checks for integration settings
+ * Performs the checks a run needs before the browser is launched: the user's access to the
+ * school, the Merge settings of the entity types the actions touch, and the forms (with their
+ * auto-approval workflow) of the actions that create courses or programs.
+ *
+ * The user and form checks fail on a definite answer: the user is not in the school's user list,
+ * the form is not in its form list, or the form's workflow has steps that need a manual approval.
+ * When a lookup itself cannot complete (e.g. 403 because the creds.json user may not list users,
+ * forms or workflows), the check is reported as a warning and the run goes on.
  * @param {string} env - Environment ('prd' or 'stg')
  * @param {string} schoolId - School ID
- * @param {string} token - Bearer token from authentication
- * @param {string} productSlug - Product slug (e.g., 'sm/section-dashboard' or 'cm/courses')
- * @param {string} action - Action to perform
- * @returns {Promise<void>}
+ * @param {string|string[]} action - Action or bundle to perform, or a list of actions
+ * @param {Object} options - `email` of the user signing in to the app (the user check is skipped
+ *   without it), `courseFormName` and `programFormName` (default to DEFAULT_FORM_NAMES)
+ * @returns {Promise<string[]>} - Warnings of the checks that could not be completed
  * @throws {Error} If any validation fails
  */
-const programActions = ['createProgram', 'updateProgram'];
-
-async function performPreflightChecks(env, schoolId, token, productSlug, action) {
-  const baseUrl = env === 'prd' 
-    ? 'https://app.coursedog.com' 
-    : 'https://staging.coursedog.com';
+async function performPreflightChecks(env, schoolId, action, options = {}) {
+  const client = getApiClient(env);
 
-  console.log('\n🔍 Running Merge settings checks...');
-  if (programActions.includes(action) && !schoolId.includes('_peoplesoft')) {
+  console.log('\n🔍 Running pre-flight checks...');
+  const actions = expandActions(action);
+  const definitions = actions.map(act => getAction(act)).filter(Boolean);
+  if (definitions.some(definition => definition.peopleSoftOnly) && !schoolId.includes('_peoplesoft')) {
     throw new Error('Program actions are only supported for Peoplesoft schools (schoolId must include "_peoplesoft").');
   }
   
+  const warnings = [];
   try {
+    // Step 0: The user signing in to the app must be registered to the school
+    if (options.email) {
+      warnings.push(await validateUserRegistration(client, schoolId, options.email));
+    }
+
     // Step 1: Get Integration Save State ID
-    const saveStateId = await getIntegrationSaveStateId(baseUrl, schoolId, token);
+    const saveStateId = await getIntegrationSaveStateId(client, schoolId);
     
     // Step 2: Validate Integration Schedule (realtime check)
-    await validateIntegrationSchedule(baseUrl, schoolId, token);
+    await validateIntegrationSchedule(client, schoolId);
     
-    // Step 3: Validate Merge Settings based on product and action
-    await validateMergeSettings(baseUrl, schoolId, token, saveStateId, productSlug, action);
-    
-    console.log('✅ All Merge settings checks passed!\n');
+    // Step 3: Validate Merge Settings for the entity types the actions touch
+    await validateMergeSettings(client, schoolId, saveStateId, definitions);
+
+    // Step 4: Forms used by the create actions exist and auto-approve
+    const formTypes = [...new Set(definitions.map(definition => definition.formType).filter(Boolean))];
+    for (const formType of formTypes) {
+      warnings.push(await validateForm(client, schoolId, formType, getFormName(formType, options)));
+    }
+
+    const unchecked = warnings.filter(Boolean);
+    console.log(unchecked.length > 0
+      ? `✅ Pre-flight checks passed with ${unchecked.length} warning(s).\n`
+      : '✅ All pre-flight checks passed!\n');
+    return unchecked;
   } catch (error) {
     // Display user-friendly error message
-    console.error('\n❌ Merge settings check failed:', error.message);
+    console.error('\n❌ Pre-flight check failed:', error.message);
     console.error('\n📋 Please fix the issue and try again.');
     throw error; // Re-throw to trigger exit
   }
 }
 
+// Display name of each entity type with a merge settings check, in matrix order
+const ENTITY_LABELS = {
+  sections: 'Sections',
+  relationships: 'Relationships',
+  coursesCm: 'Courses',
+  programs: 'Programs'
+};
+
 /**
- * Step 1: Get the Integration Save State ID
+ * Runs every pre-flight check of a school without stopping at the first failure, for the
+ * preflight-only command. Programs and the Program form are only checked for PeopleSoft schools.
+ * @param {string} env - Environment ('prd' or 'stg')
+ * @param {string} schoolId - School ID
+ * @param {Object} options - Same as performPreflightChecks(); the user check is skipped without `email`
+ * @returns {Promise<Object[]>} - [{ check, status: 'pass'|'warn'|'fail'|'skip', message }] with the checks
+ *   'user', 'saveState', 'schedule', one per entity type, 'courseForm' and 'programForm'
  */
-async function getIntegrationSaveStateId(baseUrl, schoolId, token) {
-  const url = `${baseUrl}/api/v1/${schoolId}/general/enabledIntegrationSaveState`;
-  
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'Accept': '*/*',
-    'Cache-Control': 'no-cache',
-    'Cookie': `isLoggedIn=true; token=${token}`
+async function auditPreflightChecks(env, schoolId, options = {}) {
+  const client = getApiClient(env);
+  const results = [];
+  const run = async (check, fn) => {
+    try {
+      const warning = await fn();
+      results.push(typeof warning === 'string'
+        ? { check, status: 'warn', message: warning }
+        : { check, status: 'pass', message: null });
+      return true;
+    } catch (error) {
+      results.push({ check, status: 'fail', message: error.message });
+      return false;
+    }
   };
 
+  if (options.email) {
+    await run('user', () => validateUserRegistration(client, schoolId, options.email));
+  } else {
+    results.push({ check: 'user', status: 'skip', message: 'No --email given' });
+  }
+
+  let saveStateId = null;
+  await run('saveState', async () => {
+    saveStateId = await getIntegrationSaveStateId(client, schoolId);
+  });
+  await run('schedule', () => validateIntegrationSchedule(client, schoolId));
+
+  for (const entityType of Object.keys(ENTITY_VALIDATORS)) {
+    if (entityType === 'programs' && !schoolId.includes('_peoplesoft')) {
+      results.push({ check: entityType, status: 'skip', message: 'PeopleSoft schools only' });
+    } else if (!saveStateId) {
+      results.push({ check: entityType, status: 'skip', message: 'Needs the Integration Save State ID' });
+    } else {
+      await run(entityType, () => ENTITY_VALIDATORS[entityType](client, schoolId, saveStateId));
+    }
+  }
+
+  for (const formType of Object.keys(DEFAULT_FORM_NAMES)) {
+    const check = `${formType}Form`;
+    if (formType === 'program' && !schoolId.includes('_peoplesoft')) {
+      results.push({ check, status: 'skip', message: 'PeopleSoft schools only' });
+    } else {
+      await run(check, () => validateForm(client, schoolId, formType, getFormName(formType, options)));
+    }
+  }
+  return results;
+}
+
+function getFormName(formType, options) {
+  const supplied = options[`${formType}FormName`];
+  return (typeof supplied === 'string' && supplied.trim()) || DEFAULT_FORM_NAMES[formType];
+}
+
+// List endpoints answer with an array or with an object keyed by id
+function toList(data) {
+  if (Array.isArray(data)) return data;
+  return data && typeof data === 'object' ? Object.values(data) : [];
+}
+
+// A check that could not be completed: logged, and returned to the caller as its warning
+function warn(message) {
+  console.log(`  ⚠️ ${message}`);
+  return message;
+}
+
+/**
+ * Step 0: Validate that the user is registered to the school. The lookup runs with the API token
+ * of the creds.json user, not as the user signing in to the app (`email`): it needs a token that
+ * may list the school's users, and a failed lookup is only a warning.
+ * @returns {Promise<string|undefined>} - Warning when the lookup failed
+ */
+async function validateUserRegistration(client, schoolId, email) {
+  let data;
+  try {
+    console.log(`  → Checking that ${email} is registered to ${schoolId}...`);
+    data = await client.get(`/api/v1/${schoolId}/users`, { params: { email } });
+  } catch (error) {
+    return warn(`Could not check that ${email} is registered to ${schoolId} (${error.message}); the app sign-in will tell.`);
+  }
+
+  const wanted = email.trim().toLowerCase();
+  const user = toList(data).find(candidate => String(candidate && candidate.email || '').toLowerCase() === wanted);
+  if (!user) {
+    throw new Error(
+      `User ${email} is not registered to ${schoolId}.\n` +
+      `    Action required: Ask a school administrator to add this user to the school, or sign in with a registered user.`
+    );
+  }
+
+  console.log(`  ✓ ${email} is registered to ${schoolId}`);
+}
+
+/**
+ * Step 4: Validate that a form exists and is linked to an auto-approval workflow. A missing form
+ * or a workflow with manual approval steps fails; a lookup that could not complete is a warning.
+ * @returns {Promise<string|undefined>} - Warning when the form or its workflow could not be checked
+ */
+async function validateForm(client, schoolId, formType, formName) {
+  const label = formType === 'program' ? 'Program' : 'Course';
+  let data;
+  try {
+    console.log(`  → Checking the ${label} form "${formName}"...`);
+    data = await client.get(`/api/v1/cm/${schoolId}/forms`);
+  } catch (error) {
+    return warn(`Could not fetch the forms of ${schoolId} (${error.message}); the ${label} form "${formName}" was not checked.`);
+  }
+
+  const forms = toList(data).filter(form => form && typeof form.name === 'string');
+  const form = forms.find(candidate => candidate.name.trim() === formName.trim());
+  if (!form) {
+    const available = forms.map(candidate => `"${candidate.name}"`).join(', ') || 'none';
+    throw new Error(
+      `${label} form "${formName}" not found for ${schoolId}. Available forms: ${available}.\n` +
+      `    Action required: Create a "${formName}" form that uses the ${label} Template and is linked to an auto-approval workflow, ` +
+      `or pass the existing form's name (--${formType}-form).`
+    );
+  }
+
+  const workflowId = form.workflowId || (form.workflow && form.workflow.id) || null;
+  if (!workflowId) {
+    return warn(`${label} form "${formName}" found, but its workflow could not be read; make sure it is linked to an auto-approval workflow.`);
+  }
+
+  let workflow;
+  try {
+    workflow = await client.get(`/api/v1/${schoolId}/workflows/${workflowId}`);
+  } catch (error) {
+    return warn(`${label} form "${formName}" found, but its workflow ${workflowId} could not be fetched (${error.message}); make sure it auto-approves.`);
+  }
+
+  // Auto-approval: no approval steps, or only steps that approve automatically
+  const steps = toList(workflow && workflow.steps);
+  const manualSteps = steps.filter(step => !(step && step.autoApprove === true));
+  if (manualSteps.length > 0) {
+    const workflowName = (workflow && workflow.name) || workflowId;
+    throw new Error(
+      `${label} form "${formName}" uses workflow "${workflowName}", which has ${manualSteps.length} step(s) that need a manual approval.\n` +
+      `    Action required: Link the form to an auto-approval workflow.`
+    );
+  }
+
+  console.log(`  ✓ ${label} form "${formName}" found with an auto-approval workflow`);
+}
+
+/**
+ * Step 1: Get the Integration Save State ID
+ */
+async function getIntegrationSaveStateId(client, schoolId) {
+  let data;
   try {
     console.log('  → Fetching integration save state...');
-    const response = await axios.get(url, { headers });
-    
-    if (!response.data?.enabledIntegrationSaveState?.integrationSaveStateId) {
-      throw new Error('Integration Save State ID not found. Please ensure integration is configured for this school.');
-    }
-    
-    const saveStateId = response.data.enabledIntegrationSaveState.integrationSaveStateId;
-    console.log(`  ✓ Integration Save State ID: ${saveStateId}`);
-    return saveStateId;
+    data = await client.get(`/api/v1/${schoolId}/general/enabledIntegrationSaveState`);
   } catch (error) {
-    if (error.response?.status === 404) {
+    if (error instanceof NotFoundError) {
       throw new Error('Integration Save State not found. This school may not have integration enabled.');
     }
-    if (error.message.includes('Integration Save State ID not found')) {
-      throw error;
-    }
     throw new Error(`Failed to fetch Integration Save State: ${error.message}`);
   }
+
+  if (!data?.enabledIntegrationSaveState?.integrationSaveStateId) {
+    throw new Error('Integration Save State ID not found. Please ensure integration is configured for this school.');
+  }
+  
+  const saveStateId = data.enabledIntegrationSaveState.integrationSaveStateId;
+  console.log(`  ✓ Integration Save State ID: ${saveStateId}`);
+  return saveStateId;
 }
 
 /**
  * Step 2: Validate that real-time merges are enabled
  */
-async function validateIntegrationSchedule(baseUrl, schoolId, token) {
-  const url = `${baseUrl}/api/v1/${schoolId}/general/integrationSchedule`;
-  
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'Accept': '*/*',
-    'Cache-Control': 'no-cache',
-    'Cookie': `isLoggedIn=true; token=${token}`
-  };
-
+async function validateIntegrationSchedule(client, schoolId) {
+  let data;
   try {
     console.log('  → Checking integration schedule...');
-    const response = await axios.get(url, { headers });
-    
-    const syncType = response.data?.integrationSchedule?.syncType;
-    
-    if (!syncType) {
-      throw new Error('Integration schedule not configured for this school.');
-    }
-    
-    if (syncType !== 'realtime') {
-      throw new Error(
-        `Real-time merges are not currently enabled for ${schoolId}, only ${syncType} merges are enabled.\n` +
-        `    Action required: Enable real-time merges in the school settings.`
-      );
-    }
-    
-    console.log('  ✓ Real-time merges are enabled');
+    data = await client.get(`/api/v1/${schoolId}/general/integrationSchedule`);
   } catch (error) {
-    if (error.message.includes('must be "realtime"') || error.message.includes('not configured')) {
-      throw error; // Re-throw our custom errors
-    }
     throw new Error(`Failed to validate integration schedule: ${error.message}`);
   }
+  
+  const syncType = data?.integrationSchedule?.syncType;
+  
+  if (!syncType) {
+    throw new Error('Integration schedule not configured for this school.');
+  }
+  
+  if (syncType !== 'realtime') {
+    throw new Error(
+      `Real-time merges are not currently enabled for ${schoolId}, only ${syncType} merges are enabled.\n` +
+      `    Action required: Enable real-time merges in the school settings.`
+    );
+  }
+  
+  console.log('  ✓ Real-time merges are enabled');
 }
 
+const ENTITY_VALIDATORS = {
+  sections: validateSectionMergeSettings,
+  relationships: validateRelationshipMergeSettings,
+  coursesCm: validateCourseMergeSettings,
+  programs: validateProgramMergeSettings
+};
+
 /**
- * Step 3: Validate merge settings based on product and action
+ * Step 3: Validate merge settings for every entity type declared by the actions
+ * (preflightEntities in src/actions), each entity type once
  */
-async function validateMergeSettings(baseUrl, schoolId, token, saveStateId, productSlug, action) {
+async function validateMergeSettings(client, schoolId, saveStateId, definitions) {
   console.log('  → Validating merge settings...');
-  
-  // Determine which entity types to validate based on product and action
-  if (action === 'both') {
-    // Both products - validate all three entity types
-    await validateCourseMergeSettings(baseUrl, schoolId, token, saveStateId);
-    await validateSectionMergeSettings(baseUrl, schoolId, token, saveStateId);
-    await validateRelationshipMergeSettings(baseUrl, schoolId, token, saveStateId);
-  } else if (productSlug === 'cm/programs' || programActions.includes(action)) {
-    await validateProgramMergeSettings(baseUrl, schoolId, token, saveStateId);
-  } else if (productSlug === 'cm/courses') {
-    // Curriculum Management
-    await validateCourseMergeSettings(baseUrl, schoolId, token, saveStateId);
-  } else if (productSlug === 'sm/section-dashboard') {
-    // Academic Scheduling - always check sections
-    await validateSectionMergeSettings(baseUrl, schoolId, token, saveStateId);
-    
-    // Check relationships for specific actions
-    const relationshipActions = ['editRelationships', 'createRelationships', 'all'];
-    if (relationshipActions.includes(action)) {
-      await validateRelationshipMergeSettings(baseUrl, schoolId, token, saveStateId);
+
+  const entityTypes = [];
+  for (const definition of definitions) {
+    for (const entityType of definition.preflightEntities) {
+      if (!entityTypes.includes(entityType)) entityTypes.push(entityType);
     }
   }
+
+  for (const entityType of entityTypes) {
+    const validate = ENTITY_VALIDATORS[entityType];
+    if (!validate) {
+      throw new Error(`No merge settings check is defined for entity type "${entityType}".`);
+    }
+    await validate(client, schoolId, saveStateId);
+  }
 }
 
 /**
  * Validate Course (Curriculum Management) merge settings
  */
-async function validateCourseMergeSettings(baseUrl, schoolId, token, saveStateId) {
+async function validateCourseMergeSettings(client, schoolId, saveStateId) {
   await checkEntityMergeSettings(
-    baseUrl, 
-    schoolId, 
-    token, 
+    client,
+    schoolId,
     saveStateId, 
     'coursesCm', 
     'Courses'
@@ -161,11 +329,10 @@ async function validateCourseMergeSettings(baseUrl, schoolId, token, saveStateId
 /**
  * Validate Program (Curriculum Management) merge settings
  */
-async function validateProgramMergeSettings(baseUrl, schoolId, token, saveStateId) {
+async function validateProgramMergeSettings(client, schoolId, saveStateId) {
   await checkEntityMergeSettings(
-    baseUrl,
+    client,
     schoolId,
-    token,
     saveStateId,
     'programs',
     'Programs'
@@ -175,11 +342,10 @@ async function validateProgramMergeSettings(baseUrl, schoolId, token, saveStateI
 /**
  * Validate Section (Academic Scheduling) merge settings
  */
-async function validateSectionMergeSettings(baseUrl, schoolId, token, saveStateId) {
+async function validateSectionMergeSettings(client, schoolId, saveStateId) {
   await checkEntityMergeSettings(
-    baseUrl, 
-    schoolId, 
-    token, 
+    client,
+    schoolId,
     saveStateId, 
     'sections', 
     'Sections'
@@ -189,11 +355,10 @@ async function validateSectionMergeSettings(baseUrl, schoolId, token, saveStateI
 /**
  * Validate Relationship merge settings
  */
-async function validateRelationshipMergeSettings(baseUrl, schoolId, token, saveStateId) {
+async function validateRelationshipMergeSettings(client, schoolId, saveStateId) {
   await checkEntityMergeSettings(
-    baseUrl, 
-    schoolId, 
-    token, 
+    client,
+    schoolId,
     saveStateId, 
     'relationships', 
     'Relationships'
@@ -203,33 +368,14 @@ async function validateRelationshipMergeSettings(baseUrl, schoolId, token, saveS
 /**
  * Helper to check merge settings for a specific entity type
  */
-async function checkEntityMergeSettings(baseUrl, schoolId, token, saveStateId, entityType, displayName) {
-  const url = `${baseUrl}/api/v1/int/${schoolId}/merge-settings?entityType=${entityType}&integrationSaveStateId=${saveStateId}`;
-  
-  const headers = {
-    'Authorization': `Bearer ${token}`,
-    'Accept': '*/*',
-    'Cache-Control': 'no-cache',
-    'Cookie': `isLoggedIn=true; token=${token}`
-  };
-
+async function checkEntityMergeSettings(client, schoolId, saveStateId, entityType, displayName) {
+  let data;
   try {
-    const response = await axios.get(url, { headers });
-    const syncSisData = response.data?.stepsToExecute?.syncSisData;
-    
-    if (syncSisData !== true) {
-      throw new Error(
-        `Merge setting "Should Coursedog send updates to the SIS?" is disabled for ${displayName}.\n` +
-        `    Action required: Enable this setting in merge settings for ${displayName}.`
-      );
-    }
-    
-    console.log(`  ✓ ${displayName} merge settings validated ("Should Coursedog send updates to the SIS?": true)`);
+    data = await client.get(`/api/v1/int/${schoolId}/merge-settings`, {
+      params: { entityType, integrationSaveStateId: saveStateId }
+    });
   } catch (error) {
-    if (error.message.includes('Should Coursedog send updates')) {
-      throw error;
-    }
-    if (error.response?.status === 404) {
+    if (error instanceof NotFoundError) {
       throw new Error(
         `Merge settings not found for ${displayName}.\n` +
         `    Action required: Ensure merge settings are configured for this entity type.`
@@ -237,7 +383,21 @@ async function checkEntityMergeSettings(baseUrl, schoolId, token, saveStateId, e
     }
     throw new Error(`Failed to validate ${displayName} merge settings: ${error.message}`);
   }
+
+  const syncSisData = data?.stepsToExecute?.syncSisData;
+  if (syncSisData !== true) {
+    throw new Error(
+      `Merge setting "Should Coursedog send updates to the SIS?" is disabled for ${displayName}.\n` +
+      `    Action required: Enable this setting in merge settings for ${displayName}.`
+    );
+  }
+  
+  console.log(`  ✓ ${displayName} merge settings validated ("Should Coursedog send updates to the SIS?": true)`);
 }
 
-module.exports = { performPreflightChecks };
+module.exports = {
+  ENTITY_LABELS,
+  performPreflightChecks,
+  auditPreflightChecks
+};
 
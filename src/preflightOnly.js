@@ -0,0 +1,147 @@
+const { CliArgumentError } = require('./cliArgs');
+const { validateEnv } = require('./input');
+const { loadBatchSchools } = require('./batch');
+const { getTokenManager } = require('./tokenManager');
+const { getSchoolTemplate } = require('./getSchoolTemplate');
+const { auditPreflightChecks, ENTITY_LABELS } = require('./preflightChecks');
+
+/**
+ * Preflight-only command (`node main.js --preflight-only --school <id>`): triages one or more
+ * schools before bidirectional testing is scheduled. For every school it signs in to the API,
+ * downloads the templates and runs the user (with --email), integration save state, integration
+ * schedule, per-entity merge settings and form/workflow checks, then prints a pass/fail matrix.
+ * Nothing is saved and no browser is launched, so it is allowed in production without the
+ * production safety gates.
+ */
+
+// Matrix columns: check key -> header
+const COLUMNS = {
+  auth: 'API sign-in',
+  templates: 'Templates',
+  user: 'User',
+  saveState: 'Save state',
+  schedule: 'Realtime schedule',
+  ...ENTITY_LABELS,
+  courseForm: 'Course form',
+  programForm: 'Program form'
+};
+
+const STATUS_ICONS = { pass: '✅', warn: '⚠️', fail: '❌', skip: '—' };
+
+/**
+ * Runs every read-only check of one school
+ * @param {string} env - Environment ('prd' or 'stg')
+ * @param {string} schoolId - School ID
+ * @param {Object} options - `email`, `courseFormName`, `programFormName` (see performPreflightChecks())
+ * @returns {Promise<Object>} - { schoolId, passed, results: [{ check, status, message }] }
+ */
+async function checkSchool(env, schoolId, options = {}) {
+  console.log(`\n🔍 Pre-flight checks for ${schoolId}...`);
+  const results = [];
+  const skipRest = message => {
+    for (const check of Object.keys(COLUMNS).slice(results.length)) {
+      results.push({ check, status: 'skip', message });
+    }
+  };
+
+  try {
+    await getTokenManager(env).getToken();
+    results.push({ check: 'auth', status: 'pass', message: null });
+  } catch (error) {
+    results.push({ check: 'auth', status: 'fail', message: error.message });
+    skipRest('Needs an API token');
+    return summarize(schoolId, results);
+  }
+
+  try {
+    await getSchoolTemplate(env, schoolId);
+    results.push({ check: 'templates', status: 'pass', message: null });
+  } catch (error) {
+    results.push({ check: 'templates', status: 'fail', message: error.message });
+  }
+
+  results.push(...await auditPreflightChecks(env, schoolId, options));
+  return summarize(schoolId, results);
+}
+
+function summarize(schoolId, results) {
+  return { schoolId, passed: results.every(result => result.status !== 'fail'), results };
+}
+
+/**
+ * Formats the pass/fail matrix, one row per school, followed by the reason of every failure
+ * and warning
+ * @param {Object[]} reports - Results of checkSchool()
+ * @returns {string}
+ */
+function formatPreflightMatrix(reports) {
+  const headers = ['School', ...Object.values(COLUMNS)];
+  const rows = reports.map(report => {
+    const byCheck = Object.fromEntries(report.results.map(result => [result.check, result.status]));
+    return [report.schoolId, ...Object.keys(COLUMNS).map(check => STATUS_ICONS[byCheck[check]] || STATUS_ICONS.skip)];
+  });
+
+  const lines = [
+    `| ${headers.join(' | ')} |`,
+    `|${headers.map(() => '---').join('|')}|`,
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ];
+
+  const listStatus = status => reports.flatMap(report => report.results
+    .filter(result => result.status === status)
+    .map(result => `  ↳ ${report.schoolId} / ${COLUMNS[result.check]}: ${result.message.split('\n')[0]}`));
+  const failures = listStatus('fail');
+  if (failures.length > 0) {
+    lines.push('', 'Failures:', ...failures);
+  }
+  const warnings = listStatus('warn');
+  if (warnings.length > 0) {
+    lines.push('', 'Warnings:', ...warnings);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Runs the preflight-only command for the schools of `options`
+ * @param {Object} options - Parsed options: `schoolId`, `schoolIds` or `schoolsCsv`, `env`, and the
+ *   optional `email`, `courseFormName` and `programFormName` to check
+ * @returns {Promise<boolean>} - Whether every school passed every check
+ * @throws {CliArgumentError} When no school is given or --env is invalid
+ */
+async function runPreflightOnly(options) {
+  const env = options.env === undefined ? 'stg' : String(options.env).trim().toLowerCase();
+  const envError = validateEnv(env);
+  if (envError) throw new CliArgumentError(`Invalid value for --env: ${envError}`);
+
+  const singleSchoolId = typeof options.schoolId === 'string' ? options.schoolId.trim() : '';
+  const schools = loadBatchSchools(options) || (singleSchoolId ? [{ schoolId: singleSchoolId }] : []);
+  const schoolIds = schools.map(school => school.schoolId);
+  if (schoolIds.length === 0) {
+    throw new CliArgumentError('Invalid value for --preflight-only: pass the school(s) to check with --school, --schools or --schools-csv.');
+  }
+
+  console.log(`\n🩺 Preflight only (${env}): ${schoolIds.join(', ')}. No browser is launched and nothing is saved.`);
+  const reports = [];
+  for (const school of schools) {
+    // Form names from a --schools-csv row take precedence, as in batch runs
+    reports.push(await checkSchool(env, school.schoolId, {
+      email: options.email,
+      courseFormName: school.courseFormName || options.courseFormName,
+      programFormName: school.programFormName || options.programFormName
+    }));
+  }
+
+  console.log(`\n📋 Pre-flight results (${env})\n`);
+  console.log(formatPreflightMatrix(reports));
+  const passed = reports.every(report => report.passed);
+  console.log(passed
+    ? `\n✅ All ${reports.length} school(s) passed.`
+    : `\n❌ ${reports.filter(report => !report.passed).length} of ${reports.length} school(s) failed a check.`);
+  return passed;
+}
+
+module.exports = {
+  checkSchool,
+  formatPreflightMatrix,
+  runPreflightOnly
+};
@@ -0,0 +1,110 @@
+const prompt = require('prompt-sync')({ sigint: true });
+const fs = require('fs');
+const path = require('path');
+const { getBaseDomain } = require('./environment');
+
+/**
+ * Safety gates for runs against production (`--env prd`).
+ *
+ * Reading from production (templates, merge settings, merge reports) needs nothing extra.
+ * Test cases that save sections, courses or programs are only run when
+ *   1. every school of the run is listed in src/productionAllowlist.json
+ *      (`{ "schoolIds": ["..."] }`, not committed; a missing file allows no school), and
+ *   2. the school IDs are typed back at the confirmation prompt, or passed up front with
+ *      `--confirm-production <id1,id2,...>` for non-interactive runs. --yes never confirms.
+ */
+
+const PRODUCTION_ENV = 'prd';
+const ALLOWLIST_PATH = path.join(__dirname, 'productionAllowlist.json');
+
+class ProductionGuardError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ProductionGuardError';
+  }
+}
+
+function isProduction(env) {
+  return env === PRODUCTION_ENV;
+}
+
+/**
+ * Reads the school IDs allowed to receive writes in production
+ * @param {string} filePath - Allowlist JSON, `{ "schoolIds": [...] }`
+ * @returns {string[]} - Empty when the file does not exist
+ * @throws {ProductionGuardError} When the file exists but is not a valid allowlist
+ */
+function loadProductionAllowlist(filePath = ALLOWLIST_PATH) {
+  if (!fs.existsSync(filePath)) return [];
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ProductionGuardError(`Could not read the production allowlist ${filePath}: ${error.message}`);
+  }
+  const schoolIds = parsed && parsed.schoolIds;
+  if (!Array.isArray(schoolIds) || schoolIds.some(schoolId => typeof schoolId !== 'string')) {
+    throw new ProductionGuardError(`Invalid production allowlist ${filePath}: "schoolIds" must be a list of school IDs.`);
+  }
+  return schoolIds.map(schoolId => schoolId.trim()).filter(Boolean);
+}
+
+// What has to be typed to confirm: the school IDs of the run, comma-separated
+function getConfirmationPhrase(schoolIds) {
+  return schoolIds.join(',');
+}
+
+function normalizeConfirmation(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean).join(',');
+}
+
+/**
+ * Prints the banner that opens every production run
+ * @param {string[]} schoolIds - Schools of the run
+ */
+function printProductionBanner(schoolIds) {
+  const line = '!'.repeat(72);
+  console.log(`\n${line}`);
+  console.log(`⚠️  PRODUCTION RUN - ${getBaseDomain(PRODUCTION_ENV)}`);
+  console.log(`  ↳ School(s): ${schoolIds.join(', ')}`);
+  console.log('  ↳ Test cases save real sections, courses and programs and trigger real SIS merges.');
+  console.log(line);
+}
+
+/**
+ * Allows the write test cases of a production run, or throws
+ * @param {string[]} schoolIds - Schools of the run
+ * @param {Object} options - Parsed options; `confirmProduction` (from --confirm-production), `yes`
+ * @param {Object} deps - `allowlist` (defaults to loadProductionAllowlist()), `ask` (prompt function)
+ * @throws {ProductionGuardError} When a school is not allowlisted or the confirmation does not match
+ */
+function confirmProductionWrites(schoolIds, options = {}, { allowlist = loadProductionAllowlist(), ask = prompt } = {}) {
+  const notAllowed = schoolIds.filter(schoolId => !allowlist.includes(schoolId));
+  if (notAllowed.length > 0) {
+    throw new ProductionGuardError(`Production writes are not allowed for: ${notAllowed.join(', ')}. Add the school ID(s) to ${path.relative(process.cwd(), ALLOWLIST_PATH)} to allow them.`);
+  }
+
+  const expected = getConfirmationPhrase(schoolIds);
+  let typed;
+  if (options.confirmProduction !== undefined && options.confirmProduction !== null) {
+    typed = options.confirmProduction;
+  } else if (options.yes) {
+    throw new ProductionGuardError(`--yes does not confirm production writes. Pass --confirm-production ${expected} as well.`);
+  } else {
+    typed = ask(`\nType "${expected}" to run the test cases against production (anything else cancels): `);
+  }
+
+  if (normalizeConfirmation(typed) !== expected) {
+    throw new ProductionGuardError(`Production confirmation did not match "${expected}"; nothing was run.`);
+  }
+  console.log('✅ Production writes confirmed.');
+}
+
+module.exports = {
+  PRODUCTION_ENV,
+  ProductionGuardError,
+  isProduction,
+  loadProductionAllowlist,
+  printProductionBanner,
+  confirmProductionWrites
+};
@@ -0,0 +1,199 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { listTestCases, validateActionList, validateProductChoice, resolveProductChoice } = require('./input');
+
+/**
+ * Run profiles: a JSON or YAML file describing a repeatable run so nobody has to
+ * re-type the school, product, test cases and form names every day.
+ *
+ * Example (profiles/example.yml):
+ *   schoolId: waynecc_colleague_ethos
+ *   env: stg
+ *   product: cm
+ *   actions: [updateCourse, createCourse]
+ *   courseFormName: Propose New Course
+ *   skipFields: waynecc_colleague_ethos-skipFields.csv
+ */
+
+class ProfileValidationError extends Error {
+  constructor(filePath, errors) {
+    super(`Invalid run profile ${filePath}:\n${errors.map(error => `    • ${error}`).join('\n')}`);
+    this.name = 'ProfileValidationError';
+    this.errors = errors;
+  }
+}
+
+// key -> { type, required, enum? }; any other key in a profile is rejected
+const PROFILE_SCHEMA = {
+  schoolId: { type: 'string', required: true },
+  env: { type: 'string', required: true, enum: ['stg', 'prd'] },
+  product: { type: 'string', required: true },
+  actions: { type: 'array', required: true },
+  courseFormName: { type: 'string', required: false },
+  programFormName: { type: 'string', required: false },
+  skipFields: { type: 'string', required: false },
+  reuseBrowser: { type: 'boolean', required: false },
+  pollDelay: { type: 'number', required: false },
+  pollInterval: { type: 'number', required: false },
+  pollBackoff: { type: 'number', required: false },
+  pollTimeout: { type: 'number', required: false },
+  mergeWait: { type: 'number', required: false }
+};
+
+// Profile keys passed on unchanged, under the option name of their flag
+const PASSTHROUGH_KEYS = ['reuseBrowser', 'pollDelay', 'pollInterval', 'pollBackoff', 'pollTimeout', 'mergeWait'];
+
+function parseProfileFile(filePath) {
+  const raw = fs.readFileSync(filePath, 'utf8');
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === '.json') {
+    return JSON.parse(raw);
+  }
+  if (ext === '.yml' || ext === '.yaml') {
+    return yaml.load(raw);
+  }
+  throw new Error(`Unsupported profile extension "${ext}". Use .json, .yml or .yaml.`);
+}
+
+// YAML turns `product: 2` into a number; menu numbers are accepted the same way as on the CLI
+function normalizeProfile(profile) {
+  const normalized = { ...profile };
+  if (typeof normalized.product === 'number') normalized.product = String(normalized.product);
+  return normalized;
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validates a parsed profile against PROFILE_SCHEMA and the available test cases
+ * @param {Object} profile - Parsed profile contents
+ * @param {string} baseDir - Directory relative skipFields paths are resolved against
+ * @returns {string[]} - Human-readable errors; empty when the profile is valid
+ */
+function validateProfile(rawProfile, baseDir = process.cwd()) {
+  const errors = [];
+  if (typeOf(rawProfile) !== 'object') {
+    return ['Profile must be an object of key/value pairs.'];
+  }
+  const profile = normalizeProfile(rawProfile);
+
+  for (const key of Object.keys(profile)) {
+    if (!PROFILE_SCHEMA[key]) {
+      errors.push(`Unknown key "${key}". Allowed keys: ${Object.keys(PROFILE_SCHEMA).join(', ')}.`);
+    }
+  }
+
+  for (const [key, rule] of Object.entries(PROFILE_SCHEMA)) {
+    const value = profile[key];
+    if (value === undefined || value === null) {
+      if (rule.required) errors.push(`"${key}" is required.`);
+      continue;
+    }
+    if (typeOf(value) !== rule.type) {
+      errors.push(`"${key}" must be a ${rule.type}, got ${typeOf(value)}.`);
+      continue;
+    }
+    if (rule.type === 'string' && !value.trim()) {
+      errors.push(`"${key}" cannot be empty.`);
+      continue;
+    }
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`"${key}" must be one of: ${rule.enum.join(', ')} (got "${value}").`);
+    }
+  }
+
+  if (typeOf(profile.product) === 'string') {
+    const productError = validateProductChoice(resolveProductChoice(profile.product));
+    if (productError) errors.push(`"product": ${productError} (or as, cm, both)`);
+  }
+
+  const schoolIdValid = typeOf(profile.schoolId) === 'string' && profile.schoolId.trim();
+  const productValid = typeOf(profile.product) === 'string' && !validateProductChoice(resolveProductChoice(profile.product));
+  if (typeOf(profile.actions) === 'array' && schoolIdValid && productValid) {
+    const nonStrings = profile.actions.filter(action => typeof action !== 'string');
+    if (nonStrings.length > 0) {
+      errors.push('"actions" must only contain test case names.');
+    } else {
+      const prodChoice = resolveProductChoice(profile.product);
+      const isPeopleSoftSchool = profile.schoolId.includes('_peoplesoft');
+      const peopleSoftOnly = listTestCases(prodChoice, true).filter(action => !listTestCases(prodChoice, false).includes(action));
+      const actionError = validateActionList(profile.actions, prodChoice, isPeopleSoftSchool);
+      if (!isPeopleSoftSchool && profile.actions.some(action => peopleSoftOnly.includes(action))) {
+        errors.push(`"actions": ${peopleSoftOnly.join(', ')} require a PeopleSoft school (schoolId must include "_peoplesoft").`);
+      } else if (actionError) {
+        errors.push(`"actions": ${actionError}`);
+      }
+    }
+  }
+
+  if (typeOf(profile.skipFields) === 'string' && profile.skipFields.trim().toLowerCase() !== 'default') {
+    if (!resolveSkipFieldsPath(profile.skipFields, baseDir)) {
+      errors.push(`"skipFields": entry file not found: ${profile.skipFields}`);
+    }
+  }
+
+  return errors;
+}
+
+function resolveSkipFieldsPath(value, baseDir) {
+  const candidates = [
+    path.resolve(baseDir, value),
+    path.resolve(value),
+    path.join(__dirname, 'Resources', 'entryFiles', value)
+  ];
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Loads and validates a run profile, returning options in the shape gatherInputs() expects
+ * @param {string} filePath - Path to a .json, .yml or .yaml profile
+ * @returns {Object} - { schoolId, env, product, actions, courseFormName?, programFormName?, skipFields?, reuseBrowser?, poll*?, mergeWait? }
+ * @throws {ProfileValidationError} When the file cannot be read or does not match the schema
+ */
+function loadProfile(filePath) {
+  const resolvedPath = path.resolve(filePath);
+  let profile;
+  try {
+    profile = parseProfileFile(resolvedPath);
+    if (typeOf(profile) === 'object') profile = normalizeProfile(profile);
+  } catch (error) {
+    throw new ProfileValidationError(resolvedPath, [`Could not read profile: ${error.message}`]);
+  }
+
+  const baseDir = path.dirname(resolvedPath);
+  const errors = validateProfile(profile, baseDir);
+  if (errors.length > 0) {
+    throw new ProfileValidationError(resolvedPath, errors);
+  }
+
+  const options = {
+    schoolId: profile.schoolId.trim(),
+    env: profile.env,
+    product: profile.product,
+    actions: [...profile.actions]
+  };
+  if (profile.courseFormName) options.courseFormName = profile.courseFormName;
+  if (profile.programFormName) options.programFormName = profile.programFormName;
+  for (const key of PASSTHROUGH_KEYS) {
+    if (profile[key] !== undefined && profile[key] !== null) options[key] = profile[key];
+  }
+  if (profile.skipFields) {
+    options.skipFields = profile.skipFields.trim().toLowerCase() === 'default'
+      ? 'default'
+      : resolveSkipFieldsPath(profile.skipFields, baseDir);
+  }
+
+  console.log(`\n📄 Loaded run profile: ${resolvedPath}`);
+  return options;
+}
+
+module.exports = {
+  loadProfile,
+  validateProfile,
+  ProfileValidationError
+};
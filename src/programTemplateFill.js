@@ -1,12 +1,12 @@
 const fs = require('fs');
 const path = require('path');
 const { saveCourse, screenshotCourseForm } = require('./courseTemplateFill');
-const { ensureRunLogger } = require('./sectionTemplateFill');
+const { ensureRunLogger } = require('./runState');
 const { offerUserTakeover, waitForUserResponseWithTimeout } = require('./userTakeover');
 
 const DEFAULT_PROGRAM_FORM_NAME = 'Propose New Program';
 
-async function createProgram(page, subfolder, schoolId, browser = null, formName = DEFAULT_PROGRAM_FORM_NAME) {
+async function createProgram(ctx, page, subfolder, schoolId, browser = null, formName = DEFAULT_PROGRAM_FORM_NAME) {
   try {
     ensureRunLogger(subfolder);
     console.log('\n🎯 Starting Program creation...');
@@ -22,7 +22,7 @@ async function createProgram(page, subfolder, schoolId, browser = null, formName
 
     await waitForProgramForm(page);
     await ensureSpecializationEntry(page);
-    await fillProgramTemplate(page, schoolId, 'createProgram');
+    await fillProgramTemplate(ctx, page, schoolId, 'createProgram');
     await enforcePeopleSoftRequirements(page);
 
     const createScreenshotPath = path.join(subfolder, `${schoolId}-createProgram-form-before.png`);
@@ -37,7 +37,7 @@ async function createProgram(page, subfolder, schoolId, browser = null, formName
     
     // If submit didn't work, fall back to saveCourse
     console.log('⚠️ Submit Proposal not available, trying regular save...');
-    const saved = await saveCourse(page, subfolder, schoolId, browser);
+    const saved = await saveCourse(ctx, page, subfolder, schoolId, browser);
     if (saved) {
       console.log('✅ Program creation flow completed successfully via save.');
     } else {
@@ -50,7 +50,7 @@ async function createProgram(page, subfolder, schoolId, browser = null, formName
   }
 }
 
-async function updateProgram(page, subfolder, schoolId, browser = null) {
+async function updateProgram(ctx, page, subfolder, schoolId, browser = null) {
   try {
     ensureRunLogger(subfolder);
     console.log('\n📝 Starting Program update...');
@@ -61,7 +61,7 @@ async function updateProgram(page, subfolder, schoolId, browser = null) {
     await ensureSpecializationEntry(page);
     const updateBeforeScreenshotPath = path.join(subfolder, `${schoolId}-updateProgram-form-before.png`);
     await captureProgramScreenshot(page, 'Taking screenshot before modifying program...', updateBeforeScreenshotPath);
-    await fillProgramTemplate(page, schoolId, 'updateProgram');
+    await fillProgramTemplate(ctx, page, schoolId, 'updateProgram');
     await enforcePeopleSoftRequirements(page);
     const updateAfterScreenshotPath = path.join(subfolder, `${schoolId}-updateProgram-form-after.png`);
     await captureProgramScreenshot(page, 'Taking screenshot after modifying program...', updateAfterScreenshotPath);
@@ -75,7 +75,7 @@ async function updateProgram(page, subfolder, schoolId, browser = null) {
     
     // If submit didn't work, fall back to saveCourse
     console.log('⚠️ Submit Proposal not available, trying regular save...');
-    const saved = await saveCourse(page, subfolder, schoolId, browser);
+    const saved = await saveCourse(ctx, page, subfolder, schoolId, browser);
     if (saved) {
       console.log('✅ Program update flow completed successfully via save.');
     } else {
@@ -364,7 +364,7 @@ async function ensureDepartmentOwnershipPercentages(page) {
   }
 }
 
-async function fillProgramTemplate(page, schoolId, action = 'createProgram') {
+async function fillProgramTemplate(ctx, page, schoolId, action = 'createProgram') {
   try {
     const templateFile = getLatestProgramTemplateFile(schoolId);
     if (!templateFile) {
@@ -384,9 +384,7 @@ async function fillProgramTemplate(page, schoolId, action = 'createProgram') {
       'departmentOwnership', 'effectiveEndDate', 'sisId', 'allowIntegration',
       'status', 'programCode' // programCode is like courseNumber - shouldn't auto-fill
     ];
-    const customProgramSkips = global.__customSkipFields && Array.isArray(global.__customSkipFields.programs)
-      ? global.__customSkipFields.programs
-      : [];
+    const customProgramSkips = ctx.getCustomSkipFields('programs');
     for (const qid of customProgramSkips) {
       if (!skipFields.includes(qid)) {
         skipFields.push(qid);
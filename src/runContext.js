@@ -0,0 +1,82 @@
+/**
+ * State of one test case run. The orchestrator creates a RunContext for every action and
+ * passes it explicitly through the flow functions (fillBaselineTemplate, updateCourse,
+ * createProgram, writeSectionDiff, …), so two actions can run in one process without
+ * sharing state and the flow helpers can be called from tests with a hand-made context.
+ */
+class RunContext {
+  /**
+   * @param {Object} options
+   * @param {string} options.schoolId - School ID
+   * @param {string} options.action - Action name (update, createCourse, …)
+   * @param {string|null} options.outputDir - Action subfolder inside the Run folder
+   * @param {string|null} options.dateStr - Run timestamp used in diff file names
+   * @param {Object|null} options.customSkipFields - `{ sections, coursesCm, programs }` from the
+   *   skip-field workflow, or null for the hardcoded definitions only
+   * @param {Set<string>} options.usedCourses - Courses already used in this Run folder; shared by
+   *   the actions of one run so a bundle does not edit the same course twice
+   */
+  constructor({ schoolId, action, outputDir = null, dateStr = null, customSkipFields = null, usedCourses = new Set() }) {
+    this.schoolId = schoolId;
+    this.action = action;
+    this.outputDir = outputDir;
+    this.dateStr = dateStr;
+    this.customSkipFields = customSkipFields;
+    this.usedCourses = usedCourses;
+
+    // Course flows
+    this.processedFields = null; // question IDs handled during the current course template pass
+    this.courseDiffSkipFields = []; // top-level question IDs left out of the course diff
+    this.fieldSkipReasons = {}; // question ID -> reason shown in the course diff
+    this.currentCourse = null; // { browser, subfolder, schoolId, action } while a course form is filled
+
+    // Section flows: baseline captured before filling, so exactly one diff is written per run
+    this.sectionDiff = {
+      before: null,
+      context: null, // { schoolId, outputDir, action, dateStr, skipFields }
+      wrote: false,
+    };
+
+    // Entity saved by the action, used to find its merge report (see savedEntityTracker.js)
+    this.savedEntity = {
+      ids: [],
+      savedAt: null, // ms timestamp of the first save
+    };
+  }
+
+  /**
+   * @param {string} entity - 'sections', 'coursesCm' or 'programs'
+   * @returns {string[]} - Question IDs the user chose to skip for the entity
+   */
+  getCustomSkipFields(entity) {
+    const list = this.customSkipFields && this.customSkipFields[entity];
+    return Array.isArray(list) ? list : [];
+  }
+
+  // Record per-field skip reasons for later inclusion in diff comments
+  recordSkipReason(qid, reason) {
+    if (!qid || this.fieldSkipReasons[qid]) return;
+    this.fieldSkipReasons[qid] = reason || 'Skipped';
+    console.log(`SKIP_FIELD ${qid}: ${this.fieldSkipReasons[qid]}`);
+  }
+
+  /**
+   * @param {string[]} ids - Entity ids seen in a save request (may be empty)
+   */
+  recordSavedEntity(ids = []) {
+    if (!this.savedEntity.savedAt) this.savedEntity.savedAt = Date.now();
+    for (const id of ids) {
+      if (!this.savedEntity.ids.includes(id)) this.savedEntity.ids.push(id);
+    }
+  }
+
+  addCourseDiffSkipField(qid) {
+    if (!this.courseDiffSkipFields.includes(qid)) {
+      this.courseDiffSkipFields.push(qid);
+    }
+  }
+}
+
+module.exports = {
+  RunContext
+};
@@ -0,0 +1,26 @@
+/**
+ * Conditions that stop a test case before its flow runs. The browser steps throw them instead of
+ * exiting; the orchestrator (index.js) records the test case in RUN-SUMMARY, skips the test cases
+ * that cannot run any more and sets the exit code.
+ */
+
+// The app rejected the user's email/password; no later test case can sign in either
+class SignInError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SignInError';
+  }
+}
+
+// The product page shows the nightly merge alert; the remaining test cases are skipped
+class MergeInProgressError extends Error {
+  constructor(message = 'A sections nightly merge is in progress.') {
+    super(message);
+    this.name = 'MergeInProgressError';
+  }
+}
+
+module.exports = {
+  SignInError,
+  MergeInProgressError
+};
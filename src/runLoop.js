@@ -0,0 +1,55 @@
+const { getProductFolder, PRODUCTS } = require('./actions');
+const { SignInError, MergeInProgressError } = require('./runErrors');
+
+/**
+ * Runs the test cases of a school's run in order, in one Run folder. With --reuse-browser, a
+ * multi-test-case run first starts one shared browser session (sign-in and merge alert checked
+ * once). A sign-in failure or merge alert while starting it stops the run as it would at the
+ * first test case; any other start error only falls back to one browser per test case, so every
+ * test case still gets exactly one result.
+ * @param {string[]} runActions - Test cases in run order
+ * @param {Object} hooks - `reuseBrowser`: share one browser session; `startSession(firstAct)`:
+ *   starts it; `runTestCase(act, remainingActions, flow)`: runs `flow`, records the test case and
+ *   resolves { reason, exitCode } when the run cannot continue; `runFlow(act, session)`: the test
+ *   case's browser flow; `beforeTestCase(act, index)`: runs before every test case but the first
+ * @returns {Promise<Object|null>} - { act, reason, exitCode, started } when the run stopped at
+ *   `act`; `started` is false when it stopped before any test case ran
+ */
+async function runTestCaseLoop(runActions, { reuseBrowser = false, startSession, runTestCase, runFlow, beforeTestCase = async () => {} }) {
+  let session = null;
+  if (reuseBrowser && runActions.length > 1) {
+    const stop = await runTestCase(runActions[0], runActions.slice(1), async () => {
+      try {
+        session = await startSession(runActions[0]);
+      } catch (error) {
+        if (error instanceof SignInError || error instanceof MergeInProgressError) throw error;
+        console.log(`⚠️ Could not start the shared browser session (${error.message}); every test case launches its own browser.`);
+      }
+    });
+    if (stop) return { ...stop, act: runActions[0], started: false };
+  }
+
+  try {
+    let currentProduct = null;
+    const runProducts = new Set(runActions.map(getProductFolder));
+    for (const [index, act] of runActions.entries()) {
+      if (index > 0) await beforeTestCase(act, index);
+      const product = getProductFolder(act);
+      if (runProducts.size > 1 && product !== currentProduct) {
+        console.log(product === PRODUCTS.academicScheduling
+          ? '\n📚 Running Academic Scheduling Test Cases...'
+          : '\n📖 Running Curriculum Management Test Cases...');
+      }
+      currentProduct = product;
+      const stop = await runTestCase(act, runActions.slice(index + 1), () => runFlow(act, session));
+      if (stop) return { ...stop, act, started: true };
+    }
+  } finally {
+    if (session) await session.close().catch(() => {});
+  }
+  return null;
+}
+
+module.exports = {
+  runTestCaseLoop
+};
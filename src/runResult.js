@@ -0,0 +1,135 @@
+const fs = require('fs');
+const path = require('path');
+const { getProductFolder } = require('./actions');
+
+/**
+ * Process exit codes and the machine-readable result of a school's run, for wrapper scripts
+ * and schedulers. Every Run folder gets a run-result.json next to its RUN-SUMMARY with the
+ * status, merge report, error and artifacts of each test case; artifact paths are relative
+ * to the Run folder.
+ */
+
+const EXIT_CODES = {
+  passed: 0,          // every test case passed
+  actionsFailed: 1,   // at least one test case failed
+  preflightFailed: 2, // the pre-flight checks failed; no test case was run
+  authFailed: 3,      // API or app sign-in failed
+  mergeTimedOut: 4,   // a merge report did not appear before --poll-timeout
+  invalidInput: 5,    // invalid flags, profile or production confirmation
+  unexpectedError: 6,
+  skipped: 7          // test cases were skipped (a nightly merge in progress stopped the run)
+};
+
+// Most severe first: a run with several outcomes exits with the first of them
+const SEVERITY = [
+  EXIT_CODES.unexpectedError,
+  EXIT_CODES.invalidInput,
+  EXIT_CODES.authFailed,
+  EXIT_CODES.preflightFailed,
+  EXIT_CODES.actionsFailed,
+  EXIT_CODES.mergeTimedOut,
+  EXIT_CODES.skipped,
+  EXIT_CODES.passed
+];
+
+const RUN_RESULT_FILE = 'run-result.json';
+
+/**
+ * Picks the most severe of several exit codes
+ * @param {number[]} codes - Values of EXIT_CODES
+ * @returns {number}
+ */
+function combineExitCodes(codes) {
+  const rank = code => (SEVERITY.includes(code) ? SEVERITY.indexOf(code) : 0);
+  return codes.reduce((worst, code) => (rank(code) < rank(worst) ? code : worst), EXIT_CODES.passed);
+}
+
+/**
+ * Exit code of finished test cases. A skipped test case never counts as passed: the run that
+ * skipped it exits with its own code when it is more severe (e.g. preflightFailed)
+ * @param {Object[]} actionResults - [{ action, status }]; status 'passed', 'failed', 'skipped' or 'merge timed out'
+ * @returns {number}
+ */
+function getActionsExitCode(actionResults) {
+  return combineExitCodes(actionResults.map(result => {
+    if (result.status === 'merge timed out') return EXIT_CODES.mergeTimedOut;
+    if (result.status === 'skipped') return EXIT_CODES.skipped;
+    return result.status === 'passed' ? EXIT_CODES.passed : EXIT_CODES.actionsFailed;
+  }));
+}
+
+// Name of an exit code ('passed', 'actionsFailed', ...), written to run-result.json as `outcome`
+function getOutcome(exitCode) {
+  return Object.keys(EXIT_CODES).find(key => EXIT_CODES[key] === exitCode) || 'unexpectedError';
+}
+
+function listFiles(folder) {
+  if (!fs.existsSync(folder)) return [];
+  return fs.readdirSync(folder, { withFileTypes: true }).flatMap(entry => {
+    const entryPath = path.join(folder, entry.name);
+    return entry.isDirectory() ? listFiles(entryPath) : [entryPath];
+  });
+}
+
+/**
+ * Lists the files a test case wrote to its <Product>/<action> folder, plus its debug video
+ * @param {string} runFolder - Run root folder
+ * @param {string} act - Action name
+ * @param {string|null} videoPath - Debug video of the test case, if it was recorded
+ * @returns {string[]} - Paths relative to the Run folder
+ */
+function collectArtifacts(runFolder, act, videoPath = null) {
+  const files = listFiles(path.join(runFolder, getProductFolder(act), act)).sort();
+  if (videoPath && fs.existsSync(videoPath)) files.push(videoPath);
+  return files.map(file => path.relative(runFolder, file).split(path.sep).join('/'));
+}
+
+/**
+ * Builds the content of run-result.json
+ * @param {Object} run - `schoolId`, `env`, `selection` (run selection, e.g. 'all'), `runFolder`,
+ *   `startedAt`/`finishedAt` (ISO dates), `exitCode`, `stopReason` (why the run ended early, or
+ *   null), `actionResults` ([{ action, status, reason, mergeReport }]) and `getVideoPath(act)`
+ * @returns {Object}
+ */
+function buildRunResult({ schoolId, env, selection, runFolder, startedAt, finishedAt, exitCode, stopReason = null, actionResults, getVideoPath = () => null }) {
+  return {
+    schoolId,
+    env,
+    selection,
+    startedAt,
+    finishedAt,
+    exitCode,
+    outcome: getOutcome(exitCode),
+    stopReason,
+    actions: actionResults.map(result => ({
+      action: result.action,
+      product: getProductFolder(result.action),
+      status: result.status,
+      mergeReport: result.mergeReport || null,
+      error: result.status === 'passed' ? null : result.reason || null,
+      artifacts: collectArtifacts(runFolder, result.action, getVideoPath(result.action))
+    }))
+  };
+}
+
+/**
+ * Writes run-result.json to the Run folder
+ * @param {string} runFolder - Run root folder
+ * @param {Object} result - Result of buildRunResult()
+ * @returns {string} - Path of the written file
+ */
+function writeRunResult(runFolder, result) {
+  const filePath = path.join(runFolder, RUN_RESULT_FILE);
+  fs.writeFileSync(filePath, JSON.stringify(result, null, 2) + '\n', 'utf8');
+  return filePath;
+}
+
+module.exports = {
+  EXIT_CODES,
+  RUN_RESULT_FILE,
+  combineExitCodes,
+  getActionsExitCode,
+  collectArtifacts,
+  buildRunResult,
+  writeRunResult
+};
@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+
+/**
+ * Ambient state of a school's run for code that cannot receive a RunContext: console output
+ * (Logs.md mirroring and the [schoolId] prefix of parallel runs) and the manual-takeover prompt.
+ * Schools of a parallel batch each run inside runWithState(); code outside it (a single-school
+ * run) uses one process-wide state.
+ */
+
+const CONSOLE_METHODS = ['log', 'warn', 'error', 'info'];
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * @param {Object} options - `label`: prefix for console output (parallel runs);
+ *   `interactive`: false when the run must not wait for keyboard input
+ * @returns {Object} - Fresh run state
+ */
+function createRunState({ label = null, interactive = true } = {}) {
+  return { label, interactive, logFile: null };
+}
+
+const processState = createRunState();
+
+function getRunState() {
+  return storage.getStore() || processState;
+}
+
+/**
+ * Run state for a background task of the current run (e.g. merge-report polling): keeps the
+ * interactivity of the current state but gets its own log file and label
+ * @param {Object} overrides - `label` and/or `logFile` to use instead of the current ones
+ * @returns {Object}
+ */
+function forkRunState(overrides = {}) {
+  return { ...getRunState(), logFile: null, ...overrides };
+}
+
+/**
+ * Runs `fn` with `state` as the current run state for everything it awaits
+ * @param {Object} state - From createRunState()
+ * @param {Function} fn - Async function to run
+ * @returns {Promise<*>} - Whatever `fn` resolves to
+ */
+function runWithState(state, fn) {
+  return storage.run(state, fn);
+}
+
+// Console methods as they were before ensureRunLogger() wrapped them
+let origConsole = null;
+
+// Simple run-scoped logger that mirrors console output to Logs.md in the run folder
+function ensureRunLogger(outputDir) {
+  try {
+    if (!outputDir) return;
+    if (!origConsole) {
+      origConsole = {};
+      for (const method of CONSOLE_METHODS) origConsole[method] = console[method];
+      const forward = (method) => (...args) => {
+        try {
+          const line = args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ');
+          const ts = new Date().toISOString();
+          const lf = getRunState().logFile;
+          if (lf) {
+            fs.appendFileSync(lf, `[${ts}] ${line}\n`, 'utf8');
+          }
+        } catch (_) {}
+        try { origConsole[method](...args); } catch (_) {}
+      };
+      for (const method of CONSOLE_METHODS) console[method] = forward(method);
+    }
+    const logFile = path.join(outputDir, 'Logs.md');
+    getRunState().logFile = logFile;
+    if (!fs.existsSync(logFile)) {
+      fs.writeFileSync(logFile, `# Logs for run\n\n`, 'utf8');
+    }
+  } catch (_) {}
+}
+
+function prefixLines(label, text) {
+  return text.split('\n').map(line => (line.trim() ? `[${label}] ${line}` : line)).join('\n');
+}
+
+let consolePrefixInstalled = false;
+
+// Prefixes terminal output with the label of the run that produced it. Once ensureRunLogger() has
+// wrapped the console, the prefix goes beneath its Logs.md writer, so Logs.md files stay
+// unprefixed whichever of the two is installed first
+function installConsolePrefix() {
+  if (consolePrefixInstalled) return;
+  consolePrefixInstalled = true;
+
+  const target = origConsole || console;
+  for (const method of CONSOLE_METHODS) {
+    const original = target[method];
+    target[method] = (...args) => {
+      const { label } = getRunState();
+      if (!label) return original(...args);
+      if (typeof args[0] === 'string') {
+        return original(prefixLines(label, args[0]), ...args.slice(1));
+      }
+      return original(`[${label}]`, ...args);
+    };
+  }
+}
+
+module.exports = {
+  createRunState,
+  getRunState,
+  forkRunState,
+  runWithState,
+  ensureRunLogger,
+  installConsolePrefix
+};
@@ -1,5 +1,10 @@
 const fs = require('fs');
 const path = require('path');
+const { getProductFolder } = require('./actions');
+const { getBaseDomain } = require('./environment');
+const { isProduction, PRODUCTION_ENV } = require('./productionGuard');
+
+const PRODUCTION_RUN_PREFIX = 'Run-PRD-';
 
 /**
  * Appends a run summary entry to the markdown file in the Run root folder
@@ -20,36 +25,12 @@ async function appendRunSummary(runFolder, id, mergeReportURL, status, mergeRepo
     const summaryFilePath = path.join(runFolder, summaryFileName);
     
     // Determine product based on action
-    const courseActions = ['updateCourse', 'inactivateCourse', 'newCourseRevision', 'createCourse', 'createProgram', 'updateProgram'];
-    const product = courseActions.includes(action) ? 'Curriculum Management' : 'Academic Scheduling';
+    const product = getProductFolder(action);
     
     // Check if file exists, if not create with headers
-    let fileContent = '';
-    if (!fs.existsSync(summaryFilePath)) {
-      fileContent = `# Run Summary Report - ${schoolId}\n\n`;
-      
-      // Check if this is a "both products" run by looking at the folder structure
-      const academicSchedulingPath = path.join(runFolder, 'Academic Scheduling');
-      const curriculumManagementPath = path.join(runFolder, 'Curriculum Management');
-      const isBothProducts = fs.existsSync(academicSchedulingPath) && fs.existsSync(curriculumManagementPath);
-      
-      if (isBothProducts) {
-        // Create separate tables for both products
-        fileContent += `## Academic Scheduling Test Cases\n\n`;
-        fileContent += `| ID | Merge Report URL | Status | Merge Report Status | Date | Test Case | Errors |\n`;
-        fileContent += `|----|------------------|---------|-------------------|------|--------|--------|\n`;
-        fileContent += `\n## Curriculum Management Test Cases\n\n`;
-        fileContent += `| ID | Merge Report URL | Status | Merge Report Status | Date | Test Case | Errors |\n`;
-        fileContent += `|----|------------------|---------|-------------------|------|--------|--------|\n`;
-      } else {
-        // Single product run
-        fileContent += `## ${product} Test Cases\n\n`;
-        fileContent += `| ID | Merge Report URL | Status | Merge Report Status | Date | Test Case | Errors |\n`;
-        fileContent += `|----|------------------|---------|-------------------|------|--------|--------|\n`;
-      }
-    } else {
-      fileContent = fs.readFileSync(summaryFilePath, 'utf8');
-    }
+    let fileContent = fs.existsSync(summaryFilePath)
+      ? fs.readFileSync(summaryFilePath, 'utf8')
+      : buildSummaryHeader(runFolder, schoolId, product);
     
     // Format the date for display
     const formattedDate = new Date(date).toLocaleString();
@@ -88,6 +69,92 @@ async function appendRunSummary(runFolder, id, mergeReportURL, status, mergeRepo
   }
 }
 
+// Title and empty product tables of a new RUN-SUMMARY file
+function buildSummaryHeader(runFolder, schoolId, product) {
+  let fileContent = `# Run Summary Report - ${schoolId}\n\n`;
+  if (isProductionRunFolder(runFolder)) {
+    fileContent = `# Run Summary Report - ${schoolId} (PRODUCTION)\n\n`;
+    fileContent += `> ⚠️ **Production run** on ${getBaseDomain(PRODUCTION_ENV)}: the test cases below saved real data and triggered real SIS merges.\n\n`;
+  }
+
+  // Check if this is a "both products" run by looking at the folder structure
+  const academicSchedulingPath = path.join(runFolder, 'Academic Scheduling');
+  const curriculumManagementPath = path.join(runFolder, 'Curriculum Management');
+  const isBothProducts = fs.existsSync(academicSchedulingPath) && fs.existsSync(curriculumManagementPath);
+
+  if (isBothProducts) {
+    // Create separate tables for both products
+    fileContent += `## Academic Scheduling Test Cases\n\n`;
+    fileContent += `| ID | Merge Report URL | Status | Merge Report Status | Date | Test Case | Errors |\n`;
+    fileContent += `|----|------------------|---------|-------------------|------|--------|--------|\n`;
+    fileContent += `\n## Curriculum Management Test Cases\n\n`;
+    fileContent += `| ID | Merge Report URL | Status | Merge Report Status | Date | Test Case | Errors |\n`;
+    fileContent += `|----|------------------|---------|-------------------|------|--------|--------|\n`;
+  } else {
+    // Single product run
+    fileContent += `## ${product} Test Cases\n\n`;
+    fileContent += `| ID | Merge Report URL | Status | Merge Report Status | Date | Test Case | Errors |\n`;
+    fileContent += `|----|------------------|---------|-------------------|------|--------|--------|\n`;
+  }
+  return fileContent;
+}
+
+/**
+ * Adds a line to the Notes section above the product tables of the run summary (run-level
+ * decisions such as waiting for a nightly merge), creating the file when needed
+ * @param {string} runFolder - Path to the current Run folder
+ * @param {string} schoolId - School identifier
+ * @param {string} action - Any action of the run (picks the product table of a new file)
+ * @param {string} note - Markdown text of the note
+ * @returns {Promise<string>} - Path of the summary file
+ */
+async function appendRunSummaryNote(runFolder, schoolId, action, note) {
+  const summaryFilePath = path.join(runFolder, `RUN-SUMMARY-${schoolId}.md`);
+  let fileContent = fs.existsSync(summaryFilePath)
+    ? fs.readFileSync(summaryFilePath, 'utf8')
+    : buildSummaryHeader(runFolder, schoolId, getProductFolder(action));
+
+  const line = `- ${new Date().toLocaleString()}: ${note}\n`;
+  const notesIndex = fileContent.indexOf('## Notes\n\n');
+  if (notesIndex === -1) {
+    // Notes go above the first product table
+    const tablesIndex = fileContent.indexOf('## ');
+    const at = tablesIndex === -1 ? fileContent.length : tablesIndex;
+    fileContent = `${fileContent.slice(0, at)}## Notes\n\n${line}\n${fileContent.slice(at)}`;
+  } else {
+    const notesEnd = fileContent.indexOf('\n## ', notesIndex);
+    const at = notesEnd === -1 ? fileContent.length : notesEnd;
+    fileContent = fileContent.slice(0, at) + line + fileContent.slice(at);
+  }
+
+  fs.writeFileSync(summaryFilePath, fileContent, 'utf8');
+  return summaryFilePath;
+}
+
+/**
+ * Name of the Run folder created for a run; production runs get a Run-PRD- prefix
+ * @param {string} dateStr - Run timestamp
+ * @param {string} env - Environment ('prd' or 'stg')
+ * @returns {string}
+ */
+function getRunFolderName(dateStr, env) {
+  return isProduction(env) ? `${PRODUCTION_RUN_PREFIX}${dateStr}` : `Run-${dateStr}`;
+}
+
+function isProductionRunFolder(runFolder) {
+  return path.basename(runFolder).startsWith(PRODUCTION_RUN_PREFIX);
+}
+
+/**
+ * Run root folder for an action folder (Run-<timestamp>/<Product>/<action>), where the
+ * RUN-SUMMARY of every action in the run is written
+ * @param {string} actionFolder - Action subfolder inside a Run folder
+ * @returns {string}
+ */
+function getRunRootFolder(actionFolder) {
+  return path.dirname(path.dirname(actionFolder));
+}
+
 /**
  * Extracts status from merge report steps array
  * @param {Array} steps - Array of steps from merge report API response
@@ -187,6 +254,9 @@ function generateRunId(action) {
 
 module.exports = {
   appendRunSummary,
+  appendRunSummaryNote,
+  getRunFolderName,
+  getRunRootFolder,
   extractStepsStatus,
   extractErrors,
   extractMetadataDifferences,
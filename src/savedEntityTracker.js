@@ -0,0 +1,74 @@
+/**
+ * Records which entity an action saved, so the merge-report poller can pick the report for
+ * that entity instead of whatever realtime merge happens to be the newest.
+ *
+ * While an action runs, every successful write request (POST/PUT/PATCH) the app sends for the
+ * action's entity type is inspected: entity ids are taken from the URL (…/sections/<id>) and
+ * from the JSON response (`id` / `_id`), and the time of the first save is kept.
+ */
+
+const WRITE_METHODS = ['POST', 'PUT', 'PATCH'];
+
+// API path segment per merge-history entity type; the optional capture group is the entity id
+const ENTITY_PATH_PATTERNS = {
+  sections: /\/sections?(?=[/?#]|$)(?:\/([^/?#]+))?/i,
+  relationships: /\/relationships?(?=[/?#]|$)(?:\/([^/?#]+))?/i,
+  coursesCm: /\/courses?(?=[/?#]|$)(?:\/([^/?#]+))?/i,
+  programs: /\/programs?(?=[/?#]|$)(?:\/([^/?#]+))?/i
+};
+
+// Ids contain at least one digit; this keeps path words such as "bulk" or "validate" out
+function isEntityId(value) {
+  return typeof value === 'string' && /^(?=.*\d)[A-Za-z0-9_-]{6,}$/.test(value);
+}
+
+function idsFromBody(body) {
+  const records = Array.isArray(body) ? body : [body];
+  const ids = [];
+  for (const record of records) {
+    if (!record || typeof record !== 'object') continue;
+    for (const key of ['id', '_id']) {
+      const value = record[key] !== undefined && record[key] !== null ? String(record[key]) : null;
+      if (isEntityId(value)) ids.push(value);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Starts recording the entities saved on `page` into the action's RunContext
+ * @param {Object} page - Playwright page the action runs on
+ * @param {string} entityType - Merge-history entity type of the action (sections, relationships, coursesCm, programs)
+ * @param {RunContext} runContext - Receives the ids through recordSavedEntity()
+ * @returns {Function} - Stops recording; call it once the action has finished
+ */
+function trackSavedEntities(page, entityType, runContext) {
+  const pattern = ENTITY_PATH_PATTERNS[entityType];
+  if (!pattern) return () => {};
+
+  const onResponse = async (response) => {
+    try {
+      const request = response.request();
+      if (!WRITE_METHODS.includes(request.method()) || !response.ok()) return;
+      const url = response.url();
+      const match = url.includes('/api/') ? url.match(pattern) : null;
+      if (!match) return;
+
+      const ids = [];
+      if (isEntityId(match[1])) ids.push(match[1]);
+      try {
+        ids.push(...idsFromBody(await response.json()));
+      } catch (_) {
+        // Not a JSON response; the URL id (if any) is all we get
+      }
+      runContext.recordSavedEntity(ids);
+    } catch (_) {}
+  };
+
+  page.on('response', onResponse);
+  return () => page.off('response', onResponse);
+}
+
+module.exports = {
+  trackSavedEntities
+};
@@ -5,49 +5,9 @@ const { captureModalError, captureModalAfter } = require('./section-screenshot')
 
 const fs   = require('fs');
 const path = require('path');
-// Simple run-scoped logger that mirrors console output to Logs.md in the run folder
-function ensureRunLogger(outputDir) {
-  try {
-    if (!outputDir) return;
-    if (!global.__origConsole) {
-      global.__origConsole = {
-        log: console.log,
-        warn: console.warn,
-        error: console.error,
-        info: console.info,
-      };
-      const forward = (method) => (...args) => {
-        try {
-          const line = args.map(a => (typeof a === 'string' ? a : JSON.stringify(a))).join(' ');
-          const ts = new Date().toISOString();
-          const out = `[${ts}] ${line}\n`;
-          const lf = (global.__runLogger && global.__runLogger.logFile) || null;
-          if (lf) {
-            fs.appendFileSync(lf, out, 'utf8');
-          }
-        } catch (_) {}
-        try { global.__origConsole[method](...args); } catch (_) {}
-      };
-      console.log = forward('log');
-      console.warn = forward('warn');
-      console.error = forward('error');
-      console.info = forward('info');
-    }
-    const logFile = path.join(outputDir, 'Logs.md');
-    global.__runLogger = { logFile };
-    if (!fs.existsSync(logFile)) {
-      fs.writeFileSync(logFile, `# Logs for run\n\n`, 'utf8');
-    }
-  } catch (_) {}
-}
 const { offerUserTakeover, waitForUserResponseWithTimeout } = require('./userTakeover');
-
-// Diff generation state shared across the flow to ensure we always produce one diff per run
-let __diffState = {
-  before: null,
-  context: null, // { schoolId, outputDir, action, dateStr }
-  wrote: false,
-};
+const { ensureRunLogger } = require('./runState');
+const { isDeepEqual } = require('./valueComparison');
 
 // Capture the full-height relationship modal (edit or conflict) using CDP clip + padding
 async function captureRelationshipModalFull(page, outputPath, isConflict = false) {
@@ -78,38 +38,7 @@ function getTimestamp() {
   return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}_${pad(now.getHours())}-${pad(now.getMinutes())}-${pad(now.getSeconds())}`;
 }
 
-function isPlainObject(value) {
-  return Object.prototype.toString.call(value) === '[object Object]';
-}
-
-function normalizeForComparison(value) {
-  if (typeof value === 'string') {
-    return value.trim();
-  }
-  if (Array.isArray(value)) {
-    return value.map(normalizeForComparison);
-  }
-  if (isPlainObject(value)) {
-    const entries = Object.entries(value)
-      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
-      .map(([k, v]) => [k, normalizeForComparison(v)]);
-    return Object.fromEntries(entries);
-  }
-  return value;
-}
-
-function isDeepEqual(a, b) {
-  const na = normalizeForComparison(a);
-  const nb = normalizeForComparison(b);
-  try {
-    return JSON.stringify(na) === JSON.stringify(nb);
-  } catch {
-    // Fallback to strict equality if stringify fails
-    return na === nb;
-  }
-}
-
-async function writeSectionDiff(beforeValues, afterValues, schoolId, outputDir, action, dateStr) {
+async function writeSectionDiff(ctx, beforeValues, afterValues, schoolId, outputDir, action, dateStr) {
   try {
     if (!beforeValues || !afterValues || !schoolId || !outputDir) return false;
     ensureRunLogger(outputDir);
@@ -130,7 +59,8 @@ async function writeSectionDiff(beforeValues, afterValues, schoolId, outputDir,
     } catch (_) {}
 
     const tableRows = [];
-    const skipSet = new Set((__diffState && __diffState.context && Array.isArray(__diffState.context.skipFields)) ? __diffState.context.skipFields : []);
+    const diffContext = ctx.sectionDiff.context;
+    const skipSet = new Set((diffContext && Array.isArray(diffContext.skipFields)) ? diffContext.skipFields : []);
 
     // Load integrated fields and restrict diffs to SIS-integrated fields for sections
     let allowedTopLevels = null;
@@ -200,7 +130,7 @@ async function writeSectionDiff(beforeValues, afterValues, schoolId, outputDir,
     const diffFilePath = path.join(outputDir, diffFileName);
     fs.writeFileSync(diffFilePath, diffText, 'utf8');
     console.log(`\nDifferences saved to: ${diffFilePath}`);
-    __diffState.wrote = true;
+    ctx.sectionDiff.wrote = true;
     return true;
   } catch (err) {
     console.log(`⚠️  [Diff] Failed to write diff: ${err.message}`);
@@ -210,6 +140,7 @@ async function writeSectionDiff(beforeValues, afterValues, schoolId, outputDir,
 
 /**
  * Restarts the section template process with a new section after user intervention
+ * @param {RunContext} ctx - State of the current action run
  * @param {Object} page - Playwright page object
  * @param {string} outputDir - Output directory for screenshots and files
  * @param {string} action - Current action being performed
@@ -217,27 +148,27 @@ async function writeSectionDiff(beforeValues, afterValues, schoolId, outputDir,
  * @param {Object} browser - Playwright browser object
  * @returns {Promise<boolean>} - True if template process completed successfully
  */
-async function restartSectionTemplateProcess(page, outputDir, action, schoolId, browser) {
+async function restartSectionTemplateProcess(ctx, page, outputDir, action, schoolId, browser) {
   try {
     ensureRunLogger(outputDir);
     console.log('\n🔄 RESTARTING SECTION TEMPLATE PROCESS');
     console.log('═══════════════════════════════════════');
     
     // Fill the section template with the new section
-    await fillBaselineTemplate(page, schoolId, action);
+    await fillBaselineTemplate(ctx, page, schoolId, action);
     
     // Handle meeting patterns if present
     const meetingBtn = page.locator('[data-test="set-meeting-pattern-btn"]');
     if (await meetingBtn.count() > 0) {
       console.log('📅 Processing meeting patterns for new section...');
-      await validateAndResetMeetingPatterns(page, outputDir, action);
+      await validateAndResetMeetingPatterns(ctx, page, outputDir, action);
     }
     
     // Handle instructors if present
     const profExpand = page.locator('[data-test="expandInstructorDetails"]');
     if (await profExpand.count() > 0) {
       console.log('👤 Processing instructors for new section...');
-      await validateAndResetProfessors(page, outputDir, action, null, '', null, '');
+      await validateAndResetProfessors(ctx, page, outputDir, action, null, '', null, '');
     }
     
     // Handle banner ethos schedule type if applicable
@@ -248,7 +179,7 @@ async function restartSectionTemplateProcess(page, outputDir, action, schoolId,
     
     // Attempt to save the new section
     console.log('💾 Attempting to save new section...');
-    const saveResult = await saveSection(page, outputDir, action, browser, schoolId);
+    const saveResult = await saveSection(ctx, page, outputDir, action, browser, schoolId);
     
     if (saveResult) {
       console.log('✅ New section template process completed successfully');
@@ -267,10 +198,11 @@ async function restartSectionTemplateProcess(page, outputDir, action, schoolId,
 /**
  * Fills the Section modal fields based on a baseline template JSON.
  *
+ * @param {RunContext}           ctx      State of the current action run (skip fields, diff baseline).
  * @param {import('playwright').Page} page    Playwright Page instance (modal must be open).
  * @param {string}               schoolId Identifier matching JSON file in Resources folder.
  */
-async function fillBaselineTemplate(page, schoolId, action, outputDir = null, browser = null) {
+async function fillBaselineTemplate(ctx, page, schoolId, action, outputDir = null, browser = null) {
   try { ensureRunLogger(outputDir); } catch (_) {}
   // Load the template JSON
   const jsonPath = getLatestSectionTemplateFile(schoolId);
@@ -300,9 +232,7 @@ async function fillBaselineTemplate(page, schoolId, action, outputDir = null, br
   }
 
   // Merge user-defined local skip fields (if provided via entry file workflow)
-  const customSectionSkips = global.__customSkipFields && Array.isArray(global.__customSkipFields.sections)
-    ? global.__customSkipFields.sections
-    : [];
+  const customSectionSkips = ctx.getCustomSkipFields('sections');
   for (const qid of customSectionSkips) {
     if (!skipFields.includes(qid)) {
       skipFields.push(qid);
@@ -312,11 +242,11 @@ async function fillBaselineTemplate(page, schoolId, action, outputDir = null, br
   // Extract all questionIds
   const questionIds = Object.keys(sectionTemplate.questions || {});
 
-  // Initialize global diff state for this run
+  // Initialize the diff state for this run
   try {
-    __diffState.before = await readSectionValues(page, schoolId);
-    __diffState.context = { schoolId, outputDir, action, dateStr: getTimestamp(), skipFields };
-    __diffState.wrote = false;
+    ctx.sectionDiff.before = await readSectionValues(page, schoolId);
+    ctx.sectionDiff.context = { schoolId, outputDir, action, dateStr: getTimestamp(), skipFields };
+    ctx.sectionDiff.wrote = false;
   } catch (_) {}
 
   // Add a small buffer to ensure fields load
@@ -1238,13 +1168,13 @@ async function fillBaselineTemplate(page, schoolId, action, outputDir = null, br
     // Generate diff before saving
     try {
       const afterValuesForFill = await readSectionValues(page, schoolId);
-      await writeSectionDiff(__diffState.before, afterValuesForFill, schoolId, outputDir, action, __diffState.context?.dateStr);
+      await writeSectionDiff(ctx, ctx.sectionDiff.before, afterValuesForFill, schoolId, outputDir, action, ctx.sectionDiff.context?.dateStr);
     } catch (err) {
       console.log(`⚠️ [Template Fill] Could not generate diff: ${err.message}`);
     }
 
     console.log(`💾 [Template Fill] Saving section after template fill (${action})...`);
-    const saveSuccess = await saveSection(page, outputDir, action, browser, schoolId);
+    const saveSuccess = await saveSection(ctx, page, outputDir, action, browser, schoolId);
     return saveSuccess;
   }
   
@@ -1252,7 +1182,7 @@ async function fillBaselineTemplate(page, schoolId, action, outputDir = null, br
 }
 
 // Pre-fill any visible required fields that are currently empty (sections)
-async function preFillRequiredEmptySectionFields(page) {
+async function preFillRequiredEmptySectionFields(ctx, page) {
   try {
     console.log('🔎 [Sections] Checking for empty required fields before save...');
 
@@ -1276,9 +1206,7 @@ async function preFillRequiredEmptySectionFields(page) {
       'sisId',
       'allowIntegration'
     ]);
-    const customSectionSkips = global.__customSkipFields && Array.isArray(global.__customSkipFields.sections)
-      ? global.__customSkipFields.sections
-      : [];
+    const customSectionSkips = ctx.getCustomSkipFields('sections');
     for (const qid of customSectionSkips) {
       protectedQids.add(qid);
     }
@@ -1527,14 +1455,14 @@ async function preFillRequiredEmptySectionFields(page) {
   }
 }
 
-async function saveSection(page, outputDir, action, browser = null, schoolId = '') {
+async function saveSection(ctx, page, outputDir, action, browser = null, schoolId = '') {
   try { ensureRunLogger(outputDir); } catch (_) {}
   await page.waitForTimeout(1500);
   const saveBtn = page.locator('button[data-test="save-section-btn"]');
 
   if (await saveBtn.count() > 0) {
     // Attempt to pre-fill any empty required fields before checking disabled state
-    try { await preFillRequiredEmptySectionFields(page); } catch (_) {}
+    try { await preFillRequiredEmptySectionFields(ctx, page); } catch (_) {}
     // Check if save button is disabled
     const isDisabled = await saveBtn.first().getAttribute('disabled') !== null;
     if (isDisabled) {
@@ -1566,7 +1494,7 @@ async function saveSection(page, outputDir, action, browser = null, schoolId = '
             console.log('🎉 [Double Bookings] Save button is now enabled! Calling saveSection to handle the save...');
             
             // Call the existing saveSection function to handle save properly with conflict modals
-            const saveResult = await saveSection(page, outputDir, action, browser, schoolId);
+            const saveResult = await saveSection(ctx, page, outputDir, action, browser, schoolId);
             if (saveResult) {
               console.log('🎉 [Double Bookings] Section saved successfully after resolving double booking!');
               return true;
@@ -1596,7 +1524,7 @@ async function saveSection(page, outputDir, action, browser = null, schoolId = '
               console.log('🔄 Restarting section template process with new section...');
               
               // Restart the entire section template fill process with the new section
-              return await restartSectionTemplateProcess(page, outputDir, action, schoolId, browser);
+              return await restartSectionTemplateProcess(ctx, page, outputDir, action, schoolId, browser);
             } else if (takeoverResult.sectionSaved) {
               console.log('✅ User intervention successful - section saved manually (modal closed)');
               return true;
@@ -1632,13 +1560,13 @@ async function saveSection(page, outputDir, action, browser = null, schoolId = '
 
       // Before checking for errors, ensure we write a diff at least once per run if possible
       try {
-        if (!__diffState.wrote && schoolId && outputDir) {
-          if (!__diffState.before) {
-            try { __diffState.before = await readSectionValues(page, schoolId); } catch (_) {}
+        if (!ctx.sectionDiff.wrote && schoolId && outputDir) {
+          if (!ctx.sectionDiff.before) {
+            try { ctx.sectionDiff.before = await readSectionValues(page, schoolId); } catch (_) {}
           }
           const afterVals = await readSectionValues(page, schoolId);
-          const ts = (__diffState.context?.dateStr) || getTimestamp();
-          await writeSectionDiff(__diffState.before, afterVals, schoolId, outputDir, action, ts);
+          const ts = (ctx.sectionDiff.context?.dateStr) || getTimestamp();
+          await writeSectionDiff(ctx, ctx.sectionDiff.before, afterVals, schoolId, outputDir, action, ts);
         }
       } catch (diffErr) {
         console.log(`⚠️ [Save] Diff attempt before error check failed: ${diffErr.message}`);
@@ -1667,7 +1595,7 @@ async function saveSection(page, outputDir, action, browser = null, schoolId = '
             
             // Call the existing saveSection function to handle save properly with conflict modals
             console.log('🔄 [Double Bookings] Calling saveSection to handle the retry save...');
-            const retryResult = await saveSection(page, outputDir, action, browser, schoolId);
+            const retryResult = await saveSection(ctx, page, outputDir, action, browser, schoolId);
             if (retryResult) {
               console.log('🎉 [Double Bookings] Section saved successfully after resolving double booking!');
               return true;
@@ -1694,7 +1622,7 @@ async function saveSection(page, outputDir, action, browser = null, schoolId = '
                 console.log('🔄 Restarting section template process with new section...');
                 
                 // Restart the entire section template fill process with the new section
-                return await restartSectionTemplateProcess(page, outputDir, action, schoolId, browser);
+                return await restartSectionTemplateProcess(ctx, page, outputDir, action, schoolId, browser);
               } else if (takeoverResult.sectionSaved) {
                 console.log('✅ User intervention successful - section saved manually (modal closed)');
                 return true;
@@ -1730,7 +1658,7 @@ async function saveSection(page, outputDir, action, browser = null, schoolId = '
   }
 }
 
-async function validateAndResetMeetingPatterns(page, outputDir, action) {
+async function validateAndResetMeetingPatterns(ctx, page, outputDir, action) {
   try { ensureRunLogger(outputDir); } catch (_) {}
   console.log('🔎 [Meeting Patterns] Locating Meeting Patterns & Rooms section...');
   const meetingPatternSection = page.locator('[data-card-id="times"]');
@@ -2439,7 +2367,7 @@ async function checkForApiError(page, outputDir, browser, schoolId, action) {
   }
 }
 
-async function validateAndResetProfessors(page, outputDir, action, browser = null, schoolId = '', beforeValues = null, dateStr = '') {
+async function validateAndResetProfessors(ctx, page, outputDir, action, browser = null, schoolId = '', beforeValues = null, dateStr = '') {
   console.log('🔎 [Professors] Locating Instructors card...');
   const instructorsCard = page.locator('[data-card-id="instructors"]');
 
@@ -2975,15 +2903,15 @@ async function validateAndResetProfessors(page, outputDir, action, browser = nul
       // If no beforeValues provided, use the global diff state or fetch now
       let effectiveBefore = beforeValues;
       if (!effectiveBefore) {
-        if (!__diffState.before && schoolId) {
-          try { __diffState.before = await readSectionValues(page, schoolId); } catch (_) {}
+        if (!ctx.sectionDiff.before && schoolId) {
+          try { ctx.sectionDiff.before = await readSectionValues(page, schoolId); } catch (_) {}
         }
-        effectiveBefore = __diffState.before;
+        effectiveBefore = ctx.sectionDiff.before;
       }
 
       const afterValues = await readSectionValues(page, schoolId);
-      const ts = dateStr || (__diffState.context?.dateStr) || getTimestamp();
-      await writeSectionDiff(effectiveBefore, afterValues, schoolId, outputDir, action, ts);
+      const ts = dateStr || (ctx.sectionDiff.context?.dateStr) || getTimestamp();
+      await writeSectionDiff(ctx, effectiveBefore, afterValues, schoolId, outputDir, action, ts);
     } catch (err) {
       console.log(`⚠️ [Professors] Could not generate diff before save: ${err.message}`);
     }
@@ -2996,7 +2924,7 @@ async function validateAndResetProfessors(page, outputDir, action, browser = nul
     }
     
     console.log('💾 [Professors] Saving section after professor setup...');
-    const saveSuccess = await saveSection(page, outputDir, action, browser, schoolId);
+    const saveSuccess = await saveSection(ctx, page, outputDir, action, browser, schoolId);
     return saveSuccess;
   }
   
@@ -4848,6 +4776,7 @@ module.exports = {
   validateAndResetMeetingPatterns, 
   validateAndResetProfessors, 
   readSectionValues, 
+  writeSectionDiff,
   relationshipsFill, 
   bannerEthosScheduleType,
   meetAndProfDetails,
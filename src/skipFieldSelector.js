@@ -1,6 +1,7 @@
 const fs = require('fs');
 const path = require('path');
 const inquirer = require('inquirer');
+const { CliArgumentError } = require('./cliArgs');
 
 const ENTRY_FILES_DIR = path.join(__dirname, 'Resources', 'entryFiles');
 const RESOURCE_DIR = path.join(__dirname, 'Resources');
@@ -294,8 +295,42 @@ function getEntityLabel(entity) {
   return 'Programs';
 }
 
-async function runSkipFieldWorkflow(schoolId, prodChoice) {
+function loadSkipFieldsOption(value, schoolId) {
+  const trimmed = String(value).trim();
+  if (trimmed.toLowerCase() === 'default') {
+    console.log('\nSkip field source: default definitions (hardcoded only)');
+    return null;
+  }
+  const candidates = [path.resolve(trimmed), path.join(ENTRY_FILES_DIR, trimmed)];
+  const filePath = candidates.find(candidate => fs.existsSync(candidate));
+  if (!filePath) {
+    throw new CliArgumentError(`Invalid value for --skip-fields: Entry file not found: ${trimmed}`);
+  }
+  const selections = readSkipFieldsFromCsv(filePath, schoolId);
+  if (!ENTITY_KEYS.some(key => selections[key].length > 0)) {
+    throw new CliArgumentError(`Invalid value for --skip-fields: ${filePath} has no rows for ${schoolId}.`);
+  }
+  console.log(`\n✅ Loaded entry file: ${filePath}`);
+  return selections;
+}
+
+/**
+ * Resolves the custom skip fields for a run, prompting unless `options` decide the source.
+ * @param {string} schoolId - School ID
+ * @param {string} prodChoice - Product choice ('1', '2' or '3')
+ * @param {Object} options - `skipFields`: entry CSV path or 'default'; `yes`: use defaults without prompting
+ * @returns {Promise<Object|null>} - `{ sections, coursesCm, programs }`, or null for hardcoded definitions only
+ */
+async function runSkipFieldWorkflow(schoolId, prodChoice, options = {}) {
   ensureEntryFilesDir();
+  if (options.skipFields !== undefined && options.skipFields !== null) {
+    return loadSkipFieldsOption(options.skipFields, schoolId);
+  }
+  if (options.yes) {
+    console.log('\nSkip field source: default definitions (hardcoded only)');
+    return null;
+  }
+
   const existingFiles = scanEntryFiles(schoolId);
   const modeChoices = [
     { name: 'Use default definitions (hardcoded only)', value: 'default' },
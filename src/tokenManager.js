@@ -0,0 +1,163 @@
+const axios = require('axios');
+const fs = require('fs');
+const path = require('path');
+const { getBaseUrl } = require('./environment');
+const { AuthError, toApiError } = require('./errors');
+
+/**
+ * One Coursedog API session per environment, shared by every API module (templates,
+ * pre-flight checks, merge-report polling). The token is fetched once, cached with its
+ * expiry and refreshed shortly before it expires, or right away when a request is answered
+ * with 401/403. Credentials come from creds.json and are read once.
+ */
+
+// Refresh this long before the token expires
+const REFRESH_MARGIN_MS = 5 * 60000;
+// Lifetime assumed when the token does not say when it expires
+const DEFAULT_TOKEN_TTL_MS = 30 * 60000;
+const MAX_LOGIN_ATTEMPTS = 3;
+
+let cachedCreds = null;
+
+function loadCredentials() {
+  if (cachedCreds) return cachedCreds;
+  cachedCreds = { email: '', password: '' };
+  try {
+    const credsPath = path.join(__dirname, 'creds.json');
+    if (fs.existsSync(credsPath)) {
+      cachedCreds = { ...cachedCreds, ...JSON.parse(fs.readFileSync(credsPath, 'utf8')) };
+    }
+  } catch (_) {}
+  return cachedCreds;
+}
+
+// Expiry (ms) from the `exp` claim of a JWT, or null for opaque tokens
+function getJwtExpiry(token) {
+  const parts = typeof token === 'string' ? token.split('.') : [];
+  if (parts.length !== 3) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+    return typeof payload.exp === 'number' ? payload.exp * 1000 : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// AuthError from the API client, or a raw axios 401/403
+function isAuthFailure(error) {
+  if (error instanceof AuthError) return true;
+  const status = error && error.response && error.response.status;
+  return status === 401 || status === 403;
+}
+
+class TokenManager {
+  /**
+   * @param {string} env - Environment ('prd' or 'stg')
+   * @param {Object} credentials - { email, password }; defaults to creds.json
+   */
+  constructor(env, credentials = null) {
+    this.env = env;
+    this.credentials = credentials;
+    this.token = null;
+    this.expiresAt = 0;
+    this.pendingLogin = null; // shared by callers that ask while a login is running
+    this.loginCount = 0;
+  }
+
+  /**
+   * @returns {Promise<string>} - A token valid for at least REFRESH_MARGIN_MS
+   */
+  async getToken() {
+    if (this.token && Date.now() < this.expiresAt - REFRESH_MARGIN_MS) {
+      return this.token;
+    }
+    if (!this.pendingLogin) {
+      this.pendingLogin = this.login().finally(() => {
+        this.pendingLogin = null;
+      });
+    }
+    return this.pendingLogin;
+  }
+
+  // Drops the cached token; the next getToken() signs in again
+  invalidate() {
+    this.token = null;
+    this.expiresAt = 0;
+  }
+
+  /**
+   * Calls `request` with a token; when the API answers 401/403 the token is refreshed and
+   * the request retried once
+   * @param {Function} request - async (token) => result
+   * @returns {Promise<*>} - Whatever `request` resolves to
+   */
+  async withToken(request) {
+    const token = await this.getToken();
+    try {
+      return await request(token);
+    } catch (error) {
+      if (!isAuthFailure(error)) throw error;
+      console.log(`🔐 API answered ${error.status || error.response.status}; refreshing the token and retrying...`);
+      if (this.token === token) this.invalidate();
+      return request(await this.getToken());
+    }
+  }
+
+  async login() {
+    const creds = this.credentials || loadCredentials();
+    const url = `${getBaseUrl(this.env)}/api/v1/sessions`;
+    const headers = {
+      'Content-Type': 'application/json',
+      'Accept': '*/*',
+      'Cache-Control': 'no-cache'
+    };
+
+    let lastError = null;
+    for (let attempt = 1; attempt <= MAX_LOGIN_ATTEMPTS; attempt++) {
+      try {
+        console.log(this.loginCount > 0 ? '🔐 Refreshing API token...' : '🔐 Authenticating with the API...');
+        const response = await axios.post(url, { email: creds.email, password: creds.password }, { headers });
+        if (!response.data || !response.data.token) {
+          throw new Error('No token received in response');
+        }
+        this.token = response.data.token;
+        this.expiresAt = getJwtExpiry(this.token) || Date.now() + DEFAULT_TOKEN_TTL_MS;
+        this.loginCount++;
+        console.log('✅ Authentication successful');
+        return this.token;
+      } catch (error) {
+        lastError = error.response ? toApiError(error, 'POST', url) : error;
+        // Wrong credentials will not get better by retrying
+        if (isAuthFailure(lastError)) break;
+        console.log(`⚠️ Authentication attempt ${attempt}/${MAX_LOGIN_ATTEMPTS} failed: ${error.message}`);
+        if (attempt < MAX_LOGIN_ATTEMPTS) {
+          await new Promise(resolve => setTimeout(resolve, attempt * 2000));
+        }
+      }
+    }
+
+    this.invalidate();
+    if (isAuthFailure(lastError)) {
+      const { status, body, method } = lastError;
+      throw new AuthError('Authentication failed: the email/password in creds.json were rejected', { status, body, method, url });
+    }
+    throw new Error(`Authentication failed: ${lastError.message}`);
+  }
+}
+
+const managers = new Map();
+
+/**
+ * @param {string} env - Environment ('prd' or 'stg')
+ * @returns {TokenManager} - The shared token manager of the environment
+ */
+function getTokenManager(env) {
+  if (!managers.has(env)) managers.set(env, new TokenManager(env));
+  return managers.get(env);
+}
+
+module.exports = {
+  TokenManager,
+  getTokenManager,
+  isAuthFailure
+};
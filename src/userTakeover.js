@@ -3,6 +3,7 @@ const path = require('path');
 const prompt = require('prompt-sync')({ sigint: true });
 const { chromium } = require('playwright');
 const { appendRunSummary } = require('./runSummary');
+const { getRunState } = require('./runState');
 
 /**
  * User takeover functionality for manual intervention when automation fails
@@ -258,6 +259,20 @@ function askUserToRetry(errorType, errorMessage) {
   return retry === 'y' || retry === 'yes';
 }
 
+/**
+ * Why this run cannot wait for the keyboard: schools running in parallel share one keyboard, and
+ * a stdin that is not a TTY cannot be read key by key
+ * @returns {string|null} - Reason, or null when the prompt can wait for the user
+ */
+function getNonInteractiveReason() {
+  if (!getRunState().interactive) return 'several schools are running in parallel';
+  const stdin = process.stdin;
+  if (!stdin || !stdin.isTTY || typeof stdin.setRawMode !== 'function') {
+    return 'stdin is not an interactive TTY for this run';
+  }
+  return null;
+}
+
 /**
  * Wait for user response (y/N) with a timeout
  * @param {number} timeoutMinutes - Timeout in minutes
@@ -270,14 +285,15 @@ async function waitForUserResponseWithTimeout(timeoutMinutes) {
     console.log(`\n🤝 Do you want to take manual control to fix this issue? [y/N]: `);
     console.log(`⏰ (Timeout: ${timeoutMinutes} minutes - will auto-skip if no response)`);
 
-    const stdin = process.stdin;
-    // If stdin isn't interactive, we can't reliably wait for user input.
-    if (!stdin || !stdin.isTTY || typeof stdin.setRawMode !== 'function') {
-      console.log(`⚠️  Manual control prompt skipped: stdin is not an interactive TTY for this run.`);
+    const skipReason = getNonInteractiveReason();
+    if (skipReason) {
+      console.log(`⚠️  Manual control prompt skipped: ${skipReason}.`);
       resolve('no');
       return;
     }
 
+    const stdin = process.stdin;
+
     let timeoutId;
     let inputBuffer = '';
     const startedAt = Date.now();
@@ -359,14 +375,15 @@ async function waitForUserInputWithTimeout(timeoutMinutes) {
     console.log(`🛑 Press ESC or C to abort and skip this test`);
     console.log(`⏰ (Timeout: ${timeoutMinutes} minutes - will auto-skip if no response)`);
     
-    const stdin = process.stdin;
-    // If stdin isn't interactive, we can't reliably wait for user input.
-    if (!stdin || !stdin.isTTY || typeof stdin.setRawMode !== 'function') {
-      console.log(`⚠️  Manual intervention wait skipped: stdin is not an interactive TTY for this run.`);
+    const skipReason = getNonInteractiveReason();
+    if (skipReason) {
+      console.log(`⚠️  Manual intervention wait skipped: ${skipReason}.`);
       resolve('timeout');
       return;
     }
 
+    const stdin = process.stdin;
+
     const startedAt = Date.now();
     // Set up input listener
     stdin.setRawMode(true);
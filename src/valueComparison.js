@@ -0,0 +1,41 @@
+/**
+ * Before/after value comparison shared by the section and course flows when they write the
+ * field-differences tables: strings are trimmed and object keys sorted, so whitespace and key
+ * order do not count as a change.
+ */
+
+function isPlainObject(value) {
+  return Object.prototype.toString.call(value) === '[object Object]';
+}
+
+function normalizeForComparison(value) {
+  if (typeof value === 'string') {
+    return value.trim();
+  }
+  if (Array.isArray(value)) {
+    return value.map(normalizeForComparison);
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value)
+      .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+      .map(([k, v]) => [k, normalizeForComparison(v)]);
+    return Object.fromEntries(entries);
+  }
+  return value;
+}
+
+function isDeepEqual(a, b) {
+  const na = normalizeForComparison(a);
+  const nb = normalizeForComparison(b);
+  try {
+    return JSON.stringify(na) === JSON.stringify(nb);
+  } catch {
+    // Fallback to strict equality if stringify fails
+    return na === nb;
+  }
+}
+
+module.exports = {
+  normalizeForComparison,
+  isDeepEqual
+};
@@ -0,0 +1,157 @@
+const { test, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadBatchSchools, resolveConcurrency, runBatch, writeBatchIndex } = require('../src/batch');
+const { getRunState } = require('../src/runState');
+const { EXIT_CODES } = require('../src/runResult');
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-'));
+after(() => fs.rmSync(tmpDir, { recursive: true, force: true }));
+
+beforeEach((t) => {
+  for (const method of ['log', 'error']) t.mock.method(console, method, () => {});
+});
+
+function writeFile(relativePath, contents) {
+  const filePath = path.join(tmpDir, relativePath);
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  fs.writeFileSync(filePath, contents, 'utf8');
+  return filePath;
+}
+
+test('loadBatchSchools reads --schools and --schools-csv', () => {
+  assert.strictEqual(loadBatchSchools({ schoolId: 'mockschool' }), null);
+  assert.deepStrictEqual(loadBatchSchools({ schoolIds: ['a', 'b'] }), [{ schoolId: 'a' }, { schoolId: 'b' }]);
+
+  const skipFieldsPath = writeFile('csv/b-skipFields.csv', 'field\n');
+  const csvPath = writeFile('csv/schools.csv', 'schoolId,courseFormName,skipFields\na,,default\nb,Propose Course,b-skipFields.csv\n');
+  assert.deepStrictEqual(loadBatchSchools({ schoolsCsv: csvPath }), [
+    { schoolId: 'a', skipFields: 'default' },
+    { schoolId: 'b', courseFormName: 'Propose Course', skipFields: skipFieldsPath }
+  ]);
+  // Without a header row the columns are schoolId,courseFormName,programFormName,skipFields
+  assert.deepStrictEqual(loadBatchSchools({ schoolsCsv: writeFile('csv/bare.csv', 'a,,Propose Program\n') }), [
+    { schoolId: 'a', programFormName: 'Propose Program' }
+  ]);
+});
+
+test('loadBatchSchools rejects invalid school lists', () => {
+  assert.throws(() => loadBatchSchools({ schoolIds: ['a'], schoolsCsv: 'x.csv' }), /^CliArgumentError: Invalid value for --schools: cannot be combined with --schools-csv\.$/);
+  assert.throws(() => loadBatchSchools({ schoolIds: ['a'], schoolId: 'b' }), /^CliArgumentError: Invalid value for --school: cannot be combined with --schools\.$/);
+  assert.throws(() => loadBatchSchools({ schoolIds: ['a', 'b', 'a'] }), /^CliArgumentError: Invalid value for --schools: School "a" is listed more than once\.$/);
+  assert.throws(() => loadBatchSchools({ schoolsCsv: path.join(tmpDir, 'missing.csv') }), /^CliArgumentError: Invalid value for --schools-csv: File not found: /);
+  assert.throws(
+    () => loadBatchSchools({ schoolsCsv: writeFile('csv/unknown.csv', 'schoolId,env\na,stg\n') }),
+    /^CliArgumentError: Invalid value for --schools-csv: Unknown column\(s\) env\. Allowed: /
+  );
+  assert.throws(
+    () => loadBatchSchools({ schoolsCsv: writeFile('csv/empty.csv', 'schoolId,skipFields\n') }),
+    /^CliArgumentError: Invalid value for --schools-csv: At least one school ID is required\.$/
+  );
+  assert.throws(
+    () => loadBatchSchools({ schoolsCsv: writeFile('csv/noId.csv', 'schoolId,skipFields\na,default\n,default\n') }),
+    /^CliArgumentError: Invalid value for --schools-csv: Row 2 has no schoolId\.$/
+  );
+});
+
+test('resolveConcurrency accepts whole numbers of 1 or more for batch runs', () => {
+  const schools = [{ schoolId: 'a', skipFields: 'default' }, { schoolId: 'b', skipFields: 'default' }];
+  assert.strictEqual(resolveConcurrency({}, schools), 1);
+  assert.strictEqual(resolveConcurrency({ concurrency: '1' }, schools), 1);
+  assert.strictEqual(resolveConcurrency({ concurrency: ' 4 ' }, schools), 4);
+
+  for (const value of ['0', '-1', '1.5', 'two', '']) {
+    assert.throws(
+      () => resolveConcurrency({ concurrency: value }, schools),
+      new RegExp(`^CliArgumentError: Invalid value for --concurrency: Please enter a whole number of 1 or more \\(got "${value.trim()}"\\)\\.$`)
+    );
+  }
+  assert.throws(() => resolveConcurrency({ concurrency: '2' }, null), /^CliArgumentError: Invalid value for --concurrency: only applies to batch runs/);
+});
+
+test('resolveConcurrency needs the skip fields of parallel schools decided up front', () => {
+  const schools = [{ schoolId: 'a', skipFields: 'default' }, { schoolId: 'b' }];
+  assert.throws(
+    () => resolveConcurrency({ concurrency: '2' }, schools),
+    /^CliArgumentError: Invalid value for --concurrency: parallel runs cannot prompt for skip fields\. Pass --skip-fields, --yes or a skipFields column for: b\.$/
+  );
+  assert.strictEqual(resolveConcurrency({ concurrency: '2', yes: true }, schools), 2);
+  assert.strictEqual(resolveConcurrency({ concurrency: '2', skipFields: 'default' }, schools), 2);
+  assert.strictEqual(resolveConcurrency({ concurrency: '1' }, schools), 1);
+});
+
+test('runBatch records a failing school and goes on with the next one', async () => {
+  const schoolsDir = path.join(tmpDir, 'sequential');
+  const ran = [];
+  const runSchool = async (school, runFolders, actions) => {
+    ran.push({ schoolId: school.schoolId, state: { ...getRunState() } });
+    const runFolder = path.join(schoolsDir, school.schoolId, 'Run-1');
+    runFolders.push(runFolder);
+    if (school.schoolId === 'b') {
+      actions.push({ action: 'update', status: 'failed', reason: 'Sign-in failed' });
+      throw Object.assign(new Error('Sign-in failed; no test case was run.'), { exitCode: EXIT_CODES.authFailed });
+    }
+    actions.push({ action: 'update', status: 'passed', reason: null });
+    writeFile(path.relative(tmpDir, path.join(runFolder, `RUN-SUMMARY-${school.schoolId}.md`)), '# Run summary\n');
+  };
+
+  const results = await runBatch([{ schoolId: 'a' }, { schoolId: 'b' }, { schoolId: 'c' }], runSchool, { schoolsDir, dateStr: '2026-01-01' });
+
+  assert.deepStrictEqual(ran.map(run => run.schoolId), ['a', 'b', 'c']);
+  assert.ok(ran.every(run => run.state.label === null && run.state.interactive === true));
+  assert.deepStrictEqual(results.map(({ schoolId, status, error, exitCode }) => ({ schoolId, status, error, exitCode })), [
+    { schoolId: 'a', status: 'completed', error: null, exitCode: EXIT_CODES.passed },
+    { schoolId: 'b', status: 'failed', error: 'Sign-in failed; no test case was run.', exitCode: EXIT_CODES.authFailed },
+    { schoolId: 'c', status: 'completed', error: null, exitCode: EXIT_CODES.passed }
+  ]);
+  assert.deepStrictEqual(results[1].actions, [{ action: 'update', status: 'failed', reason: 'Sign-in failed' }]);
+  assert.ok(fs.existsSync(path.join(schoolsDir, 'BATCH-SUMMARY-2026-01-01.md')));
+});
+
+test('runBatch runs parallel schools with their own labelled run state and keeps batch order', async () => {
+  const schoolsDir = path.join(tmpDir, 'parallel');
+  const states = {};
+  const runSchool = async (school) => {
+    states[school.schoolId] = { ...getRunState() };
+    // The first school finishes last
+    await new Promise(resolve => setTimeout(resolve, school.schoolId === 'a' ? 20 : 0));
+    if (school.schoolId === 'c') throw new Error('Browser crashed');
+  };
+
+  const results = await runBatch([{ schoolId: 'a' }, { schoolId: 'b' }, { schoolId: 'c' }], runSchool, { schoolsDir, dateStr: '2026-01-02', concurrency: 2 });
+
+  assert.deepStrictEqual(results.map(({ schoolId, status, exitCode }) => [schoolId, status, exitCode]), [
+    ['a', 'completed', EXIT_CODES.passed],
+    ['b', 'completed', EXIT_CODES.passed],
+    ['c', 'failed', EXIT_CODES.unexpectedError]
+  ]);
+  assert.deepStrictEqual(Object.keys(states).sort().map(schoolId => [states[schoolId].label, states[schoolId].interactive]), [
+    ['a', false],
+    ['b', false],
+    ['c', false]
+  ]);
+});
+
+test('writeBatchIndex links every Run folder that has a run summary', () => {
+  const schoolsDir = path.join(tmpDir, 'index');
+  const runFolder = path.join(schoolsDir, 'a', 'Run 1');
+  writeFile(path.relative(tmpDir, path.join(runFolder, 'RUN-SUMMARY-a.md')), '# Run summary\n');
+
+  const indexPath = writeBatchIndex(schoolsDir, '2026-01-03', [
+    { schoolId: 'a', status: 'completed', runFolders: [runFolder, path.join(schoolsDir, 'a', 'Run 2')], error: null },
+    { schoolId: 'b', status: 'failed', runFolders: [], error: 'Pre-flight failed | see log\nline 2' }
+  ]);
+
+  assert.strictEqual(indexPath, path.join(schoolsDir, 'BATCH-SUMMARY-2026-01-03.md'));
+  assert.strictEqual(fs.readFileSync(indexPath, 'utf8'), [
+    '# Batch Summary - 2026-01-03',
+    '',
+    '| School | Status | Run Summary | Notes |',
+    '|--------|--------|-------------|-------|',
+    '| a | completed | [Run 1](a/Run%201/RUN-SUMMARY-a.md) | N/A |',
+    '| b | failed | N/A | Pre-flight failed \\| see log line 2 |',
+    ''
+  ].join('\n'));
+});
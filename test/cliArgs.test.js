@@ -0,0 +1,82 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseCliArgs, CliArgumentError } = require('../src/cliArgs');
+const { gatherInputs } = require('../src/input');
+
+// gatherInputs() saves the session of every run; each test gets its own file instead of src/session.json
+const sessionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cli-session-'));
+let sessionCount = 0;
+const freshSession = () => ({ sessionPath: path.join(sessionDir, `session-${++sessionCount}.json`) });
+
+after(() => fs.rmSync(sessionDir, { recursive: true, force: true }));
+
+const RUN_OPTIONS = { email: 'tester@example.edu', password: 'secret', schoolId: 'mockschool', yes: true };
+
+test('parseCliArgs maps flags to option keys', () => {
+  assert.deepStrictEqual(
+    parseCliArgs(['--school', 'mockschool', '--product=cm', '--actions', 'update, create', '-y', '--reuse-browser']),
+    { schoolId: 'mockschool', product: 'cm', actions: ['update', 'create'], yes: true, reuseBrowser: true }
+  );
+  assert.deepStrictEqual(parseCliArgs([]), {});
+});
+
+test('parseCliArgs rejects unknown flags', () => {
+  assert.throws(
+    () => parseCliArgs(['--school', 'mockschool', '--scool', 'x']),
+    (error) => error instanceof CliArgumentError && error.message === 'Unknown option "--scool". Run with --help to see the available options.'
+  );
+  assert.throws(() => parseCliArgs(['mockschool']), /^CliArgumentError: Unknown option "mockschool"\./);
+});
+
+test('parseCliArgs rejects missing values', () => {
+  assert.throws(() => parseCliArgs(['--school']), /^CliArgumentError: Option --school requires a value\.$/);
+  assert.throws(() => parseCliArgs(['--school', '--yes']), /^CliArgumentError: Option --school requires a value\.$/);
+  assert.throws(() => parseCliArgs(['--actions', ' , ']), /^CliArgumentError: Option --actions requires at least one value\.$/);
+  assert.throws(() => parseCliArgs(['--yes=true']), /^CliArgumentError: Option --yes does not take a value\.$/);
+});
+
+test('gatherInputs validates --product and accepts its aliases', () => {
+  assert.throws(
+    () => gatherInputs({ ...RUN_OPTIONS, product: '4', action: 'update' }, freshSession()),
+    /^CliArgumentError: Invalid value for --product: Invalid\. Please enter 1, 2, or 3\.$/
+  );
+  const inputs = gatherInputs({ ...RUN_OPTIONS, product: 'as', action: 'update' }, freshSession());
+  assert.strictEqual(inputs.prodChoice, '1');
+  assert.strictEqual(inputs.action, 'update');
+});
+
+test('gatherInputs validates --action against the product menu', () => {
+  assert.throws(
+    () => gatherInputs({ ...RUN_OPTIONS, product: '1', action: 'createCourse' }, freshSession()),
+    /^CliArgumentError: Invalid value for --action: Invalid\. Please enter /
+  );
+  assert.throws(
+    () => gatherInputs({ ...RUN_OPTIONS, product: '1', action: 'update', actions: ['update'] }, freshSession()),
+    /^CliArgumentError: Invalid value for --action: cannot be combined with --actions/
+  );
+  assert.strictEqual(gatherInputs({ ...RUN_OPTIONS, product: '1', action: '1' }, freshSession()).action, 'update');
+});
+
+test('--password takes precedence over COURSEDOG_PASSWORD, which takes precedence over the saved session', () => {
+  const storage = freshSession();
+  const options = { ...RUN_OPTIONS, product: '1', action: 'update' };
+  delete options.password;
+  fs.writeFileSync(storage.sessionPath, JSON.stringify({ email: options.email, password: 'from-session' }), 'utf8');
+
+  assert.strictEqual(gatherInputs(options, storage).password, 'from-session');
+  process.env.COURSEDOG_PASSWORD = 'from-env';
+  try {
+    assert.strictEqual(gatherInputs(options, storage).password, 'from-env');
+    assert.strictEqual(gatherInputs({ ...options, password: 'from-flag' }, storage).password, 'from-flag');
+  } finally {
+    delete process.env.COURSEDOG_PASSWORD;
+  }
+  // The saved password belongs to the saved email only
+  assert.throws(
+    () => gatherInputs({ ...options, email: 'other@example.edu' }, storage),
+    /^CliArgumentError: Invalid value for --password: Password cannot be empty\.$/
+  );
+});
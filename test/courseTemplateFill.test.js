@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { generateCourseTestValue } = require('../src/courseTemplateFill');
+
+test('text values get a single -CDtest suffix appended to the existing value', () => {
+  assert.strictEqual(generateCourseTestValue({ type: 'text', qid: 'code' }, 'BIO 101'), 'BIO 101-CDtest');
+  assert.strictEqual(generateCourseTestValue({ type: 'text', qid: 'code' }, 'BIO 101-CDtest'), 'BIO 101-CDtest');
+  assert.strictEqual(generateCourseTestValue({ questionType: 'textarea', qid: 'notes' }, ' Notes - CDtest-CDtest '), 'Notes -CDtest');
+});
+
+test('empty text values depend on the field', () => {
+  assert.strictEqual(generateCourseTestValue({ type: 'text', qid: 'name' }), 'Test Course -CDtest');
+  assert.strictEqual(generateCourseTestValue({ type: 'text', qid: 'x', label: 'Long Title' }), 'Test Course Long Title -CDtest');
+  assert.strictEqual(generateCourseTestValue({ type: 'text', qid: 'x' }), 'Test -CDtest');
+  assert.strictEqual(generateCourseTestValue({ type: 'textarea', qid: 'description' }), 'Automated test description -CDtest');
+  assert.strictEqual(generateCourseTestValue({ type: 'wysiwyg', qid: 'x' }, 'Intro'), 'Intro -CDtest');
+});
+
+test('configured max length clamps text values', () => {
+  const question = { type: 'text', qid: 'code', config: { validations: { maxLength: 8 } } };
+
+  assert.strictEqual(generateCourseTestValue(question, 'BIO 101'), 'BIO 101-');
+  assert.strictEqual(generateCourseTestValue({ ...question, qid: 'x' }), 'Test -CD');
+});
+
+test('numbers, booleans and choices are deterministic', () => {
+  assert.strictEqual(generateCourseTestValue({ type: 'number', qid: 'credits' }), 15);
+  assert.strictEqual(generateCourseTestValue({ type: 'number', originalFieldType: 'credits', originalSubFieldKey: 'min' }), 2);
+  assert.strictEqual(generateCourseTestValue({ type: 'number', originalFieldType: 'credits', originalSubFieldKey: 'max' }), 5);
+  assert.strictEqual(generateCourseTestValue({ type: 'courseNumber' }), 112);
+  assert.strictEqual(generateCourseTestValue({ type: 'yesNo' }), true);
+  assert.strictEqual(generateCourseTestValue({ type: 'multiselect' }), 'auto-select');
+  assert.strictEqual(generateCourseTestValue({ type: 'somethingElse' }), 'Test Value -CDtest');
+});
+
+test('dates use today in "Mon D, YYYY" form', () => {
+  const today = new Date();
+  const expected = `${today.toLocaleString('en-US', { month: 'short' })} ${today.getDate()}, ${today.getFullYear()}`;
+
+  assert.strictEqual(generateCourseTestValue({ type: 'date' }), expected);
+});
@@ -0,0 +1,92 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Static stand-in for the Coursedog section/course forms, for exercising the Playwright fill,
+ * read and diff routines without a Coursedog environment.
+ *
+ * test/fixtureApp/index.html renders a template JSON with the DOM conventions those routines
+ * select on: `[data-test="<qid>"]` controls inside `#field-<qid>` containers, `.form-card`
+ * cards, vue-multiselect markup (`.multiselect__tags`, `.multiselect__single`,
+ * `.multiselect__content-wrapper li`), YesBtn/NoBtn button pairs, nested
+ * `#field-credits.<type>.<sub>` inputs and the meeting-pattern card (`[data-card-id="times"]`).
+ *
+ * Open `/?template=<name>&state=<name>`: both name files in test/fixtureApp/forms. The template
+ * has the shape getSchoolTemplate saves; the state file holds the `values` the form starts with,
+ * the `options` of each dropdown and the existing `meetingPatterns`.
+ *
+ * Tests start it with startFixtureApp(). To look at a form in a browser:
+ *   node test/fixtureApp.js [--port 4020]
+ */
+
+const APP_DIR = path.join(__dirname, 'fixtureApp');
+const FORMS_DIR = path.join(APP_DIR, 'forms');
+
+function resolveFile(pathname) {
+  if (pathname === '/' || pathname === '/index.html') return path.join(APP_DIR, 'index.html');
+  const match = pathname.match(/^\/forms\/([A-Za-z0-9_-]+)\.json$/);
+  return match ? path.join(FORMS_DIR, `${match[1]}.json`) : null;
+}
+
+/**
+ * Starts the fixture app
+ * @param {Object} options - `port`: 0 picks a free port
+ * @returns {Promise<Object>} - { url, port, formUrl(template, state), close() }
+ */
+function startFixtureApp({ port = 0 } = {}) {
+  const server = http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://fixture');
+    const file = resolveFile(pathname);
+    if (!file || !fs.existsSync(file)) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end(`Not found: ${pathname}`);
+      return;
+    }
+    const contentType = file.endsWith('.json') ? 'application/json' : 'text/html; charset=utf-8';
+    res.writeHead(200, { 'Content-Type': contentType });
+    res.end(fs.readFileSync(file));
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      const url = `http://127.0.0.1:${actualPort}`;
+      resolve({
+        url,
+        port: actualPort,
+        formUrl(template, state = null) {
+          const query = new URLSearchParams({ template });
+          if (state) query.set('state', state);
+          return `${url}/?${query}`;
+        },
+        close() {
+          return new Promise(done => server.close(() => done()));
+        }
+      });
+    });
+  });
+}
+
+module.exports = {
+  FORMS_DIR,
+  startFixtureApp
+};
+
+// `node --test test/` also loads this file as a test file (NODE_TEST_CONTEXT is set); only start on a direct run
+if (require.main === module && !process.env.NODE_TEST_CONTEXT) {
+  const args = process.argv.slice(2);
+  const portIndex = args.indexOf('--port');
+  const port = portIndex >= 0 && args[portIndex + 1] ? Number(args[portIndex + 1]) : 4020;
+  startFixtureApp({ port })
+    .then(app => {
+      console.log(`✅ Form fixture app listening on ${app.url}`);
+      console.log(`  ↳ Section form: ${app.formUrl('sectionTemplate', 'sectionState')}`);
+      console.log(`  ↳ Course form: ${app.formUrl('courseTemplate', 'courseState')}`);
+    })
+    .catch(error => {
+      console.error('❌ Failed to start the fixture app:', error.message);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,134 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { chromium } = require('playwright');
+const { startFixtureApp, FORMS_DIR } = require('./fixtureApp');
+const { RunContext } = require('../src/runContext');
+const { fillBaselineTemplate, readSectionValues, writeSectionDiff, validateAndResetMeetingPatterns } = require('../src/sectionTemplateFill');
+const { fillCourseTemplate, readCourseValues, saveCourseFieldDifferences } = require('../src/courseTemplateFill');
+
+// Runs the Playwright fill, read and diff routines against the static form app (test/fixtureApp.js)
+
+const SCHOOL_ID = 'fixtureappschool';
+const RESOURCES_DIR = path.join(__dirname, '..', 'src', 'Resources');
+const BROWSER_INSTALLED = fs.existsSync(chromium.executablePath());
+const skip = BROWSER_INSTALLED ? false : 'Chromium is not installed (npm run install-browsers)';
+
+let app;
+let browser;
+let outputDir;
+
+// The routines read the template from src/Resources, as saved by getSchoolTemplate
+function installTemplate(name) {
+  fs.mkdirSync(RESOURCES_DIR, { recursive: true });
+  fs.copyFileSync(path.join(FORMS_DIR, `${name}.json`), path.join(RESOURCES_DIR, `${SCHOOL_ID}-${name}-fixture.json`));
+}
+
+async function openForm(template, state) {
+  const page = await browser.newPage();
+  await page.goto(app.formUrl(template, state));
+  await page.waitForSelector('body[data-ready="true"]');
+  return page;
+}
+
+before(async () => {
+  if (!BROWSER_INSTALLED) return;
+  installTemplate('sectionTemplate');
+  installTemplate('courseTemplate');
+  app = await startFixtureApp();
+  browser = await chromium.launch({ headless: true });
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-run-'));
+});
+
+after(async () => {
+  if (!BROWSER_INSTALLED) return;
+  await browser.close();
+  await app.close();
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  for (const file of fs.readdirSync(RESOURCES_DIR)) {
+    if (file.startsWith(`${SCHOOL_ID}-`)) fs.rmSync(path.join(RESOURCES_DIR, file));
+  }
+});
+
+test('fillBaselineTemplate edits the editable section fields and the diff reports them', { skip }, async () => {
+  const page = await openForm('sectionTemplate', 'sectionState');
+  const ctx = new RunContext({ schoolId: SCHOOL_ID, action: 'update', outputDir });
+
+  assert.strictEqual(await fillBaselineTemplate(ctx, page, SCHOOL_ID, 'update', outputDir), true);
+  const before = ctx.sectionDiff.before;
+  const after = await readSectionValues(page, SCHOOL_ID);
+
+  assert.strictEqual(before.sectionName, 'Intro Lecture');
+  assert.strictEqual(after.sectionName, 'Intro Lecture-CDtest');
+  assert.strictEqual(after.notes, 'Bring a laptop-CDtest');
+  assert.strictEqual(after.maxEnrollment, '15');
+  assert.ok(after.censusDate, 'the date field was left empty');
+  // Multiselects get an option other than the current one
+  assert.strictEqual(before.campus, 'Main Campus');
+  assert.strictEqual(after.campus, 'North Campus');
+  assert.ok(['In Person', 'Online'].includes(after.instructionMode));
+  // Yes/No buttons are flipped
+  assert.strictEqual(before.printInSchedule, 'Yes');
+  assert.strictEqual(after.printInSchedule, 'No');
+  // Restricted, disabled and hidden fields are left alone
+  assert.strictEqual(after.sectionNumber, '001');
+  assert.strictEqual(after._disabledFields.ethosId, true);
+  assert.strictEqual(after.ethosId, 'ethos-0001');
+  assert.deepStrictEqual(Object.keys(after._hiddenFields).sort(), ['internalNotes', 'legacyCode']);
+
+  assert.strictEqual(await writeSectionDiff(ctx, before, after, SCHOOL_ID, outputDir, 'update', 'fixture'), true);
+  const diff = fs.readFileSync(path.join(outputDir, `${SCHOOL_ID}-update-field-differences-fixture.txt`), 'utf8');
+  assert.ok(diff.includes('| sectionName (Section Name) | "Intro Lecture" | "Intro Lecture-CDtest" | ✅ |'));
+  assert.match(diff, /\| sectionNumber \(Section Number\) \| "001" \| "001" \| ⏭️ \|/);
+  assert.match(diff, /\| ethosId \(Ethos ID\) .* \| 🔒 \|/);
+  assert.doesNotMatch(diff, /internalNotes|legacyCode/);
+  await page.close();
+});
+
+test('validateAndResetMeetingPatterns replaces the existing patterns with a Monday pattern', { skip }, async () => {
+  const page = await openForm('sectionTemplate', 'sectionState');
+  const ctx = new RunContext({ schoolId: SCHOOL_ID, action: 'update', outputDir });
+  const patterns = page.locator('[data-card-id="times"] [aria-label^="Meeting Pattern"]');
+  assert.strictEqual(await patterns.count(), 2);
+
+  await validateAndResetMeetingPatterns(ctx, page, outputDir, 'update');
+
+  assert.strictEqual(await patterns.count(), 1);
+  const pressedDays = await patterns.first().locator('button[aria-pressed="true"]').evaluateAll(buttons => buttons.map(b => b.getAttribute('aria-label')));
+  assert.deepStrictEqual(pressedDays, ['Toggle Monday']);
+  await page.close();
+});
+
+test('fillCourseTemplate fills text, multiselect, Yes/No and nested credit fields', { skip }, async () => {
+  const page = await openForm('courseTemplate', 'courseState');
+  const ctx = new RunContext({ schoolId: SCHOOL_ID, action: 'updateCourse', outputDir });
+  const before = await readCourseValues(page, SCHOOL_ID);
+
+  await fillCourseTemplate(ctx, page, SCHOOL_ID, 'updateCourse');
+  const after = await readCourseValues(page, SCHOOL_ID);
+
+  assert.strictEqual(before.name, 'Intro to Testing');
+  assert.strictEqual(after.name, 'Intro to Testing-CDtest');
+  assert.strictEqual(after.description, 'How to test software.-CDtest');
+  assert.ok(['Biology', 'Chemistry', 'History'].includes(after.departments), `unexpected departments ${JSON.stringify(after.departments)}`);
+  assert.strictEqual(before.repeatable, 'No');
+  assert.strictEqual(after.repeatable, 'Yes');
+  // min gets a new value and max stays above it
+  assert.strictEqual(before['credits.creditHours.min'], '3');
+  assert.strictEqual(after['credits.creditHours.min'], '2');
+  assert.ok(Number(after['credits.creditHours.max']) > Number(after['credits.creditHours.min']));
+  // sisId is never edited; invisible questions are skipped
+  assert.strictEqual(after.sisId, 'SIS-0001');
+  assert.ok(ctx.courseDiffSkipFields.includes('sisId'));
+  assert.ok(ctx.courseDiffSkipFields.includes('internalNotes'));
+
+  await saveCourseFieldDifferences(ctx, before, after, outputDir, SCHOOL_ID, 'updateCourse');
+  const diffFile = fs.readdirSync(outputDir).find(file => file.startsWith(`${SCHOOL_ID}-updateCourse-field-differences-`));
+  assert.ok(diffFile, 'no course diff was written');
+  const diff = fs.readFileSync(path.join(outputDir, diffFile), 'utf8');
+  assert.ok(diff.includes('| name (Course Title) | "Intro to Testing" | "Intro to Testing-CDtest" | ✅ |'));
+  assert.match(diff, /\| sisId \(SIS ID\) \| "SIS-0001" \| "SIS-0001" \| ⏭️ \|/);
+  await page.close();
+});
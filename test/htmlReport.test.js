@@ -0,0 +1,74 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { appendRunSummary } = require('../src/runSummary');
+const { renderMarkdown, writeHtmlReport } = require('../src/htmlReport');
+
+const reportWithErrors = require('./fixtures/mergeReportWithErrors.json');
+const sisData = require('./fixtures/mergeReportBackup.json');
+
+const SCHOOL_ID = 'mockschool';
+const REPORT_URL = 'https://staging.coursedog.com/#/int/mockschool/merge-history/mockMergeReport02';
+// 1x1 transparent PNG
+const PNG = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=', 'base64');
+
+async function makeRunFolder() {
+  const runFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'html-report-'));
+  const updateFolder = path.join(runFolder, 'Academic Scheduling', 'update');
+  fs.mkdirSync(updateFolder, { recursive: true });
+  fs.writeFileSync(path.join(updateFolder, 'update-section-modal-full-before.png'), PNG);
+  fs.writeFileSync(path.join(updateFolder, 'update-section-modal-full-after.png'), PNG);
+  fs.writeFileSync(path.join(updateFolder, 'update-api-error-modal.png'), PNG);
+  fs.writeFileSync(path.join(updateFolder, `${SCHOOL_ID}-update-field-differences-2026.txt`),
+    '| Field | Before | After | Result |\n|---|---|---|---|\n| sectionName | "Intro" | "Intro-CDtest" | ✅ |\n');
+  fs.writeFileSync(path.join(updateFolder, `${SCHOOL_ID}-sections-update-mergeReport.json`), JSON.stringify({ mergeReportURL: REPORT_URL, report: reportWithErrors }));
+  fs.writeFileSync(path.join(updateFolder, 'dataAfterSync.json'), JSON.stringify(sisData));
+  await appendRunSummary(runFolder, 'update-1', REPORT_URL, 'completed', 'unable to sync some changes', '2026-10-01T12:00:00.000Z', SCHOOL_ID, 'update', '"campus" must be a string');
+  await appendRunSummary(runFolder, 'create-1', 'N/A', 'skipped', 'Sign-in failed', '2026-10-01T12:00:00.000Z', SCHOOL_ID, 'create');
+  return runFolder;
+}
+
+test('renderMarkdown renders headings, lists, quotes and tables with escaped pipes', () => {
+  const html = renderMarkdown('# Title\n\n> **Note**\n\n- one\n- two\n\n| A | B |\n|---|---|\n| x \\| y | [link](https://example.test) |\n');
+
+  assert.ok(html.includes('<h1>Title</h1>'));
+  assert.ok(html.includes('<blockquote><strong>Note</strong></blockquote>'));
+  assert.ok(html.includes('<ul>\n<li>one</li>\n<li>two</li>\n</ul>'));
+  assert.ok(html.includes('<tr><td>x | y</td><td><a href="https://example.test">link</a></td></tr>'));
+});
+
+test('writeHtmlReport indexes RUN-SUMMARY and embeds each test case', async () => {
+  const runFolder = await makeRunFolder();
+  try {
+    const filePath = writeHtmlReport(runFolder, {
+      schoolId: SCHOOL_ID,
+      actionResults: [
+        { action: 'update', status: 'passed', reason: null, mergeReport: { id: 'mockMergeReport02', url: REPORT_URL, status: 'success', errors: '"campus" must be a string' } },
+        { action: 'create', status: 'skipped', reason: 'Sign-in failed' }
+      ]
+    });
+
+    assert.strictEqual(filePath, path.join(runFolder, `RUN-REPORT-${SCHOOL_ID}.html`));
+    const html = fs.readFileSync(filePath, 'utf8');
+    // Index: the RUN-SUMMARY table, linking each test case to its section
+    assert.ok(html.includes('<h1>Run Summary Report - mockschool</h1>'));
+    assert.ok(html.includes('<td><a href="#action-update">update</a></td>'));
+    assert.ok(html.includes(`<td><a href="${REPORT_URL}">View Report</a></td>`));
+    // Screenshots are embedded, missing ones are called out
+    assert.ok(html.includes('<img src="data:image/png;base64,iVBORw0KGgo'));
+    assert.match(html, /<figcaption>fullModalBefore<\/figcaption>/);
+    assert.match(html, /section-Instructor-Details-Before: screenshot not captured\./);
+    assert.match(html, /<h3>Other screenshots<\/h3>\n<figure>.*<figcaption>update-api-error-modal<\/figcaption>/);
+    // Field differences, merge errors and GET after POST
+    assert.ok(html.includes('<td>&quot;Intro-CDtest&quot;</td>'));
+    assert.ok(html.includes('&quot;campus&quot; must be a string'));
+    assert.match(html, /formattedData\.mockSection01/);
+    // A skipped test case without artifacts still gets its section
+    assert.match(html, /<section id="action-create">[\s\S]*Sign-in failed[\s\S]*No artifacts were written/);
+    assert.doesNotMatch(html, /src="(?!data:)/);
+  } finally {
+    fs.rmSync(runFolder, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,63 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { determineFormPromptQueue, gatherInputs } = require('../src/input');
+
+// gatherInputs() saves the session of every run; each test gets its own file instead of src/session.json
+const sessionDir = fs.mkdtempSync(path.join(os.tmpdir(), 'input-session-'));
+let sessionCount = 0;
+const freshSession = () => ({ sessionPath: path.join(sessionDir, `session-${++sessionCount}.json`) });
+
+after(() => fs.rmSync(sessionDir, { recursive: true, force: true }));
+
+test('determineFormPromptQueue asks for the forms of the actions that declare a formType', () => {
+  assert.deepStrictEqual(determineFormPromptQueue('createCourse'), ['course']);
+  assert.deepStrictEqual(determineFormPromptQueue('update'), []);
+});
+
+test('determineFormPromptQueue includes program forms only for PeopleSoft schools', () => {
+  assert.deepStrictEqual(determineFormPromptQueue('courseAll', null, false), ['course']);
+  assert.deepStrictEqual(determineFormPromptQueue('courseAll', null, true), ['course', 'program']);
+  assert.deepStrictEqual(determineFormPromptQueue('both', null, true), ['course', 'program']);
+  assert.deepStrictEqual(determineFormPromptQueue('all', null, true), []);
+});
+
+test('determineFormPromptQueue uses the picked actions of a custom selection, course form first', () => {
+  assert.deepStrictEqual(determineFormPromptQueue('custom', ['createProgram', 'update', 'createCourse']), ['course', 'program']);
+  assert.deepStrictEqual(determineFormPromptQueue('custom', ['update', 'unknownAction']), []);
+});
+
+test('gatherInputs rejects a single-product --action with --product 3', () => {
+  const options = { product: '3', schoolId: 'mockschool', email: 'tester@example.edu', password: 'secret', yes: true };
+  assert.throws(
+    () => gatherInputs({ ...options, action: 'update' }, freshSession()),
+    /Invalid value for --action: "update" cannot be run with --product 3 \(both products\)\. Pass --action both, list the test cases with --actions/
+  );
+  assert.throws(() => gatherInputs({ ...options, action: 'courseAll' }, freshSession()), /Invalid value for --action: "courseAll" cannot be run with --product 3/);
+});
+
+test('gatherInputs names the --actions flag when the action list is invalid', () => {
+  const options = { product: '1', schoolId: 'mockschool', email: 'tester@example.edu', password: 'secret', yes: true };
+  assert.throws(
+    () => gatherInputs({ ...options, actions: ['update', 'createCourse'] }, freshSession()),
+    /^CliArgumentError: Invalid value for --actions: Unknown or unavailable test case\(s\): createCourse\./
+  );
+  assert.throws(() => gatherInputs({ ...options, action: 'custom' }, freshSession()), /^CliArgumentError: Invalid value for --actions: At least one test case is required\./);
+});
+
+test('gatherInputs reads the password from COURSEDOG_PASSWORD without saving it', () => {
+  const storage = freshSession();
+  process.env.COURSEDOG_PASSWORD = 'from-env-secret';
+  try {
+    const options = { product: '1', schoolId: 'mockschool', email: 'env-tester@example.edu', action: 'update', yes: true };
+
+    assert.strictEqual(gatherInputs(options, storage).password, 'from-env-secret');
+    assert.doesNotMatch(fs.readFileSync(storage.sessionPath, 'utf8'), /from-env-secret/);
+    // --password still takes precedence
+    assert.strictEqual(gatherInputs({ ...options, password: 'from-flag' }, storage).password, 'from-flag');
+  } finally {
+    delete process.env.COURSEDOG_PASSWORD;
+  }
+});
@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JUNIT_FILE, buildJunitXml, writeJunitReport } = require('../src/junitReport');
+
+const actionResults = [
+  { action: 'update', status: 'passed', reason: null, mergeReport: { id: 'report-1', url: 'https://example.test/report-1', status: 'success', errors: null } },
+  { action: 'create', status: 'passed', reason: null, mergeReport: { id: 'report-2', url: 'https://example.test/report-2', status: 'success', errors: '"campus" must be a string' } },
+  { action: 'updateCourse', status: 'failed', reason: 'Update Course error: <no course> & no fallback' },
+  { action: 'createCourse', status: 'merge timed out', reason: 'Last awsJobStatus: RUNNING' },
+  { action: 'inactivateCourse', status: 'skipped', reason: 'Sign-in failed' }
+];
+
+function makeRunFolder() {
+  const runFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'junit-'));
+  const actionFolder = path.join(runFolder, 'Academic Scheduling', 'update');
+  fs.mkdirSync(path.join(actionFolder, 'screenshots'), { recursive: true });
+  fs.writeFileSync(path.join(actionFolder, 'screenshots', 'update-fullModalAfter.png'), '');
+  fs.writeFileSync(path.join(actionFolder, 'mockschool-sections-update-mergeReportSummary.md'), '# report');
+  fs.writeFileSync(path.join(actionFolder, 'dataAfterSync.json'), '{}');
+  return runFolder;
+}
+
+test('buildJunitXml groups the test cases by product and counts the outcomes', () => {
+  const xml = buildJunitXml({ schoolId: 'mockschool', runFolder: os.tmpdir(), startedAt: '2026-10-01T12:00:00.000Z', actionResults });
+
+  assert.match(xml, /^<\?xml version="1.0" encoding="UTF-8"\?>/);
+  assert.match(xml, /<testsuites name="Bi-directional tests - mockschool" tests="5" failures="3" errors="0" skipped="1">/);
+  assert.match(xml, /<testsuite name="Academic Scheduling" package="mockschool" timestamp="2026-10-01T12:00:00.000Z" tests="2" failures="1" errors="0" skipped="0">/);
+  assert.match(xml, /<testsuite name="Curriculum Management" package="mockschool" timestamp="2026-10-01T12:00:00.000Z" tests="3" failures="2" errors="0" skipped="1">/);
+  assert.match(xml, /<testcase name="update" classname="mockschool.Academic Scheduling">\n      <properties>/);
+  // A passed test case whose merge report has errors fails with them
+  assert.ok(xml.includes('<failure message="&quot;campus&quot; must be a string" type="mergeReportError">Merge report report-2: &quot;campus&quot; must be a string</failure>'));
+  assert.ok(xml.includes('<property name="mergeReportErrors" value="&quot;campus&quot; must be a string"/>'));
+  assert.ok(xml.includes('<failure message="Update Course error: &lt;no course&gt; &amp; no fallback" type="failed">'));
+  assert.ok(xml.includes('<failure message="Last awsJobStatus: RUNNING" type="mergeTimedOut">'));
+  assert.ok(xml.includes('<skipped message="Sign-in failed"/>'));
+  assert.ok(xml.includes('<property name="mergeReportUrl" value="https://example.test/report-1"/>'));
+});
+
+test('writeJunitReport attaches the screenshots and the merge report markdown', () => {
+  const runFolder = makeRunFolder();
+  try {
+    const filePath = writeJunitReport(runFolder, { schoolId: 'mockschool', startedAt: '2026-10-01T12:00:00.000Z', actionResults });
+
+    assert.strictEqual(filePath, path.join(runFolder, JUNIT_FILE));
+    const xml = fs.readFileSync(filePath, 'utf8');
+    const actionFolder = path.join(runFolder, 'Academic Scheduling', 'update');
+    assert.ok(xml.includes(`[[ATTACHMENT|${path.join(actionFolder, 'mockschool-sections-update-mergeReportSummary.md')}]]`));
+    assert.ok(xml.includes(`[[ATTACHMENT|${path.join(actionFolder, 'screenshots', 'update-fullModalAfter.png')}]]`));
+    assert.doesNotMatch(xml, /dataAfterSync/);
+  } finally {
+    fs.rmSync(runFolder, { recursive: true, force: true });
+  }
+});
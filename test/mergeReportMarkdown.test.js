@@ -0,0 +1,67 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { summarizeMergeReport, buildMergeReportMarkdown } = require('../src/mergeReportMarkdown');
+
+const report = require('./fixtures/mergeReport.json');
+const reportWithErrors = require('./fixtures/mergeReportWithErrors.json');
+const sisData = require('./fixtures/mergeReportBackup.json');
+
+const URL = 'https://staging.coursedog.com/#/int/mockschool/merge-history/mockMergeReport02';
+
+// Body of the fenced ```json block that follows `heading`
+function jsonAfter(markdown, heading) {
+  const start = markdown.indexOf('```json\n', markdown.indexOf(heading)) + '```json\n'.length;
+  return JSON.parse(markdown.slice(start, markdown.indexOf('\n```', start)));
+}
+
+test('summarizeMergeReport keeps the summary fields in display order', () => {
+  const summary = summarizeMergeReport(reportWithErrors);
+
+  assert.deepStrictEqual(Object.keys(summary), ['id', 'schoolName', 'status', 'date', 'type', 'termCode']);
+  assert.strictEqual(summary.id, 'mockMergeReport02');
+});
+
+test('the summary block carries the conflict handling method and the report URL', () => {
+  const markdown = buildMergeReportMarkdown(report, { act: 'create', mergeReportURL: URL });
+  const summary = jsonAfter(markdown, '## Merge Report Summary');
+
+  assert.strictEqual(summary.conflictHandlingMethod, 'coursedogWins');
+  assert.strictEqual(summary.mergeReportURL, URL);
+  assert.deepStrictEqual(Object.keys(summary).slice(-2), ['conflictHandlingMethod', 'mergeReportURL']);
+});
+
+test('sections come in order with the action screenshots', () => {
+  const screenshots = ['update-section-modal-full-before.png', 'MeetingPattern-Details-Before.png', 'update-section-modal-full-after.png'];
+  const markdown = buildMergeReportMarkdown(report, { act: 'update', mergeReportURL: URL, diffText: '| Field | Before | After |', sisData, schoolId: 'mockschool', screenshots });
+  const headings = markdown.split('\n').filter(line => line.startsWith('## '));
+
+  assert.deepStrictEqual(headings, ['## Merge Report Summary', '## Differences', '## Posts', '## Merge Report Errors', '## GET after POST']);
+  assert.doesNotMatch(markdown, /Placeholder for/);
+  assert.match(markdown, /### fullModalBefore\n\n!\[fullModalBefore\]\(update-section-modal-full-before\.png\)\n[\s\S]*## Differences/);
+  assert.match(markdown, /### section-Instructor-Details-Before\n\n_Screenshot not captured \(section-Instructor-Details-Before\.png\)\._/);
+  assert.match(markdown, /## Differences[\s\S]*!\[fullModalAfter\]\(update-section-modal-full-after\.png\)[\s\S]*## Posts/);
+  assert.match(markdown, /## Differences\n\n\| Field \| Before \| After \|\n/);
+  assert.match(markdown, /- postType: update\n```json\n/);
+  assert.match(markdown, /formattedData\.mockSection01\n/);
+});
+
+test('missing differences, posts and SIS data are called out', () => {
+  const markdown = buildMergeReportMarkdown(reportWithErrors, { act: 'inactivateSection', mergeReportURL: URL });
+
+  assert.doesNotMatch(markdown, /###? .*(fullModal|screenshot)/i);
+  assert.match(markdown, /_No differences file found\._/);
+  assert.match(markdown, /_No posts executed\._/);
+  assert.match(markdown, /_Failed to fetch resulting-sis-data after retries\._/);
+  assert.match(buildMergeReportMarkdown(report, { act: 'create', mergeReportURL: URL, sisData: {} }), /_No formattedData found in response\._/);
+});
+
+test('errors list failed ids, messages and error details', () => {
+  const markdown = buildMergeReportMarkdown(reportWithErrors, { act: 'update', mergeReportURL: URL });
+
+  assert.deepStrictEqual(jsonAfter(markdown, '### Failed Sync Entity Ids'), ['mockSection01']);
+  assert.deepStrictEqual(jsonAfter(markdown, '### Error Messages'), ['"campus" must be a string']);
+  // No metadata.differences in the error details: falls back to their error and body.errors
+  assert.deepStrictEqual(jsonAfter(markdown, '### Error Metadata Differences'), [
+    { error: 'Validation failed', bodyErrors: ['campus is invalid'] }
+  ]);
+});
@@ -0,0 +1,16 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { resolvePollingOptions } = require('../src/mergeReportPoller');
+
+test('resolvePollingOptions applies the passed values to the defaults', () => {
+  assert.deepStrictEqual(resolvePollingOptions({ pollDelay: '30', pollInterval: 10, pollBackoff: '1.5', pollTimeout: '5' }), {
+    initialDelayMs: 30000, intervalMs: 10000, backoff: 1.5, timeoutMs: 300000
+  });
+});
+
+test('resolvePollingOptions rejects a first poll that would come after the timeout', () => {
+  assert.throws(
+    () => resolvePollingOptions({ pollDelay: '120', pollTimeout: '2' }),
+    /Invalid value for --poll-delay: The first poll \(after 120 s\) must come before --poll-timeout \(2 min\)\./
+  );
+});
@@ -0,0 +1,212 @@
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Local stand-in for the Coursedog API, for exercising the tool without staging.
+ *
+ * Every route answers with its fixture from test/fixtures (the `{{now}}` placeholder becomes the
+ * time of the request). A scenario scripts the answers: for each route, a list of steps used one
+ * per request, the last one repeating. A step is `{ fixture }` (another fixture file) or
+ * `{ status, body }`. Merge history is paged: a step answers page 0 of a poll, and later pages
+ * are empty unless the step is `{ pages: [body, ...] }`, one body per page.
+ * `unauthorizedRequests: n` answers the first n authenticated requests with 401, whatever the route.
+ *
+ * Tests start it with startMockServer() and point the tool at it by setting COURSEDOG_BASE_URL
+ * to the returned `url`. For a manual run:
+ *   node test/mockServer.js [--port 4010] [--scenario mergeInProgress]
+ */
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+// Route name (also the default fixture name) -> method and path
+const ROUTES = [
+  { name: 'sessions', method: 'POST', pattern: /^\/api\/v1\/sessions$/ },
+  { name: 'sectionTemplate', method: 'GET', pattern: /^\/api\/v2\/([^/]+)\/general\/sectionTemplate$/ },
+  { name: 'courseTemplate', method: 'GET', pattern: /^\/api\/v1\/([^/]+)\/general\/courseTemplate$/ },
+  { name: 'programTemplate', method: 'GET', pattern: /^\/api\/v[12]\/([^/]+)\/general\/programTemplate$/ },
+  { name: 'enabledIntegrationSaveState', method: 'GET', pattern: /^\/api\/v1\/([^/]+)\/general\/enabledIntegrationSaveState$/ },
+  { name: 'integrationSchedule', method: 'GET', pattern: /^\/api\/v1\/([^/]+)\/general\/integrationSchedule$/ },
+  { name: 'users', method: 'GET', pattern: /^\/api\/v1\/([^/]+)\/users$/ },
+  { name: 'forms', method: 'GET', pattern: /^\/api\/v1\/cm\/([^/]+)\/forms$/ },
+  { name: 'workflow', method: 'GET', pattern: /^\/api\/v1\/([^/]+)\/workflows\/([^/]+)$/ },
+  { name: 'mergeSettings', method: 'GET', pattern: /^\/api\/v1\/int\/([^/]+)\/merge-settings$/ },
+  { name: 'mergeHistory', method: 'GET', pattern: /^\/api\/v1\/int\/([^/]+)\/integrations-hub\/merge-history$/ },
+  { name: 'mergeReport', method: 'GET', pattern: /^\/api\/v1\/([^/]+)\/mergeReports\/([^/]+)$/ },
+  { name: 'mergeReportBackup', method: 'GET', pattern: /^\/api\/v1\/([^/]+)\/integration\/getMergeReportBackup$/ }
+];
+
+const SCENARIOS = {
+  // Every check passes and the merge report is already there on the first poll
+  success: {},
+  // The merge job runs for two polls before its report appears
+  mergeInProgress: {
+    mergeHistory: [{ fixture: 'mergeHistoryInProgress' }, { fixture: 'mergeHistoryInProgress' }, { fixture: 'mergeHistory' }]
+  },
+  // The merge job ends in FAILED without a report
+  failedMerge: {
+    mergeHistory: [{ fixture: 'mergeHistoryInProgress' }, { fixture: 'mergeHistoryFailed' }]
+  },
+  // Another user's merge job, started after the save, fails before our report appears
+  unrelatedFailedMerge: {
+    mergeHistory: [{ fixture: 'mergeHistoryFailedOther' }, { fixture: 'mergeHistory' }]
+  },
+  // A nightly (scheduled) merge is running for the first two merge history reads
+  nightlyMerge: {
+    mergeHistory: [{ fixture: 'mergeHistoryNightly' }, { fixture: 'mergeHistoryNightly' }, { fixture: 'mergeHistory' }]
+  },
+  // The first authenticated request is rejected (expired token); the retry succeeds
+  unauthorizedOnce: {
+    unauthorizedRequests: 1
+  }
+};
+
+function readFixture(name, now) {
+  const file = path.join(FIXTURES_DIR, `${name}.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8').split('{{now}}').join(now));
+}
+
+/**
+ * @param {string|Object} scenario - Name from SCENARIOS or a scenario object
+ * @returns {Object}
+ */
+function resolveScenario(scenario) {
+  if (typeof scenario !== 'string') return scenario || {};
+  if (!SCENARIOS[scenario]) {
+    throw new Error(`Unknown mock scenario "${scenario}". Available: ${Object.keys(SCENARIOS).join(', ')}`);
+  }
+  return SCENARIOS[scenario];
+}
+
+/**
+ * Starts the mock server
+ * @param {Object} options - `scenario`: name or object (default 'success'); `port`: 0 picks a free port
+ * @returns {Promise<Object>} - { url, port, requests, loginCount, setScenario(scenario), close() };
+ *   `requests` lists every request as { method, path, query, route, status }
+ */
+function startMockServer({ scenario = 'success', port = 0 } = {}) {
+  const state = {
+    scenario: resolveScenario(scenario),
+    calls: {}, // route name -> requests answered so far
+    unauthorizedSent: 0,
+    tokens: new Set(),
+    loginCount: 0,
+    requests: []
+  };
+
+  const nextStep = (routeName) => {
+    const steps = state.scenario[routeName];
+    const count = state.calls[routeName] || 0;
+    state.calls[routeName] = count + 1;
+    if (!Array.isArray(steps) || steps.length === 0) return { fixture: routeName };
+    return steps[Math.min(count, steps.length - 1)];
+  };
+
+  // Step of the route's last request, without using up another one
+  const currentStep = (routeName) => {
+    const steps = state.scenario[routeName];
+    const count = state.calls[routeName] || 0;
+    if (!Array.isArray(steps) || steps.length === 0 || count === 0) return {};
+    return steps[Math.min(count - 1, steps.length - 1)];
+  };
+
+  const handle = (req) => {
+    const url = new URL(req.url, 'http://mock');
+    const route = ROUTES.find(r => r.method === req.method && r.pattern.test(url.pathname));
+    const entry = { method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), route: route ? route.name : null };
+    state.requests.push(entry);
+    const answer = (status, payload) => {
+      entry.status = status;
+      return { status, payload };
+    };
+
+    if (!route) return answer(404, { message: `No mock route for ${req.method} ${url.pathname}` });
+
+    if (route.name === 'sessions') {
+      // Any credentials are accepted unless the scenario scripts the sessions route
+      const step = nextStep('sessions');
+      if (step.status) return answer(step.status, step.body === undefined ? {} : step.body);
+      state.loginCount++;
+      const token = `mock-token-${state.loginCount}`;
+      state.tokens.add(token);
+      return answer(200, { token });
+    }
+
+    const authHeader = req.headers['authorization'] || '';
+    const token = authHeader.replace(/^Bearer\s+/i, '');
+    if (!state.tokens.has(token)) return answer(401, { message: 'Unauthorized' });
+    if (state.unauthorizedSent < (state.scenario.unauthorizedRequests || 0)) {
+      state.unauthorizedSent++;
+      state.tokens.delete(token);
+      return answer(401, { message: 'jwt expired' });
+    }
+
+    const page = Number(url.searchParams.get('page')) || 0;
+    if (route.name === 'mergeHistory' && page > 0) {
+      const pages = currentStep(route.name).pages || [];
+      return answer(200, pages[page] || { items: [] });
+    }
+
+    const step = nextStep(route.name);
+    if (step.status) return answer(step.status, step.body === undefined ? {} : step.body);
+    if (step.pages) return answer(200, step.pages[0]);
+    const fixture = readFixture(step.fixture || route.name, new Date().toISOString());
+    if (fixture === null) return answer(500, { message: `Missing fixture ${step.fixture || route.name}.json` });
+    return answer(200, fixture);
+  };
+
+  const server = http.createServer((req, res) => {
+    req.resume();
+    req.on('end', () => {
+      const { status, payload } = handle(req);
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', () => {
+      const actualPort = server.address().port;
+      resolve({
+        url: `http://127.0.0.1:${actualPort}`,
+        port: actualPort,
+        requests: state.requests,
+        get loginCount() { return state.loginCount; },
+        // Replaces the scenario and restarts its steps
+        setScenario(next) {
+          state.scenario = resolveScenario(next);
+          state.calls = {};
+          state.unauthorizedSent = 0;
+        },
+        close() {
+          return new Promise(done => server.close(() => done()));
+        }
+      });
+    });
+  });
+}
+
+module.exports = {
+  SCENARIOS,
+  startMockServer
+};
+
+// `node --test test/` also loads this file as a test file (NODE_TEST_CONTEXT is set); only start on a direct run
+if (require.main === module && !process.env.NODE_TEST_CONTEXT) {
+  const args = process.argv.slice(2);
+  const valueOf = (flag, fallback) => {
+    const index = args.indexOf(flag);
+    return index >= 0 && args[index + 1] ? args[index + 1] : fallback;
+  };
+  startMockServer({ port: Number(valueOf('--port', 4010)), scenario: valueOf('--scenario', 'success') })
+    .then(server => {
+      console.log(`✅ Mock Coursedog server listening on ${server.url}`);
+      console.log(`  ↳ Run the tool with COURSEDOG_BASE_URL=${server.url}`);
+    })
+    .catch(error => {
+      console.error('❌ Failed to start the mock server:', error.message);
+      process.exitCode = 1;
+    });
+}
@@ -0,0 +1,291 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startMockServer } = require('./mockServer');
+const { getSchoolTemplate } = require('../src/getSchoolTemplate');
+const { performPreflightChecks } = require('../src/preflightChecks');
+const { checkSchool, formatPreflightMatrix } = require('../src/preflightOnly');
+const { checkNightlyMerge } = require('../src/nightlyMerge');
+const { pollMergeReport, getMergeReportDetails, MergeJobFailedError, MergeTimeoutError } = require('../src/mergeReportPoller');
+const { TokenManager } = require('../src/tokenManager');
+const { AuthError } = require('../src/errors');
+
+// End-to-end runs of the API modules against the local mock server (test/mockServer.js)
+
+const SCHOOL_ID = 'mockschool_peoplesoft';
+const RESOURCES_DIR = path.join(__dirname, '..', 'src', 'Resources');
+const FAST_POLLING = { initialDelayMs: 0, intervalMs: 20, backoff: 1, timeoutMs: 5000 };
+
+// Merge history polls of pollMergeReport(): each poll starts at page 0
+const historyPolls = () => server.requests.filter(r => r.route === 'mergeHistory' && r.query.page === '0');
+
+let server;
+let outputDir;
+
+before(async () => {
+  server = await startMockServer();
+  process.env.COURSEDOG_BASE_URL = server.url;
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'mock-run-'));
+});
+
+after(async () => {
+  delete process.env.COURSEDOG_BASE_URL;
+  await server.close();
+  fs.rmSync(outputDir, { recursive: true, force: true });
+  if (fs.existsSync(RESOURCES_DIR)) {
+    for (const file of fs.readdirSync(RESOURCES_DIR)) {
+      if (file.startsWith(`${SCHOOL_ID}-`)) fs.rmSync(path.join(RESOURCES_DIR, file));
+    }
+  }
+});
+
+beforeEach((t) => {
+  // The API modules log every step with emoji; Node 20's test runner cannot always read that much
+  // multi-byte stdout from a test file, so each test mocks the console methods that write to stdout
+  for (const method of ['log', 'info', 'warn']) t.mock.method(console, method, () => {});
+  server.setScenario('success');
+  server.requests.length = 0;
+});
+
+test('downloads the section, course and program templates', async () => {
+  await getSchoolTemplate('stg', SCHOOL_ID);
+
+  const saved = fs.readdirSync(RESOURCES_DIR).filter(file => file.startsWith(`${SCHOOL_ID}-`));
+  for (const template of ['sectionTemplate', 'courseTemplate', 'programTemplate']) {
+    assert.ok(saved.some(file => file.includes(`-${template}-`)), `${template} was not saved`);
+  }
+});
+
+test('pre-flight checks pass with realtime merges and SIS updates enabled', async () => {
+  await performPreflightChecks('stg', SCHOOL_ID, ['update', 'createCourse'], { email: 'Tester@example.edu' });
+
+  const checked = server.requests.filter(r => r.route === 'mergeSettings').map(r => r.query.entityType);
+  assert.deepStrictEqual(checked.sort(), ['coursesCm', 'sections']);
+  assert.deepStrictEqual(server.requests.filter(r => r.route === 'users').map(r => r.query.email), ['Tester@example.edu']);
+  // Only createCourse needs a form; its workflow is checked too
+  assert.strictEqual(server.requests.filter(r => r.route === 'forms').length, 1);
+  assert.deepStrictEqual(server.requests.filter(r => r.route === 'workflow').map(r => r.path), [`/api/v1/${SCHOOL_ID}/workflows/mockWorkflow01`]);
+});
+
+test('pre-flight checks fail when the user is not registered to the school', async () => {
+  await assert.rejects(
+    performPreflightChecks('stg', SCHOOL_ID, 'update', { email: 'someone@else.edu' }),
+    /User someone@else\.edu is not registered to mockschool_peoplesoft/
+  );
+  assert.strictEqual(server.requests.filter(r => r.route === 'mergeSettings').length, 0, 'fails before the merge settings checks');
+});
+
+test('pre-flight checks list the available forms when the requested form is missing', async () => {
+  await assert.rejects(
+    performPreflightChecks('stg', SCHOOL_ID, 'createCourse', { courseFormName: 'New Course Proposal' }),
+    /Course form "New Course Proposal" not found for mockschool_peoplesoft\. Available forms: "Propose New Course", "Propose New Program", "Course Modification"\./
+  );
+});
+
+test('pre-flight checks fail when the form workflow needs a manual approval', async () => {
+  server.setScenario({ workflow: [{ status: 200, body: { name: 'Committee Review', steps: [{ autoApprove: true }, { name: 'Dean' }] } }] });
+
+  await assert.rejects(
+    performPreflightChecks('stg', SCHOOL_ID, 'createProgram'),
+    /Program form "Propose New Program" uses workflow "Committee Review", which has 1 step\(s\) that need a manual approval/
+  );
+});
+
+test('pre-flight checks warn when the form workflow cannot be fetched', async () => {
+  server.setScenario({ workflow: [{ status: 403, body: { message: 'Forbidden' } }] });
+
+  const warnings = await performPreflightChecks('stg', SCHOOL_ID, 'createProgram');
+
+  assert.strictEqual(warnings.length, 1);
+  assert.match(warnings[0], /Program form "Propose New Program" found, but its workflow mockWorkflow\d+ could not be fetched/);
+});
+
+test('pre-flight checks warn and go on when the user and form lookups are not allowed', async () => {
+  const forbidden = [{ status: 403, body: { message: 'Forbidden' } }];
+  server.setScenario({ users: forbidden, forms: forbidden });
+
+  const warnings = await performPreflightChecks('stg', SCHOOL_ID, ['update', 'createCourse'], { email: 'Tester@example.edu' });
+
+  assert.strictEqual(warnings.length, 2);
+  assert.match(warnings[0], /Could not check that Tester@example\.edu is registered to mockschool_peoplesoft/);
+  assert.match(warnings[1], /Could not fetch the forms of mockschool_peoplesoft/);
+  assert.strictEqual(server.requests.filter(r => r.route === 'mergeSettings').length, 2, 'the merge settings are still checked');
+});
+
+test('pre-flight checks fail when SIS updates are disabled', async () => {
+  server.setScenario({ mergeSettings: [{ status: 200, body: { stepsToExecute: { syncSisData: false } } }] });
+
+  await assert.rejects(
+    performPreflightChecks('stg', SCHOOL_ID, 'update'),
+    /"Should Coursedog send updates to the SIS\?" is disabled/
+  );
+});
+
+test('preflight only runs every check and reports each failure in the matrix', async () => {
+  server.setScenario({ integrationSchedule: [{ status: 200, body: { integrationSchedule: { syncType: 'nightly' } } }] });
+
+  const report = await checkSchool('stg', SCHOOL_ID);
+
+  const statuses = Object.fromEntries(report.results.map(result => [result.check, result.status]));
+  assert.deepStrictEqual(statuses, {
+    auth: 'pass', templates: 'pass', user: 'skip', saveState: 'pass', schedule: 'fail',
+    sections: 'pass', relationships: 'pass', coursesCm: 'pass', programs: 'pass', courseForm: 'pass', programForm: 'pass'
+  });
+  assert.strictEqual(report.passed, false);
+  const matrix = formatPreflightMatrix([report]);
+  assert.match(matrix, new RegExp(`\\| ${SCHOOL_ID} \\| ✅ \\| ✅ \\| — \\| ✅ \\| ❌ \\| ✅ \\| ✅ \\| ✅ \\| ✅ \\| ✅ \\| ✅ \\|`));
+  assert.match(matrix, /Realtime schedule: Real-time merges are not currently enabled/);
+});
+
+test('nightly merge check stops the run when a scheduled merge is in progress', async () => {
+  server.setScenario('nightlyMerge');
+
+  const result = await checkNightlyMerge('stg', SCHOOL_ID, ['sections'], { waitMs: 0 });
+
+  assert.strictEqual(result.decision, 'abort');
+  assert.match(result.message, /sections \(RUNNING, scheduled-merge-sections\)\. Run stopped/);
+  const history = server.requests.filter(r => r.route === 'mergeHistory');
+  assert.deepStrictEqual(history.map(r => r.query.scheduleType), ['scheduled']);
+});
+
+test('nightly merge check waits for the scheduled merge and resumes', async () => {
+  server.setScenario('nightlyMerge');
+
+  const result = await checkNightlyMerge('stg', SCHOOL_ID, ['sections'], { waitMs: 5000, intervalMs: 20 });
+
+  assert.strictEqual(result.decision, 'resumed');
+  assert.strictEqual(server.requests.filter(r => r.route === 'mergeHistory').length, 3);
+});
+
+test('nightly merge check waits for a merge the app alerted about, even when the history does not list it', async () => {
+  const alert = 'sections (merge alert of the product page)';
+
+  const stopped = await checkNightlyMerge('stg', SCHOOL_ID, ['sections'], { waitMs: 0, alert });
+  assert.strictEqual(stopped.decision, 'abort');
+  assert.match(stopped.message, /sections \(merge alert of the product page\)\. Run stopped/);
+
+  const resumed = await checkNightlyMerge('stg', SCHOOL_ID, ['sections'], { waitMs: 5000, intervalMs: 20, alert });
+  assert.strictEqual(resumed.decision, 'resumed');
+});
+
+test('finds the merge report that references the saved entity', async () => {
+  const result = await pollMergeReport('stg', SCHOOL_ID, 'update', { entityIds: ['mockSection01'], savedAt: Date.now() }, FAST_POLLING);
+
+  assert.strictEqual(result.mergeReportId, 'mockMergeReport01');
+  assert.strictEqual(result.mergeReportStatus, 'success');
+});
+
+test('waits while the merge job is in progress', async () => {
+  server.setScenario('mergeInProgress');
+
+  const result = await pollMergeReport('stg', SCHOOL_ID, 'update', { entityIds: ['mockSection01'], savedAt: Date.now() }, FAST_POLLING);
+
+  assert.strictEqual(result.mergeReportId, 'mockMergeReport01');
+  assert.ok(result.mergeStartTime, 'the stopwatch starts when the job is seen in progress');
+  assert.strictEqual(historyPolls().length, 3);
+});
+
+test('stops polling when the merge job fails', async () => {
+  server.setScenario('failedMerge');
+
+  await assert.rejects(
+    pollMergeReport('stg', SCHOOL_ID, 'update', { entityIds: ['mockSection01'], savedAt: Date.now() }, FAST_POLLING),
+    error => error instanceof MergeJobFailedError && /Essential container in task exited/.test(error.message)
+  );
+});
+
+test('ignores a failed merge job that does not reference the saved entity', async () => {
+  server.setScenario('unrelatedFailedMerge');
+
+  const result = await pollMergeReport('stg', SCHOOL_ID, 'update', { entityIds: ['mockSection01'], savedAt: Date.now() }, FAST_POLLING);
+
+  assert.strictEqual(result.mergeReportId, 'mockMergeReport01');
+  assert.strictEqual(historyPolls().length, 2);
+});
+
+test('matches entity ids exactly, not as part of a longer id', async () => {
+  const failedJob = {
+    inProgressMerge: {
+      awsJobId: 'mock-job-03',
+      awsJobStatus: 'FAILED',
+      statusReason: 'Another section failed',
+      entityIds: ['mockSection012'],
+      timestampStart: new Date().toISOString()
+    }
+  };
+  server.setScenario({ mergeHistory: [{ status: 200, body: { items: [failedJob] } }, { fixture: 'mergeHistory' }] });
+
+  const result = await pollMergeReport('stg', SCHOOL_ID, 'update', { entityIds: ['mockSection01'], savedAt: Date.now() }, FAST_POLLING);
+  assert.strictEqual(result.mergeReportId, 'mockMergeReport01');
+
+  // The report's steps name mockSection01 only
+  server.setScenario('success');
+  await assert.rejects(
+    pollMergeReport('stg', SCHOOL_ID, 'update', { entityIds: ['mockSection0'], savedAt: Date.now() }, { ...FAST_POLLING, timeoutMs: 200 }),
+    MergeTimeoutError
+  );
+});
+
+test('pages back past newer reports until the history reaches the save time', async () => {
+  const now = Date.now();
+  const report = (id, time) => ({ mergeReport: { id, status: 'success', timestampStart: new Date(time).toISOString() } });
+  server.setScenario({
+    mergeHistory: [{
+      pages: [
+        { items: [report('otherReport01', now + 1000)] },
+        { items: [report('mockMergeReport01', now), report('olderReport01', now - 5 * 60000)] },
+        { items: [report('olderReport02', now - 10 * 60000)] }
+      ]
+    }],
+    // otherReport01 is another entity's report
+    mergeReport: [{ status: 200, body: { id: 'otherReport01', steps: [] } }, { fixture: 'mergeReport' }]
+  });
+
+  const result = await pollMergeReport('stg', SCHOOL_ID, 'update', { entityIds: ['mockSection01'], savedAt: now }, FAST_POLLING);
+
+  assert.strictEqual(result.mergeReportId, 'mockMergeReport01');
+  const pages = server.requests.filter(r => r.route === 'mergeHistory').map(r => r.query.page);
+  assert.deepStrictEqual(pages, ['0', '1']);
+  assert.deepStrictEqual(server.requests.filter(r => r.route === 'mergeReport').map(r => path.basename(r.path)), ['otherReport01', 'mockMergeReport01']);
+});
+
+test('signs in again after a 401 and retries the request', async () => {
+  server.setScenario('unauthorizedOnce');
+  const loginsBefore = server.loginCount;
+
+  await performPreflightChecks('stg', SCHOOL_ID, 'update');
+
+  assert.strictEqual(server.loginCount, loginsBefore + 1);
+  assert.strictEqual(server.requests.filter(r => r.status === 401).length, 1);
+});
+
+test('reports rejected API credentials as an AuthError with the failed request', async () => {
+  server.setScenario({ sessions: [{ status: 401, body: { message: 'Invalid credentials' } }] });
+  const manager = new TokenManager('stg', { email: 'api@example.edu', password: 'wrong' });
+
+  await assert.rejects(manager.login(), error => {
+    assert.ok(error instanceof AuthError);
+    assert.match(error.message, /the email\/password in creds\.json were rejected/);
+    assert.strictEqual(error.status, 401);
+    assert.deepStrictEqual(error.body, { message: 'Invalid credentials' });
+    assert.strictEqual(error.method, 'POST');
+    assert.strictEqual(error.url, `${server.url}/api/v1/sessions`);
+    return true;
+  });
+});
+
+test('writes the merge report summary and the resulting SIS data', async () => {
+  const details = await getMergeReportDetails('stg', SCHOOL_ID, 'mockMergeReport01', 'update', outputDir);
+  assert.strictEqual(details.errors, null);
+
+  const summary = fs.readdirSync(outputDir).find(file => file.endsWith('mergeReportSummary.md'));
+  assert.ok(summary, 'no merge report summary was written');
+  const markdown = fs.readFileSync(path.join(outputDir, summary), 'utf8');
+  assert.match(markdown, /postType: update/);
+  assert.ok(fs.existsSync(path.join(outputDir, 'dataAfterSync.json')));
+  const saved = JSON.parse(fs.readFileSync(path.join(outputDir, `${SCHOOL_ID}-sections-update-mergeReport.json`), 'utf8'));
+  assert.strictEqual(saved.report.id, 'mockMergeReport01');
+  assert.match(saved.mergeReportURL, /merge-history\/mockMergeReport01$/);
+});
@@ -0,0 +1,62 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadProductionAllowlist, confirmProductionWrites, ProductionGuardError } = require('../src/productionGuard');
+
+const ALLOWLIST = ['schoola', 'schoolb'];
+const neverAsked = () => assert.fail('the confirmation prompt should not be shown');
+
+function writeAllowlist(content) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'prd-allowlist-'));
+  const file = path.join(dir, 'productionAllowlist.json');
+  fs.writeFileSync(file, content, 'utf8');
+  return file;
+}
+
+test('loadProductionAllowlist allows no school without the file', () => {
+  assert.deepStrictEqual(loadProductionAllowlist(path.join(os.tmpdir(), 'missing-productionAllowlist.json')), []);
+});
+
+test('loadProductionAllowlist reads the school IDs and rejects a malformed file', () => {
+  const valid = writeAllowlist(JSON.stringify({ schoolIds: [' schoola ', 'schoolb', ''] }));
+  const invalid = writeAllowlist(JSON.stringify({ schoolIds: 'schoola' }));
+  try {
+    assert.deepStrictEqual(loadProductionAllowlist(valid), ['schoola', 'schoolb']);
+    assert.throws(() => loadProductionAllowlist(invalid), ProductionGuardError);
+  } finally {
+    fs.rmSync(path.dirname(valid), { recursive: true, force: true });
+    fs.rmSync(path.dirname(invalid), { recursive: true, force: true });
+  }
+});
+
+test('confirmProductionWrites refuses schools missing from the allowlist before asking', () => {
+  assert.throws(
+    () => confirmProductionWrites(['schoola', 'schoolc'], {}, { allowlist: ALLOWLIST, ask: neverAsked }),
+    error => error instanceof ProductionGuardError && /not allowed for: schoolc\./.test(error.message)
+  );
+});
+
+test('confirmProductionWrites needs the school IDs typed back', () => {
+  let question;
+  const ask = answer => text => { question = text; return answer; };
+
+  confirmProductionWrites(['schoola'], {}, { allowlist: ALLOWLIST, ask: ask('schoola') });
+  assert.match(question, /Type "schoola"/);
+  confirmProductionWrites(['schoola', 'schoolb'], {}, { allowlist: ALLOWLIST, ask: ask(' schoola, schoolb ') });
+  assert.throws(() => confirmProductionWrites(['schoola'], {}, { allowlist: ALLOWLIST, ask: ask('yes') }), ProductionGuardError);
+  assert.throws(() => confirmProductionWrites(['schoola', 'schoolb'], {}, { allowlist: ALLOWLIST, ask: ask('schoola') }), ProductionGuardError);
+});
+
+test('confirmProductionWrites accepts --confirm-production but never --yes alone', () => {
+  confirmProductionWrites(['schoola'], { confirmProduction: 'schoola', yes: true }, { allowlist: ALLOWLIST, ask: neverAsked });
+  assert.throws(
+    () => confirmProductionWrites(['schoola'], { yes: true }, { allowlist: ALLOWLIST, ask: neverAsked }),
+    /--yes does not confirm production writes\. Pass --confirm-production schoola/
+  );
+  assert.throws(
+    () => confirmProductionWrites(['schoola'], { confirmProduction: 'schoolb' }, { allowlist: ALLOWLIST, ask: neverAsked }),
+    ProductionGuardError
+  );
+});
@@ -0,0 +1,101 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadProfile, validateProfile, ProfileValidationError } = require('../src/profile');
+
+const profileDir = fs.mkdtempSync(path.join(os.tmpdir(), 'profile-'));
+after(() => fs.rmSync(profileDir, { recursive: true, force: true }));
+
+const VALID_PROFILE = { schoolId: 'mockschool', env: 'stg', product: 'as', actions: ['update', 'create'] };
+
+function writeProfile(name, contents) {
+  const filePath = path.join(profileDir, name);
+  fs.writeFileSync(filePath, contents, 'utf8');
+  return filePath;
+}
+
+test('validateProfile accepts a valid profile', () => {
+  assert.deepStrictEqual(validateProfile(VALID_PROFILE), []);
+  assert.deepStrictEqual(validateProfile({ ...VALID_PROFILE, product: 1, skipFields: 'default', reuseBrowser: true }), []);
+});
+
+test('validateProfile reports missing keys and bad types', () => {
+  assert.deepStrictEqual(validateProfile(['update']), ['Profile must be an object of key/value pairs.']);
+  assert.deepStrictEqual(validateProfile({ schoolId: 'mockschool', env: 'stg', product: 'as' }), ['"actions" is required.']);
+  assert.deepStrictEqual(validateProfile({ ...VALID_PROFILE, actions: 'update', pollDelay: '60', reuseBrowser: 'yes' }), [
+    '"actions" must be a array, got string.',
+    '"reuseBrowser" must be a boolean, got string.',
+    '"pollDelay" must be a number, got string.'
+  ]);
+  assert.deepStrictEqual(validateProfile({ ...VALID_PROFILE, schoolId: '  ', env: 'dev' }), [
+    '"schoolId" cannot be empty.',
+    '"env" must be one of: stg, prd (got "dev").'
+  ]);
+  assert.deepStrictEqual(validateProfile({ ...VALID_PROFILE, product: 'sm' }), [
+    '"product": Invalid. Please enter 1, 2, or 3. (or as, cm, both)'
+  ]);
+});
+
+test('validateProfile rejects unknown keys', () => {
+  const errors = validateProfile({ ...VALID_PROFILE, password: 'secret' });
+  assert.strictEqual(errors.length, 1);
+  assert.match(errors[0], /^Unknown key "password"\. Allowed keys: schoolId, env, product, actions, courseFormName, /);
+});
+
+test('validateProfile reports invalid action lists', () => {
+  assert.deepStrictEqual(validateProfile({ ...VALID_PROFILE, actions: [] }), ['"actions": At least one test case is required.']);
+  assert.deepStrictEqual(validateProfile({ ...VALID_PROFILE, actions: ['update', 3] }), ['"actions" must only contain test case names.']);
+  assert.deepStrictEqual(validateProfile({ ...VALID_PROFILE, actions: ['update', 'update'] }), ['"actions": Test case "update" is listed more than once.']);
+  assert.match(validateProfile({ ...VALID_PROFILE, actions: ['updateCourse'] })[0], /^"actions": Unknown or unavailable test case\(s\): updateCourse\. Available: /);
+  assert.match(
+    validateProfile({ ...VALID_PROFILE, product: 'cm', actions: ['createProgram'] })[0],
+    /^"actions": .*createProgram.* require a PeopleSoft school \(schoolId must include "_peoplesoft"\)\.$/
+  );
+  assert.deepStrictEqual(validateProfile({ ...VALID_PROFILE, schoolId: 'mock_peoplesoft', product: 'cm', actions: ['createProgram'] }), []);
+});
+
+test('loadProfile returns gatherInputs() options from a YAML profile', (t) => {
+  t.mock.method(console, 'log', () => {});
+  const filePath = writeProfile('daily.yml', [
+    'schoolId: " mockschool "',
+    'env: stg',
+    'product: 2',
+    'actions: [updateCourse, createCourse]',
+    'courseFormName: Propose New Course',
+    'skipFields: default',
+    'pollTimeout: 10'
+  ].join('\n'));
+
+  assert.deepStrictEqual(loadProfile(filePath), {
+    schoolId: 'mockschool',
+    env: 'stg',
+    product: '2',
+    actions: ['updateCourse', 'createCourse'],
+    courseFormName: 'Propose New Course',
+    pollTimeout: 10,
+    skipFields: 'default'
+  });
+});
+
+test('loadProfile rejects unreadable and invalid profiles with every error listed', () => {
+  const missingPath = path.join(profileDir, 'missing.json');
+  assert.throws(
+    () => loadProfile(missingPath),
+    (error) => error instanceof ProfileValidationError && /^Could not read profile: ENOENT/.test(error.errors[0])
+  );
+  assert.throws(() => loadProfile(writeProfile('broken.json', '{ "schoolId": ')), /Could not read profile: /);
+  assert.throws(() => loadProfile(writeProfile('profile.txt', 'schoolId: mockschool')), /Could not read profile: Unsupported profile extension "\.txt"/);
+
+  const invalidPath = writeProfile('invalid.json', JSON.stringify({ ...VALID_PROFILE, env: 'dev', skipFields: 'nope.csv' }));
+  assert.throws(
+    () => loadProfile(invalidPath),
+    (error) => {
+      assert.strictEqual(error.name, 'ProfileValidationError');
+      assert.deepStrictEqual(error.errors, ['"env" must be one of: stg, prd (got "dev").', '"skipFields": entry file not found: nope.csv']);
+      assert.strictEqual(error.message, `Invalid run profile ${invalidPath}:\n    • ${error.errors[0]}\n    • ${error.errors[1]}`);
+      return true;
+    }
+  );
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { runTestCaseLoop } = require('../src/runLoop');
+const { SignInError } = require('../src/runErrors');
+
+const RUN_ACTIONS = ['update', 'create', 'updateCourse'];
+
+// Records results like index.js: runTestCase() fails a test case whose flow throws (a sign-in
+// failure also skips the rest), and a test case that ran records itself (runFlow)
+function makeRecorder() {
+  const results = [];
+  const runTestCase = async (act, remainingActions, flow) => {
+    try {
+      await flow();
+    } catch (error) {
+      if (error instanceof SignInError) {
+        results.push({ action: act, status: 'failed' });
+        results.push(...remainingActions.map(action => ({ action, status: 'skipped' })));
+        return { reason: 'Sign-in failed', exitCode: 3 };
+      }
+      results.push({ action: act, status: 'failed' });
+      return null;
+    }
+    return null;
+  };
+  return { results, runTestCase };
+}
+
+test('a shared session that fails to start falls back to one browser per test case', async () => {
+  const { results, runTestCase } = makeRecorder();
+  const sessions = [];
+
+  const stop = await runTestCaseLoop(RUN_ACTIONS, {
+    reuseBrowser: true,
+    startSession: async () => { throw new Error('Browser crashed'); },
+    runTestCase,
+    runFlow: async (act, session) => {
+      sessions.push(session);
+      results.push({ action: act, status: 'passed' });
+    }
+  });
+
+  assert.strictEqual(stop, null);
+  assert.deepStrictEqual(results, RUN_ACTIONS.map(action => ({ action, status: 'passed' })));
+  assert.deepStrictEqual(sessions, [null, null, null]);
+});
+
+test('a sign-in failure while starting the shared session records each test case once', async () => {
+  const { results, runTestCase } = makeRecorder();
+  let flows = 0;
+
+  const stop = await runTestCaseLoop(RUN_ACTIONS, {
+    reuseBrowser: true,
+    startSession: async () => { throw new SignInError('Password is incorrect'); },
+    runTestCase,
+    runFlow: async () => { flows++; }
+  });
+
+  assert.deepStrictEqual(stop, { reason: 'Sign-in failed', exitCode: 3, act: 'update', started: false });
+  assert.deepStrictEqual(results, [
+    { action: 'update', status: 'failed' },
+    { action: 'create', status: 'skipped' },
+    { action: 'updateCourse', status: 'skipped' }
+  ]);
+  assert.strictEqual(flows, 0);
+});
@@ -0,0 +1,72 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  EXIT_CODES,
+  RUN_RESULT_FILE,
+  combineExitCodes,
+  getActionsExitCode,
+  buildRunResult,
+  writeRunResult
+} = require('../src/runResult');
+
+test('combineExitCodes keeps the most severe outcome', () => {
+  assert.strictEqual(combineExitCodes([]), EXIT_CODES.passed);
+  assert.strictEqual(combineExitCodes([EXIT_CODES.mergeTimedOut, EXIT_CODES.passed]), EXIT_CODES.mergeTimedOut);
+  assert.strictEqual(combineExitCodes([EXIT_CODES.mergeTimedOut, EXIT_CODES.actionsFailed]), EXIT_CODES.actionsFailed);
+  assert.strictEqual(combineExitCodes([EXIT_CODES.actionsFailed, EXIT_CODES.authFailed, EXIT_CODES.preflightFailed]), EXIT_CODES.authFailed);
+  assert.strictEqual(combineExitCodes([EXIT_CODES.skipped, EXIT_CODES.passed]), EXIT_CODES.skipped);
+  assert.strictEqual(combineExitCodes([EXIT_CODES.skipped, EXIT_CODES.mergeTimedOut]), EXIT_CODES.mergeTimedOut);
+});
+
+test('getActionsExitCode maps failed, skipped and timed-out test cases', () => {
+  assert.strictEqual(getActionsExitCode([{ status: 'passed' }, { status: 'passed' }]), EXIT_CODES.passed);
+  assert.strictEqual(getActionsExitCode([{ status: 'skipped' }, { status: 'skipped' }]), EXIT_CODES.skipped);
+  assert.strictEqual(getActionsExitCode([{ status: 'passed' }, { status: 'skipped' }]), EXIT_CODES.skipped);
+  assert.strictEqual(getActionsExitCode([{ status: 'passed' }, { status: 'merge timed out' }]), EXIT_CODES.mergeTimedOut);
+  assert.strictEqual(getActionsExitCode([{ status: 'merge timed out' }, { status: 'failed' }]), EXIT_CODES.actionsFailed);
+});
+
+test('writeRunResult lists each test case with its merge report and artifacts', () => {
+  const runFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'run-result-'));
+  const actionFolder = path.join(runFolder, 'Academic Scheduling', 'update');
+  fs.mkdirSync(path.join(actionFolder, 'screenshots'), { recursive: true });
+  fs.writeFileSync(path.join(actionFolder, 'mockschool-sections-update-mergeReportSummary.md'), '# report');
+  fs.writeFileSync(path.join(actionFolder, 'screenshots', 'update-fullModalAfter.png'), '');
+  try {
+    const result = buildRunResult({
+      schoolId: 'mockschool',
+      env: 'stg',
+      selection: 'custom',
+      runFolder,
+      startedAt: '2026-10-01T12:00:00.000Z',
+      finishedAt: '2026-10-01T12:30:00.000Z',
+      exitCode: EXIT_CODES.actionsFailed,
+      actionResults: [
+        { action: 'update', status: 'passed', reason: null, mergeReport: { id: 'report-1', url: 'https://example.test/report-1', status: 'success' } },
+        { action: 'create', status: 'failed', reason: 'Create error: no course found' }
+      ]
+    });
+    const filePath = writeRunResult(runFolder, result);
+
+    assert.strictEqual(path.basename(filePath), RUN_RESULT_FILE);
+    const written = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    assert.strictEqual(written.outcome, 'actionsFailed');
+    assert.strictEqual(written.exitCode, EXIT_CODES.actionsFailed);
+    const [update, create] = written.actions;
+    assert.deepStrictEqual(update.mergeReport, { id: 'report-1', url: 'https://example.test/report-1', status: 'success' });
+    assert.strictEqual(update.error, null);
+    assert.deepStrictEqual(update.artifacts, [
+      'Academic Scheduling/update/mockschool-sections-update-mergeReportSummary.md',
+      'Academic Scheduling/update/screenshots/update-fullModalAfter.png'
+    ]);
+    assert.strictEqual(create.status, 'failed');
+    assert.strictEqual(create.mergeReport, null);
+    assert.strictEqual(create.error, 'Create error: no course found');
+    assert.deepStrictEqual(create.artifacts, []);
+  } finally {
+    fs.rmSync(runFolder, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createRunState, runWithState, ensureRunLogger, installConsolePrefix } = require('../src/runState');
+
+test('Logs.md stays unprefixed when the console prefix is installed after the run logger', async (t) => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'run-state-'));
+  t.after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+  const terminal = [];
+  t.mock.method(console, 'log', (...args) => { terminal.push(args.join(' ')); });
+
+  // Single-school order in index.js: the run logger first, then the merge report poller's prefix
+  await runWithState(createRunState({ label: 'update' }), async () => {
+    ensureRunLogger(outputDir);
+    installConsolePrefix();
+    console.log('✅ Section saved');
+  });
+
+  const logs = fs.readFileSync(path.join(outputDir, 'Logs.md'), 'utf8');
+  assert.match(logs, /^\[[^\]]+\] ✅ Section saved$/m);
+  assert.ok(!logs.includes('[update]'), logs);
+  assert.deepStrictEqual(terminal, ['[update] ✅ Section saved']);
+});
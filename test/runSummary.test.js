@@ -0,0 +1,116 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  appendRunSummary,
+  appendRunSummaryNote,
+  getRunFolderName,
+  extractStepsStatus,
+  extractErrors,
+  extractMetadataDifferences
+} = require('../src/runSummary');
+
+const reportWithErrors = require('./fixtures/mergeReportWithErrors.json');
+
+function makeRunFolder(products) {
+  const runFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'run-summary-'));
+  for (const product of products) fs.mkdirSync(path.join(runFolder, product));
+  return runFolder;
+}
+
+async function append(runFolder, action, id) {
+  return appendRunSummary(runFolder, id, 'https://example.test/report', 'success', 'success', '2026-10-01T12:00:00.000Z', 'mockschool', action);
+}
+
+test('extractStepsStatus prefers a problem status over the first one', () => {
+  assert.strictEqual(extractStepsStatus(reportWithErrors.steps), 'unable to sync some changes');
+  assert.strictEqual(extractStepsStatus([{ status: 'success' }, { status: 'skipped' }]), 'success');
+  assert.strictEqual(extractStepsStatus([{ name: 'no status' }]), 'No status available');
+  assert.strictEqual(extractStepsStatus([]), 'No steps data');
+  assert.strictEqual(extractStepsStatus(undefined), 'No steps data');
+});
+
+test('extractErrors returns the first error message', () => {
+  assert.strictEqual(extractErrors(reportWithErrors.steps), '"campus" must be a string');
+  assert.strictEqual(extractErrors([{ errors: [{}] }]), 'Unknown error');
+  assert.strictEqual(extractErrors([{ errors: [] }]), 'N/A');
+  assert.strictEqual(extractErrors(null), 'N/A');
+});
+
+test('extractMetadataDifferences collects the differences of every update', () => {
+  assert.deepStrictEqual(extractMetadataDifferences(reportWithErrors.steps), [{
+    message: 'Section differs from the SIS',
+    differences: [{ field: 'campus', coursedog: 'MAIN', sis: 'NORTH' }]
+  }]);
+  assert.deepStrictEqual(extractMetadataDifferences([{ misc: { updates: { a: [{ postBody: {} }] } } }]), []);
+  assert.deepStrictEqual(extractMetadataDifferences([]), []);
+});
+
+test('appendRunSummary writes one table for a single-product run', async () => {
+  const runFolder = makeRunFolder(['Academic Scheduling']);
+  try {
+    const file = await append(runFolder, 'update', 'run-1');
+    await append(runFolder, 'create', 'run-2');
+
+    const content = fs.readFileSync(file, 'utf8');
+    assert.strictEqual(path.basename(file), 'RUN-SUMMARY-mockschool.md');
+    assert.match(content, /^# Run Summary Report - mockschool\n\n## Academic Scheduling Test Cases\n/);
+    assert.doesNotMatch(content, /Curriculum Management/);
+    assert.ok(content.indexOf('| run-1 |') < content.indexOf('| run-2 |'), 'rows are appended in order');
+  } finally {
+    fs.rmSync(runFolder, { recursive: true, force: true });
+  }
+});
+
+test('appendRunSummary inserts rows under their product table in a both-products run', async () => {
+  const runFolder = makeRunFolder(['Academic Scheduling', 'Curriculum Management']);
+  try {
+    await append(runFolder, 'updateCourse', 'course-run');
+    const file = await append(runFolder, 'update', 'section-run');
+
+    const content = fs.readFileSync(file, 'utf8');
+    const asHeading = content.indexOf('## Academic Scheduling Test Cases');
+    const cmHeading = content.indexOf('## Curriculum Management Test Cases');
+    const sectionRow = content.indexOf('| section-run |');
+    const courseRow = content.indexOf('| course-run |');
+    assert.ok(asHeading < sectionRow && sectionRow < cmHeading, 'section row sits in the Academic Scheduling table');
+    assert.ok(cmHeading < courseRow, 'course row sits in the Curriculum Management table');
+  } finally {
+    fs.rmSync(runFolder, { recursive: true, force: true });
+  }
+});
+
+test('appendRunSummary marks the summary of a production Run folder', async () => {
+  const parent = fs.mkdtempSync(path.join(os.tmpdir(), 'run-summary-'));
+  const runFolder = path.join(parent, getRunFolderName('2026-10-01_12-00-00', 'prd'));
+  fs.mkdirSync(path.join(runFolder, 'Academic Scheduling'), { recursive: true });
+  try {
+    assert.strictEqual(path.basename(runFolder), 'Run-PRD-2026-10-01_12-00-00');
+    assert.strictEqual(getRunFolderName('2026-10-01_12-00-00', 'stg'), 'Run-2026-10-01_12-00-00');
+
+    const content = fs.readFileSync(await append(runFolder, 'update', 'run-1'), 'utf8');
+    assert.match(content, /^# Run Summary Report - mockschool \(PRODUCTION\)\n\n> ⚠️ \*\*Production run\*\* on app\.coursedog\.com/);
+    assert.match(content, /## Academic Scheduling Test Cases\n/);
+  } finally {
+    fs.rmSync(parent, { recursive: true, force: true });
+  }
+});
+
+test('appendRunSummaryNote keeps run notes above the product tables', async () => {
+  const runFolder = makeRunFolder(['Academic Scheduling', 'Curriculum Management']);
+  try {
+    await appendRunSummaryNote(runFolder, 'mockschool', 'update', 'first note');
+    await append(runFolder, 'update', 'section-run');
+    await append(runFolder, 'updateCourse', 'course-run');
+    const file = await appendRunSummaryNote(runFolder, 'mockschool', 'update', 'second note');
+
+    const content = fs.readFileSync(file, 'utf8');
+    assert.match(content, /^# Run Summary Report - mockschool\n\n## Notes\n\n- .*: first note\n- .*: second note\n\n## Academic Scheduling Test Cases\n/);
+    assert.ok(content.indexOf('| section-run |') < content.indexOf('## Curriculum Management Test Cases'));
+    assert.ok(content.indexOf('## Curriculum Management Test Cases') < content.indexOf('| course-run |'));
+  } finally {
+    fs.rmSync(runFolder, { recursive: true, force: true });
+  }
+});
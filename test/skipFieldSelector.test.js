@@ -0,0 +1,86 @@
+const { test, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseTemplateFields, readSkipFieldsFromCsv, writeSkipFieldsCsv } = require('../src/skipFieldSelector');
+
+const sectionTemplate = require('./fixtures/sectionTemplate.json');
+const courseTemplate = require('./fixtures/courseTemplate.json');
+
+// writeSkipFieldsCsv() always writes to src/Resources/entryFiles; this school id keeps the test's file apart
+const SCHOOL_ID = 'skipfieldtestschool';
+const ENTRY_FILE = path.join(__dirname, '..', 'src', 'Resources', 'entryFiles', `${SCHOOL_ID}-skipFields.csv`);
+
+after(() => {
+  fs.rmSync(ENTRY_FILE, { force: true });
+});
+
+test('parseTemplateFields lists the editable, visible questions of visible cards', () => {
+  const rows = parseTemplateFields(sectionTemplate, 'sections');
+
+  assert.deepStrictEqual(rows.map(row => row.questionId), ['sectionNumber', 'campus', 'maxEnrollment']);
+  assert.deepStrictEqual(rows[1], {
+    card: 'Basic Information',
+    questionId: 'campus',
+    label: 'Campus',
+    description: 'Campus where the section meets'
+  });
+});
+
+test('parseTemplateFields reads course templates and falls back to the card id', () => {
+  const rows = parseTemplateFields(courseTemplate, 'coursesCm');
+
+  // credits has no role allowed to edit it
+  assert.deepStrictEqual(rows.map(row => row.questionId), ['name', 'code']);
+  assert.strictEqual(rows[0].card, 'courseInfo');
+  assert.deepStrictEqual(parseTemplateFields(sectionTemplate, 'programs'), []);
+});
+
+test('readSkipFieldsFromCsv keeps the rows of the school and known entities', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'skip-fields-'));
+  try {
+    const file = path.join(dir, 'entry.csv');
+    fs.writeFileSync(file, [
+      'schoolId,entity,questionId',
+      'mockschool,sections,campus',
+      'mockschool,sections,campus',
+      'mockschool,coursesCm,credits',
+      'otherschool,sections,maxEnrollment',
+      'mockschool,unknown,foo',
+      'mockschool,programs',
+      ''
+    ].join('\r\n'));
+
+    assert.deepStrictEqual(readSkipFieldsFromCsv(file, 'mockschool'), {
+      sections: ['campus'],
+      coursesCm: ['credits'],
+      programs: []
+    });
+    assert.deepStrictEqual(readSkipFieldsFromCsv(path.join(dir, 'missing.csv'), 'mockschool'), {
+      sections: [],
+      coursesCm: [],
+      programs: []
+    });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('writeSkipFieldsCsv replaces the whole file without updated entities', () => {
+  writeSkipFieldsCsv(SCHOOL_ID, { sections: ['campus'], coursesCm: ['credits'] });
+
+  assert.strictEqual(
+    fs.readFileSync(ENTRY_FILE, 'utf8'),
+    `schoolId,entity,questionId\n${SCHOOL_ID},sections,campus\n${SCHOOL_ID},coursesCm,credits\n`
+  );
+});
+
+test('writeSkipFieldsCsv merges: only the updated entities are replaced', () => {
+  writeSkipFieldsCsv(SCHOOL_ID, { sections: ['campus'], coursesCm: ['credits'] });
+
+  const merged = writeSkipFieldsCsv(SCHOOL_ID, { sections: ['maxEnrollment'], coursesCm: [] }, new Set(['sections']));
+
+  assert.deepStrictEqual(merged, { sections: ['maxEnrollment'], coursesCm: ['credits'], programs: [] });
+  assert.deepStrictEqual(readSkipFieldsFromCsv(ENTRY_FILE, SCHOOL_ID), merged);
+});
@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { normalizeForComparison, isDeepEqual } = require('../src/valueComparison');
+
+test('normalizeForComparison trims strings and sorts object keys at every level', () => {
+  const normalized = normalizeForComparison({ b: ' two ', a: [{ d: 1, c: ' x' }] });
+
+  assert.deepStrictEqual(normalized, { a: [{ c: 'x', d: 1 }], b: 'two' });
+  assert.deepStrictEqual(Object.keys(normalized), ['a', 'b']);
+  assert.deepStrictEqual(Object.keys(normalized.a[0]), ['c', 'd']);
+  assert.strictEqual(normalizeForComparison(5), 5);
+  assert.strictEqual(normalizeForComparison(null), null);
+});
+
+test('isDeepEqual ignores whitespace and key order', () => {
+  assert.strictEqual(isDeepEqual({ a: 'x ', b: [1, 2] }, { b: [1, 2], a: ' x' }), true);
+  assert.strictEqual(isDeepEqual('  Biology', 'Biology'), true);
+});
+
+test('isDeepEqual still sees changed values, array order and types', () => {
+  assert.strictEqual(isDeepEqual({ a: 'x' }, { a: 'y' }), false);
+  assert.strictEqual(isDeepEqual([1, 2], [2, 1]), false);
+  assert.strictEqual(isDeepEqual(3, '3'), false);
+  assert.strictEqual(isDeepEqual({ a: 1 }, { a: 1, b: undefined }), true);
+});